@@ -73,6 +73,7 @@ else { // if currentScript is null, we assume CMGame code is being processed wit
  * CMSound.pause("") // pause the file with the given path
  * CMSound.loop("") // plays the file, looping it
  * CMSound.stop("") // pauses the file and returns start time to 0
+ * CMSound.unload("") // stops the file and releases its decoded buffer
  */
 const CMSound = (function() {
 
@@ -287,6 +288,20 @@ const CMSound = (function() {
 		load: load,
 		loop: function(src) {
 			return play(src, true);
+		},
+		unload: function(sfxFile) {
+			if(typeof sourceNodes[sfxFile] !== "undefined") {
+				try {
+					sourceNodes[sfxFile].stop(0);
+				} catch(e) {} // Older Safari throws if the node was already stopped
+
+				sourceNodes[sfxFile].disconnect();
+				delete sourceNodes[sfxFile];
+			}
+
+			_af_buffers.delete(sfxFile);
+			loadQueue = loadQueue.filter(obj =>
+				obj.filepath !== sfxFile && obj.preferredName !== sfxFile);
 		}
 	};
 }());
@@ -301,22 +316,46 @@ const CMSound = (function() {
  * or access various properties using
  * static getters.
  *
+ * Every instance is backed by its own seeded
+ * generator (mulberry32), so passing in the same
+ * seed will always produce the same sequence of
+ * values. The static methods and getters use
+ * CMRandom.global, a shared default generator,
+ * which a game created with a seed reseeds.
+ * Each CMGame also has its own, game.random.
+ *
  * CMRandom.value; // will be a random float, similar to Random.value in Unity
  * CMRandom.color; // will be a random color from our predefined colors
  *
  * let random = new CMRandom();
  * random.nextInt(); // will be a random integer
  *
+ * let seeded = new CMRandom(314);
+ * seeded.range(0, 10); // will be the same integer every time the page loads
+ *
  */
 class CMRandom {
-	constructor() {
+	/**
+	 * Creates a CMRandom instance.
+	 * @param {number|string} [seed] - A value to seed the generator with. Strings
+	 *   are hashed to an integer. If omitted, a seed is chosen from Math.random()
+	 */
+	constructor(seed) {
+		let self = this;
+
+		if(typeof seed === "undefined" || seed === null) {
+			seed = (Math.random() * 2**32) >>> 0;
+		}
+
+		this.seed = seed;
+		this.state_Private = CMRandom.hashSeed(seed);
 
 		// private, internal generating function
 		let intGenerator = (function* () {
 
 			// Generates next integer, from large bounds
 			while(true) {
-				yield CMRandom.range(-(2**31) + 1, 2**31);
+				yield self.range(-(2**31) + 1, 2**31);
 			}
 
 		})();
@@ -333,7 +372,7 @@ class CMRandom {
 					throw new Error("CMRandom.nextInt must take nonnegative bound (or no bound)");
 				}
 
-				return CMRandom.range(0, n);
+				return self.range(0, n);
 			}
 			else {
 				return intGenerator.next().value;
@@ -345,7 +384,7 @@ class CMRandom {
 
 			// Generates next boolean
 			while(true) {
-				yield !!CMRandom.range(0, 2);
+				yield !!self.range(0, 2);
 			}
 
 		})();
@@ -360,8 +399,456 @@ class CMRandom {
 			return booleanGenerator.next().value;
 		};
 	}
+
+	/**
+	 * Advances the generator and returns a float
+	 * between 0 (inclusive) and 1 (exclusive).
+	 * This is the seeded replacement for Math.random(),
+	 * and every other method here is built on it.
+	 * @returns {number}
+	 */
+	next() {
+		// mulberry32
+		let t = this.state_Private = (this.state_Private + 0x6D2B79F5) >>> 0;
+		t = Math.imul(t ^ (t >>> 15), t | 1);
+		t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+		return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+	}
+
+	/**
+	 * Randomly picks number between two. Similar to
+	 * Random.Range of C#; max is an exclusive upper
+	 * bound if min and max are both integers; otherwise
+	 * it is inclusive.
+	 * @param {number} min - Lower bound
+	 * @param {number} max - Upper bound
+	 * @returns {number} Necessarily integer only if both inputs are integers
+	 */
+	range(min, max) {
+
+		// max is exclusive for integer inputs (but if max = min, return min)
+		if(Number.isInteger(min) && Number.isInteger(max)) {
+			return Math.floor(min + this.next() * (max - min));
+		}
+
+		// at least one of the parameters is a non-integer float value; max is inclusive
+		return (min + this.next() * (max - min));
+	}
+
+	/**
+	 * Randomly picks number between two,
+	 * excluding zero (otherwise similar to .range)
+	 * @param {number} min - Lower bound
+	 * @param {number} max - Upper bound
+	 * @returns {number} Necessarily integer only if both inputs are integers
+	 */
+	nonzero(min, max) {
+
+		// zero isn't even in this range. Stop wasting my time...
+		if(min > 0 || max < 0) {
+			return this.range(min, max);
+		}
+
+		// We'll shift all "positive choices" left, then add if one of that collection's elements were picked
+		let pick = 0,
+			shift = 0;
+
+		if(Number.isInteger(min) && Number.isInteger(max))
+			shift = 1;
+		else
+			shift = Number.MIN_VALUE;
+
+		if(shift !== 1 && Number.isInteger(min) && Number.isInteger(max - shift)) {
+			// to account for the edge case where max is an integer + Number.MIN_VALUE
+			pick = (min + this.next() * (max - min));
+		}
+		else {
+			pick = this.range(min, max - shift);
+		}
+
+		if(pick >= 0)
+			pick += shift;
+
+		return pick;
+	}
+
+	/**
+	 * Picks random item from an array,
+	 * Map instance, or plain JS object of values,
+	 * without removing the item.
+	 * @param {array|object} arr - Any array, Map instance, or plain JS object
+	 * @returns {*}
+	 */
+	pickFrom(arr) {
+		if(Array.isArray(arr)) {
+			return arr[this.range(0, arr.length)];
+		}
+		else
+		if(arr instanceof Map) {
+			let tempArr = [];
+			for(let [key, value] of arr) {
+				tempArr.push(value);
+			}
+
+			return tempArr[this.range(0, tempArr.length)];
+		}
+		else { // Assume a normal JS object
+			let valArr = Object.values(arr);
+			return valArr[this.range(0, valArr.length)];
+		}
+	}
+
+	/**
+	 * Picks (and returns) random item from an array,
+	 * Map instance, or plain JS object of values,
+	 * and removes the item, or removes a specific
+	 * item
+	 * @param {array|object} arr - Any array, Map instance, or plain JS object
+	 * @param {*} [item] - The specific item to remove
+	 * @returns {*}
+	 */
+	pluckFrom(arr, item) {
+		if(Array.isArray(arr)) {
+			if(item)
+				return arr.splice(arr.indexOf(item), 1)[0];
+
+			return arr.splice(this.range(0, arr.length), 1)[0];
+		}
+		else
+		if(arr instanceof Map) {
+			let keyOfItem = -1;
+			let tempArr = [];
+
+			for(let [key, value] of arr) {
+				tempArr.push(value);
+
+				if(value === item) {
+					keyOfItem = key;
+				}
+			}
+
+			if(item) {
+				arr.delete(keyOfItem);
+				return item;
+			}
+
+			let itemKey = tempArr[this.range(0, tempArr.length)];
+			arr.delete(itemKey); // Removes key-value association, without destroying object
+			return arr.get(itemKey);
+		}
+		else { // Assume a normal JS object
+			let entriesArr = Object.entries(arr);
+
+			let chosenKey = item ? entriesArr.find(arr => arr[1] === item)[0] :
+					entriesArr[this.range(0, entriesArr.length)][0];
+
+			let val = arr[chosenKey];
+
+			delete arr[chosenKey];
+			return val;
+		}
+	}
+
+	/**
+	 * Shuffles an array and returns shuffled version.
+	 * Note: the original array WILL be modified
+	 * @param {array} arr - Any array
+	 * @returns {array}
+	 */
+	shuffle(arr) {
+
+		// Fisher-Yates, in place
+		for(let i = arr.length - 1; i > 0; i--) {
+			let j = this.range(0, i + 1);
+			let temp = arr[i];
+			arr[i] = arr[j];
+			arr[j] = temp;
+		}
+
+		return arr;
+	}
+
+	/**
+	 * Picks a value from a normal (Gaussian) distribution,
+	 * using the Box-Muller transform
+	 * @param {number} [mean=0] - The distribution's mean
+	 * @param {number} [sd=1] - The distribution's standard deviation
+	 * @returns {number}
+	 */
+	normal(mean=0, sd=1) {
+		if(sd < 0) {
+			throw new Error("CMRandom.normal must take a nonnegative standard deviation");
+		}
+
+		// 1 - next() keeps us away from Math.log(0)
+		let u = 1 - this.next();
+		let v = this.next();
+
+		return mean + sd * Math.sqrt(-2 * Math.log(u)) * Math.cos(Math.TAU * v);
+	}
+
+	/**
+	 * Picks the number of successes in n independent
+	 * trials, each succeeding with probability p
+	 * @param {number} n - The number of trials (a nonnegative integer)
+	 * @param {number} [p=0.5] - The probability of success for each trial
+	 * @returns {number}
+	 */
+	binomial(n, p=0.5) {
+		if(!Number.isInteger(n) || n < 0) {
+			throw new Error("CMRandom.binomial must take a nonnegative integer number of trials");
+		}
+
+		if(p < 0 || p > 1) {
+			throw new Error("CMRandom.binomial must take a probability between 0 and 1");
+		}
+
+		let successes = 0;
+		for(let i = 0; i < n; i++) {
+			if(this.next() < p)
+				successes++;
+		}
+
+		return successes;
+	}
+
+	/**
+	 * Picks the number of events occurring in a fixed
+	 * interval, for a Poisson distribution with the given
+	 * average rate (Knuth's algorithm)
+	 * @param {number} [lambda=1] - The expected number of events
+	 * @returns {number}
+	 */
+	poisson(lambda=1) {
+		if(lambda < 0) {
+			throw new Error("CMRandom.poisson must take a nonnegative rate");
+		}
+
+		// e^-lambda underflows for large lambda, so we add up smaller Poisson draws
+		let count = 0;
+		let remaining = lambda;
+
+		while(remaining > 0) {
+			let step = Math.min(remaining, 30);
+			let limit = Math.exp(-step);
+			let product = this.next();
+
+			while(product > limit) {
+				count++;
+				product *= this.next();
+			}
+
+			remaining -= step;
+		}
+
+		return count;
+	}
+
+	/**
+	 * Picks the number of trials needed to get the
+	 * first success, when each trial succeeds with
+	 * probability p. Result is 1 or greater.
+	 * @param {number} [p=0.5] - The probability of success for each trial
+	 * @returns {number}
+	 */
+	geometric(p=0.5) {
+		if(p <= 0 || p > 1) {
+			throw new Error("CMRandom.geometric must take a probability greater than 0, and at most 1");
+		}
+
+		if(p === 1)
+			return 1;
+
+		return Math.max(1, Math.ceil(Math.log(1 - this.next()) / Math.log(1 - p)));
+	}
+
+	/**
+	 * Picks a value from an exponential distribution,
+	 * e.g., a waiting time between random events
+	 * @param {number} [rate=1] - The average number of events per unit time
+	 * @returns {number}
+	 */
+	exponential(rate=1) {
+		if(rate <= 0) {
+			throw new Error("CMRandom.exponential must take a positive rate");
+		}
+
+		return -Math.log(1 - this.next()) / rate;
+	}
+
+	/**
+	 * Picks a key at random, where each key's chance of
+	 * being picked is proportional to its weight. E.g.,
+	 * random.weighted({heads: 3, tails: 1}); // "heads" 75% of the time
+	 * @param {object|Map} weights - A plain JS object or Map instance, mapping keys to nonnegative weights
+	 * @returns {*} The chosen key
+	 */
+	weighted(weights) {
+		let entries = (weights instanceof Map) ? Array.from(weights.entries()) : Object.entries(weights);
+		let total = entries.reduce((sum, entry) => sum + Math.max(0, entry[1]), 0);
+
+		if(!(total > 0)) {
+			console.error("CMRandom.weighted requires at least one positive weight");
+			return;
+		}
+
+		let pick = this.next() * total;
+		for(let [key, weight] of entries) {
+			pick -= Math.max(0, weight);
+			if(pick < 0)
+				return key;
+		}
+
+		// Only reached through floating point rounding; return last positive entry
+		return entries.filter(entry => entry[1] > 0).pop()[0];
+	}
+
+	/**
+	 * Picks k items from an array, without replacement,
+	 * in random order. The original array is not modified.
+	 * @param {array} arr - Any array
+	 * @param {number} [k=1] - How many items to pick
+	 * @returns {array}
+	 */
+	sample(arr, k=1) {
+		if(k > arr.length) {
+			console.warn("CMRandom.sample cannot pick " + k + " items from an array of length " + arr.length);
+			k = arr.length;
+		}
+
+		let copy = arr.slice();
+
+		// Partial Fisher-Yates; only the first k slots need to be shuffled
+		for(let i = 0; i < k; i++) {
+			let j = this.range(i, copy.length);
+			let temp = copy[i];
+			copy[i] = copy[j];
+			copy[j] = temp;
+		}
+
+		return copy.slice(0, k);
+	}
+
+	/**
+	 * Creates a random permutation (ordered arrangement)
+	 * of k items from an array. If arr is a number n,
+	 * uses the integers 0 through n - 1.
+	 * The original array is not modified.
+	 * @param {array|number} arr - Any array, or a number of items
+	 * @param {number} [k] - How many items to arrange. Defaults to all of them.
+	 * @returns {array}
+	 */
+	permutation(arr, k) {
+		if(typeof arr === "number") {
+			arr = Array(arr).fill(0).map((element, idx) => idx);
+		}
+
+		return this.sample(arr, typeof k === "number" ? k : arr.length);
+	}
+
+	/**
+	 * Creates a random combination (unordered selection)
+	 * of k items from an array. Chosen items are returned
+	 * in the same order they appear in the original array.
+	 * If arr is a number n, uses the integers 0 through n - 1.
+	 * The original array is not modified.
+	 * @param {array|number} arr - Any array, or a number of items
+	 * @param {number} k - How many items to choose
+	 * @returns {array}
+	 */
+	combination(arr, k) {
+		if(typeof arr === "number") {
+			arr = Array(arr).fill(0).map((element, idx) => idx);
+		}
+
+		// Selection sampling, which preserves the original order
+		let chosen = [];
+		for(let i = 0; i < arr.length && chosen.length < k; i++) {
+			if(this.next() * (arr.length - i) < k - chosen.length) {
+				chosen.push(arr[i]);
+			}
+		}
+
+		if(chosen.length < k) {
+			console.warn("CMRandom.combination cannot choose " + k + " items from an array of length " + arr.length);
+		}
+
+		return chosen;
+	}
+
+	/**
+	 * Gets a snapshot of the generator's current state,
+	 * e.g., to store in a save file. Passing this into
+	 * setState() later continues the exact same sequence.
+	 * @returns {object} A plain JS object, safe for JSON.stringify
+	 */
+	getState() {
+		return {
+			seed: this.seed,
+			state: this.state_Private
+		};
+	}
+
+	/**
+	 * Restores a state previously returned by getState()
+	 * @param {object} snapshot - A plain JS object from getState()
+	 * @returns {object} The current CMRandom instance
+	 */
+	setState(snapshot) {
+		if(!snapshot || typeof snapshot.state !== "number") {
+			console.error("CMRandom.setState requires an object returned by getState()");
+			return this;
+		}
+
+		this.seed = snapshot.seed;
+		this.state_Private = snapshot.state >>> 0;
+		return this;
+	}
+
+	/**
+	 * Resets the generator to the start of its sequence,
+	 * or to the start of a new seed's sequence.
+	 * @param {number|string} [seed=this.seed] - The seed to restart with
+	 * @returns {object} The current CMRandom instance
+	 */
+	reseed(seed=this.seed) {
+		this.seed = seed;
+		this.state_Private = CMRandom.hashSeed(seed);
+		return this;
+	}
 }
 
+/**
+ * Converts a seed into the unsigned 32-bit
+ * integer used as the generator state.
+ * Numbers are used directly; strings are
+ * hashed (FNV-1a), so "level-3" is a valid seed.
+ * @param {number|string} seed - The seed value
+ * @returns {number}
+ */
+CMRandom.hashSeed = (seed) => {
+	if(typeof seed === "number") {
+		return Math.floor(seed) >>> 0;
+	}
+
+	let str = String(seed);
+	let hash = 2166136261;
+	for(let i = 0; i < str.length; i++) {
+		hash ^= str.charCodeAt(i);
+		hash = Math.imul(hash, 16777619);
+	}
+
+	return hash >>> 0;
+};
+
+/**
+ * The generator used by CMRandom's static methods
+ * and getters, and by CMGame.pickFrom, etc. It is
+ * shared by every game on the page, and reseeded
+ * whenever a game is created with a seed.
+ */
+CMRandom.global = new CMRandom();
+
 /**
  * Randomly picks number between two. Similar to
  * Random.Range of C#; max is an exclusive upper
@@ -372,14 +859,7 @@ class CMRandom {
  * @returns {number} Necessarily integer only if both inputs are integers
  */
 CMRandom.range = (min, max) => {
-
-	// max is exclusive for integer inputs (but if max = min, return min)
-	if(Number.isInteger(min) && Number.isInteger(max)) {	
-		return (min + (Math.random() * (max - min)) >> 0 );
-	}
-
-	// at least one of the parameters is a non-integer float value; max is inclusive
-	return (min + Math.random() * (max - min));
+	return CMRandom.global.range(min, max);
 };
 
 /**
@@ -390,54 +870,43 @@ CMRandom.range = (min, max) => {
  * @returns {number} Necessarily integer only if both inputs are integers
  */
 CMRandom.nonzero = (min, max) => {
+	return CMRandom.global.nonzero(min, max);
+};
 
-	// zero isn't even in this range. Stop wasting my time...
-	if(min > 0 || max < 0) {
-		return CMRandom.range(min, max);
-	}
-
-	// We'll shift all "positive choices" left, then add if one of that collection's elements were picked
-	let pick = 0,
-		shift = 0;
-
-	if(Number.isInteger(min) && Number.isInteger(max))
-		shift = 1;
-	else
-		shift = Number.MIN_VALUE;
-
-	if(Number.isInteger(min) && Number.isInteger(max - shift)) {
-		// to account for the edge case where max is an integer + Number.MIN_VALUE
-		pick = (min + Math.random() * (max - min));
-	}
-	else {
-		pick = CMRandom.range(min, max - shift);
-	}
-
-	if(pick >= 0)
-		pick += shift;
+/**
+ * Static versions of the distribution and sampling
+ * methods, drawing from CMRandom.global. E.g.,
+ * CMRandom.normal(100, 15);
+ * CMRandom.weighted({a: 3, b: 1});
+ */
+["normal", "binomial", "poisson", "geometric", "exponential",
+	"weighted", "sample", "permutation", "combination"].forEach(methodName => {
 
-	return pick;
-};
+	CMRandom[methodName] = (...args) => {
+		return CMRandom.global[methodName](...args);
+	};
+});
 
 /**
  * Below we use ECMAScript getters
- * to define quick access as static
- * properties. Examples:
+ * to define quick access as instance
+ * properties, using that instance's generator.
+ * Examples:
  *
- * CMRandom.value; // will be a random float
- * CMRandom.color; // will be a random color from our predefined colors
+ * game.random.value; // will be a random float
+ * game.random.color; // will be a random color from our predefined colors
  */
 
-Object.defineProperties(CMRandom, {
-	
+Object.defineProperties(CMRandom.prototype, {
+
 	/**
-	 * Picks a random radian value between 
+	 * Picks a random radian value between
 	 * 0 (inclusive) and 2pi (exclusive).
 	 * Useful for games with polar coordinates.
 	 */
 	radian: {
 		get: function() {
-			let val = CMRandom.range(0, Math.TAU);
+			let val = this.range(0, Math.TAU);
 			if(val >= Math.TAU) // >= to account for possible machine rounding errors
 				val = 0;
 
@@ -451,18 +920,18 @@ Object.defineProperties(CMRandom, {
 	 */
 	degree: {
 		get: function() {
-			return CMRandom.range(0, 360);
+			return this.range(0, 360);
 		}
 	},
 
 	/**
 	 * Picks a random 7-digit float value
 	 * between 0 (inclusive) and 1 (exclusive)
-	 */	
+	 */
 	value: {
 		get: function() {
 			// Capping `float` at 7 decimal digits
-			return parseFloat(Math.random().toFixed(7));
+			return parseFloat(this.next().toFixed(7));
 		}
 	},
 
@@ -480,7 +949,7 @@ Object.defineProperties(CMRandom, {
 					name.indexOf("CLEAR") === -1);
 			});
 
-			return CMColor[colorArray[CMRandom.range(0, colorArray.length)]];
+			return CMColor[colorArray[this.range(0, colorArray.length)]];
 		}
 	},
 
@@ -496,13 +965,13 @@ Object.defineProperties(CMRandom, {
 				return !(name.match(/GRAY|BLACK|WHITE|SAND|TRANS|NONE|CLEAR/));
 			});
 
-			return CMColor[colorArray[CMRandom.range(0, colorArray.length)]];
+			return CMColor[colorArray[this.range(0, colorArray.length)]];
 		}
 	},
 
 	/**
 	 * Randomly picks an opaque rgb gray, black, or white
-	 * color from our predefined swatch, 
+	 * color from our predefined swatch,
 	 * @returns {string}
 	 */
 	grayscale: {
@@ -511,7 +980,7 @@ Object.defineProperties(CMRandom, {
 				return !!(name.match(/GRAY|BLACK|WHITE/));
 			});
 
-			return CMColor[colorArray[CMRandom.range(0, colorArray.length)]];
+			return CMColor[colorArray[this.range(0, colorArray.length)]];
 		}
 	},
 
@@ -522,23 +991,36 @@ Object.defineProperties(CMRandom, {
 	 */
 	sign: {
 		get: function() {
-			return (-1)**CMRandom.range(0, 2);
+			return (-1)**this.range(0, 2);
+		}
+	},
+
+	/**
+	 * Randomly picks true or false.
+	 * @returns {boolean}
+	 */
+	boolean: {
+		get: function() {
+			return !!this.range(0, 2);
 		}
 	}
 });
 
 /**
- * Randomly picks true or false. Since
- * boolean is a reserved word, we introduce
- * separately from defineProperties above,
- * to avoid possible errors.
- * @returns {boolean}
+ * The same getters are available statically,
+ * drawing from CMRandom.global. Examples:
+ *
+ * CMRandom.value; // will be a random float
+ * CMRandom.color; // will be a random color from our predefined colors
  */
-Object.defineProperty(CMRandom, "boolean", {
+["radian", "degree", "value", "color", "colorscale",
+	"grayscale", "sign", "boolean"].forEach(propName => {
 
-	get: function() {
-		return !!( (Math.random() * 2) >> 0 );
-	}
+	Object.defineProperty(CMRandom, propName, {
+		get: function() {
+			return CMRandom.global[propName];
+		}
+	});
 });
 
 /**
@@ -787,12 +1269,12 @@ class CMDoodle {
 
 		this.points = [ this.startPoint ];
 
-		this.path = new Path2D();
+		this.path = new CMGame.Path2D();
 		this.path.moveTo(this.startPoint.x, this.startPoint.y);
-		this.pathAbove = new Path2D();
-		this.pathBelow = new Path2D();
-		this.pathLeft = new Path2D();
-		this.pathRight = new Path2D();
+		this.pathAbove = new CMGame.Path2D();
+		this.pathBelow = new CMGame.Path2D();
+		this.pathLeft = new CMGame.Path2D();
+		this.pathRight = new CMGame.Path2D();
 
 		// game.currentDoodle = this; // Moved to within game. Superfluous here
 	}
@@ -803,7 +1285,7 @@ class CMDoodle {
 	 * the screen. To clear all, use {{game instance}}.clearDoodles()
 	 */
 	clear() {
-		this.path = new Path2D();
+		this.path = new CMGame.Path2D();
 		CMGame.clearAll( this.points );
 		this.game.doodles.splice( this.game.doodles.indexOf( this ), 1);
 	}
@@ -916,7 +1398,7 @@ class CMDoodle {
 	 * is removed.
 	 */
 	rebuildPath() {
-		this.path = new Path2D();
+		this.path = new CMGame.Path2D();
 		this.path.moveTo(this.startPoint.x, this.startPoint.y);
 
 		for(let i = 1; i < this.points.length; i++) {
@@ -940,7 +1422,7 @@ class CMDoodle {
 		let bottomPoint = [p1, p2].sort((a, b) => b.y - a.y)[0]; // on "inverted" screen y values
 
 		if(this.fillStyleBelow && this.fillStyleBelow !== CMColor.NONE) {
-			this.pathBelow = new Path2D(this.path);
+			this.pathBelow = new CMGame.Path2D(this.path);
 
 			// moving right...
 			if(p1.x <= p2.x) {
@@ -961,7 +1443,7 @@ class CMDoodle {
 
 		if(this.fillStyleAbove && this.fillStyleAbove !== CMColor.NONE) {
 
-			this.pathAbove = new Path2D(this.path);
+			this.pathAbove = new CMGame.Path2D(this.path);
 
 			// moving right...
 			if(p1.x <= p2.x) {
@@ -977,7 +1459,7 @@ class CMDoodle {
 		}
 
 		if(this.fillStyleLeft && this.fillStyleLeft !== CMColor.NONE) {
-			this.pathLeft = new Path2D(this.path);
+			this.pathLeft = new CMGame.Path2D(this.path);
 
 			// moving down on the screen... (screen "y" is inscreasing)
 			if(p1.y <= p2.y) {
@@ -993,7 +1475,7 @@ class CMDoodle {
 		}
 
 		if(this.fillStyleRight && this.fillStyleRight !== CMColor.NONE) {
-			this.pathRight = new Path2D(this.path);
+			this.pathRight = new CMGame.Path2D(this.path);
 
 			// moving down on the screen... (screen "y" is inscreasing)
 			if(p1.y <= p2.y) {
@@ -1187,16 +1669,137 @@ class CMSwipe {
 	}
 }
 
-let previousFrameTime = performance.now();
+/**
+ * A class to group game components into separate
+ * screens (e.g., title, level, pause, and results
+ * screens). Each scene has its own sprites, functions,
+ * vertices, and edges. Only the game's active scene
+ * is updated and drawn, and the game's add() and
+ * remove() methods apply to the active scene.
+ */
+class CMScene {
+	/**
+	 * Creates a CMScene instance
+	 * @param {CMGame} game - The current game instance
+	 * @param {object} [options={}] - A plain JS object of options
+	 * @param {string} [options.name=""] - A name to identify this scene, e.g., "title"
+	 * @param {function} [options.onenter] - Callback to perform when this scene becomes the active scene.
+	 *   Receives the previously active scene (or null) and any data passed to pushScene, popScene, or switchScene.
+	 * @param {function} [options.onexit] - Callback to perform when this scene stops being the active scene.
+	 *   Receives the newly active scene.
+	 * @param {function} [options.onupdate] - Callback to perform after the game's update() while this scene is active
+	 * @param {function} [options.ondraw] - Callback to perform after the game's draw() while this scene is active
+	 */
+	constructor(game, options={}) {
+		this.game = game;
+		this.name = options.name || "";
+
+		this.sprites = []; /* CMSprite */
+		this.functions = []; /* CMFunction */
+		this.vertices = []; /* CMVertex */
+		this.edges = []; /* CMEdge */
+
+		for(let key of ["onenter", "onexit", "onupdate", "ondraw"]) {
+			if(typeof options[key] === "function") {
+				this[key] = options[key].bind(this);
+			}
+		}
+	}
 
-/** A class to manage all game objects and processes */
-class CMGame {
 	/**
-	 * Creates a CMGame instance. This essentially creates the current game.
-	 * @param {object} [options] - A plain JS object of options. All are optional, including this object.
-	 * @param {object|string} [options.startBtn] - An HTML element (or CSS selector for that element) that will be used to start the game, or an array of any combination of elements and selectors. Defaults to null, and game starts on first user interaction.
-	 * @param {boolean} [options.options.fullscreen] - If true, the game will attempt to enter fullscreen browser mode on first user interaction (this does not necessarily change the canvas size itself; it only performs browser-specific actions like removing the address bar). Results vary by browser. Default is false.
-	 * @param {string} [options.orientation] - A string, desired orientation when entering fullscreen. Only makes sense when fullscreen features are being used. Examples: "portrait", "landscape"
+	 * Adds sprites, functions, vertices, and edges to
+	 * this scene, whether or not it is currently active.
+	 * Accepts the same arguments as game.add()
+	 * @param {...object} args - Any number of game components, or a single array of them
+	 * @returns {object} The current CMScene instance
+	 */
+	add(...args) {
+		let objArr = args;
+
+		if(arguments.length === 1 && Array.isArray(arguments[0])) {
+			objArr = arguments[0];
+		}
+
+		for(let obj of objArr) {
+			if(obj instanceof CMVertex) {
+				if(!this.vertices.includes(obj))
+					this.vertices.push(obj);
+			}
+			else
+			if(obj instanceof CMEdge) {
+				if(!this.edges.includes(obj))
+					this.edges.push(obj);
+			}
+			else
+			if(obj instanceof CMSprite) {
+				if(!this.sprites.includes(obj)) {
+					this.sprites.push(obj);
+					this.sprites.sort((a, b) => a.layer - b.layer);
+				}
+			}
+			else
+			if(obj instanceof CMFunction) {
+				if(!this.functions.includes(obj))
+					this.functions.push(obj);
+			}
+		}
+
+		return this;
+	}
+
+	/**
+	 * Removes sprites, functions, vertices, and edges
+	 * from this scene. Unlike game.remove(), this does
+	 * not call a sprite's ondestroy(), since the sprite
+	 * is only being moved out of this scene.
+	 * @param {...object} args - Any number of game components, or a single array of them
+	 * @returns {object} The current CMScene instance
+	 */
+	remove(...args) {
+		let objArr = args;
+
+		if(arguments.length === 1 && Array.isArray(arguments[0])) {
+			objArr = arguments[0];
+		}
+
+		for(let obj of objArr) {
+			for(let arr of [this.sprites, this.functions, this.vertices, this.edges]) {
+				if(arr.includes(obj)) {
+					arr.splice(arr.indexOf(obj), 1);
+				}
+			}
+		}
+
+		return this;
+	}
+
+	/**
+	 * Determines if the given component belongs to this scene
+	 * @param {object} item - A CMSprite, CMFunction, CMVertex, or CMEdge
+	 * @returns {boolean}
+	 */
+	has(item) {
+		return this.sprites.includes(item) ||
+			this.functions.includes(item) ||
+			this.vertices.includes(item) ||
+			this.edges.includes(item);
+	}
+
+	/** These are meant to be overridden */
+	onenter(previousScene, data) {} // Occurs when this becomes the active scene
+	onexit(nextScene) {} // Occurs when this stops being the active scene
+	onupdate(frameCount, dt) {} // Occurs just after game's update(), while active
+	ondraw(ctx) {} // Occurs just after game's draw(), while active
+}
+
+/** A class to manage all game objects and processes */
+class CMGame {
+	/**
+	 * Creates a CMGame instance. This essentially creates the current game.
+	 * @param {object} [options] - A plain JS object of options. All are optional, including this object.
+	 * @param {object|string} [options.startBtn] - An HTML element (or CSS selector for that element) that will be used to start the game, or an array of any combination of elements and selectors. Defaults to null, and game starts on first user interaction.
+	 * @param {boolean} [options.options.fullscreen] - If true, the game will attempt to enter fullscreen browser mode on first user interaction (this does not necessarily change the canvas size itself; it only performs browser-specific actions like removing the address bar). Results vary by browser. Default is false.
+	 * @param {string} [options.orientation] - A string, desired orientation when entering fullscreen. Only makes sense when fullscreen features are being used. Examples: "portrait", "landscape"
 	 * @param {object|string} [options.enterFullscreenBtn] - An HTML element (or CSS selector for that element) to be used to enter fullscreen when user clicks. Default is null.
 	 * @param {object|string} [options.exitFullscreenBtn] - An HTML element (or CSS selector for that element) to be used to exit fullscreen when user clicks. Default is null.
 	 * @param {object|string} [options.screenshotBtn] - An HTML element (or CSS selector for that element) to be used to capture an in-game screenshot when user clicks.
@@ -1209,15 +1812,30 @@ class CMGame {
 	 * @param {number} [options.gridlineDistance] - How many pixels apart graph gridlines should be (vertically or horizontally). Default is 20.
 	 * @param {number} [options.graphScalar] - How much real numbers are scaled into the number of pixels on screen. For instance, if this is 30, then there will be 30 pixels between the point (0, 0) and the point (1, 0). Note: if your graphScalar and tickDistance do not match, this may be confusing to the user. Try to keep one a multiple of the other.
 	 * @param {number} [options.tickFontSize] - Font size to draw tick marks. Default is based on tickDistance.
+	 * @param {boolean} [options.interactivePlane] - If true, players can drag the graph to pan it, and zoom with the mouse wheel
+	 *   or by pinching. Functions and sprites follow the plane. Default is false.
+	 * @param {number} [options.minZoom] - With interactivePlane, the smallest zoomLevel allowed (smaller is more magnified). Default is 0.05.
+	 * @param {number} [options.maxZoom] - With interactivePlane, the largest zoomLevel allowed. Default is 20.
+	 * @param {object} [options.planeBounds] - With interactivePlane, real values (xMin, xMax, yMin, yMax) the visible graph
+	 *   cannot be panned or zoomed past. Any can be left out. Default is no bounds.
+	 * @param {function} [options.onpan] - Callback to perform after the graph plane is panned. Takes the (clamped) pixel offset as its only argument.
 	 * @param {function|boolean} [options.tickLabelIf] - A function to check, taking current tick value as only parameter, returning true if label should be drawn or custom string to draw, or
 	 *   false to draw nothing. A boolean can be provided as shorthand for a function always returning that boolean. Defaults to drawing all values on tick marks.
 	 * @param {function|boolean} [options.tickLabelIfX] - Similar to options.tickLabelIf, but only for x-axis values. Defaults to options.tickLabelIf.
 	 * @param {function|boolean} [options.tickLabelIfY] - Similar to options.tickLabelIf, but only for y-axis values. Defaults to options.tickLabelIf.
 	 * @param {function|boolean} [options.tickLabelIfOrigin] - Similar to tickLabelIfX with specific designation to 0, which is by default not drawn.
+	 * @param {string|object} [options.xScale="linear"] - How real x values are spread along the x-axis: "linear", "log" (base 10), "ln" (base e), or "pi" (evenly,
+	 *   with ticks at multiples of π/2, labeled π/2, π, 3π/2, etc.). Can also be a plain JS object with a type ("linear", "log", or "pi"), and optionally a base (for "log"),
+	 *   a denominator (for "pi", e.g., 4 for ticks at multiples of π/4), and a ticks function, taking the smallest and largest visible real values and returning
+	 *   an array of tick values, or of plain JS objects with value and label values. Defaults to "linear", with evenly spaced numeric ticks.
+	 * @param {string|object} [options.yScale="linear"] - Similar to options.xScale, but for the y-axis
 	 * @param {number} [options.tickFontSize] - Preferred font size (in pixels) of font displaying tick values 
 	 * @param {boolean} [options.soundOn] - true to allow sound effects to play, false to mute them. Defaults to false. Note: most browsers require user interaction before playing sound (having a start button to click is an easy way to overcome this).
 	 * @param {boolean} [options.musicOn] - true to allow music (generally longer sound files) to play, false to mute them. Defaults to false. Note: most browsers require user interaction before playing sound (having a start button to click is an easy way to overcome this).
+	 * @param {number|string} [options.seed] - A seed for this game's random generator, game.random (used by game.pickFrom, game.shuffle, etc.), so the same seed reproduces the same "random" values. The shared CMRandom.global (used by CMRandom's static methods and getters, CMGame.pickFrom, CMGame.shuffle, etc.) is reseeded with it too. Defaults to a random seed.
 	 * @param {string} [options.saveName] - A string to use as the localStorage key for saving this game's state details. Essentially your "save file name". If not provided, one will be generated. (If you do not invoke save() or load() methods this value is never used)
+	 * @param {boolean} [options.fixedTimestep] - If true, game state is updated in fixed steps of `timestep` seconds (catching up or waiting as needed), sprites are drawn between their last two states, and sprite and function velocities are treated as "per second" rather than "per frame". This keeps motion speed the same regardless of the screen's refresh rate. Default is false.
+	 * @param {number} [options.timestep] - In fixedTimestep mode, the number of seconds each update() call represents. Default is 1/60.
 	 * @param {number} [options.frameCap] - During each animation cycle, the game stores an internal frameCount variable tracking how many animation frames have passed. The dev may find this useful for certain cases like animations. If the game is long, you may want to prevent this value from becoming unbounded, by setting this frameCap to some positive integer, because the default is Infinity.
 	 * @param {number} [options.width] - Desired game width in pixels (defaults to canvas width)
 	 * @param {number} [options.height] - Desired game height in pixels (defaults to canvas height)
@@ -1243,7 +1861,7 @@ class CMGame {
 	 * @param {string} [options.gridStyle] - A color string for the Cartesian grid graph lines. Defaults to CMColor.LIGHT_GRAY.
 	 * @param {string} [options.gridlineWidth] - The lineWidth to use for drawn Cartesian grid graph lines
 	 * @param {boolean} [options.ignoreNumLock] - A boolean, for keyboard-based games. true if you want numpad arrows to always register as direction (even when NumLock is on); false if you want NumLock to force those keys to register as numbers. Default is false.
-	 * @param {boolean} [options.multiTouch] - A boolean; true if you want every touch to register a new event even if touches are simultaneous; false to allow one touch/mouse press event at a time. Default is false, as this allows desktop and mobile experiences to be similar.
+	 * @param {boolean} [options.multiTouch] - A boolean; true if you want every touch to register a new event even if touches are simultaneous; false to allow one touch/mouse press event at a time (only the first finger pressed is reported). Default is false, as this allows desktop and mobile experiences to be similar.
 	 * @param {object} [options.doodleOptions] - A plain JS object defining whether the user can draw in the current game.
 	 * @param {boolean} [options.doodleOptions.enabled] - Whether or not user can current "doodle" on the game screen. Defaults to false.
 	 * @param {number} [options.doodleOptions.lineWidth] - Number of pixels wide these drawing lines should be.
@@ -1264,6 +1882,10 @@ class CMGame {
 	 * @param {function} [options.onpressstart] - Callback to perform when canvas is touched or mouse is pressed
 	 * @param {function} [options.onpressmove] - Callback to perform when finger on canvas is moved or mouse is moved while pressed
 	 * @param {function} [options.onpressend] - Callback to perform when finger on canvas is lifted or mouse is released
+	 * @param {function} [options.onpinch] - Callback to perform while two fingers move closer or farther apart. Takes the
+	 *   distance ratio since the previous call, and the CMPoint between the fingers
+	 * @param {function} [options.onrotate] - Callback to perform while two fingers turn around each other. Takes the change
+	 *   in angle (radians, clockwise on screen) since the previous call, and the CMPoint between the fingers
 	 * @param {function} [options.onswipe] - Callback to perform when finger on canvas is moved or mouse is moved while
 	 *   pressed and distance is at least CMGame.PIXELS_FOR_SWIPE. Callback takes a CMSwipe instance as only argument.
 	 * @param {function} [options.ondblclick] - Callback to perform if canvas is double-clicked with mouse or finger
@@ -1278,17 +1900,22 @@ class CMGame {
 	 * @param {function} [options.onbeforedraw] - Callback to perform just before a frame is drawn, but immediately after previous is cleared
 	 * @param {function} [options.ondraw] - Callback to perform at the end of each draw() call for this CMGame instance
 	 * @param {function} [options.onload] - Callback to perform after all other process in this constructor have been performed, except those involved in "debug"
+	 * @param {function} [options.ondestroy] - Callback to perform at the end of destroy(), after the game's listeners, elements and components have been removed
 	 * @param {boolean} [options.debug] - Set to true when testing/debugging. This hides loading screens,
 	 *   and immediately starts game (no need for button clicks, etc.), and changes some hidden
 	 *   screen elements (like graph grid) to show slightly.
 	 * @param {object} [options.debugOptions] - When `debug` is set to true, any options that are set in
 	 *   this plain JavaScript object will replace the property with the same key passed into the constructor.
+	 * @param {boolean} [options.headless] - Set to true to run without DOM UI, audio, or an animation loop,
+	 *   e.g., for automated tests under jsdom. Drawing goes to stand-in contexts that do nothing, saves are
+	 *   kept in memory, and the game only advances when you call step(). Default is false.
 	 * @returns {object} The created CMGame instance for chaining
 	 */
 	constructor(options={}) {
 		let self = this;
 
 		this.debug = !!options.debug;
+		this.headless = !!options.headless;
 
 		if(this.debug && typeof options.debugOptions === "object") {
 			for(let key of Object.keys(options.debugOptions)) {
@@ -1319,6 +1946,10 @@ class CMGame {
 		}
 
 		// Note: this.audios is mainly used internally. Use playSound(), etc.
+		if(this.headless) {
+			// Headless games have no audio, so nothing is loaded
+		}
+		else
 		if(Array.isArray(options.audios)) {
 			for(let i = 0; i < options.audios.length; i++) {
 				let keyString = CMGame.trimFilename( options.audios[i] );
@@ -1343,7 +1974,7 @@ class CMGame {
 		 * CSS by adding an "overrideStyles: true" option
 		 * to the CMGame constructor options.
 		 */
-		if(typeof options.overrideStyles === "undefined") {
+		if(typeof options.overrideStyles === "undefined" && !this.headless) {
 			if(![... document.styleSheets].find(stylesheet => stylesheet?.href?.match("cmgame.css") ) ) {
 				let cmgStylesheet = document.createElement("link");
 				cmgStylesheet.rel = "stylesheet";
@@ -1363,7 +1994,7 @@ class CMGame {
 		 * though for best results, dev should add this
 		 * into the static HTML.
 		 */
-		if(!document.querySelector("meta[name='viewport']")) {
+		if(!this.headless && !document.querySelector("meta[name='viewport']")) {
 			let meta = document.createElement("meta");
 			meta.name = "viewport";
 			meta.content = "width=device-width, initial-scale=1.0, maximum-scale=1.0, user-scalable=0";
@@ -1381,6 +2012,17 @@ class CMGame {
 		this.saveName = options.saveName || "";
 		this.state = options.state || {};
 
+		// Headless games save to memory rather than localStorage (see storage getter)
+		this.headlessStorage_Private = this.headless ? CMGame.createMemoryStorage() : null;
+
+		// Seeded generator for this game alone (CMRandom.global is shared by every game)
+		this.random = new CMRandom(options.seed);
+
+		// So CMGame.pickFrom, CMRandom.color, etc., also repeat with the seed
+		if(typeof options.seed !== "undefined") {
+			CMRandom.global.reseed(options.seed);
+		}
+
 		this.multiTouch = !!options.multiTouch;
 
 		this.gridStyle = CMColor.LIGHT_GRAY;
@@ -1522,8 +2164,12 @@ class CMGame {
 		// origin defaults to middle of canvas
 		this.originByRatio = options.originByRatio || [0.5, 0.5];
 
-		this.sprites = []; /* CMSprite */
-		this.functions = []; /* CMFunction */
+		/**
+		 * Sprites, functions, vertices, and edges belong to the active scene.
+		 * Every game starts with one scene, so games without scenes work as before.
+		 */
+		this.scenes = [new CMScene(this, {name: "main"})];
+		this.sceneTransition = null;
 		this.tickDistance = (typeof options.tickDistance === "number") ? options.tickDistance : 20;
 		this.gridlineDistance = (typeof options.gridlineDistance === "number") ?
 			options.gridlineDistance :
@@ -1533,6 +2179,10 @@ class CMGame {
 		this.graphScalar = options.graphScalar || this.gridlineDistance;
 		this.graphScalar_Private = this.graphScalar;
 
+		// How real values are spread along each axis (see CMGame.readScale)
+		this.xScale = CMGame.readScale(options.xScale);
+		this.yScale = CMGame.readScale(options.yScale);
+
 		// CSS scaling for display; separate from graph - do not override
 		this.screenScalar = 1.0;
 
@@ -1542,6 +2192,9 @@ class CMGame {
 		this.paused = true;
 		this.animFrameId = null;
 
+		// Each game tracks its own frame timing, so multiple games on one page do not throttle each other
+		this.previousFrameTime = performance.now();
+
 		this.frameDelay_Private = CMGame.MIN_FRAME_DELAY;
 		this.frameDelay = this.frameDelayPrivate;
 		this.fps_Private = options.fps || CMGame.MAX_FPS;
@@ -1554,15 +2207,44 @@ class CMGame {
 		// The default here is arbitrary. For a long game letting this go indefinitely could hurt performance
 		this.frameCap = (typeof options.frameCap === "number") ? options.frameCap : 100000;
 
+		/**
+		 * In fixed timestep mode, update() is called with a constant dt (in seconds),
+		 * as many times as needed to catch up to real time, and sprite/function
+		 * velocities are treated as "per second" rather than "per frame"
+		 */
+		this.fixedTimestep = !!options.fixedTimestep;
+		this.timestep = (typeof options.timestep === "number") ? options.timestep : (1 / CMGame.MAX_FPS);
+		this.timeAccumulator = 0;
+
+		// In fixed timestep mode, how far (0 to 1) real time is between the last update and the next
+		this.interpolation = 0;
+
 		this.leftMousePressed = false; // Detects if mouse is down to simulate a finger swipe
 		this.rightMousePressed = false;
 		this.middleMousePressed = false;
 
-		this.trackedScreenTouches = {}; // Will be used for multi-touch. Not currently used.
+		// Pointers currently down (fingers, or "mouse"), keyed by id, with their latest x and y
+		this.trackedScreenTouches = {};
+		this.primaryPointerId = null; // The first pointer pressed, which swipes and doodles follow
+		this.gesture = null; // Tracks two-finger pinch/rotate gestures
+
+		// CMSlider instances being dragged, keyed by pointer id, and the slider the keyboard changes
+		this.sliderPresses = {};
+		this.focusedSlider = null;
+
+		// Graphs being traced (see CMFunction traceOptions) by each pointer, and by the keyboard
+		this.tracePresses = {};
+		this.tracedFunction = null;
 
 		// Mainly used to detect how many mouse buttons are pressed, or fingers are down
 		this.numPressPoints = 0;
 
+		// Input recording and replay (see startRecording and replayInput)
+		this.inputRecording = null;
+		this.inputReplay = null;
+		this.inputFrame = 0; // Updates since recording or replay started
+		this.pointerInputType_Private = null; // Mouse or touch event being handled, if any
+
 		this.latestPoint = null; // Used for identifying swipe actions
 		this.latestSwipes = []; // Stores all swipes until lift, for complex swipe actions
 		this.latestSwipeStrings = []; // Similar to latestSwipes, but only stores directions
@@ -1573,6 +2255,10 @@ class CMGame {
 
 		this.hideOnStart = options.hideOnStart;
 
+		// Listeners and DOM elements added by this game, so destroy() can remove them
+		this.eventListeners = [];
+		this.createdElements = [];
+
 		this.wrapper = null;
 		switch(typeof options.wrapper) {
 			case "object":
@@ -1593,7 +2279,11 @@ class CMGame {
 		if(!this.wrapper) {
 			this.wrapper = document.createElement("div");
 			this.wrapper.setAttribute("id", "cmWrapper");
-			documentBody.appendChild(this.wrapper);
+
+			if(!this.headless) {
+				documentBody.appendChild(this.wrapper);
+				this.createdElements.push(this.wrapper);
+			}
 		}
 
 		this.canvas = null;
@@ -1628,6 +2318,7 @@ class CMGame {
 			options.width = options.width || 640;
 			options.height = options.height || 480;
 			this.canvas.classList.add("cm-shadow-almost_black");
+			this.createdElements.push(this.canvas);
 		}
 
 		if(!this.canvas.hasAttribute("id")) {
@@ -1639,7 +2330,7 @@ class CMGame {
 			this.wrapper.appendChild(this.canvas);
 		}
 
-		this.ctx = this.canvas.getContext("2d");
+		this.ctx = this.headless ? CMGame.createHeadlessContext(this.canvas) : this.canvas.getContext("2d");
 
 		// For complex backgrounds, a "background canvas" layer can be used
 		this.backgroundCanvas = null;
@@ -1659,7 +2350,9 @@ class CMGame {
 		}
 
 		if(this.backgroundCanvas) {
-			this.backgroundCtx = this.backgroundCanvas.getContext("2d");
+			this.backgroundCtx = this.headless ?
+				CMGame.createHeadlessContext(this.backgroundCanvas) :
+				this.backgroundCanvas.getContext("2d");
 		}
 		else {
 			this.backgroundCtx = null;
@@ -1694,7 +2387,9 @@ class CMGame {
 
 		/** Create an offscreen canvas for drawing optimization */
 		this.offscreenCanvas = document.createElement("canvas");
-		this.offscreenCtx = this.offscreenCanvas.getContext("2d");
+		this.offscreenCtx = this.headless ?
+			CMGame.createHeadlessContext(this.offscreenCanvas) :
+			this.offscreenCanvas.getContext("2d");
 
 		this.offscreenCanvas.style.width = this.width + "px";
 		this.offscreenCanvas.style.height = this.height + "px";
@@ -1703,7 +2398,9 @@ class CMGame {
 		this.offscreenCanvas.height = Math.floor(this.canvas.height * this.devicePixelRatio);
 
 		this.spriteWorkCanvas = document.createElement("canvas");
-		this.spriteWorkCtx = this.spriteWorkCanvas.getContext("2d");
+		this.spriteWorkCtx = this.headless ?
+			CMGame.createHeadlessContext(this.spriteWorkCanvas) :
+			this.spriteWorkCanvas.getContext("2d");
 
 		// store origin an center as CMPoints in case we wish to check for instance this.origin.isPoint( this.center );
 		this.origin = null;
@@ -1766,8 +2463,8 @@ class CMGame {
 			 * hardware implementations currently leave us no choice.
 			 */
 			if(!CMGame.running_Android) {
-				window.addEventListener("contextmenu", overrideContext, false);
-				this.canvas.addEventListener("contextmenu", overrideContext, false);
+				this.listen(window, "contextmenu", overrideContext, false);
+				this.listen(this.canvas, "contextmenu", overrideContext, false);
 			}
 
 			try {
@@ -1819,11 +2516,11 @@ class CMGame {
 			}
 		}
 
-		this.pressElement.addEventListener("touchstart", self.touchStart.bind(self), self.passiveFlag);
-		this.pressElement.addEventListener("mousedown", self.mouseDown.bind(self), false);
-		this.pressElement.addEventListener("touchmove", self.touchMove.bind(self), self.passiveFlag);
-		this.pressElement.addEventListener("mousemove", self.mouseMove.bind(self), false);
-		this.pressElement.addEventListener("touchend", function(e) {
+		this.listen(this.pressElement, "touchstart", self.touchStart.bind(self), self.passiveFlag);
+		this.listen(this.pressElement, "mousedown", self.mouseDown.bind(self), false);
+		this.listen(this.pressElement, "touchmove", self.touchMove.bind(self), self.passiveFlag);
+		this.listen(this.pressElement, "mousemove", self.mouseMove.bind(self), false);
+		this.listen(this.pressElement, "touchend", function(e) {
 			/**
 			 * Preventing default should generally prevent a touch
 			 * registering as a mouse click.
@@ -1833,34 +2530,58 @@ class CMGame {
 
 			self.touchEnd.call(self, e);
 		}, false);
-		this.pressElement.addEventListener("mouseup", self.mouseUp.bind(self), false);
-		this.pressElement.addEventListener("click", self.click.bind(self), false);
-		this.pressElement.addEventListener("dblclick", self.dblClick.bind(self), false);
+		this.listen(this.pressElement, "touchcancel", self.touchEnd.bind(self), false);
+
+		this.listen(this.pressElement, "mouseup", self.mouseUp.bind(self), false);
+
+		// A mouse press also ends if the button is released off the press element
+		this.listen(window, "mouseup", function(e) {
+			if(self.pressElement.contains(e.target)) {
+				return; // Already handled above
+			}
+
+			if("mouse" in self.trackedScreenTouches ||
+					"mouse" in self.sliderPresses ||
+					"mouse" in self.tracePresses) {
+				self.mouseUp.call(self, e);
+			}
+		}, false);
+		this.listen(this.pressElement, "click", self.click.bind(self), false);
+		this.listen(this.pressElement, "dblclick", self.dblClick.bind(self), false);
+		this.listen(this.pressElement, "wheel", self.wheel.bind(self), {passive: false});
 
-		window.addEventListener("keydown", self.keyDown.bind(self), false);
-		window.addEventListener("keyup", self.keyUp.bind(self), false);
+		// Keep the browser from scrolling or zooming the page while players move the graph
+		if(this.interactivePlane) {
+			this.pressElement.style.touchAction = "none";
+		}
+
+		this.listen(window, "keydown", self.keyDown.bind(self), false);
+		this.listen(window, "keyup", self.keyUp.bind(self), false);
 
-		if(!options.overrideResize) {
-			window.addEventListener("resize", self.resizeCanvas.bind(self), false);
+		// Headless games have no visible page to fit, or to hide
+		if(!options.overrideResize && !this.headless) {
+			this.listen(window, "resize", self.resizeCanvas.bind(self), false);
 			this.resizeCanvas.call(this); // for loaded screen size
 		}
 
 		// This property is only really used here, and is used to pause game on browser tab change etc.
 		this.unpausedWhenVisible = true;
-		window.addEventListener("visibilitychange", e => {
-			if(document.visibilityState === "visible") {
-				if(self.unpausedWhenVisible) {
-					self.unpause();
+		if(!this.headless) {
+			this.listen(window, "visibilitychange", e => {
+				if(document.visibilityState === "visible") {
+					if(self.unpausedWhenVisible) {
+						self.unpause();
+					}
 				}
-			}
-			else
-			if(document.visibilityState === "hidden") {
-				self.unpausedWhenVisible = !self.paused;
-				if(self.unpausedWhenVisible) {
-					self.pause();
+				else
+				if(document.visibilityState === "hidden") {
+					self.unpausedWhenVisible = !self.paused;
+					if(self.unpausedWhenVisible) {
+						self.pause();
+					}
 				}
-			}
-		}, false);
+			}, false);
+		}
 
 		// Handle fullscreen and orientation setting processes
 		this.orientationLock = screen.lockOrientation || screen.mozLockOrientation || screen.msLockOrientation || null;
@@ -1887,7 +2608,7 @@ class CMGame {
 				if(btn === null)
 					console.error("Cannot use null reference as start button.");
 				else {
-					btn.addEventListener("click", e => {
+					self.listen(btn, "click", e => {
 						e.preventDefault();
 						self.start(btn);
 					}, false);
@@ -1913,14 +2634,14 @@ class CMGame {
 					document.querySelectorAll(options.startBtn).length > 1) {
 
 				document.querySelectorAll(options.startBtn).forEach(elm => {
-						elm.addEventListener("click", e => {
+						self.listen(elm, "click", e => {
 							e.preventDefault();
 							self.start(elm);
 						}, false);
 				});
 			}
 			else {
-				this.startBtn.addEventListener("click", e => {
+				this.listen(this.startBtn, "click", e => {
 					e.preventDefault();
 					self.start(self.startBtn);
 				}, false);
@@ -1967,13 +2688,13 @@ class CMGame {
 		}
 
 		if(this.fullscreen) {
-			this.enterFullscreenBtn.addEventListener("click", e => {
+			this.listen(this.enterFullscreenBtn, "click", e => {
 				e.preventDefault();
 				self.enterFullscreen(self.orientation);
 			}, false);
 
 			if(this.exitFullscreenBtn) {
-				this.exitFullscreenBtn.addEventListener("click", e => {
+				this.listen(this.exitFullscreenBtn, "click", e => {
 					e.preventDefault();
 					self.exitFullscreen();
 				}, false);
@@ -1984,13 +2705,16 @@ class CMGame {
 		this.screenshotLink.href = "";
 		this.screenshotLink.download = "cmgscreenshot.png";
 		this.screenshotLink.style.display = "none";
-		documentBody.appendChild(this.screenshotLink);
+		if(!this.headless) {
+			documentBody.appendChild(this.screenshotLink);
+			this.createdElements.push(this.screenshotLink);
+		}
 
 		this.screenshotBtn = null;
 		if(options.screenshotBtn) {
 			this.screenshotBtn = document.querySelector(options.screenshotBtn);
 
-			this.screenshotBtn.addEventListener("click", (e) => {
+			this.listen(this.screenshotBtn, "click", (e) => {
 				e.preventDefault();
 				self.takeScreenshot();
 			}, false);
@@ -2001,7 +2725,10 @@ class CMGame {
 		this.screenVideoLink.href = "";
 		this.screenVideoLink.download = "cmgscreenvideo.mp4";
 		this.screenVideoLink.style.display = "none";
-		documentBody.appendChild(this.screenVideoLink);
+		if(!this.headless) {
+			documentBody.appendChild(this.screenVideoLink);
+			this.createdElements.push(this.screenVideoLink);
+		}
 
 		// For devs who just want the engine, no math drawing
 		if(this.type === "none") {
@@ -2041,8 +2768,6 @@ class CMGame {
 
 		this.vennSets = null;
 		this.vennRegions = null;
-		this.vertices = [];
-		this.edges = [];
 
 		/**
 		 * The game is optimized by type. If you want to use multiple types
@@ -2061,8 +2786,8 @@ class CMGame {
 				this.setNumberOfSets(options.numSets || 0, options.variation || 0);
 
 				/** Updates game state in current frame*/
-				this.update = function(frameCount) {
-					this.onbeforeupdate(frameCount);
+				this.update = function(frameCount, dt) {
+					this.onbeforeupdate(frameCount, dt);
 
 					if(this.frameoutFunctions.has(frameCount)) {
 						this.frameoutFunctions.get(frameCount).call(this, frameCount);
@@ -2072,20 +2797,20 @@ class CMGame {
 					}
 
 					for(let [id, vregion] of this.vennRegions) {
-						vregion.update(frameCount);
+						vregion.update(frameCount, dt);
 					}
 
 					for(let [name, vset] of this.vennSets) {
-						vset.update(frameCount);
+						vset.update(frameCount, dt);
 					}
 
 					for(let sprite of this.sprites) {
-						sprite.onbeforeupdate(frameCount);
-						sprite.update(frameCount);
-						sprite.onupdate(frameCount);
+						sprite.onbeforeupdate(frameCount, dt);
+						sprite.update(frameCount, dt);
+						sprite.onupdate(frameCount, dt);
 					}
 
-					this.onupdate(frameCount);
+					this.onupdate(frameCount, dt);
 				}
 
 				this.draw = function(ctx=this.offscreenCtx) {
@@ -2143,8 +2868,8 @@ class CMGame {
 				this.edges = [];
 
 				/** Updates game state in current frame*/
-				this.update = function(frameCount) {
-					this.onbeforeupdate(frameCount);
+				this.update = function(frameCount, dt) {
+					this.onbeforeupdate(frameCount, dt);
 
 					if(this.frameoutFunctions.has(frameCount)) {
 						this.frameoutFunctions.get(frameCount).call(this, frameCount);
@@ -2154,24 +2879,24 @@ class CMGame {
 					}
 
 					for(let edge of this.edges) {
-						edge.onbeforeupdate(frameCount);
-						edge.update(frameCount);
-						edge.onupdate(frameCount);
+						edge.onbeforeupdate(frameCount, dt);
+						edge.update(frameCount, dt);
+						edge.onupdate(frameCount, dt);
 					}
 
 					for(let vertex of this.vertices) {
-						vertex.onbeforeupdate(frameCount);
-						vertex.update(frameCount);
-						vertex.onupdate(frameCount);
+						vertex.onbeforeupdate(frameCount, dt);
+						vertex.update(frameCount, dt);
+						vertex.onupdate(frameCount, dt);
 					}
 
 					for(let sprite of this.sprites) {
-						sprite.onbeforeupdate(frameCount);
-						sprite.update(frameCount);
-						sprite.onupdate(frameCount);
+						sprite.onbeforeupdate(frameCount, dt);
+						sprite.update(frameCount, dt);
+						sprite.onupdate(frameCount, dt);
 					}
 
-					this.onupdate(frameCount);
+					this.onupdate(frameCount, dt);
 				}
 
 				this.draw = function(ctx=this.offscreenCtx) {
@@ -2231,8 +2956,8 @@ class CMGame {
 				this.setNumberOfSets(options.numSets || 0, options.variation || 0);
 
 				/** Updates game state in current frame*/
-				this.update = function(frameCount) {
-					this.onbeforeupdate(frameCount);
+				this.update = function(frameCount, dt) {
+					this.onbeforeupdate(frameCount, dt);
 
 					if(this.frameoutFunctions.has(frameCount)) {
 						this.frameoutFunctions.get(frameCount).call(this, frameCount);
@@ -2242,32 +2967,32 @@ class CMGame {
 					}
 
 					for(let [id, vregion] of this.vennRegions) {
-						vregion.update(frameCount);
+						vregion.update(frameCount, dt);
 					}
 
 					for(let [name, vset] of this.vennSets) {
-						vset.update(frameCount);
+						vset.update(frameCount, dt);
 					}
 
 					for(let edge of this.edges) {
-						edge.onbeforeupdate(frameCount);
-						edge.update(frameCount);
-						edge.onupdate(frameCount);
+						edge.onbeforeupdate(frameCount, dt);
+						edge.update(frameCount, dt);
+						edge.onupdate(frameCount, dt);
 					}
 
 					for(let vertex of this.vertices) {
-						vertex.onbeforeupdate(frameCount);
-						vertex.update(frameCount);
-						vertex.onupdate(frameCount);
+						vertex.onbeforeupdate(frameCount, dt);
+						vertex.update(frameCount, dt);
+						vertex.onupdate(frameCount, dt);
 					}
 
 					for(let sprite of this.sprites) {
-						sprite.onbeforeupdate(frameCount);
-						sprite.update(frameCount);
-						sprite.onupdate(frameCount);
+						sprite.onbeforeupdate(frameCount, dt);
+						sprite.update(frameCount, dt);
+						sprite.onupdate(frameCount, dt);
 					}
 
-					this.onupdate(frameCount);
+					this.onupdate(frameCount, dt);
 				}
 
 				this.draw = function(ctx=this.offscreenCtx) {
@@ -2283,28 +3008,37 @@ class CMGame {
 						ctx.lineWidth = this.gridlineWidth;
 						ctx.beginPath();
 
-						// vertical lines, center to left
-						for(let i = this.origin.x; i > 0; i -= this.gridlineDistance) {
-							ctx.moveTo(i, 0);
-							ctx.lineTo(i, this.canvas.height);
+						// Start from the first line onscreen, since the origin may be panned far away
+						// vertical lines, left to right
+						if(!this.usesScaleTicks("x")) {
+							for(let i = this.origin.x - Math.floor(this.origin.x / this.gridlineDistance) * this.gridlineDistance;
+									i < this.width;
+									i += this.gridlineDistance) {
+								ctx.moveTo(i, 0);
+								ctx.lineTo(i, this.canvas.height);
+							}
 						}
-
-						// vertical lines, center to right
-						for(let i = this.origin.x; i < this.width; i += this.gridlineDistance) {
-							ctx.moveTo(i, 0);
-							ctx.lineTo(i, this.canvas.height);
+						else {
+							for(let tick of this.scaleTicks("x", true)) {
+								ctx.moveTo(tick.screen, 0);
+								ctx.lineTo(tick.screen, this.canvas.height);
+							}
 						}
 
-						// horizontal lines, center to top
-						for(let i = this.origin.y; i > 0; i -= this.gridlineDistance) {
-							ctx.moveTo(0, i);
-							ctx.lineTo(this.canvas.width, i);
+						// horizontal lines, top to bottom
+						if(!this.usesScaleTicks("y")) {
+							for(let i = this.origin.y - Math.floor(this.origin.y / this.gridlineDistance) * this.gridlineDistance;
+									i < this.height;
+									i += this.gridlineDistance) {
+								ctx.moveTo(0, i);
+								ctx.lineTo(this.canvas.width, i);
+							}
 						}
-
-						// horizontal lines, center to bottom
-						for(let i = this.origin.y; i < this.height; i += this.gridlineDistance) {
-							ctx.moveTo(0, i);
-							ctx.lineTo(this.canvas.width, i);
+						else {
+							for(let tick of this.scaleTicks("y", true)) {
+								ctx.moveTo(0, tick.screen);
+								ctx.lineTo(this.canvas.width, tick.screen);
+							}
 						}
 
 						ctx.stroke();
@@ -2376,120 +3110,138 @@ class CMGame {
 					if(this.tickStyle && this.tickStyle !== CMColor.NONE) {
 						let halfTickLength = Math.max(Math.min(5, .25 * this.tickDistance), 3);
 
+						/**
+						 * Each loop starts from the first tick onscreen (k ticks from the origin),
+						 * and rounds tick values to avoid labels like 0.30000000000000004
+						 */
 						// vertical lines on x-axis, center to left
 						ctx.strokeStyle = this.tickStyleX;
 						ctx.fillStyle = this.tickLabelStyleX;
-						for(let i = this.origin.x - this.tickDistance, n = -incrementer;
-								i > 0;
-								i -= this.tickDistance, n -= incrementer) {
-
-							this.drawLine(i, this.origin.y - halfTickLength,
-								i, this.origin.y + halfTickLength);
-
-							let nLabel = this.tickLabelIfX(n);
-							if(typeof nLabel === "string")
-								ctx.fillText(nLabel,
-									i - .5 * ctx.measureText(nLabel).width,
-									this.origin.y + halfTickLength + .75 * tickFontSize);
-							else
-							if(typeof nLabel === "number") {
-								if(nLabel < 0)
-									ctx.fillText("" + nLabel,
-										i - ctx.measureText("" + nLabel).width + ctx.measureText("-").width,
+						if(!this.usesScaleTicks("x")) {
+							for(let k = Math.max(1, Math.ceil((this.origin.x - this.width) / this.tickDistance)),
+									i = this.origin.x - k * this.tickDistance, n = CMGame.roundSmall(-k * incrementer);
+									i > 0;
+									k++, i = this.origin.x - k * this.tickDistance, n = CMGame.roundSmall(-k * incrementer)) {
+
+								this.drawLine(i, this.origin.y - halfTickLength,
+									i, this.origin.y + halfTickLength);
+
+								let nLabel = this.tickLabelIfX(n);
+								if(typeof nLabel === "string")
+									ctx.fillText(nLabel,
+										i - .5 * ctx.measureText(nLabel).width,
 										this.origin.y + halfTickLength + .75 * tickFontSize);
 								else
-									ctx.fillText(nLabel,
-										i - .5 * ctx.measureText("" + nLabel).width,
+								if(typeof nLabel === "number") {
+									if(nLabel < 0)
+										ctx.fillText("" + nLabel,
+											i - ctx.measureText("" + nLabel).width + ctx.measureText("-").width,
+											this.origin.y + halfTickLength + .75 * tickFontSize);
+									else
+										ctx.fillText(nLabel,
+											i - .5 * ctx.measureText("" + nLabel).width,
+											this.origin.y + halfTickLength + .75 * tickFontSize);
+								}
+								else
+								if(nLabel) // boolean, etc., so just write the expected (negative) #
+									ctx.fillText("" + n,
+										i - ctx.measureText("" + n).width + ctx.measureText("-").width,
 										this.origin.y + halfTickLength + .75 * tickFontSize);
 							}
-							else
-							if(nLabel) // boolean, etc., so just write the expected (negative) #
-								ctx.fillText("" + n,
-									i - ctx.measureText("" + n).width + ctx.measureText("-").width,
-									this.origin.y + halfTickLength + .75 * tickFontSize);
-						}
 
-						// vertical lines on x-axis, center to right
-						for(let i = this.origin.x + this.tickDistance, n = incrementer;
-								i < this.width;
-								i += this.tickDistance, n += incrementer) {
-
-							this.drawLine(i, this.origin.y - halfTickLength,
-								i, this.origin.y + halfTickLength);
-
-							let nLabel = this.tickLabelIfX(n);
-							if(typeof nLabel === "string")
-								ctx.fillText(nLabel,
-									i - .5 * ctx.measureText(nLabel).width,
-									this.origin.y + halfTickLength + .75 * tickFontSize);
-							else
-							if(typeof nLabel === "number") {
-								if(nLabel < 0)
-									ctx.fillText("" + nLabel,
-										i - ctx.measureText("" + nLabel).width + ctx.measureText("-").width,
+							// vertical lines on x-axis, center to right
+							for(let k = Math.max(1, Math.ceil(-this.origin.x / this.tickDistance)),
+									i = this.origin.x + k * this.tickDistance, n = CMGame.roundSmall(k * incrementer);
+									i < this.width;
+									k++, i = this.origin.x + k * this.tickDistance, n = CMGame.roundSmall(k * incrementer)) {
+
+								this.drawLine(i, this.origin.y - halfTickLength,
+									i, this.origin.y + halfTickLength);
+
+								let nLabel = this.tickLabelIfX(n);
+								if(typeof nLabel === "string")
+									ctx.fillText(nLabel,
+										i - .5 * ctx.measureText(nLabel).width,
 										this.origin.y + halfTickLength + .75 * tickFontSize);
 								else
-									ctx.fillText(nLabel,
-										i - .5 * ctx.measureText("" + nLabel).width,
+								if(typeof nLabel === "number") {
+									if(nLabel < 0)
+										ctx.fillText("" + nLabel,
+											i - ctx.measureText("" + nLabel).width + ctx.measureText("-").width,
+											this.origin.y + halfTickLength + .75 * tickFontSize);
+									else
+										ctx.fillText(nLabel,
+											i - .5 * ctx.measureText("" + nLabel).width,
+											this.origin.y + halfTickLength + .75 * tickFontSize);
+								}
+								else // boolean, etc., so just write the expected (positive) #
+								if(nLabel)
+									ctx.fillText("" + n,
+										i - .5 * ctx.measureText("" + n).width,
 										this.origin.y + halfTickLength + .75 * tickFontSize);
 							}
-							else // boolean, etc., so just write the expected (positive) #
-							if(nLabel)
-								ctx.fillText("" + n,
-									i - .5 * ctx.measureText("" + n).width,
-									this.origin.y + halfTickLength + .75 * tickFontSize);
+						}
+						else {
+							this.drawScaleTicks(ctx, "x", halfTickLength, tickFontSize);
 						}
 
 						// horizontal lines on y-axis, center to top
 						ctx.strokeStyle = this.tickStyleY;
 						ctx.fillStyle = this.tickLabelStyleY;
-						for(let i = this.origin.y - this.tickDistance, n = incrementer;
-								i > 0;
-								i -= this.tickDistance, n += incrementer) {
-
-							this.drawLine(this.origin.x - halfTickLength, i,
-								this.origin.x + halfTickLength, i);
-
-							let nLabel = this.tickLabelIfY(n);
-							if(typeof nLabel === "string")
-								ctx.fillText(nLabel,
-									this.origin.x - halfTickLength - 1.25 * ctx.measureText(nLabel).width,
-									i);
-							else
-							if(typeof nLabel === "number")
-								ctx.fillText("" + nLabel,
-									this.origin.x - halfTickLength - 1.25 * ctx.measureText("" + nLabel).width,
-									i);
-							else
-							if(nLabel)
-								ctx.fillText("" + n,
-									this.origin.x - halfTickLength - 1.25 * ctx.measureText("" + n).width,
-									i);
-						}
+						if(!this.usesScaleTicks("y")) {
+							for(let k = Math.max(1, Math.ceil((this.origin.y - this.height) / this.tickDistance)),
+									i = this.origin.y - k * this.tickDistance, n = CMGame.roundSmall(k * incrementer);
+									i > 0;
+									k++, i = this.origin.y - k * this.tickDistance, n = CMGame.roundSmall(k * incrementer)) {
+
+								this.drawLine(this.origin.x - halfTickLength, i,
+									this.origin.x + halfTickLength, i);
+
+								let nLabel = this.tickLabelIfY(n);
+								if(typeof nLabel === "string")
+									ctx.fillText(nLabel,
+										this.origin.x - halfTickLength - 1.25 * ctx.measureText(nLabel).width,
+										i);
+								else
+								if(typeof nLabel === "number")
+									ctx.fillText("" + nLabel,
+										this.origin.x - halfTickLength - 1.25 * ctx.measureText("" + nLabel).width,
+										i);
+								else
+								if(nLabel)
+									ctx.fillText("" + n,
+										this.origin.x - halfTickLength - 1.25 * ctx.measureText("" + n).width,
+										i);
+							}
 
-						// horizontal lines on y-axis, center to bottom
-						for(let i = this.origin.y + this.tickDistance, n = -incrementer;
-								i < this.height;
-								i += this.tickDistance, n -= incrementer) {
-
-							this.drawLine(this.origin.x - halfTickLength, i,
-								this.origin.x + halfTickLength, i);
-
-							let nLabel = this.tickLabelIfY(n);
-							if(typeof nLabel === "string")
-								ctx.fillText(nLabel,
-									this.origin.x - halfTickLength - 1.25 * ctx.measureText(nLabel).width,
-									i);
-							else
-							if(typeof nLabel === "number")
-								ctx.fillText("" + nLabel,
-									this.origin.x - halfTickLength - 1.25 * ctx.measureText("" + nLabel).width,
-									i);
-							else
-							if(nLabel)
-								ctx.fillText("" + n,
-									this.origin.x - halfTickLength - 1.25 * ctx.measureText("" + n).width,
-									i);
+							// horizontal lines on y-axis, center to bottom
+							for(let k = Math.max(1, Math.ceil(-this.origin.y / this.tickDistance)),
+									i = this.origin.y + k * this.tickDistance, n = CMGame.roundSmall(-k * incrementer);
+									i < this.height;
+									k++, i = this.origin.y + k * this.tickDistance, n = CMGame.roundSmall(-k * incrementer)) {
+
+								this.drawLine(this.origin.x - halfTickLength, i,
+									this.origin.x + halfTickLength, i);
+
+								let nLabel = this.tickLabelIfY(n);
+								if(typeof nLabel === "string")
+									ctx.fillText(nLabel,
+										this.origin.x - halfTickLength - 1.25 * ctx.measureText(nLabel).width,
+										i);
+								else
+								if(typeof nLabel === "number")
+									ctx.fillText("" + nLabel,
+										this.origin.x - halfTickLength - 1.25 * ctx.measureText("" + nLabel).width,
+										i);
+								else
+								if(nLabel)
+									ctx.fillText("" + n,
+										this.origin.x - halfTickLength - 1.25 * ctx.measureText("" + n).width,
+										i);
+							}
+						}
+						else {
+							this.drawScaleTicks(ctx, "y", halfTickLength, tickFontSize);
 						}
 					}
 
@@ -2497,6 +3249,8 @@ class CMGame {
 						func.onbeforedraw(ctx);
 						func.draw(ctx);
 						func.ondraw(ctx);
+						func.drawAsymptotes(ctx);
+						func.drawTrace(ctx);
 					}
 
 					let allToDraw = this.getVennRegions()
@@ -2567,6 +3321,25 @@ class CMGame {
 			this.origin.y
 		);
 
+		// Lets players pan and zoom "graph" games (see pan() and zoomBy())
+		this.interactivePlane = !!options.interactivePlane;
+		this.minZoom = (typeof options.minZoom === "number") ? options.minZoom : 0.05;
+		this.maxZoom = (typeof options.maxZoom === "number") ? options.maxZoom : 20;
+		this.planeBounds = {
+			xMin: -Infinity,
+			xMax: Infinity,
+			yMin: -Infinity,
+			yMax: Infinity
+		};
+
+		if(options.planeBounds) {
+			for(let key in this.planeBounds) {
+				if(typeof options.planeBounds[key] === "number") {
+					this.planeBounds[key] = options.planeBounds[key];
+				}
+			}
+		}
+
 		// This allows dev to enter handlers directly into the CMGame constructor
 		let eventKeys = [
 
@@ -2591,6 +3364,9 @@ class CMGame {
 			"onresize",
 			"onbeforezoom",
 			"onzoom",
+			"onpinch",
+			"onrotate",
+			"onpan",
 
 			// These are helper methods you can override for the game loop
 			"onbeforestart",
@@ -2599,7 +3375,8 @@ class CMGame {
 			"onupdate",
 			"onbeforedraw",
 			"ondraw",
-			"onload"
+			"onload",
+			"ondestroy"
 		];
 
 		this.frameoutFunctions = new Map();
@@ -2650,13 +3427,30 @@ class CMGame {
 		this.screenVideoCanvas.style.width = PREFERRED_VIDEO_WIDTH + "px";
 		this.screenVideoCanvas.style.height = PREFERRED_VIDEO_HEIGHT + "px";
 
-		this.screenVideoCtx = this.screenVideoCanvas.getContext("2d", {alpha: false});
+		this.screenVideoCtx = this.headless ?
+			CMGame.createHeadlessContext(this.screenVideoCanvas) :
+			this.screenVideoCanvas.getContext("2d", {alpha: false});
+
+		/**
+		 * Each game gets its own alert and toast elements. The first game
+		 * keeps the original alert ids; later games add their index, e.g., "cmAlert_1".
+		 * Indexes freed by destroyed games are reused, so ids stay unique.
+		 */
+		this.instanceIndex = 0;
+		while(CMGame.instances.some(game => game.instanceIndex === self.instanceIndex)) {
+			this.instanceIndex++;
+		}
+
+		CMGame.instances.push(this);
+		this.destroyed = false;
+		let idSuffix = this.instanceIndex ? ("_" + this.instanceIndex) : "";
 
 		this.alertOverlay = document.createElement("div");
 		this.alertOverlay.classList = "cm-overlay";
 
 		this.alertElement = document.createElement("aside");
-		this.alertElement.setAttribute("id", "cmAlert");
+		this.alertElement.setAttribute("id", "cmAlert" + idSuffix);
+		this.alertElement.classList.add("cm-alert");
 
 		let header = document.createElement("header");
 		let h3 = document.createElement("h3");
@@ -2671,7 +3465,7 @@ class CMGame {
 
 		this.alertOKButton = document.createElement("button");
 		this.alertOKButton.className = "cm-dark_green cm-text-white";
-		this.alertOKButton.setAttribute("id", "cmAlertOKBtn");
+		this.alertOKButton.setAttribute("id", "cmAlertOKBtn" + idSuffix);
 		this.alertOKButton.innerText = "OK";
 		this.alertInput.onkeydown = function(e) {
 			if(e.keyCode === 13) {
@@ -2682,7 +3476,7 @@ class CMGame {
 
 		this.alertCancelButton = document.createElement("button");
 		this.alertCancelButton.className = "cm-gray cm-text-white";
-		this.alertCancelButton.setAttribute("id", "cmAlertCancelBtn");
+		this.alertCancelButton.setAttribute("id", "cmAlertCancelBtn" + idSuffix);
 		this.alertCancelButton.innerText = "Cancel";
 
 		this.alertOverlay.appendChild(this.alertElement);
@@ -2698,15 +3492,32 @@ class CMGame {
 		p2.appendChild(this.alertCancelButton);
 		this.alertElement.appendChild(p2);
 		this.alertOverlay.style.display = "none";
-		documentBody.appendChild(this.alertOverlay);
 
+		// Headless games build their alert elements, but never show them
+		this.toastElement = null;
+		this.offscreenToastElement = null;
+		if(!this.headless) {
+			documentBody.appendChild(this.alertOverlay);
+
+			// The page-level toast (for CMGame.showToast) already uses "cmToast"
+			this.toastElement = CMGame.createToastElement("cmToast_" + this.instanceIndex);
+			this.offscreenToastElement = CMGame.createOffscreenToastElement("cmOffscreenToast_" + this.instanceIndex);
+			this.createdElements.push(this.alertOverlay, this.toastElement, this.offscreenToastElement);
+		}
+
+		/**
+		 * Animation frames are requested and cancelled per game
+		 * (rather than through window.requestNextFrame), so
+		 * several games can run, pause, and change speed independently
+		 */
 		this.awaitingAnimFrame = false; // Required to manage cancelling delayed animations
-		window.requestNextFrame = function(callback) {
+		this.requestNextFrame = function(callback) {
 			self.awaitingAnimFrame = true;
-			if(!self.paused)
+			if(!self.paused && !self.headless)
 				self.animFrameId = requestAnimationFrame(callback);
 
 			self.awaitingAnimFrame = false;
+			return self.animFrameId;
 		};
 
 		let tryToCancelFrame = function(frameRequestId) {
@@ -2719,7 +3530,7 @@ class CMGame {
 			return window.cancelAnimationFrame(frameRequestId);
 		};
 
-		window.cancelNextFrame = function(frameRequestId) {
+		this.cancelNextFrame = function(frameRequestId) {
 			if(frameRequestId === null)
 				return;
 
@@ -2761,7 +3572,7 @@ class CMGame {
 				this.yAxisStyle = "rgba(255, 65, 65, 0.5)";
 
 			// start game after DOM is loaded and scripts are parsed (to avoid errors)
-			window.addEventListener("load", function() {
+			this.listen(window, "load", function() {
 
 				// Note: you can test different start buttons with debugOptions.startBtn
 				self.start(self.startBtn);
@@ -2816,6 +3627,10 @@ class CMGame {
 	 * @returns {Promise}
 	 */
 	takeScreenshot(options={}) {
+		if(this.headless) {
+			console.error("Screenshots are not available in headless mode");
+			return Promise.resolve({image: null, src: ""});
+		}
 
 		// Grab immediate snapshot as string, rather than risk delay due to processing below
 		let dataURL = this.canvas.toDataURL(), // Pull frame from screen canvas (not offscreen)
@@ -3013,6 +3828,11 @@ class CMGame {
 	 * @returns {Promise}
 	 */
 	takeScreenVideo(options={}) {
+		if(this.headless) {
+			console.error("Screen videos are not available in headless mode");
+			return Promise.resolve({video: null, src: ""});
+		}
+
 		if(this.recordingVideo) {
 			console.error("Cannot record multiple videos simultaneously");
 			return Promise.resolve({video: null, src: ""});
@@ -3219,6 +4039,11 @@ class CMGame {
 			return this;
 		}
 
+		if(this.destroyed) {
+			console.error("Cannot start a CMGame instance after it has been destroyed");
+			return this;
+		}
+
 		if(typeof this.onbeforestart === "function") {
 			this.onbeforestart(startBtn);
 		}
@@ -3237,6 +4062,16 @@ class CMGame {
 
 		this.started = true;
 		this.paused = false;
+		this.resetFrameTime();
+
+		// Headless games do not animate on their own. They are advanced with step().
+		if(this.headless) {
+			if(typeof this.onstart === "function") {
+				this.onstart(startBtn);
+			}
+
+			return this;
+		}
 
 		// First frame is runs immediately, then onstart() is called
 		this.animFrameId = requestAnimationFrame(function() {
@@ -3264,7 +4099,7 @@ class CMGame {
 	/** Pause current game cycle */
 	pause() {
 		this.paused = true;
-		window.cancelNextFrame(this.animFrameId);
+		this.cancelNextFrame(this.animFrameId);
 		this.animFrameId = null;
 
 		return this;
@@ -3276,21 +4111,137 @@ class CMGame {
 
 		if(this.paused) {
 			this.paused = false;
+			this.resetFrameTime();
 
 			if(this.animFrameId === null)
-				this.animFrameId = requestNextFrame(self.runCycle);
+				this.animFrameId = this.requestNextFrame(self.runCycle);
+		}
+
+		return this;
+	}
+
+	/**
+	 * Prevents time spent before starting (or while paused)
+	 * from being treated as game time in the next frame.
+	 * Mostly used internally.
+	 */
+	resetFrameTime() {
+		this.previousFrameTime = performance.now() - CMGame.MIN_FRAME_DELAY;
+		this.timeAccumulator = 0;
+		this.interpolation = 0;
+	}
+
+	/**
+	 * Adds an event listener that will be removed
+	 * when this game is destroyed. Used internally
+	 * for the constructor's listeners, but also
+	 * available for your own.
+	 * @param {object} target - The element (or window, document) to listen to
+	 * @param {string} eventName - The event type, e.g., "keydown"
+	 * @param {function} callback - The event handler
+	 * @param {object|boolean} [options=false] - Options passed to addEventListener
+	 * @returns {object} The current CMGame instance
+	 */
+	listen(target, eventName, callback, options=false) {
+		target.addEventListener(eventName, callback, options);
+		this.eventListeners.push({
+			target: target,
+			eventName: eventName,
+			callback: callback,
+			options: options
+		});
+
+		return this;
+	}
+
+	/**
+	 * Permanently shuts down this game, e.g., when
+	 * unmounting it from a single-page app. Stops the
+	 * game loop, removes every listener and DOM element
+	 * the game added, releases its sounds, and clears its
+	 * sprites, functions, vertices, edges, etc. Then calls
+	 * ondestroy(). The instance cannot be restarted.
+	 * @returns {object} The current CMGame instance
+	 */
+	destroy() {
+		if(this.destroyed) {
+			return this;
+		}
+
+		this.pause();
+		this.started = false;
+
+		if(this.recordingVideo) {
+			this.stopScreenVideo();
+		}
+
+		this.stopReplay();
+		this.inputRecording = null;
+
+		for(let listener of this.eventListeners) {
+			listener.target.removeEventListener(listener.eventName, listener.callback, listener.options);
+		}
+
+		for(let elm of this.createdElements) {
+			if(elm.parentNode) {
+				elm.parentNode.removeChild(elm);
+			}
+		}
+
+		CMGame.clearAll(this.eventListeners, this.createdElements);
+
+		// A page-provided canvas stays in the DOM, so leave it blank
+		this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+
+		let idx = CMGame.instances.indexOf(this);
+		if(idx !== -1) {
+			CMGame.instances.splice(idx, 1);
+		}
+
+		for(let audio of this.audioMap.values()) {
+			audio.pause();
+			audio.removeAttribute("src");
+			audio.load(); // Releases the media resource
+		}
+
+		// Decoded buffers are shared by source path, so keep any that another game is still using
+		for(let key in this.audioSources) {
+			let src = this.audioSources[key];
+			if(!CMGame.instances.some(game => Object.values(game.audioSources).includes(src))) {
+				CMSound.unload(src);
+				CMSound.unload(key);
+			}
+		}
+
+		CMGame.clearAll(this.audios, this.audioSources, this.audioMap);
+
+		for(let scene of this.scenes) {
+			CMGame.clearAll(scene.sprites, scene.functions, scene.vertices, scene.edges);
+		}
+
+		CMGame.clearAll(this.doodles, this.frameoutFunctions);
+		this.sceneTransition = null;
+
+		if(this.vennSets !== null) {
+			CMGame.clearAll(this.vennSets, this.vennRegions);
 		}
 
+		this.currentDoodle = null;
+		this.destroyed = true;
+		this.ondestroy();
+
 		return this;
 	}
 
 	/** These are meant to be overridden */
-	onbeforeupdate(frameCount) {} // Occurs just before game's update()
-	onupdate(frameCount) {} // Occurs just after game's update()
+	onbeforeupdate(frameCount, dt) {} // Occurs just before game's update()
+	onupdate(frameCount, dt) {} // Occurs just after game's update()
 	onbeforedraw(ctx) {} // Occurs just before game's draw(), but after previous screen was cleared
 	ondraw(ctx) {} // Occurs just after game's draw()
 	onbeforezoom(newZoomLvl, oldZoomLvl) {} // Occurs just before zoom() processes are invoked
-	onzoom(newZoomLvl, oldZoomLvl) {} // Occurs just after zoom() is invoked
+	onzoom(newZoomLvl, oldZoomLvl) {} // Occurs just after zoom() or zoomBy() is invoked
+	onpan(offset) {} // Occurs just after pan() (or a drag on an interactivePlane) moves the graph
+	ondestroy() {} // Occurs at the end of destroy()
 
 	/**
 	 * These can be overridden for more control,
@@ -3312,6 +4263,8 @@ class CMGame {
 	onpressstart(point) {}
 	onpressmove(info) {}
 	onpressend(point) {}
+	onpinch(scale, center) {}
+	onrotate(angle, center) {}
 	onkeydown(e) {}
 	onkeyup(e) {}
 
@@ -3319,9 +4272,11 @@ class CMGame {
 	 * Updates game state (and state of components) in current frame
 	 * @param {number} frameCount - Which frame this is from the start (modded
 	 *   out by this.frameCap if that is not infinite)
+	 * @param {number} [dt] - Seconds of game time this update represents. In
+	 *   fixedTimestep mode this is always this.timestep.
 	 */
-	update(frameCount) {
-		this.onbeforeupdate(frameCount);
+	update(frameCount, dt=this.timestep) {
+		this.onbeforeupdate(frameCount, dt);
 
 		if(this.frameoutFunctions.has(frameCount)) {
 			this.frameoutFunctions.get(frameCount).call(this, frameCount);
@@ -3331,7 +4286,7 @@ class CMGame {
 		}
 
 		for(let func of this.functions) {
-			func.update(frameCount);
+			func.update(frameCount, dt);
 		}
 
 		/**
@@ -3345,9 +4300,9 @@ class CMGame {
 		for(let i = 0, cap = this.sprites.length; i < cap; i++) {
 			let sprite = this.sprites[i];
 			
-			sprite.onbeforeupdate(frameCount);
-			sprite.update(frameCount); // Note: this is where "destroy" occurs, shifting i
-			sprite.onupdate(frameCount);
+			sprite.onbeforeupdate(frameCount, dt);
+			sprite.update(frameCount, dt); // Note: this is where "destroy" occurs, shifting i
+			sprite.onupdate(frameCount, dt);
 
 			// sprites[i] was removed; jump back until all "destroyed" sprites are acounted for
 			while(this.sprites.length < cap) {
@@ -3359,7 +4314,7 @@ class CMGame {
 				break;
 		}
 
-		this.onupdate(frameCount);
+		this.onupdate(frameCount, dt);
 	}
 
 	/**
@@ -3376,28 +4331,37 @@ class CMGame {
 			ctx.lineWidth = this.gridlineWidth;
 			ctx.beginPath();
 
-			// vertical lines, center to left
-			for(let i = this.origin.x; i > 0; i -= this.gridlineDistance) {
-				ctx.moveTo(i, 0);
-				ctx.lineTo(i, this.canvas.height);
+			// Start from the first line onscreen, since the origin may be panned far away
+			// vertical lines, left to right
+			if(!this.usesScaleTicks("x")) {
+				for(let i = this.origin.x - Math.floor(this.origin.x / this.gridlineDistance) * this.gridlineDistance;
+						i < this.width;
+						i += this.gridlineDistance) {
+					ctx.moveTo(i, 0);
+					ctx.lineTo(i, this.canvas.height);
+				}
 			}
-
-			// vertical lines, center to right
-			for(let i = this.origin.x; i < this.width; i += this.gridlineDistance) {
-				ctx.moveTo(i, 0);
-				ctx.lineTo(i, this.canvas.height);
+			else {
+				for(let tick of this.scaleTicks("x", true)) {
+					ctx.moveTo(tick.screen, 0);
+					ctx.lineTo(tick.screen, this.canvas.height);
+				}
 			}
 
-			// horizontal lines, center to top
-			for(let i = this.origin.y; i > 0; i -= this.gridlineDistance) {
-				ctx.moveTo(0, i);
-				ctx.lineTo(this.canvas.width, i);
+			// horizontal lines, top to bottom
+			if(!this.usesScaleTicks("y")) {
+				for(let i = this.origin.y - Math.floor(this.origin.y / this.gridlineDistance) * this.gridlineDistance;
+						i < this.height;
+						i += this.gridlineDistance) {
+					ctx.moveTo(0, i);
+					ctx.lineTo(this.canvas.width, i);
+				}
 			}
-
-			// horizontal lines, center to bottom
-			for(let i = this.origin.y; i < this.height; i += this.gridlineDistance) {
-				ctx.moveTo(0, i);
-				ctx.lineTo(this.canvas.width, i);
+			else {
+				for(let tick of this.scaleTicks("y", true)) {
+					ctx.moveTo(0, tick.screen);
+					ctx.lineTo(this.canvas.width, tick.screen);
+				}
 			}
 
 			ctx.stroke();
@@ -3469,120 +4433,138 @@ class CMGame {
 		if(this.tickStyle && this.tickStyle !== CMColor.NONE) {
 			let halfTickLength = Math.max(Math.min(5, .25 * this.tickDistance), 3);
 
+			/**
+			 * Each loop starts from the first tick onscreen (k ticks from the origin),
+			 * and rounds tick values to avoid labels like 0.30000000000000004
+			 */
 			// vertical lines on x-axis, center to left
 			ctx.strokeStyle = this.tickStyleX;
 			ctx.fillStyle = this.tickLabelStyleX;
-			for(let i = this.origin.x - this.tickDistance, n = -incrementer;
-					i > 0;
-					i -= this.tickDistance, n -= incrementer) {
+			if(!this.usesScaleTicks("x")) {
+				for(let k = Math.max(1, Math.ceil((this.origin.x - this.width) / this.tickDistance)),
+						i = this.origin.x - k * this.tickDistance, n = CMGame.roundSmall(-k * incrementer);
+						i > 0;
+						k++, i = this.origin.x - k * this.tickDistance, n = CMGame.roundSmall(-k * incrementer)) {
 
-				this.drawLine(i, this.origin.y - halfTickLength,
-					i, this.origin.y + halfTickLength);
+					this.drawLine(i, this.origin.y - halfTickLength,
+						i, this.origin.y + halfTickLength);
 
-				let nLabel = this.tickLabelIfX(n);
-				if(typeof nLabel === "string")
-					ctx.fillText(nLabel,
-						i - .5 * ctx.measureText(nLabel).width,
-						this.origin.y + halfTickLength + .75 * tickFontSize);
-				else
-				if(typeof nLabel === "number") {
-					if(nLabel < 0)
-						ctx.fillText("" + nLabel,
-						i - ctx.measureText("" + nLabel).width + ctx.measureText("-").width,
-						this.origin.y + halfTickLength + .75 * tickFontSize);
-					else
+					let nLabel = this.tickLabelIfX(n);
+					if(typeof nLabel === "string")
 						ctx.fillText(nLabel,
-							i - .5 * ctx.measureText("" + nLabel).width,
+							i - .5 * ctx.measureText(nLabel).width,
 							this.origin.y + halfTickLength + .75 * tickFontSize);
-				}
-				else
-				if(nLabel)
-					ctx.fillText("" + n,
-						i - ctx.measureText("" + n).width + ctx.measureText("-").width,
-						this.origin.y + halfTickLength + .75 * tickFontSize);
-			}
-
-			// vertical lines on x-axis, center to right
-			for(let i = this.origin.x + this.tickDistance, n = incrementer;
-					i < this.width;
-					i += this.tickDistance, n += incrementer) {
-
-				this.drawLine(i, this.origin.y - halfTickLength,
-					i, this.origin.y + halfTickLength);
-
-				let nLabel = this.tickLabelIfX(n);
-				if(typeof nLabel === "string")
-					ctx.fillText(nLabel,
-						i - .5 * ctx.measureText(nLabel).width,
-						this.origin.y + halfTickLength + .75 * tickFontSize);
-				else
-				if(typeof nLabel === "number") {
-					if(nLabel < 0)
-						ctx.fillText("" + nLabel,
+					else
+					if(typeof nLabel === "number") {
+						if(nLabel < 0)
+							ctx.fillText("" + nLabel,
 							i - ctx.measureText("" + nLabel).width + ctx.measureText("-").width,
 							this.origin.y + halfTickLength + .75 * tickFontSize);
+						else
+							ctx.fillText(nLabel,
+								i - .5 * ctx.measureText("" + nLabel).width,
+								this.origin.y + halfTickLength + .75 * tickFontSize);
+					}
 					else
-						ctx.fillText(nLabel,
-							i - .5 * ctx.measureText("" + nLabel).width,
+					if(nLabel)
+						ctx.fillText("" + n,
+							i - ctx.measureText("" + n).width + ctx.measureText("-").width,
 							this.origin.y + halfTickLength + .75 * tickFontSize);
 				}
-				else // boolean, etc., so just write the expected #
-				if(nLabel)
-					ctx.fillText("" + n,
-						i - .5 * ctx.measureText("" + n).width,
-						this.origin.y + halfTickLength + .75 * tickFontSize);
-			}
 
-			// horizontal lines on y-axis, center to top
-			ctx.strokeStyle = this.tickStyleY;
-			ctx.fillStyle = this.tickLabelStyleY;
-			for(let i = this.origin.y - this.tickDistance, n = incrementer;
-					i > 0;
-					i -= this.tickDistance, n += incrementer) {
-
-				this.drawLine(this.origin.x - halfTickLength, i,
-					this.origin.x + halfTickLength, i);
-
-				let nLabel = this.tickLabelIfY(n);
-				if(typeof nLabel === "string")
-					ctx.fillText(nLabel,
-						this.origin.x - halfTickLength - 1.25 * ctx.measureText(nLabel).width,
-						i);
-				else
-				if(typeof nLabel === "number")
-					ctx.fillText(nLabel,
-						this.origin.x - halfTickLength - 1.25 * ctx.measureText("" + nLabel).width,
-						i);
-				else
-				if(nLabel)
-					ctx.fillText("" + n,
-						this.origin.x - halfTickLength - 1.25 * ctx.measureText("" + n).width,
-						i);
-			}
+				// vertical lines on x-axis, center to right
+				for(let k = Math.max(1, Math.ceil(-this.origin.x / this.tickDistance)),
+						i = this.origin.x + k * this.tickDistance, n = CMGame.roundSmall(k * incrementer);
+						i < this.width;
+						k++, i = this.origin.x + k * this.tickDistance, n = CMGame.roundSmall(k * incrementer)) {
 
-			// horizontal lines on y-axis, center to bottom
-			for(let i = this.origin.y + this.tickDistance, n = -incrementer;
-					i < this.height;
-					i += this.tickDistance, n -= incrementer) {
+					this.drawLine(i, this.origin.y - halfTickLength,
+						i, this.origin.y + halfTickLength);
 
-				this.drawLine(this.origin.x - halfTickLength, i,
-					this.origin.x + halfTickLength, i);
+					let nLabel = this.tickLabelIfX(n);
+					if(typeof nLabel === "string")
+						ctx.fillText(nLabel,
+							i - .5 * ctx.measureText(nLabel).width,
+							this.origin.y + halfTickLength + .75 * tickFontSize);
+					else
+					if(typeof nLabel === "number") {
+						if(nLabel < 0)
+							ctx.fillText("" + nLabel,
+								i - ctx.measureText("" + nLabel).width + ctx.measureText("-").width,
+								this.origin.y + halfTickLength + .75 * tickFontSize);
+						else
+							ctx.fillText(nLabel,
+								i - .5 * ctx.measureText("" + nLabel).width,
+								this.origin.y + halfTickLength + .75 * tickFontSize);
+					}
+					else // boolean, etc., so just write the expected #
+					if(nLabel)
+						ctx.fillText("" + n,
+							i - .5 * ctx.measureText("" + n).width,
+							this.origin.y + halfTickLength + .75 * tickFontSize);
+				}
+			}
+			else {
+				this.drawScaleTicks(ctx, "x", halfTickLength, tickFontSize);
+			}
 
-				let nLabel = this.tickLabelIfY(n);
-				if(typeof nLabel === "string")
-					ctx.fillText(nLabel,
-						this.origin.x - halfTickLength - 1.25 * ctx.measureText(nLabel).width,
-						i);
-				else
-				if(typeof nLabel === "number")
-					ctx.fillText(nLabel,
-						this.origin.x - halfTickLength - 1.25 * ctx.measureText("" + nLabel).width,
-						i);
-				else
-				if(nLabel)
-					ctx.fillText("" + n,
-						this.origin.x - halfTickLength - 1.25 * ctx.measureText("" + n).width,
-						i);
+			// horizontal lines on y-axis, center to top
+			ctx.strokeStyle = this.tickStyleY;
+			ctx.fillStyle = this.tickLabelStyleY;
+			if(!this.usesScaleTicks("y")) {
+				for(let k = Math.max(1, Math.ceil((this.origin.y - this.height) / this.tickDistance)),
+						i = this.origin.y - k * this.tickDistance, n = CMGame.roundSmall(k * incrementer);
+						i > 0;
+						k++, i = this.origin.y - k * this.tickDistance, n = CMGame.roundSmall(k * incrementer)) {
+
+					this.drawLine(this.origin.x - halfTickLength, i,
+						this.origin.x + halfTickLength, i);
+
+					let nLabel = this.tickLabelIfY(n);
+					if(typeof nLabel === "string")
+						ctx.fillText(nLabel,
+							this.origin.x - halfTickLength - 1.25 * ctx.measureText(nLabel).width,
+							i);
+					else
+					if(typeof nLabel === "number")
+						ctx.fillText(nLabel,
+							this.origin.x - halfTickLength - 1.25 * ctx.measureText("" + nLabel).width,
+							i);
+					else
+					if(nLabel)
+						ctx.fillText("" + n,
+							this.origin.x - halfTickLength - 1.25 * ctx.measureText("" + n).width,
+							i);
+				}
+
+				// horizontal lines on y-axis, center to bottom
+				for(let k = Math.max(1, Math.ceil(-this.origin.y / this.tickDistance)),
+						i = this.origin.y + k * this.tickDistance, n = CMGame.roundSmall(-k * incrementer);
+						i < this.height;
+						k++, i = this.origin.y + k * this.tickDistance, n = CMGame.roundSmall(-k * incrementer)) {
+
+					this.drawLine(this.origin.x - halfTickLength, i,
+						this.origin.x + halfTickLength, i);
+
+					let nLabel = this.tickLabelIfY(n);
+					if(typeof nLabel === "string")
+						ctx.fillText(nLabel,
+							this.origin.x - halfTickLength - 1.25 * ctx.measureText(nLabel).width,
+							i);
+					else
+					if(typeof nLabel === "number")
+						ctx.fillText(nLabel,
+							this.origin.x - halfTickLength - 1.25 * ctx.measureText("" + nLabel).width,
+							i);
+					else
+					if(nLabel)
+						ctx.fillText("" + n,
+							this.origin.x - halfTickLength - 1.25 * ctx.measureText("" + n).width,
+							i);
+				}
+			}
+			else {
+				this.drawScaleTicks(ctx, "y", halfTickLength, tickFontSize);
 			}
 		}
 
@@ -3590,6 +4572,8 @@ class CMGame {
 			func.onbeforedraw(ctx);
 			func.draw(ctx);
 			func.ondraw(ctx);
+			func.drawAsymptotes(ctx);
+			func.drawTrace(ctx);
 		}
 
 		for(let sprite of this.sprites) {
@@ -3895,7 +4879,7 @@ class CMGame {
 	 */
 	spriteFromFunction(func, keepFunc=false) {
 
-		let spritePath = new Path2D(func.path);
+		let spritePath = new CMGame.Path2D(func.path);
 		let spriteStroke = func.strokeStyle;
 		let spriteLineWidth = func.lineWidth;
 		let spritePathBelow = null,
@@ -4263,6 +5247,315 @@ class CMGame {
 		return this;
 	}
 
+	/**
+	 * Makes a new scene active, on top of the current
+	 * one. The current scene's components are kept, so
+	 * popScene() returns to it as it was (e.g., for a
+	 * pause screen).
+	 * @param {CMScene} scene - The scene to make active
+	 * @param {object} [options={}] - A plain JS object of transition options
+	 * @param {number} [options.fade=0] - Milliseconds for a fade out and back in. 0 changes immediately.
+	 * @param {string} [options.fadeColor=CMColor.BLACK] - The color to fade through
+	 * @param {*} [options.data] - Any value to pass to the new scene's onenter()
+	 * @returns {Promise} A promise resolving with the new active scene, once any fade is complete
+	 */
+	pushScene(scene, options={}) {
+		if(this.scenes.includes(scene)) {
+			console.error("Cannot push a CMScene that is already in the game's scene stack");
+			return Promise.resolve(this.scene);
+		}
+
+		let self = this;
+		return this.transitionScene(function() {
+			let previousScene = self.scene;
+			self.scenes.push(scene);
+			previousScene.onexit(scene);
+			scene.onenter(previousScene, options.data);
+		}, options);
+	}
+
+	/**
+	 * Removes the active scene, returning to the
+	 * one below it
+	 * @param {object} [options={}] - Same transition options as pushScene
+	 * @returns {Promise} A promise resolving with the new active scene, once any fade is complete
+	 */
+	popScene(options={}) {
+		if(this.scenes.length < 2) {
+			console.error("Cannot pop the game's only CMScene");
+			return Promise.resolve(this.scene);
+		}
+
+		let self = this;
+		return this.transitionScene(function() {
+			let previousScene = self.scenes.pop();
+			previousScene.onexit(self.scene);
+			self.scene.onenter(previousScene, options.data);
+		}, options);
+	}
+
+	/**
+	 * Replaces the active scene with a new one,
+	 * e.g., moving from a level to its results screen
+	 * @param {CMScene} scene - The scene to make active
+	 * @param {object} [options={}] - Same transition options as pushScene
+	 * @returns {Promise} A promise resolving with the new active scene, once any fade is complete
+	 */
+	switchScene(scene, options={}) {
+		if(this.scenes.includes(scene)) {
+			console.error("Cannot switch to a CMScene that is already in the game's scene stack");
+			return Promise.resolve(this.scene);
+		}
+
+		let self = this;
+		return this.transitionScene(function() {
+			let previousScene = self.scenes.pop();
+			self.scenes.push(scene);
+			previousScene.onexit(scene);
+			scene.onenter(previousScene, options.data);
+		}, options);
+	}
+
+	/**
+	 * Performs a change to the scene stack, immediately
+	 * or halfway through a fade. Mostly used internally.
+	 * @param {function} change - The function that changes the scene stack
+	 * @param {object} [options={}] - Same transition options as pushScene
+	 * @returns {Promise} A promise resolving with the new active scene, once any fade is complete
+	 */
+	transitionScene(change, options={}) {
+		let self = this;
+
+		// Only one transition runs at a time, so complete the current one now
+		if(this.sceneTransition !== null) {
+			this.advanceSceneTransition(Infinity);
+		}
+
+		// Fades are advanced by the game loop, so they cannot run while it is stopped
+		if(!(options.fade > 0) || !this.started || this.paused) {
+			change();
+			return Promise.resolve(this.scene);
+		}
+
+		return new Promise(function(resolve, reject) {
+			self.sceneTransition = {
+				change: change,
+				changed: false,
+				elapsed: 0,
+				duration: options.fade / 1000,
+				fadeColor: options.fadeColor || CMColor.BLACK,
+				resolve: resolve
+			};
+		});
+	}
+
+	/**
+	 * Moves the current scene transition forward.
+	 * Mostly used internally.
+	 * @param {number} dt - Seconds of game time to advance
+	 */
+	advanceSceneTransition(dt) {
+		let transition = this.sceneTransition;
+		transition.elapsed += dt;
+
+		if(!transition.changed && transition.elapsed >= .5 * transition.duration) {
+			transition.changed = true;
+			transition.change();
+		}
+
+		if(transition.elapsed >= transition.duration) {
+			this.sceneTransition = null;
+			transition.resolve(this.scene);
+		}
+	}
+
+	/**
+	 * Runs the active scene's onupdate() and any scene
+	 * transition, after the game's update(). Mostly used internally.
+	 * @param {number} frameCount - The current frame count
+	 * @param {number} dt - Seconds of game time this update represents
+	 */
+	updateScene(frameCount, dt) {
+		this.scene.onupdate(frameCount, dt);
+
+		if(this.sceneTransition !== null) {
+			this.advanceSceneTransition(dt);
+		}
+	}
+
+	/**
+	 * Runs the active scene's ondraw() and draws any
+	 * fade transition, after the game's draw(). Mostly used internally.
+	 * @param {CanvasRenderingContext2D} [ctx=this.offscreenCtx] - The drawing context
+	 */
+	drawScene(ctx=this.offscreenCtx) {
+		this.scene.ondraw(ctx);
+
+		if(this.sceneTransition !== null) {
+			let transition = this.sceneTransition;
+
+			// Fades out until the scene changes halfway through, then fades back in
+			ctx.save();
+			ctx.globalAlpha = Math.max(0, 1 - Math.abs(2 * transition.elapsed / transition.duration - 1));
+			ctx.fillStyle = transition.fadeColor;
+			ctx.fillRect(0, 0, this.width, this.height);
+			ctx.restore();
+		}
+	}
+
+	/**
+	 * Changes how real values are spread along an axis,
+	 * and redraws the graphs to match
+	 * @param {string} axis - "x" or "y"
+	 * @param {string|object} scale - The new scale, as in the xScale and yScale options
+	 *   (e.g., "linear", "log", "ln", "pi", or a plain JS object)
+	 */
+	setScale(axis, scale) {
+		if(axis !== "x" && axis !== "y") {
+			console.error("CMGame setScale() takes an axis of \"x\" or \"y\", not \"" + axis + "\"");
+			return;
+		}
+
+		let newScales = {
+			x: this.xScale,
+			y: this.yScale
+		};
+
+		newScales[axis] = CMGame.readScale(scale);
+
+		// Graph bounds at the screen's edges move to the new edges
+		for(let func of this.functions) {
+			func.followPlane(point => new CMPoint(point), this.graphScalar, newScales);
+		}
+
+		this.xScale = newScales.x;
+		this.yScale = newScales.y;
+
+		for(let func of this.functions) {
+			func.buildGraphPath(this.offscreenCtx);
+		}
+
+		if(this.paused)
+			this.draw();
+	}
+
+	/**
+	 * Determines if an axis's ticks (and gridlines) come
+	 * from its scale, rather than being evenly spaced
+	 * tickDistance pixels apart. Mostly used internally.
+	 * @param {string} axis - "x" or "y"
+	 * @returns {boolean}
+	 */
+	usesScaleTicks(axis) {
+		let scale = (axis === "x") ? this.xScale : this.yScale;
+		return scale.type !== "linear" || scale.ticks !== null;
+	}
+
+	/**
+	 * Finds the visible ticks for an axis, from its scale:
+	 * multiples of π/denominator for "pi" scales, powers of
+	 * the base for "log" scales, or the values from the
+	 * scale's ticks function. Ticks are kept at least
+	 * tickDistance pixels apart. Mostly used internally.
+	 * @param {string} axis - "x" or "y"
+	 * @param {boolean} [includeOrigin=false] - Whether to include a tick at the origin
+	 * @returns {array} An array of plain JS objects, with value (real number),
+	 *   label (string), and screen (pixel x for "x", pixel y for "y") values
+	 */
+	scaleTicks(axis, includeOrigin=false) {
+		let scale = (axis === "x") ? this.xScale : this.yScale;
+		let toScreen = (value) => (axis === "x") ? this.xToScreen(value) : this.yToScreen(value);
+		let min = (axis === "x") ? this.xToReal(0) : this.yToReal(this.height);
+		let max = (axis === "x") ? this.xToReal(this.width) : this.yToReal(0);
+		let size = (axis === "x") ? this.width : this.height;
+		let originScreen = (axis === "x") ? this.origin.x : this.origin.y;
+		let ticks = [];
+
+		if(scale.ticks !== null) {
+			ticks = scale.ticks(min, max).map(tick => (typeof tick === "number") ?
+				{value: tick, label: "" + CMGame.roundSmall(tick)} :
+				{value: tick.value, label: (typeof tick.label !== "undefined") ? "" + tick.label : "" + CMGame.roundSmall(tick.value)});
+		}
+		else {
+
+			// Distance along the axis between ticks: π/denominator for "pi", or one power of the base for "log"
+			let step = (scale.type === "pi") ? Math.PI / scale.denominator : 1;
+			let every = Math.max(1, Math.ceil(this.tickDistance / (step * this.graphScalar)));
+			let minDistance = CMGame.valueToAxis(scale, min);
+			let maxDistance = CMGame.valueToAxis(scale, max);
+
+			let powerLabel = (power) => {
+				if(scale.base === Math.E) {
+					return (power === 0) ? "1" : (power === 1) ? "e" : "e^" + power;
+				}
+
+				// Write powers as numbers, unless they would be very long
+				return (Math.abs(power) <= 4) ? "" + parseFloat((scale.base ** power).toPrecision(12)) : scale.base + "^" + power;
+			};
+
+			if(Number.isFinite(minDistance) && Number.isFinite(maxDistance)) {
+				for(let k = Math.ceil(minDistance / (step * every)) * every; k * step <= maxDistance; k += every) {
+					ticks.push((scale.type === "pi") ?
+						{value: k * step, label: CMGame.piLabel(k, scale.denominator)} :
+						{value: CMGame.axisToValue(scale, k), label: powerLabel(k)});
+				}
+			}
+		}
+
+		// On a "log" axis the origin is at 1, which still needs a label
+		return ticks.map(tick => {
+				tick.screen = toScreen(tick.value);
+				return tick;
+			})
+			.filter(tick => tick.screen >= 0 && tick.screen <= size &&
+				(includeOrigin || scale.type === "log" || Math.abs(tick.screen - originScreen) >= 0.5));
+	}
+
+	/**
+	 * Draws the tick marks and labels for an axis using
+	 * its scale (see scaleTicks()). Labels can be changed
+	 * with tickLabelIfX and tickLabelIfY, as for other
+	 * ticks. Mostly used internally.
+	 * @param {CanvasRenderingContext2D} ctx - The game's drawing context
+	 * @param {string} axis - "x" or "y"
+	 * @param {number} halfTickLength - Half the length of each tick mark, in pixels
+	 * @param {number} tickFontSize - The labels' font size, in pixels
+	 */
+	drawScaleTicks(ctx, axis, halfTickLength, tickFontSize) {
+		for(let tick of this.scaleTicks(axis)) {
+			let nLabel = (axis === "x") ? this.tickLabelIfX(tick.value) : this.tickLabelIfY(tick.value);
+			let label = null;
+
+			if(typeof nLabel === "string")
+				label = nLabel;
+			else
+			if(typeof nLabel === "number")
+				label = "" + nLabel;
+			else
+			if(nLabel) // boolean, etc., so just write the scale's label
+				label = tick.label;
+
+			if(axis === "x") {
+				this.drawLine(tick.screen, this.origin.y - halfTickLength,
+					tick.screen, this.origin.y + halfTickLength);
+
+				if(label !== null)
+					ctx.fillText(label,
+						tick.screen - .5 * ctx.measureText(label).width,
+						this.origin.y + halfTickLength + .75 * tickFontSize);
+			}
+			else {
+				this.drawLine(this.origin.x - halfTickLength, tick.screen,
+					this.origin.x + halfTickLength, tick.screen);
+
+				if(label !== null)
+					ctx.fillText(label,
+						this.origin.x - halfTickLength - 1.25 * ctx.measureText(label).width,
+						tick.screen);
+			}
+		}
+	}
+
 	/**
 	 * Converts a real x value to its
 	 * scaled onscreen position's
@@ -4273,7 +5566,7 @@ class CMGame {
 	 * @returns {number}
 	 */
 	xToScreen(realX, relativeOrigin=this.origin) {
-		let x = this.graphScalar * realX;
+		let x = this.graphScalar * CMGame.valueToAxis(this.xScale, realX);
 
 		return relativeOrigin.x + x;
 	}
@@ -4288,7 +5581,7 @@ class CMGame {
 	xToReal(screenX, relativeOrigin=this.origin) {
 		let x = screenX - relativeOrigin.x;
 
-		return x / this.graphScalar;
+		return CMGame.axisToValue(this.xScale, x / this.graphScalar);
 	}
 
 	/**
@@ -4301,7 +5594,7 @@ class CMGame {
 	 * @returns {number}
 	 */
 	yToScreen(realY, relativeOrigin=this.origin) {
-		let y = this.graphScalar * realY;
+		let y = this.graphScalar * CMGame.valueToAxis(this.yScale, realY);
 
 		// Reflect so graph sits above x axis
 		return relativeOrigin.y - y;
@@ -4317,7 +5610,7 @@ class CMGame {
 	yToReal(screenY, relativeOrigin=this.origin) {
 		let y = -(screenY - relativeOrigin.y);
 
-		return y / this.graphScalar;
+		return CMGame.axisToValue(this.yScale, y / this.graphScalar);
 	}
 
 	/**
@@ -4374,112 +5667,615 @@ class CMGame {
 	 * while accounting for devicePixelRatio,
 	 * incrementing (and capping) frameCount,
 	 * and starting next animation frame.
+	 * In fixedTimestep mode, update() may be called
+	 * several times (or not at all) before drawing.
 	 */
 	updateAndDraw() {		
 		let currentFrameTime = performance.now();
 		
-		if(currentFrameTime - previousFrameTime < CMGame.MIN_FRAME_DELAY)
+		if(currentFrameTime - this.previousFrameTime < CMGame.MIN_FRAME_DELAY)
 		{
 			// Skip current frame if web is animating to fast
 			if(this.started && !this.paused) {
-				this.animFrameId = requestNextFrame(this.runCycle);
+				this.animFrameId = this.requestNextFrame(this.runCycle);
 			}
 			
 			return;
 		}
 		
-		previousFrameTime = currentFrameTime;
-		
-		this.update(this.frameCount);
+		// Cap elapsed time, so returning from a long pause does not trigger a flood of updates
+		let elapsed = Math.min((currentFrameTime - this.previousFrameTime) / 1000, CMGame.MAX_ELAPSED_TIME);
+		this.previousFrameTime = currentFrameTime;
 
-		this.offscreenCtx.save();
-		this.offscreenCtx.scale(this.devicePixelRatio,
-			this.devicePixelRatio);
+		let interpolatedSprites = null;
 
-		this.draw(this.offscreenCtx);
-		this.offscreenCtx.restore();
-		this.drawOffscreenToScreen();
+		if(this.fixedTimestep) {
+			this.timeAccumulator += elapsed;
 
-		this.frameCount++;
-		if(this.frameCount > this.frameCap) {
-			this.frameCount = 0;
+			while(this.timeAccumulator >= this.timestep) {
+				this.updateFrame(this.frameCount, this.timestep);
+				this.timeAccumulator -= this.timestep;
+
+				this.frameCount++;
+				if(this.frameCount > this.frameCap) {
+					this.frameCount = 0;
+				}
+			}
+
+			this.interpolation = this.timeAccumulator / this.timestep;
+			interpolatedSprites = this.interpolateSprites(this.interpolation);
+		}
+		else {
+			this.updateFrame(this.frameCount, elapsed);
+		}
+
+		this.drawFrame();
+
+		if(interpolatedSprites) {
+			// Put sprites back to their actual (updated) positions
+			for(let [sprite, actual] of interpolatedSprites) {
+				CMGame.blendGeometry(sprite, actual, actual, 1);
+			}
+		}
+
+		if(!this.fixedTimestep) {
+			this.frameCount++;
+			if(this.frameCount > this.frameCap) {
+				this.frameCount = 0;
+			}
 		}
 
 		if(this.started && !this.paused) {
-			this.animFrameId = requestNextFrame(this.runCycle);
+			this.animFrameId = this.requestNextFrame(this.runCycle);
 		}
 	}
 
 	/**
-	 * Handle sizing of gamescreen based on browser width and height
+	 * Runs one update of the game state: replays any
+	 * recorded input for this frame, then runs update()
+	 * and the active scene's onupdate(). Mostly used internally.
+	 * @param {number} frameCount - The current frame count
+	 * @param {number} dt - Seconds of game time this update represents
 	 */
-	resizeCanvas() {
-		let newWidth = this.canvasReferenceWidth;
-		let newHeight = this.canvasReferenceHeight;
-		let dimensionForReference = "width";
-		let data = {
-			screen: {
-				width: 0,
-				height: 0
-			},
-			wrapper: {
-				x: 0, // left offset
-				y: 0, // top offset
-				width: 0,
-				height: 0
-			},
-			screenScalar: 1
-		};
+	updateFrame(frameCount, dt) {
+		if(this.inputReplay !== null) {
+			this.replayInputFrame();
+		}
 
-		// We only need to apply scales if screen is smaller than desired size of 640 x 480
-		if(document.documentElement.clientWidth < this.canvasReferenceWidth ||
-				document.documentElement.clientHeight < this.canvasReferenceHeight) {
+		this.update(frameCount, dt);
+		this.updateScene(frameCount, dt);
+		this.inputFrame++;
 
-			// Figure out which dimension to base our scaling on
-			if(document.documentElement.clientWidth < this.canvasReferenceWidth &&
-					document.documentElement.clientHeight < this.canvasReferenceHeight) {
+		if(this.inputReplay !== null &&
+				this.inputReplay.index >= this.inputReplay.events.length &&
+				this.inputFrame >= this.inputReplay.frames) {
+			let replay = this.inputReplay;
+			this.inputReplay = null;
+			replay.resolve(this);
+		}
+	}
 
-				// Steps:
-				// 1. Find the smaller "scale" new screen height to old height or new screen width to old width
-				// 2. Perform steps as below based on which one
+	/**
+	 * Picks random item from an array,
+	 * Map instance, or plain JS object of values,
+	 * without removing the item. Unlike CMGame.pickFrom,
+	 * this draws from this game's own generator (game.random).
+	 * @param {array|object} arr - Any array, Map instance, or plain JS object
+	 * @returns {*}
+	 */
+	pickFrom(arr) {
+		return this.random.pickFrom(arr);
+	}
 
-				if(document.documentElement.clientWidth / this.canvasReferenceWidth < document.documentElement.clientHeight / this.canvasReferenceHeight) {
-				// if(window.innerWidth / 640  < window.innerHeight / 480) {	
-					dimensionForReference = "width";
-				}
-				else {
-					dimensionForReference = "height";
-				}
-			}
-			else
-			if(document.documentElement.clientWidth < this.canvasReferenceWidth) {
-				dimensionForReference = "width";
-			}
-			else {
-				dimensionForReference = "height";
-			}
+	/**
+	 * Picks (and returns) random item from an array,
+	 * Map instance, or plain JS object of values,
+	 * and removes the item, or removes a specific
+	 * item. Draws from this game's own generator (game.random).
+	 * @param {array|object} arr - Any array, Map instance, or plain JS object
+	 * @param {*} [item] - The specific item to remove
+	 * @returns {*}
+	 */
+	pluckFrom(arr, item) {
+		return this.random.pluckFrom(arr, item);
+	}
 
-			/**
-			 * Apply scaling. Note: CSS for body should have
-			 * dimensions 100vw x 100vh or this could reduce
-			 * to 0 height and disappear
-			 */
-			if(dimensionForReference === "width") {
-				newWidth = Math.min.apply(Math, [document.documentElement.clientWidth, window.outerWidth, window.innerWidth, documentBody.clientWidth]);
-				newHeight = (this.canvasReferenceHeight / this.canvasReferenceWidth) * newWidth;
+	/**
+	 * Shuffles an array and returns shuffled version,
+	 * drawing from this game's own generator (game.random).
+	 * Note: the original array WILL be modified
+	 * @param {array} arr - Any array
+	 * @returns {array}
+	 */
+	shuffle(arr) {
+		return this.random.shuffle(arr);
+	}
 
-				this.screenScalar = Math.min(newWidth / this.canvasReferenceWidth, newHeight / this.canvasReferenceHeight);
-			}
-			else {
-				newHeight = Math.min.apply(Math, [document.documentElement.clientHeight, window.outerHeight, window.innerHeight, documentBody.clientHeight]);
-				newWidth = (this.canvasReferenceWidth / this.canvasReferenceHeight) * newHeight;
+	/**
+	 * Starts recording player input (presses, keys, and
+	 * swipes), along with the frame each occurs on, so
+	 * the session can be replayed later with replayInput().
+	 * For an exact replay, start recording when the
+	 * game's state is easy to recreate, e.g., just
+	 * before start() on a game with a seed.
+	 * @returns {object} The current CMGame instance
+	 */
+	startRecording() {
+		this.inputFrame = 0;
+		this.inputRecording = {
+			version: 1,
+			frameCount: this.frameCount,
+			randomState: this.random.getState(),
+			frames: 0,
+			events: []
+		};
 
-				this.screenScalar = Math.min(newWidth / this.canvasReferenceWidth, newHeight / this.canvasReferenceHeight);
-			}
+		return this;
+	}
 
-			// scale to current screen and center the content
-			this.wrapper.style.transform = "scale(" + this.screenScalar + ")";
-			this.wrapper.style.left = `calc(100vw / 2 - ${0.5 * this.screenScalar} * ${this.width}px)`;
+	/**
+	 * Stops recording player input, and returns the
+	 * recorded log. This is a plain JS object, so
+	 * it can be saved with JSON.stringify().
+	 * @returns {object} The input log, or null if not recording
+	 */
+	stopRecording() {
+		let log = this.inputRecording;
+		if(log === null) {
+			console.warn("No input recording to stop");
+			return null;
+		}
+
+		log.frames = this.inputFrame;
+		this.inputRecording = null;
+		return log;
+	}
+
+	/**
+	 * Replays an input log from stopRecording(), frame by
+	 * frame, through the same handlers as live input (so
+	 * onpressstart, onkeydown, onswipe, etc. are called as
+	 * they were). The game's random generator and frameCount
+	 * are restored to their values from the start of the
+	 * recording. Live input is ignored during the replay.
+	 * @param {object|string} log - The input log, or its JSON string
+	 * @returns {Promise} A promise resolving with the game once every recorded frame has been replayed
+	 */
+	replayInput(log) {
+		let self = this;
+
+		if(typeof log === "string") {
+			log = JSON.parse(log);
+		}
+
+		if(!log || !Array.isArray(log.events)) {
+			console.error("CMGame replayInput requires an input log from stopRecording()");
+			return Promise.resolve(this);
+		}
+
+		if(this.inputReplay !== null) {
+			this.stopReplay();
+		}
+
+		this.random.setState(log.randomState);
+		this.frameCount = log.frameCount;
+		this.inputFrame = 0;
+
+		return new Promise(function(resolve, reject) {
+			self.inputReplay = {
+				events: log.events,
+				frames: log.frames,
+				index: 0,
+				dispatching: false,
+				resolve: resolve
+			};
+		});
+	}
+
+	/**
+	 * Stops replaying an input log early, and returns
+	 * control to the player. The replay's Promise is resolved.
+	 * @returns {object} The current CMGame instance
+	 */
+	stopReplay() {
+		if(this.inputReplay !== null) {
+			let replay = this.inputReplay;
+			this.inputReplay = null;
+			replay.resolve(this);
+		}
+
+		return this;
+	}
+
+	/**
+	 * Sends the current frame's recorded input
+	 * through the game's input handlers.
+	 * Mostly used internally.
+	 */
+	replayInputFrame() {
+		let replay = this.inputReplay;
+		replay.dispatching = true;
+
+		while(replay.index < replay.events.length &&
+				replay.events[replay.index].frame <= this.inputFrame) {
+			let event = replay.events[replay.index];
+			replay.index++;
+
+			switch(event.type) {
+				case "pressstart":
+					this.pressStart(event.x, event.y, event.id);
+					break;
+				case "pressmove":
+					this.pressMove(event.x, event.y, event.id);
+					break;
+				case "pressend":
+					this.pressEnd(event.x, event.y, event.id);
+					break;
+				case "hover":
+					this.hover(event.x, event.y);
+					break;
+				case "mousedown":
+					this.mouseDown(this.createReplayPointerEvent(event));
+					break;
+				case "mousemove":
+					this.mouseMove(this.createReplayPointerEvent(event));
+					break;
+				case "mouseup":
+					this.mouseUp(this.createReplayPointerEvent(event));
+					break;
+				case "touchstart":
+					this.touchStart(this.createReplayPointerEvent(event));
+					break;
+				case "touchmove":
+					this.touchMove(this.createReplayPointerEvent(event));
+					break;
+				case "touchend":
+					this.touchEnd(this.createReplayPointerEvent(event));
+					break;
+				case "click":
+					this.click(this.createReplayPointerEvent(event));
+					break;
+				case "dblclick":
+					this.dblClick(this.createReplayPointerEvent(event));
+					break;
+				case "wheel":
+					this.zoomBy(event.factor, new CMPoint(event.x, event.y));
+					break;
+				case "keydown":
+					this.keyDown(this.createReplayKeyEvent(event));
+					break;
+				case "keyup":
+					this.keyUp(this.createReplayKeyEvent(event));
+					break;
+				default: {
+					// Swipes are recreated by replaying "pressmove" events
+					break;
+				}
+			}
+		}
+
+		replay.dispatching = false;
+	}
+
+	/**
+	 * Builds a stand-in key event from a recorded one,
+	 * for replays. Mostly used internally.
+	 * @param {object} event - A "keydown" or "keyup" entry from an input log
+	 * @returns {object}
+	 */
+	createReplayKeyEvent(event) {
+		return {
+			type: event.type,
+			key: event.key,
+			code: event.code,
+			keyCode: event.keyCode,
+			which: event.keyCode,
+			shiftKey: event.shiftKey,
+			ctrlKey: event.ctrlKey,
+			altKey: event.altKey,
+			metaKey: event.metaKey,
+			repeat: event.repeat,
+			target: this.canvas,
+			replayed: true,
+			preventDefault: CMGame.noop,
+			stopPropagation: CMGame.noop
+		};
+	}
+
+	/**
+	 * Builds a stand-in mouse or touch event from a
+	 * recorded one, for replays. Mostly used internally.
+	 * @param {object} event - A mouse or touch entry from an input log
+	 * @returns {object}
+	 */
+	createReplayPointerEvent(event) {
+		let replayEvent = {
+			type: event.type,
+			target: this.pressElement,
+			cancelable: false,
+			replayed: true,
+			preventDefault: CMGame.noop,
+			stopPropagation: CMGame.noop
+		};
+
+		if(Array.isArray(event.changedTouches)) {
+			replayEvent.touches = { length: event.touches };
+			replayEvent.changedTouches = event.changedTouches.map(touch => ({
+				identifier: touch.id,
+				canvasPoint: { x: touch.x, y: touch.y }
+			}));
+		}
+		else {
+			replayEvent.buttons = event.buttons;
+			replayEvent.button = event.button;
+			replayEvent.canvasPoint = { x: event.x, y: event.y };
+		}
+
+		return replayEvent;
+	}
+
+	/**
+	 * Gets the point on the canvas where a mouse event
+	 * or a single touch happened, accounting for CSS
+	 * transform scaling. Mostly used internally.
+	 * @param {object} e - The mouse event, or touch
+	 * @returns {CMPoint}
+	 */
+	canvasPointOf(e) {
+
+		// Replayed events keep the exact point that was recorded
+		if(e.canvasPoint) {
+			return new CMPoint(e.canvasPoint.x, e.canvasPoint.y);
+		}
+
+		// Some environments, like jsdom for headless games, have no scrollingElement
+		let scroller = document.scrollingElement || document.documentElement;
+
+		return new CMPoint(
+			(e.clientX - this.wrapper.offsetLeft + scroller.scrollLeft) / this.screenScalar,
+			(e.clientY - this.wrapper.offsetTop + scroller.scrollTop) / this.screenScalar);
+	}
+
+	/**
+	 * Adds an input event to the current recording, if any,
+	 * and reports whether the event should be handled. (Live
+	 * input is ignored while a recording is replaying.)
+	 * Presses and hovers coming from a mouse or touch event
+	 * are not added, since replaying that event repeats them.
+	 * Mostly used internally.
+	 * @param {string} type - The event type, e.g., "pressstart" or "keydown"
+	 * @param {object} data - The event details to record, e.g., {x: 10, y: 20}
+	 * @returns {boolean}
+	 */
+	recordInput(type, data) {
+		if(this.inputReplay !== null && !this.inputReplay.dispatching) {
+			return false;
+		}
+
+		if(this.pointerInputType_Private !== null &&
+				["pressstart", "pressmove", "pressend", "hover"].includes(type)) {
+			return true;
+		}
+
+		if(this.inputRecording !== null && this.inputReplay === null) {
+			this.inputRecording.events.push(
+				Object.assign({frame: this.inputFrame, type: type}, data));
+		}
+
+		return true;
+	}
+
+	/**
+	 * Records a mouse or touch event, with its canvas points
+	 * and pressed buttons (or number of touches), and reports
+	 * whether it should be handled, as recordInput() does.
+	 * Call endPointerInput() once the event has been handled.
+	 * Mostly used internally.
+	 * @param {string} type - The event type, e.g., "mousedown" or "touchstart"
+	 * @param {object} e - The mouse or touch event
+	 * @returns {boolean}
+	 */
+	beginPointerInput(type, e) {
+		let data = null;
+
+		if(e.changedTouches) {
+			data = {
+				touches: e.touches.length,
+				changedTouches: Array.from(e.changedTouches, touch => {
+					let point = this.canvasPointOf(touch);
+					return {
+						x: point.x,
+						y: point.y,
+						id: touch.identifier
+					};
+				})
+			};
+		}
+		else {
+			let point = this.canvasPointOf(e);
+			data = {
+				x: point.x,
+				y: point.y,
+				buttons: e.buttons,
+				button: e.button
+			};
+		}
+
+		if(!this.recordInput(type, data)) {
+			return false;
+		}
+
+		this.pointerInputType_Private = type;
+		return true;
+	}
+
+	/**
+	 * Marks the end of handling a mouse or touch event
+	 * started with beginPointerInput(). Mostly used internally.
+	 */
+	endPointerInput() {
+		this.pointerInputType_Private = null;
+	}
+
+	/**
+	 * Draws the current frame offscreen, accounting for
+	 * devicePixelRatio, then copies it to the screen.
+	 * Mostly used internally.
+	 */
+	drawFrame() {
+		this.offscreenCtx.save();
+		this.offscreenCtx.scale(this.devicePixelRatio,
+			this.devicePixelRatio);
+
+		this.draw(this.offscreenCtx);
+		this.drawScene(this.offscreenCtx);
+		this.offscreenCtx.restore();
+		this.drawOffscreenToScreen();
+	}
+
+	/**
+	 * Advances the game immediately by the given number
+	 * of frames, running update() and draw() for each,
+	 * without waiting for animation frames. This is how
+	 * headless games (e.g., in automated tests) move forward,
+	 * but it works for any game, e.g., while paused.
+	 * @param {number} [numFrames=1] - How many frames to advance
+	 * @param {number} [dt=this.timestep] - Seconds of game time each frame represents
+	 * @returns {object} The current CMGame instance
+	 */
+	step(numFrames=1, dt=this.timestep) {
+		for(let i = 0; i < numFrames; i++) {
+			this.updateFrame(this.frameCount, dt);
+			this.drawFrame();
+
+			this.frameCount++;
+			if(this.frameCount > this.frameCap) {
+				this.frameCount = 0;
+			}
+		}
+
+		return this;
+	}
+
+	/**
+	 * In fixedTimestep mode, moves sprites temporarily to
+	 * where they would be between their previous and
+	 * current update, to smooth out drawing. Along with
+	 * x and y, this blends a line-shaped sprite's start
+	 * and end, and a CMPolygon's points. Other geometry
+	 * (e.g., a sprite's width, or rotation) is drawn as
+	 * of the latest update. Mostly used internally.
+	 * @param {number} alpha - How far (0 to 1) to move from previous state to current
+	 * @returns {array} An array of [sprite, actualGeometry] entries, for restoring after drawing
+	 */
+	interpolateSprites(alpha) {
+		let moved = [];
+
+		for(let sprite of this.sprites) {
+			if(typeof sprite.previousX !== "number" || typeof sprite.previousY !== "number")
+				continue;
+
+			let actual = {
+				x: sprite.x,
+				y: sprite.y
+			};
+
+			let previous = {
+				x: sprite.previousX,
+				y: sprite.previousY
+			};
+
+			if(sprite.shape === "line" && sprite.previousStart) {
+				actual.start = { x: sprite.start.x, y: sprite.start.y };
+				actual.end = { x: sprite.end.x, y: sprite.end.y };
+				previous.start = sprite.previousStart;
+				previous.end = sprite.previousEnd;
+			}
+
+			// Points may have been added or removed since the last update
+			if(sprite instanceof CMPolygon && sprite.previousPoints &&
+					sprite.previousPoints.length === sprite.points.length) {
+				actual.points = sprite.points.map(point => ({ x: point.x, y: point.y }));
+				previous.points = sprite.previousPoints;
+			}
+
+			moved.push([sprite, actual]);
+			CMGame.blendGeometry(sprite, previous, actual, alpha);
+		}
+
+		return moved;
+	}
+
+	/**
+	 * Handle sizing of gamescreen based on browser width and height
+	 */
+	resizeCanvas() {
+		let newWidth = this.canvasReferenceWidth;
+		let newHeight = this.canvasReferenceHeight;
+		let dimensionForReference = "width";
+		let data = {
+			screen: {
+				width: 0,
+				height: 0
+			},
+			wrapper: {
+				x: 0, // left offset
+				y: 0, // top offset
+				width: 0,
+				height: 0
+			},
+			screenScalar: 1
+		};
+
+		// We only need to apply scales if screen is smaller than desired size of 640 x 480
+		if(document.documentElement.clientWidth < this.canvasReferenceWidth ||
+				document.documentElement.clientHeight < this.canvasReferenceHeight) {
+
+			// Figure out which dimension to base our scaling on
+			if(document.documentElement.clientWidth < this.canvasReferenceWidth &&
+					document.documentElement.clientHeight < this.canvasReferenceHeight) {
+
+				// Steps:
+				// 1. Find the smaller "scale" new screen height to old height or new screen width to old width
+				// 2. Perform steps as below based on which one
+
+				if(document.documentElement.clientWidth / this.canvasReferenceWidth < document.documentElement.clientHeight / this.canvasReferenceHeight) {
+				// if(window.innerWidth / 640  < window.innerHeight / 480) {	
+					dimensionForReference = "width";
+				}
+				else {
+					dimensionForReference = "height";
+				}
+			}
+			else
+			if(document.documentElement.clientWidth < this.canvasReferenceWidth) {
+				dimensionForReference = "width";
+			}
+			else {
+				dimensionForReference = "height";
+			}
+
+			/**
+			 * Apply scaling. Note: CSS for body should have
+			 * dimensions 100vw x 100vh or this could reduce
+			 * to 0 height and disappear
+			 */
+			if(dimensionForReference === "width") {
+				newWidth = Math.min.apply(Math, [document.documentElement.clientWidth, window.outerWidth, window.innerWidth, documentBody.clientWidth]);
+				newHeight = (this.canvasReferenceHeight / this.canvasReferenceWidth) * newWidth;
+
+				this.screenScalar = Math.min(newWidth / this.canvasReferenceWidth, newHeight / this.canvasReferenceHeight);
+			}
+			else {
+				newHeight = Math.min.apply(Math, [document.documentElement.clientHeight, window.outerHeight, window.innerHeight, documentBody.clientHeight]);
+				newWidth = (this.canvasReferenceWidth / this.canvasReferenceHeight) * newHeight;
+
+				this.screenScalar = Math.min(newWidth / this.canvasReferenceWidth, newHeight / this.canvasReferenceHeight);
+			}
+
+			// scale to current screen and center the content
+			this.wrapper.style.transform = "scale(" + this.screenScalar + ")";
+			this.wrapper.style.left = `calc(100vw / 2 - ${0.5 * this.screenScalar} * ${this.width}px)`;
 
 			this.wrapper.style.top = "0";
 
@@ -4545,7 +6341,7 @@ class CMGame {
 	 */
 	generateSaveName() {
 		let saveIdx = 0;
-		while(localStorage.getItem(CMGame.SAVE_PREFIX + saveIdx) !== null) {
+		while(this.storage.getItem(CMGame.SAVE_PREFIX + saveIdx) !== null) {
 			saveIdx++;
 		}
 
@@ -4589,7 +6385,7 @@ class CMGame {
 		}
 
 		try {
-			localStorage.setItem(nameToSave, JSON.stringify(stateToSave));
+			this.storage.setItem(nameToSave, JSON.stringify(stateToSave));
 			console.log("Saving game data under name: %c" + nameToSave,
 				"font-weight: bold; font-size: large; color: white; background-color: rgb(1, 97, 251); display: inline-block; border-radius: 4px; padding: 3px 5px;");	
 		}
@@ -4627,7 +6423,7 @@ class CMGame {
 		}
 
 		try {
-			loadedStateString = localStorage.getItem(nameToRetrieve);
+			loadedStateString = this.storage.getItem(nameToRetrieve);
 			console.log("Loading game data saved under name: %c" + nameToRetrieve,
 				"font-weight: bold; font-size: large; color: white; background-color: rgb(1, 97, 251); display: inline-block; border-radius: 4px; padding: 3px 5px;");
 		}
@@ -4681,6 +6477,48 @@ class CMGame {
 			}
 		}
 
+		if(!this.recordInput("keydown", {
+				key: e.key,
+				code: e.code,
+				keyCode: e.keyCode,
+				direction: e.direction,
+				shiftKey: e.shiftKey,
+				ctrlKey: e.ctrlKey,
+				altKey: e.altKey,
+				metaKey: e.metaKey,
+				repeat: e.repeat
+			})) {
+			return;
+		}
+
+		// Tab moves between sliders and traceable graphs, and a focused one takes the keys it uses
+		let sliders = this.sprites.filter(sprite => sprite instanceof CMSlider);
+		let focusable = sliders.concat( this.functions.filter(func => func.traceOptions.enabled) );
+		if(e.key === "Tab" && focusable.length) {
+			let index = focusable.indexOf(this.focusedSlider || this.tracedFunction);
+			let nextIndex = (index === -1) ? 0 :
+				(index + (e.shiftKey ? -1 : 1) + focusable.length) % focusable.length;
+
+			if(focusable[nextIndex] instanceof CMSlider) {
+				this.tracedFunction = null;
+				this.focusSlider(focusable[nextIndex]);
+			}
+			else {
+				this.focusSlider(null);
+				focusable[nextIndex].focusTrace();
+			}
+
+			return;
+		}
+
+		if(sliders.includes(this.focusedSlider) && this.focusedSlider.keyDown(e)) {
+			return;
+		}
+
+		if(this.functions.includes(this.tracedFunction) && this.tracedFunction.traceKeyDown(e)) {
+			return;
+		}
+
 		this.onkeydown(e);
 	}
 
@@ -4719,7 +6557,21 @@ class CMGame {
 				e.direction = "";
 			}
 		}
-		
+
+		if(!this.recordInput("keyup", {
+				key: e.key,
+				code: e.code,
+				keyCode: e.keyCode,
+				direction: e.direction,
+				shiftKey: e.shiftKey,
+				ctrlKey: e.ctrlKey,
+				altKey: e.altKey,
+				metaKey: e.metaKey,
+				repeat: e.repeat
+			})) {
+			return;
+		}
+
 		this.onkeyup(e);
 	}
 
@@ -4730,7 +6582,13 @@ class CMGame {
 	 */
 	click(e) {
 		e.preventDefault();
+
+		if(!this.beginPointerInput("click", e)) {
+			return;
+		}
+
 		this.onclick(e);
+		this.endPointerInput();
 	}
 
 	/**
@@ -4739,33 +6597,71 @@ class CMGame {
 	 */
 	dblClick(e) {
 		e.preventDefault();
+
+		if(!this.beginPointerInput("dblclick", e)) {
+			return;
+		}
+
 		this.ondblclick(e);
+		this.endPointerInput();
 	}
 
 	/**
-	 * Manage touchstart events
-	 * @param {object} e - The touchstart event
+	 * Manage mouse wheel events. With interactivePlane,
+	 * this zooms the graph around the mouse pointer.
+	 * @param {object} e - The wheel event
+	 */
+	wheel(e) {
+		if(!this.interactivePlane) {
+			return;
+		}
+
+		e.preventDefault();
+
+		// Line and page modes are rare, so roughly convert them to pixels
+		let deltaY = e.deltaY;
+		if(e.deltaMode === 1) {
+			deltaY *= 16;
+		}
+		else
+		if(e.deltaMode === 2) {
+			deltaY *= this.height;
+		}
+
+		let point = this.canvasPointOf(e);
+		let x = point.x;
+		let y = point.y;
+		let factor = Math.exp(-deltaY * CMGame.WHEEL_ZOOM_SPEED);
+
+		if(!this.recordInput("wheel", {x: x, y: y, factor: factor})) {
+			return;
+		}
+
+		this.zoomBy(factor, new CMPoint(x, y));
+	}
+
+	/**
+	 * Manage touchstart events
+	 * @param {object} e - The touchstart event
 	 */
 	touchStart(e) {
 		if(!this.passiveFlag)
 			e.preventDefault();
 
+		if(!this.beginPointerInput("touchstart", e)) {
+			return;
+		}
+
 		this.numPressPoints = e.touches.length;
 		this.ontouchstart(e);
 
-		// Account CSS transform scaling
-		if(this.multiTouch) {
-			for(let i = 0; i < e.targetTouches.length; i++) {
-				this.pressStart(
-					(e.targetTouches[i].clientX - this.wrapper.offsetLeft + document.scrollingElement.scrollLeft) / this.screenScalar,
-					(e.targetTouches[i].clientY - this.wrapper.offsetTop + document.scrollingElement.scrollTop) / this.screenScalar);
-			}
-		}
-		else {
-			this.pressStart(
-				(e.targetTouches[0].clientX - this.wrapper.offsetLeft + document.scrollingElement.scrollLeft) / this.screenScalar,
-				(e.targetTouches[0].clientY - this.wrapper.offsetTop + document.scrollingElement.scrollTop) / this.screenScalar);
+		// Every new touch is tracked (for pinch/rotate), even if only the first is reported without multiTouch
+		for(let i = 0; i < e.changedTouches.length; i++) {
+			let point = this.canvasPointOf(e.changedTouches[i]);
+			this.pressStart(point.x, point.y, e.changedTouches[i].identifier);
 		}
+
+		this.endPointerInput();
 	}
 
 	/**
@@ -4777,6 +6673,10 @@ class CMGame {
 	mouseDown(e) {
 		e.preventDefault();
 
+		if(!this.beginPointerInput("mousedown", e)) {
+			return;
+		}
+
 		this.leftMousePressed = false;
 		this.middleMousePressed = false;
 		this.rightMousePressed = false;
@@ -4837,10 +6737,8 @@ class CMGame {
 		this.mouseStateString = this.mouseState.join("");
 		this.onmousedown(e);
 
-		// Account CSS transform scaling
-		this.pressStart(
-			(e.clientX - this.wrapper.offsetLeft + document.scrollingElement.scrollLeft) / this.screenScalar,
-			(e.clientY - this.wrapper.offsetTop + document.scrollingElement.scrollTop) / this.screenScalar);
+		let point = this.canvasPointOf(e);
+		this.pressStart(point.x, point.y);
 
 		/**
 		 * Avoid using onrightclick, but if you must, we give it x, y values
@@ -4849,6 +6747,8 @@ class CMGame {
 		if(e.button === 2) {
 			this.onrightclick(e);
 		}
+
+		this.endPointerInput();
 	}
 
 	/**
@@ -4857,9 +6757,59 @@ class CMGame {
 	 *   (use onpressstart instead).
 	 * @param {number} x - The point's (float) x position
 	 * @param {number} y - The point's (float) y position
+	 * @param {number|string} [id="mouse"] - Identifies the finger (a touch's identifier), or "mouse"
 	 */
-	pressStart(x, y) {
-		
+	pressStart(x, y, id="mouse") {
+		if(!this.recordInput("pressstart", {x: x, y: y, id: id})) {
+			return;
+		}
+
+		// Pressing a slider drags it, instead of panning, swiping, etc.
+		let slider = this.sliderAt(x, y);
+		this.focusSlider(slider);
+
+		if(slider) {
+			this.sliderPresses[id] = slider;
+			slider.pressStart(x, y);
+			return;
+		}
+
+		// Pressing near a traced graph drags its traced point. Pressing elsewhere stops keyboard tracing.
+		let tracedFunc = this.traceAt(x, y);
+		if(tracedFunc) {
+			this.tracePresses[id] = tracedFunc;
+			return;
+		}
+
+		this.tracedFunction = null;
+
+		if(Object.keys(this.trackedScreenTouches).length === 0) {
+			this.primaryPointerId = id;
+		}
+
+		this.trackedScreenTouches[id] = {
+			id: id,
+			x: x,
+			y: y
+		};
+
+		if(this.gesture === null && Object.keys(this.trackedScreenTouches).length >= 2) {
+			this.startGesture();
+		}
+
+		// Without multiTouch, only the first pointer pressed is reported
+		if(!this.isPrimaryPointer(id)) {
+			if(this.multiTouch) {
+				this.onpressstart({
+					x: x,
+					y: y,
+					id: id
+				});
+			}
+
+			return;
+		}
+
 		if(this.latestPoint === null) {
 			this.latestPoint = {
 				x: x,
@@ -4873,7 +6823,8 @@ class CMGame {
 
 		this.onpressstart({
 				x: x,
-				y: y
+				y: y,
+				id: id
 			});
 	}
 
@@ -4885,22 +6836,19 @@ class CMGame {
 		if(!this.passiveFlag)
 			e.preventDefault();
 
+		if(!this.beginPointerInput("touchmove", e)) {
+			return;
+		}
+
 		this.numPressPoints = e.touches.length;
 		this.ontouchmove(e);
 
-		// Account CSS transform scaling
-		if(this.multiTouch) {
-			for(let i = 0; i < e.targetTouches.length; i++) {
-				this.pressMove(
-					(e.targetTouches[i].clientX - this.wrapper.offsetLeft + document.scrollingElement.scrollLeft) / this.screenScalar,
-					(e.targetTouches[i].clientY - this.wrapper.offsetTop + document.scrollingElement.scrollTop) / this.screenScalar);
-			}
-		}
-		else {
-			this.pressMove(
-				(e.targetTouches[0].clientX - this.wrapper.offsetLeft + document.scrollingElement.scrollLeft) / this.screenScalar,
-				(e.targetTouches[0].clientY - this.wrapper.offsetTop + document.scrollingElement.scrollTop) / this.screenScalar);
+		for(let i = 0; i < e.changedTouches.length; i++) {
+			let point = this.canvasPointOf(e.changedTouches[i]);
+			this.pressMove(point.x, point.y, e.changedTouches[i].identifier);
 		}
+
+		this.endPointerInput();
 	}
 
 	/**
@@ -4912,6 +6860,10 @@ class CMGame {
 	mouseMove(e) {
 		e.preventDefault();
 
+		if(!this.beginPointerInput("mousemove", e)) {
+			return;
+		}
+
 		this.leftMousePressed = false;
 		this.middleMousePressed = false;
 		this.rightMousePressed = false;
@@ -4973,11 +6925,37 @@ class CMGame {
 
 		this.onmousemove(e);
 
+		let point = this.canvasPointOf(e);
 		if(this.leftMousePressed) {
-			this.pressMove(
-				(e.clientX - this.wrapper.offsetLeft + document.scrollingElement.scrollLeft) / this.screenScalar,
-				(e.clientY - this.wrapper.offsetTop + document.scrollingElement.scrollTop) / this.screenScalar);
+			this.pressMove(point.x, point.y);
+		}
+		else
+		if(this.numPressPoints === 0) {
+			this.hover(point.x, point.y);
+		}
+
+		this.endPointerInput();
+	}
+
+	/**
+	 * Handle mousemove events with no button pressed, at
+	 *   the point (x, y) on the canvas. Moves the traced
+	 *   point of a nearby graph (see CMFunction traceOptions).
+	 * @param {number} x - The point's (float) x position
+	 * @param {number} y - The point's (float) y position
+	 */
+	hover(x, y) {
+
+		// Hovering only matters for traced graphs, so is not recorded otherwise
+		if(!this.functions.some(func => func.traceOptions.enabled)) {
+			return;
+		}
+
+		if(!this.recordInput("hover", {x: x, y: y})) {
+			return;
 		}
+
+		this.traceAt(x, y);
 	}
 
 	/**
@@ -4986,11 +6964,70 @@ class CMGame {
 	 *   (use onpressmove instead).
 	 * @param {number} x - The point's (float) x position
 	 * @param {number} y - The point's (float) y position
+	 * @param {number|string} [id="mouse"] - Identifies the finger (a touch's identifier), or "mouse"
 	 */
-	pressMove(x, y) {
+	pressMove(x, y, id="mouse") {
+		if(!this.recordInput("pressmove", {x: x, y: y, id: id})) {
+			return;
+		}
+
+		if(this.sliderPresses[id]) {
+			this.sliderPresses[id].pressMove(x, y);
+			return;
+		}
+
+		// A traced point being dragged stays on its graph, however far the pointer moves from it
+		if(this.tracePresses[id]) {
+			let point = this.tracePresses[id].nearestTracePoint(x, y);
+			if(point) {
+				this.tracePresses[id].trace(point.input);
+			}
+
+			return;
+		}
+
 		let oldX = x;
 		let oldY = y;
 
+		let trackedPoint = this.trackedScreenTouches[id];
+		if(trackedPoint) {
+			oldX = trackedPoint.x;
+			oldY = trackedPoint.y;
+			trackedPoint.x = x;
+			trackedPoint.y = y;
+		}
+
+		if(this.gesture !== null && this.gesture.ids.includes(id)) {
+			this.updateGesture();
+		}
+
+		// Swipes and doodles follow the first pointer pressed. Others are only reported with multiTouch.
+		if(!this.isPrimaryPointer(id)) {
+			if(this.multiTouch) {
+				this.onpressmove({
+					x: x,
+					y: y,
+					id: id,
+					oldX: oldX,
+					oldY: oldY,
+					offset: {
+						x: x - oldX,
+						y: y - oldY
+					}
+				});
+			}
+
+			return;
+		}
+
+		// Dragging moves the graph, unless two fingers are pinching it
+		if(this.interactivePlane && this.gesture === null) {
+			this.pan(x - oldX, y - oldY);
+		}
+
+		oldX = x;
+		oldY = y;
+
 		if(this.latestPoint === null) {
 			this.latestPoint = {
 				x: x,
@@ -5001,9 +7038,19 @@ class CMGame {
 		if(this.distance(this.latestPoint, new CMPoint(x, y)) >= CMGame.PIXELS_FOR_SWIPE) {
 			if(this.onswipe)
 			{
-				this.onswipe(
-					new CMSwipe(this, x, y, this.latestPoint.x, this.latestPoint.y)
-				);
+				let swipe = new CMSwipe(this, x, y, this.latestPoint.x, this.latestPoint.y);
+
+				// Recorded for reviewing a session. Replays recreate swipes from "pressmove" events.
+				this.recordInput("swipe", {
+					x: x,
+					y: y,
+					oldX: swipe.oldX,
+					oldY: swipe.oldY,
+					direction: swipe.direction,
+					direction8: swipe.direction8
+				});
+
+				this.onswipe(swipe);
 			}
 
 			oldX = this.latestPoint.x;
@@ -5021,6 +7068,7 @@ class CMGame {
 		this.onpressmove({
 				x: x,
 				y: y,
+				id: id,
 				oldX: oldX,
 				oldY: oldY,
 				offset: {
@@ -5035,20 +7083,18 @@ class CMGame {
 	 * @param {object} e - The touchend event
 	 */
 	touchEnd(e) {
+		if(!this.beginPointerInput("touchend", e)) {
+			return;
+		}
+
 		this.numPressPoints = e.touches.length;
 
-		if(this.multiTouch) {
-			for(let i = 0; i < e.changedTouches.length; i++) {
-				this.pressEnd(
-					(e.changedTouches[i].clientX - this.wrapper.offsetLeft + document.scrollingElement.scrollLeft) / this.screenScalar,
-					(e.changedTouches[i].clientY - this.wrapper.offsetTop + document.scrollingElement.scrollTop) / this.screenScalar);
-			}
-		}
-		else {
-			this.pressEnd(
-				(e.changedTouches[0].clientX - this.wrapper.offsetLeft + document.scrollingElement.scrollLeft) / this.screenScalar,
-				(e.changedTouches[0].clientY - this.wrapper.offsetTop + document.scrollingElement.scrollTop) / this.screenScalar);
+		for(let i = 0; i < e.changedTouches.length; i++) {
+			let point = this.canvasPointOf(e.changedTouches[i]);
+			this.pressEnd(point.x, point.y, e.changedTouches[i].identifier);
 		}
+
+		this.endPointerInput();
 	}
 
 	/**
@@ -5059,6 +7105,11 @@ class CMGame {
 	 */
 	mouseUp(e) {
 		e.preventDefault();
+
+		if(!this.beginPointerInput("mouseup", e)) {
+			return;
+		}
+
 		this.leftMousePressed = false;
 		this.middleMousePressed = false;
 		this.rightMousePressed = false;
@@ -5120,9 +7171,10 @@ class CMGame {
 		this.mouseStateString = this.mouseState.join("");
 		this.onmouseup(e);
 
-		this.pressEnd(
-			(e.clientX - this.wrapper.offsetLeft + document.scrollingElement.scrollLeft) / this.screenScalar,
-			(e.clientY - this.wrapper.offsetTop + document.scrollingElement.scrollTop) / this.screenScalar);
+		let point = this.canvasPointOf(e);
+		this.pressEnd(point.x, point.y);
+
+		this.endPointerInput();
 	}
 
 	/**
@@ -5130,8 +7182,52 @@ class CMGame {
 	 *   (x, y) on the canvas. Should be overridden.
 	 * @param {number} x - The point's (float) x position
 	 * @param {number} y - The point's (float) y position
+	 * @param {number|string} [id="mouse"] - Identifies the finger (a touch's identifier), or "mouse"
 	 */
-	pressEnd(x, y) {
+	pressEnd(x, y, id="mouse") {
+		if(!this.recordInput("pressend", {x: x, y: y, id: id})) {
+			return;
+		}
+
+		if(this.sliderPresses[id]) {
+			this.sliderPresses[id].pressEnd(x, y);
+			delete this.sliderPresses[id];
+			return;
+		}
+
+		if(this.tracePresses[id]) {
+			delete this.tracePresses[id];
+			return;
+		}
+
+		let isPrimary = this.isPrimaryPointer(id);
+		delete this.trackedScreenTouches[id];
+
+		let numTracked = Object.keys(this.trackedScreenTouches).length;
+		if(numTracked === 0) {
+			this.primaryPointerId = null;
+		}
+
+		// A gesture can continue with any two pointers that are still down
+		if(this.gesture !== null && this.gesture.ids.includes(id)) {
+			this.gesture = null;
+			if(numTracked >= 2) {
+				this.startGesture();
+			}
+		}
+
+		if(!isPrimary) {
+			if(this.multiTouch) {
+				this.onpressend({
+					x: x,
+					y: y,
+					id: id
+				});
+			}
+
+			return;
+		}
+
 		this.latestPoint = null;
 		CMGame.clearAll(this.latestSwipes,
 			this.latestSwipeStrings,
@@ -5145,10 +7241,158 @@ class CMGame {
 
 		this.onpressend({
 				x: x,
-				y: y
+				y: y,
+				id: id
 			});
 	}
 
+	/**
+	 * Finds the topmost CMSlider in the game at
+	 * the given screen point. Mostly used internally.
+	 * @param {number} x - The point's x value
+	 * @param {number} y - The point's y value
+	 * @returns {CMSlider|null}
+	 */
+	sliderAt(x, y) {
+		for(let i = this.sprites.length - 1; i >= 0; i--) {
+			if(this.sprites[i] instanceof CMSlider && this.sprites[i].containsPoint(x, y)) {
+				return this.sprites[i];
+			}
+		}
+
+		return null;
+	}
+
+	/**
+	 * Sets which CMSlider the keyboard changes
+	 * @param {CMSlider|null} slider - The slider, or null for none
+	 */
+	focusSlider(slider) {
+		if(this.focusedSlider) {
+			this.focusedSlider.focused = false;
+		}
+
+		this.focusedSlider = slider || null;
+
+		if(this.focusedSlider) {
+			this.focusedSlider.focused = true;
+		}
+	}
+
+	/**
+	 * Finds the graph with trace mode enabled (see CMFunction
+	 * traceOptions) closest to the given screen point, within
+	 * its snapDistance, and moves its traced point there. That
+	 * graph then moves with the arrow keys. Mostly used internally.
+	 * @param {number} x - The point's x value
+	 * @param {number} y - The point's y value
+	 * @returns {CMFunction|null} The graph traced, or null if none is close enough
+	 */
+	traceAt(x, y) {
+		let nearestFunc = null;
+		let nearestPoint = null;
+
+		for(let func of this.functions) {
+			if(!func.traceOptions.enabled) {
+				continue;
+			}
+
+			let point = func.nearestTracePoint(x, y);
+			if(point && point.distance <= func.traceOptions.snapDistance &&
+					(nearestPoint === null || point.distance < nearestPoint.distance)) {
+				nearestFunc = func;
+				nearestPoint = point;
+			}
+		}
+
+		if(nearestFunc) {
+			this.tracedFunction = nearestFunc;
+			nearestFunc.trace(nearestPoint.input);
+		}
+
+		return nearestFunc;
+	}
+
+	/**
+	 * Checks if the given pointer is the first one
+	 * pressed (which swipes and doodles follow),
+	 * or if no pointer is being tracked. Mostly used internally.
+	 * @param {number|string} id - A touch identifier, or "mouse"
+	 * @returns {boolean}
+	 */
+	isPrimaryPointer(id) {
+		return this.primaryPointerId === null || id === this.primaryPointerId;
+	}
+
+	/**
+	 * Begins tracking a two-finger gesture with the
+	 * first two pointers that are down. Mostly used internally.
+	 */
+	startGesture() {
+		let [first, second] = Object.values(this.trackedScreenTouches);
+
+		this.gesture = {
+			ids: [first.id, second.id],
+			distance: this.distance(first, second),
+			angle: Math.atan2(second.y - first.y, second.x - first.x),
+			center: new CMPoint(
+				.5 * (first.x + second.x),
+				.5 * (first.y + second.y)
+			)
+		};
+	}
+
+	/**
+	 * Compares the two gesture pointers' new positions
+	 * to their previous ones, calling onpinch and onrotate
+	 * as needed. Mostly used internally.
+	 */
+	updateGesture() {
+		let first = this.trackedScreenTouches[this.gesture.ids[0]];
+		let second = this.trackedScreenTouches[this.gesture.ids[1]];
+
+		let distance = this.distance(first, second);
+		let angle = Math.atan2(second.y - first.y, second.x - first.x);
+		let center = new CMPoint(
+			.5 * (first.x + second.x),
+			.5 * (first.y + second.y)
+		);
+
+		// Skip when fingers overlap, so the scale is never 0 or infinite
+		let scale = 1;
+		if(distance > 0 && this.gesture.distance > 0) {
+			scale = distance / this.gesture.distance;
+		}
+
+		// The plane follows the fingers' midpoint, and zooms around it
+		if(this.interactivePlane) {
+			this.pan(center.x - this.gesture.center.x, center.y - this.gesture.center.y);
+			this.zoomBy(scale, center);
+		}
+
+		if(scale !== 1) {
+			this.onpinch(scale, center);
+		}
+
+		// Keep the change between -pi and pi, so crossing the negative x-axis is not a full turn
+		let angleChange = angle - this.gesture.angle;
+		if(angleChange > Math.PI) {
+			angleChange -= Math.TAU;
+		}
+		else
+		if(angleChange <= -Math.PI) {
+			angleChange += Math.TAU;
+		}
+
+		if(angleChange !== 0) {
+			this.onrotate(angleChange, center);
+		}
+
+		this.gesture.distance = distance;
+		this.gesture.angle = angle;
+		this.gesture.center = center;
+	}
+
 	/**
 	 * Checks if two "box"-shaped objects are colliding;
 	 *   that is, objects with x, y, width, and height values
@@ -6100,7 +8344,7 @@ class CMGame {
 	 * @param {string} soundId - a registered string identifying the sound file
 	 */
 	playSound(soundId) {
-		if(!this.soundOn) {
+		if(!this.soundOn || this.headless) {
 			return;
 		}
 
@@ -6161,7 +8405,7 @@ class CMGame {
 	 * @param {string} soundId - a registered string identifying the sound file
 	 */
 	playMusic(soundId) {
-		if(!this.musicOn) {
+		if(!this.musicOn || this.headless) {
 			return;
 		}
 
@@ -6319,66 +8563,223 @@ class CMGame {
 	};
 
 	/**
-	 * This is a timeout method particular to the current game.
-	 * It is similar to setTimeout, but set by number of frames,
-	 * regardless of fps change. If you want a timer using exact
-	 * time amounts, use setTimeout instead.
-	 * @param {function} callback - The function to invoke after the number of
-	 *   frames defined. The callback has current game instance as its `this`
-	 *   object and takes the current frameCount value as its only parameter.
-	 * @param {number} framesToWait - How many frames to wait before
-	 *   the callback is invoked. If this is 0 the function will be invoked
-	 *   immediately. Non-integer values will be rounded up.
-	 *   Negative values do nothing unless the game's frameCap is a finite
-	 *   number. If frameCap is finite, then the value is essentially
-	 *   subtracted from current frameCount.
+	 * Moves the graph plane (origin, functions, and
+	 * sprites) by the given number of pixels, staying
+	 * within the game's planeBounds. This is how
+	 * dragging an interactivePlane pans the graph.
+	 * @param {number} dx - Pixels to move right (negative for left)
+	 * @param {number} dy - Pixels to move down (negative for up)
 	 * @returns {object} The current CMGame instance
 	 */
-	setFrameout(callback, framesToWait) {
-		framesToWait = Math.ceil(framesToWait);
+	pan(dx, dy) {
+		return this.transformPlane(1, this.origin, dx, dy);
+	}
 
-		if(framesToWait === 0) {
-			callback.call(this, this.frameCount);
+	/**
+	 * Magnifies the graph plane by the given factor, keeping
+	 * the given screen point in place (e.g., the mouse pointer),
+	 * while staying between the game's minZoom and maxZoom.
+	 * Unlike zoom(), this is relative to the current view,
+	 * and tick marks are relabeled to keep a readable spacing.
+	 * @param {number} factor - How much to magnify, e.g., 2 to zoom in 2x, 0.5 to zoom out
+	 * @param {object} [centralPoint] - The screen point that stays in place. Defaults to the screen's center.
+	 * @returns {object} The current CMGame instance
+	 */
+	zoomBy(factor, centralPoint=this.center) {
+		if(typeof factor !== "number" || !(factor > 0) || !Number.isFinite(factor)) {
+			console.error("zoomBy() must take a positive number as its factor");
 			return this;
 		}
 
-		if(framesToWait < 0) {
-			if(!Number.isFinite(this.frameCap)) {
-				console.error(`setFrameout() must take non-negative integer as second argument
-					if game's frameCap property is not finite`);
-				return this;
+		return this.transformPlane(factor, centralPoint, 0, 0);
+	}
+
+	/**
+	 * Scales the graph plane around a screen point, then
+	 * moves it, clamping to minZoom, maxZoom, and planeBounds.
+	 * Origin, functions and sprites (unless fixedOnScreen)
+	 * all follow. Mostly used internally; use pan() and zoomBy().
+	 * @param {number} factor - How much to magnify
+	 * @param {object} centralPoint - The screen point to scale around
+	 * @param {number} dx - Pixels to move right after scaling
+	 * @param {number} dy - Pixels to move down after scaling
+	 * @returns {object} The current CMGame instance
+	 */
+	transformPlane(factor, centralPoint, dx, dy) {
+		let oldZoomLevel = this.zoomLevel;
+		let newZoomLevel = CMGame.clamp(oldZoomLevel / factor, this.minZoom, this.maxZoom);
+		factor = oldZoomLevel / newZoomLevel;
+
+		if(factor !== 1) {
+
+			// Account for any (non-unzoomed) values changed after initialization but before zooming
+			if(oldZoomLevel === 1) {
+				this.unzoomedTickDistance = this.tickDistance;
+				this.unzoomedGridlineDistance = this.gridlineDistance;
+				this.unzoomedOrigin.x = this.origin.x;
+				this.unzoomedOrigin.y = this.origin.y;
+				this.unzoomedGraphScalar = this.graphScalar;
 			}
 
-			return this.setFrameout(CMGame.mod(framesToWait, 0, this.frameCap));
+			this.onbeforezoom(newZoomLevel, oldZoomLevel);
 		}
 
-		let targetFrame = (this.frameCount + framesToWait) % this.frameCap;
+		let newScalar = this.graphScalar * factor;
+		let newOrigin = new CMPoint(
+			centralPoint.x + (this.origin.x - centralPoint.x) * factor + dx,
+			centralPoint.y + (this.origin.y - centralPoint.y) * factor + dy
+		);
 
-		// A callback is already registered at this frame, so put these together
-		if(this.frameoutFunctions.has(targetFrame)) {
-			let oldCallback = this.frameoutFunctions.get(targetFrame);
-			let combinedCallbacks = function(frameCount) {
-				oldCallback(frameCount);
-				callback(frameCount);
-			};
+		// Keep the visible real values within planeBounds, centering if the bounds are too small to fill the screen
+		let bounds = this.planeBounds;
+		let lowestX = this.width - CMGame.valueToAxis(this.xScale, bounds.xMax) * newScalar;
+		let highestX = -CMGame.valueToAxis(this.xScale, bounds.xMin) * newScalar;
+		let lowestY = this.height + CMGame.valueToAxis(this.yScale, bounds.yMin) * newScalar;
+		let highestY = CMGame.valueToAxis(this.yScale, bounds.yMax) * newScalar;
 
-			this.frameoutFunctions.set(targetFrame, combinedCallbacks);
+		if(lowestX > highestX) {
+			newOrigin.x = .5 * (lowestX + highestX);
 		}
 		else {
-			this.frameoutFunctions.set(targetFrame, callback);
+			newOrigin.x = CMGame.clamp(newOrigin.x, lowestX, highestX);
 		}
 
-		return this;
-	}
+		if(lowestY > highestY) {
+			newOrigin.y = .5 * (lowestY + highestY);
+		}
+		else {
+			newOrigin.y = CMGame.clamp(newOrigin.y, lowestY, highestY);
+		}
 
-	/**
-	 * Converts radians to degrees
-	 * @param {number} radians
-	 * @returns {number}
-	 */
-	toDegrees(radians) {
-		return 180 * radians / Math.PI;
-	}
+		// How far the plane moved, beyond scaling
+		let offset = new CMPoint(
+			newOrigin.x - (centralPoint.x + (this.origin.x - centralPoint.x) * factor),
+			newOrigin.y - (centralPoint.y + (this.origin.y - centralPoint.y) * factor)
+		);
+
+		if(factor === 1 && offset.x === 0 && offset.y === 0) {
+			return this;
+		}
+
+		// Every screen point on the plane keeps its place relative to the origin
+		let oldOrigin = new CMPoint(this.origin);
+		let mapPoint = (point) => new CMPoint(
+			newOrigin.x + (point.x - oldOrigin.x) * factor,
+			newOrigin.y + (point.y - oldOrigin.y) * factor
+		);
+
+		for(let func of this.functions) {
+			func.followPlane(mapPoint, newScalar);
+		}
+
+		for(let sprite of this.sprites.concat(this.vertices)) {
+			if(!sprite.fixedOnScreen) {
+				sprite.followPlane(mapPoint, newScalar);
+			}
+		}
+
+		// Functions have already followed the plane, so skip the graphScalar setter's rebuilding
+		this.zoomLevel = newZoomLevel;
+		this.storeGraphScalar(newScalar);
+		this.origin.x = newOrigin.x;
+		this.origin.y = newOrigin.y;
+
+		if(factor !== 1) {
+
+			// Pick a "nice" real step (1, 2, or 5 times a power of 10 of the original step) to keep ticks readable
+			let unzoomedStep = this.unzoomedTickDistance / this.unzoomedGraphScalar;
+			let magnitude = 10 ** Math.floor(Math.log10(newZoomLevel));
+			let niceZoom = [1, 2, 5, 10].find(multiple => multiple * magnitude >= .75 * newZoomLevel) * magnitude;
+
+			this.tickDistance = unzoomedStep * niceZoom * this.graphScalar;
+			this.gridlineDistance = this.tickDistance * this.unzoomedGridlineDistance / this.unzoomedTickDistance;
+
+			this.onzoom(newZoomLevel, oldZoomLevel);
+		}
+
+		if(offset.x !== 0 || offset.y !== 0) {
+			this.onpan(offset);
+		}
+
+		if(this.paused)
+			this.draw();
+
+		return this;
+	}
+
+	/**
+	 * Stores a new graphScalar, keeping unzoomedGraphScalar in
+	 * step with the current zoomLevel. The graphScalar setter
+	 * and transformPlane() share this, before updating functions
+	 * in their own ways. Mostly used internally.
+	 * @param {number} newScalar - The new graphScalar
+	 */
+	storeGraphScalar(newScalar) {
+		this.graphScalar_Private = newScalar;
+		this.unzoomedGraphScalar = newScalar * this.zoomLevel;
+	}
+
+	/**
+	 * This is a timeout method particular to the current game.
+	 * It is similar to setTimeout, but set by number of frames,
+	 * regardless of fps change. If you want a timer using exact
+	 * time amounts, use setTimeout instead.
+	 * @param {function} callback - The function to invoke after the number of
+	 *   frames defined. The callback has current game instance as its `this`
+	 *   object and takes the current frameCount value as its only parameter.
+	 * @param {number} framesToWait - How many frames to wait before
+	 *   the callback is invoked. If this is 0 the function will be invoked
+	 *   immediately. Non-integer values will be rounded up.
+	 *   Negative values do nothing unless the game's frameCap is a finite
+	 *   number. If frameCap is finite, then the value is essentially
+	 *   subtracted from current frameCount.
+	 * @returns {object} The current CMGame instance
+	 */
+	setFrameout(callback, framesToWait) {
+		framesToWait = Math.ceil(framesToWait);
+
+		if(framesToWait === 0) {
+			callback.call(this, this.frameCount);
+			return this;
+		}
+
+		if(framesToWait < 0) {
+			if(!Number.isFinite(this.frameCap)) {
+				console.error(`setFrameout() must take non-negative integer as second argument
+					if game's frameCap property is not finite`);
+				return this;
+			}
+
+			return this.setFrameout(CMGame.mod(framesToWait, 0, this.frameCap));
+		}
+
+		let targetFrame = (this.frameCount + framesToWait) % this.frameCap;
+
+		// A callback is already registered at this frame, so put these together
+		if(this.frameoutFunctions.has(targetFrame)) {
+			let oldCallback = this.frameoutFunctions.get(targetFrame);
+			let combinedCallbacks = function(frameCount) {
+				oldCallback(frameCount);
+				callback(frameCount);
+			};
+
+			this.frameoutFunctions.set(targetFrame, combinedCallbacks);
+		}
+		else {
+			this.frameoutFunctions.set(targetFrame, callback);
+		}
+
+		return this;
+	}
+
+	/**
+	 * Converts radians to degrees
+	 * @param {number} radians
+	 * @returns {number}
+	 */
+	toDegrees(radians) {
+		return 180 * radians / Math.PI;
+	}
 
 	/**
 	 * Converts degrees to radians
@@ -7291,6 +9692,47 @@ class CMGame {
 		return this.doodles;
 	}
 
+	/**
+	 * Creates a toast message, showing briefly
+	 * over this game's canvas. Each game has its
+	 * own toast element, so toasts from different
+	 * games on one page do not interrupt each other.
+	 * @param {string} toastMessage - A text or HTML string to show in the toast
+	 * @param {number} [startDelay=0] - How long (ms) to wait before showing toast
+	 * @param {number|string} [duration="auto"] - How many milliseconds to show the toast - for
+	 *   convenience, the default automatically calculates a time based on string length
+	 * @param {function} [callback=CMGame.noop] - A function to perform after the toast completely fades
+	 * @returns {object} The current CMGame instance
+	 */
+	showToast(toastMessage, startDelay=0, duration="auto", callback=CMGame.noop) {
+		if(this.headless) {
+			callback();
+			return this;
+		}
+
+		showToastIn(this.toastElement, this.offscreenToastElement, this,
+			toastMessage, startDelay, duration, callback);
+
+		return this;
+	}
+
+	/**
+	 * Shows multiple toast messages over this game's
+	 * canvas, one at a time. Each duration is
+	 * automatically calculated based on message.
+	 * @param {string[]} toastMessages - The text (or HTML) to show in each toast
+	 * @param {number} [initialDelay=0] - Delay in ms before showing first toast
+	 * @returns {object} The current CMGame instance
+	 */
+	showToasts(toastMessages, initialDelay=0) {
+		let self = this;
+		showToastsWith(function(toastMessage) {
+			self.showToast(toastMessage);
+		}, toastMessages, initialDelay);
+
+		return this;
+	}
+
 	/**
 	 * Presents a pop-up message, which halts the
 	 * game similar to window.alert, but without
@@ -7313,6 +9755,11 @@ class CMGame {
 	alert(msg="", options={}) {
 		let self = this;
 
+		// Headless games have no pop-ups, so respond as if OK was pressed
+		if(this.headless) {
+			return Promise.resolve();
+		}
+
 		let pauseState = this.paused;
 		if(!pauseState) {
 			this.pause();
@@ -7459,6 +9906,11 @@ class CMGame {
 	confirm(msg="", options={}) {
 		let self = this;
 
+		// Headless games have no pop-ups, so respond as if OK was pressed
+		if(this.headless) {
+			return Promise.resolve(true);
+		}
+
 		let pauseState = this.paused;
 		if(!pauseState) {
 			this.pause();
@@ -7621,6 +10073,11 @@ class CMGame {
 	prompt(msg="", defaultString="", options={}) {
 		let self = this;
 
+		// Headless games have no pop-ups, so respond as if OK was pressed
+		if(this.headless) {
+			return Promise.resolve(defaultString);
+		}
+
 		let pauseState = this.paused;
 		if(!pauseState) {
 			this.pause();
@@ -7868,22 +10325,7 @@ CMGame.clearAll = function(arr) {
  * @returns {*}
  */
 CMGame.pickFrom = (arr) => {
-	if(Array.isArray(arr)) {
-		return arr[CMRandom.range(0, arr.length)];
-	}
-	else
-	if(arr instanceof Map) {
-		let tempArr = [];
-		for(let [key, value] of arr) {
-			tempArr.push(value);
-		}
-
-		return tempArr[CMRandom.range(0, tempArr.length)];
-	}
-	else { // Assume a normal JS object
-		let valArr = Object.values(arr);
-		return valArr[CMRandom.range(0, valArr.length)]
-	}
+	return CMRandom.global.pickFrom(arr);
 };
 
 /**
@@ -7896,45 +10338,7 @@ CMGame.pickFrom = (arr) => {
  * @returns {*}
  */
 CMGame.pluckFrom = (arr, item) => {
-	if(Array.isArray(arr)) {
-		if(item)
-			return arr.splice(arr.indexOf(item), 1)[0];
-
-		return arr.splice(CMRandom.range(0, arr.length), 1)[0];
-	}
-	else
-	if(arr instanceof Map) {
-		let keyOfItem = -1;
-		let tempArr = [];
-
-		for(let [key, value] of arr) {
-			tempArr.push(value);
-
-			if(value === item) {
-				keyOfItem = key;
-			}
-		}
-
-		if(item) {
-			arr.delete(keyOfItem);
-			return item;
-		}
-
-		let itemKey = tempArr[CMRandom.range(0, tempArr.length)];
-		arr.delete(itemKey); // Removes key-value association, without destroying object
-		return arr.get(itemKey);
-	}
-	else { // Assume a normal JS object
-		let entriesArr = Object.entries(arr);
-
-		let chosenKey = item ? entriesArr.find(arr => arr[1] === item)[0] :
-				entriesArr[CMRandom.range(0, entriesArr.length)][0];
-
-		let val = arr[chosenKey];
-
-		delete arr[chosenKey];
-		return val;
-	}
+	return CMRandom.global.pluckFrom(arr, item);
 };
 
 /**
@@ -7944,26 +10348,41 @@ CMGame.pluckFrom = (arr, item) => {
  * @returns {array}
  */
 CMGame.shuffle = (arr) => {
+	return CMRandom.global.shuffle(arr);
+};
+
+/**
+ * Sets a sprite's x, y, and any stored start, end,
+ * or points, part way between two stored versions,
+ * then rebuilds its drawing path if it has one. Used
+ * internally for fixedTimestep drawing.
+ * @param {CMSprite} sprite - The sprite to move
+ * @param {object} from - Geometry to blend from, as stored by interpolateSprites()
+ * @param {object} to - Geometry to blend to, with the same keys as from
+ * @param {number} alpha - How far (0 to 1) to move from "from" to "to"
+ */
+CMGame.blendGeometry = (sprite, from, to, alpha) => {
+	let blend = (target, a, b) => {
+		target.x = a.x + alpha * (b.x - a.x);
+		target.y = a.y + alpha * (b.y - a.y);
+	};
 
-	// JSON.parse( JSON.stringify(arr) ); only works for primitive objects, so we need to rebuild
+	blend(sprite, from, to);
 
-	// Create copy to pluck from
-	let tempArray = [];
-	for(let i = 0; i < arr.length; i++) {
-		tempArray.push(arr[i]);
+	if(to.start) {
+		blend(sprite.start, from.start, to.start);
+		blend(sprite.end, from.end, to.end);
 	}
 
-	// Clear out array - break down to build back up!
-	arr = CMGame.clearAll(arr);
-
-	// Rebuild
-	while(tempArray.length > 0) {
-		arr.push(
-			CMGame.pluckFrom(tempArray)
-		);
+	if(to.points) {
+		for(let i = 0; i < to.points.length; i++) {
+			blend(sprite.points[i], from.points[i], to.points[i]);
+		}
 	}
 
-	return arr;
+	if(typeof sprite.rebuildPath === "function") {
+		sprite.rebuildPath();
+	}
 };
 
 /**
@@ -8124,9 +10543,18 @@ document.addEventListener("readystatechange",
  */
 CMGame.PIXELS_FOR_SWIPE = 5;
 
+/**
+ * How quickly the mouse wheel zooms an interactivePlane.
+ * Each pixel scrolled magnifies by about this fraction.
+ */
+CMGame.WHEEL_ZOOM_SPEED = 0.0015;
+
 // This is used to store/retrieve game data. Do not change this for the same game.
 CMGame.SAVE_PREFIX = "cmgamesave_";
 
+// Every CMGame instance on the current page (not yet destroyed), in order of creation
+CMGame.instances = [];
+
 (function() {
 	Object.defineProperty(CMGame, "MAX_FPS", {
 		value: 60,
@@ -8137,6 +10565,12 @@ CMGame.SAVE_PREFIX = "cmgamesave_";
 		value: 15, // Note: nonzero can cause weird delays onswipe
 		writable: false
 	});
+
+	// Most seconds a single animation frame can advance the game (e.g., after switching tabs)
+	Object.defineProperty(CMGame, "MAX_ELAPSED_TIME", {
+		value: 0.25,
+		writable: false
+	});
 }());
 
 /**
@@ -8179,14 +10613,16 @@ CMGame.SAVE_PREFIX = "cmgamesave_";
 			}
 
 			// Note: cancelNextFrame has same functionality regardless of fps
-			window.requestNextFrame = function(callback) {
+			this.requestNextFrame = function(callback) {
 				self.awaitingAnimFrame = true;
 				setTimeout(function() {
-					if(!self.paused)
+					if(!self.paused && !self.headless)
 						self.animFrameId = requestAnimationFrame(callback);
 
 					self.awaitingAnimFrame = false;
 				}, newFrameDelay);
+
+				return self.animFrameId;
 			};
 		}
 	});
@@ -8434,13 +10870,11 @@ Object.defineProperty(CMGame.prototype, "graphScalar", {
 
 	set(newVal) {
 		let oldVal = this.graphScalar_Private || 120;
-		this.graphScalar_Private = newVal;
+		this.storeGraphScalar(newVal);
 
 		// this.tickDistance = this.tickDistance * newVal / oldVal;
 		// this.gridlineDistance = this.gridlineDistance * newVal / oldVal;
 
-		this.unzoomedGraphScalar = newVal * this.zoomLevel;
-
 		// this.unzoomedTickDistance = this.tickDistance * this.zoomLevel;
 		// this.unzoomedGridlineDistance = this.gridlineDistance * this.zoomLevel;
 
@@ -8453,26 +10887,238 @@ Object.defineProperty(CMGame.prototype, "graphScalar", {
 });
 
 /**
- * One reusable HTML element is used for
- * displaying brief "toast" messages to user.
- * This is a span with inline-block display,
- * centered in the top middle of the screen.
+ * Where save() and load() keep game data: the browser's
+ * localStorage, or an in-memory stand-in for headless games
  */
-if(!CMGame.toastElement) {
-	CMGame.toastElement = document.createElement("span");
-	CMGame.toastElement.setAttribute("id", "cmToast");
-	CMGame.toastElement.classList.add("cm-toast");
-	documentBody.appendChild(CMGame.toastElement);
+Object.defineProperty(CMGame.prototype, "storage", {
+	get() {
+		return this.headless ? this.headlessStorage_Private : localStorage;
+	}
+});
+
+/**
+ * The classes the engine builds drawing paths, gradients
+ * and patterns from. These are the browser's own, unless
+ * one is missing (e.g., under jsdom), in which case
+ * createHeadlessContext() stands in for it here, leaving
+ * window as it was.
+ */
+CMGame.Path2D = window.Path2D;
+CMGame.CanvasGradient = window.CanvasGradient;
+CMGame.CanvasPattern = window.CanvasPattern;
+
+/**
+ * Creates a stand-in for a canvas's 2D drawing context,
+ * for headless games. Drawing methods do nothing, while
+ * properties like fillStyle and font keep whatever is set
+ * (and are restored by restore()), so game code runs
+ * unchanged. Mostly used internally.
+ * @param {object} canvas - The canvas this context belongs to
+ * @returns {object}
+ */
+CMGame.createHeadlessContext = function(canvas) {
+	let savedStates = [];
+	let lineDash = [];
+
+	// Paths here are built but never drawn (and contain no points)
+	if(typeof CMGame.Path2D === "undefined") {
+		CMGame.Path2D = class {
+			addPath() {}
+			arc() {}
+			arcTo() {}
+			bezierCurveTo() {}
+			closePath() {}
+			ellipse() {}
+			lineTo() {}
+			moveTo() {}
+			quadraticCurveTo() {}
+			rect() {}
+			roundRect() {}
+		};
+	}
+
+	// Sprites check their drawRule against these
+	if(typeof CMGame.CanvasGradient === "undefined") {
+		CMGame.CanvasGradient = class {
+			addColorStop() {}
+		};
+	}
+
+	if(typeof CMGame.CanvasPattern === "undefined") {
+		CMGame.CanvasPattern = class {
+			setTransform() {}
+		};
+	}
+
+	let state = {
+		canvas: canvas,
+		direction: "inherit",
+		fillStyle: "#000000",
+		filter: "none",
+		font: "10px sans-serif",
+		globalAlpha: 1,
+		globalCompositeOperation: "source-over",
+		imageSmoothingEnabled: true,
+		lineCap: "butt",
+		lineDashOffset: 0,
+		lineJoin: "miter",
+		lineWidth: 1,
+		miterLimit: 10,
+		shadowBlur: 0,
+		shadowColor: "rgba(0, 0, 0, 0)",
+		shadowOffsetX: 0,
+		shadowOffsetY: 0,
+		strokeStyle: "#000000",
+		textAlign: "start",
+		textBaseline: "alphabetic"
+	};
+
+	// Instances of the real (or stand-in) classes, so sprites can still recognize them
+	let gradient = () => Object.assign(Object.create(CMGame.CanvasGradient.prototype), { addColorStop: CMGame.noop });
+	let pattern = () => Object.assign(Object.create(CMGame.CanvasPattern.prototype), { setTransform: CMGame.noop });
+	let imageData = (width=0, height=0) => ({
+		width: width,
+		height: height,
+		data: new Uint8ClampedArray(Math.max(0, width * height * 4))
+	});
+
+	// Real paths can be tested on a real (never drawn) context. Stand-in paths contain nothing.
+	let realCtx = null;
+	let testPoint = (method, path, x, y, fillRule="nonzero") => {
+		if(typeof window.Path2D === "undefined" || !(path instanceof window.Path2D))
+			return false;
+
+		realCtx = realCtx || document.createElement("canvas").getContext("2d");
+		if(!realCtx)
+			return false;
+
+		realCtx.lineWidth = state.lineWidth;
+		return (method === "isPointInPath") ?
+			realCtx.isPointInPath(path, x, y, fillRule) :
+			realCtx.isPointInStroke(path, x, y);
+	};
+
+	let methods = {
+		save: () => {
+			savedStates.push(Object.assign({}, state, { lineDash: lineDash.slice() }));
+		},
+		restore: () => {
+			let savedState = savedStates.pop();
+			if(savedState) {
+				lineDash = savedState.lineDash;
+				delete savedState.lineDash;
+				Object.assign(state, savedState);
+			}
+		},
+		measureText: text => {
+			let fontSize = parseFloat((state.font.match(/([0-9.]+)px/) || [0, 10])[1]);
+
+			// A rough estimate, since nothing is actually rendered
+			return {
+				width: .5 * fontSize * ("" + text).length,
+				actualBoundingBoxAscent: .8 * fontSize,
+				actualBoundingBoxDescent: .2 * fontSize
+			};
+		},
+		getLineDash: () => lineDash.slice(),
+		setLineDash: segments => { lineDash = segments.slice(); },
+		getTransform: () => ({ a: 1, b: 0, c: 0, d: 1, e: 0, f: 0 }),
+		isPointInPath: (path, x, y, fillRule) => testPoint("isPointInPath", path, x, y, fillRule),
+		isPointInStroke: (path, x, y) => testPoint("isPointInStroke", path, x, y),
+		getImageData: (x, y, width, height) => imageData(width, height),
+		createImageData: (width, height) => imageData(width, height),
+		createLinearGradient: gradient,
+		createRadialGradient: gradient,
+		createConicGradient: gradient,
+		createPattern: pattern
+	};
+
+	return new Proxy(state, {
+		get(target, key) {
+			if(key in methods)
+				return methods[key];
+
+			if(key in target)
+				return target[key];
+
+			// Any other drawing method (fillRect, drawImage, etc.)
+			return CMGame.noop;
+		},
+
+		set(target, key, value) {
+			target[key] = value;
+			return true;
+		}
+	});
+};
+
+/**
+ * Creates an in-memory stand-in for localStorage,
+ * used for saving and loading in headless games.
+ * Mostly used internally.
+ * @returns {object}
+ */
+CMGame.createMemoryStorage = function() {
+	let items = new Map();
+
+	return {
+		getItem: key => items.has(key) ? items.get(key) : null,
+		setItem: (key, value) => { items.set(key, "" + value); },
+		removeItem: key => { items.delete(key); },
+		clear: () => { items.clear(); }
+	};
+};
+
+/**
+ * A game's sprites, functions, vertices, and edges
+ * are those of its active scene
+ */
+["sprites", "functions", "vertices", "edges"].forEach(key => {
+	Object.defineProperty(CMGame.prototype, key, {
+		get() {
+			return this.scene[key];
+		},
+
+		set(newVal) {
+			this.scene[key] = newVal;
+		}
+	});
+});
+
+/** The game's active CMScene (the top of its scene stack) */
+Object.defineProperty(CMGame.prototype, "scene", {
+	get() {
+		return this.scenes[this.scenes.length - 1];
+	}
+});
+
+/**
+ * Creates an HTML element for displaying brief
+ * "toast" messages to user. This is a span with
+ * inline-block display, centered in the top
+ * middle of the screen (or of a game's canvas).
+ * Mostly used internally.
+ * @param {string} id - The id attribute for the new element
+ * @returns {HTMLElement}
+ */
+CMGame.createToastElement = function(id) {
+	let toastElement = document.createElement("span");
+	toastElement.setAttribute("id", id);
+	toastElement.classList.add("cm-toast");
+	toastElement.classList.add("cm-toast-fade");
+	documentBody.appendChild(toastElement);
 
 	// When a toast is shown, it fades to invisible after a few seconds, but then we need it to leave the HTML
-	CMGame.toastElement.addEventListener("animationend", function() {
-		CMGame.toastElement.style.display = "none";
+	toastElement.addEventListener("animationend", function() {
+		toastElement.style.display = "none";
 	}, false);
 
 	// Completely remove toast if it is covered by another element before animation completes
-	CMGame.toastElement.addEventListener("animationcancel", function() {
-		CMGame.toastElement.style.display = "none";
+	toastElement.addEventListener("animationcancel", function() {
+		toastElement.style.display = "none";
 	}, false);
+
+	return toastElement;
 };
 
 /**
@@ -8481,31 +11127,51 @@ if(!CMGame.toastElement) {
  * size calculations when trying to center. To
  * account for this we store a clone, offscreen,
  * without visual animations, and use it for
- * our calculations.
+ * our calculations. Mostly used internally.
+ * @param {string} id - The id attribute for the new element
+ * @returns {HTMLElement}
  */
-if(!CMGame.offscreenToastElement) {
-	CMGame.offscreenToastElement = document.createElement("span");
-	CMGame.offscreenToastElement.setAttribute("id", "cmOffscreenToast");
-	CMGame.offscreenToastElement.classList.add("cm-toast");
-	CMGame.offscreenToastElement.style.display = "inline-block";
+CMGame.createOffscreenToastElement = function(id) {
+	let offscreenToastElement = document.createElement("span");
+	offscreenToastElement.setAttribute("id", id);
+	offscreenToastElement.classList.add("cm-toast");
+	offscreenToastElement.style.display = "inline-block";
 
 	// Positive values here result in incorrect client rect values
-	CMGame.offscreenToastElement.style.left = "-100vw";
-	CMGame.offscreenToastElement.style.top = "-100vh";
-	documentBody.appendChild(CMGame.offscreenToastElement);
+	offscreenToastElement.style.left = "-100vw";
+	offscreenToastElement.style.top = "-100vh";
+	documentBody.appendChild(offscreenToastElement);
+
+	return offscreenToastElement;
+};
+
+/**
+ * One reusable HTML element (and its offscreen clone)
+ * is used for page-level toasts, via CMGame.showToast().
+ * Each game also has its own, for game.showToast().
+ */
+if(!CMGame.toastElement) {
+	CMGame.toastElement = CMGame.createToastElement("cmToast");
+};
+
+if(!CMGame.offscreenToastElement) {
+	CMGame.offscreenToastElement = CMGame.createOffscreenToastElement("cmOffscreenToast");
 };
 
 /**
- * Creates a toast message, showing briefly
+ * Shows a toast message in the given elements. Used
+ * by CMGame.showToast() and game.showToast().
+ * @param {HTMLElement} toastElement - The visible toast element
+ * @param {HTMLElement} offscreenToastElement - Its offscreen clone, for measuring
+ * @param {CMGame|null} game - If present, the toast is centered over this game's canvas
  * @param {string} toastMessage - A text or HTML string to show in the toast
- * @param {number} [startDelay=0] - How long (ms) to wait before showing toast
- * @param {number|string} [duration="auto"] - How many milliseconds to show the toast - for
- *   convenience, the default automatically calculates a time based on string length
- * @param {function} [callback=CMGame.noop] - A function to perform after the toast completely fades
+ * @param {number} startDelay - How long (ms) to wait before showing toast
+ * @param {number|string} duration - How many milliseconds to show the toast, or "auto"
+ * @param {function} callback - A function to perform after the toast completely fades
  */
-CMGame.showToast = function(toastMessage, startDelay=0, duration="auto", callback=CMGame.noop) {
-	CMGame.offscreenToastElement.innerHTML = toastMessage;
-	CMGame.toastElement.innerHTML = toastMessage;
+function showToastIn(toastElement, offscreenToastElement, game, toastMessage, startDelay, duration, callback) {
+	offscreenToastElement.innerHTML = toastMessage;
+	toastElement.innerHTML = toastMessage;
 
 	// Get CSS animation duration in seconds
 	let toastDuration;
@@ -8521,39 +11187,47 @@ CMGame.showToast = function(toastMessage, startDelay=0, duration="auto", callbac
 	// Add to the callback to make sure this event is removed
 	let amendedCallback = function(e) {
 
-		// As a static function, current game is not accessed. Instead we set `this` to the HTML message element
-		callback.call(CMGame.toastElement, e);
-		CMGame.toastElement.removeEventListener("animationend", amendedCallback, false);
+		// Rather than the current game, we set `this` to the HTML message element
+		callback.call(toastElement, e);
+		toastElement.removeEventListener("animationend", amendedCallback, false);
 	};
 
-	CMGame.toastElement.addEventListener("animationend", amendedCallback, false);
+	toastElement.addEventListener("animationend", amendedCallback, false);
 
-	let boundingRect = CMGame.offscreenToastElement.getBoundingClientRect();
-	let widthStr = window.getComputedStyle(CMGame.offscreenToastElement).getPropertyValue("width").replace("px", "");
+	let boundingRect = offscreenToastElement.getBoundingClientRect();
+	let widthStr = window.getComputedStyle(offscreenToastElement).getPropertyValue("width").replace("px", "");
 	let computedWidth = parseFloat(widthStr) || 0; // if "auto", "", etc., defaults to 0
 	let assumedWidth = Math.max(boundingRect.right - boundingRect.left, computedWidth);
 
-	CMGame.toastElement.style.opacity = "0";
-	CMGame.toastElement.style.display = "none";
-	CMGame.toastElement.style.left = `calc(50vw - ${.5 * assumedWidth}px)`;
+	toastElement.style.opacity = "0";
+	toastElement.style.display = "none";
 
-	CMGame.toastElement.style.animationDuration =
-		CMGame.toastElement.style.webkitAnimationDuration = `${toastDuration}s`;
+	if(game) {
+		let canvasRect = game.canvas.getBoundingClientRect();
+		toastElement.style.left = `${canvasRect.left + .5 * (canvasRect.width - assumedWidth)}px`;
+		toastElement.style.top = `${Math.max(0, canvasRect.top) + .067 * canvasRect.height}px`;
+	}
+	else {
+		toastElement.style.left = `calc(50vw - ${.5 * assumedWidth}px)`;
+	}
+
+	toastElement.style.animationDuration =
+		toastElement.style.webkitAnimationDuration = `${toastDuration}s`;
 
 	setTimeout(function() {
-		CMGame.toastElement.style.display = "inline-block";
+		toastElement.style.display = "inline-block";
 	}, startDelay);
-};
+}
 
 /**
- * Shows multiple toast messages, one at a time. Each
- * duration is automatically calculated based on message.
- * If you prefer to handle time calculations yourself, use
- * CMGame.showToast()
+ * Shows multiple toast messages, one at a time,
+ * using the given single-toast function. Used by
+ * CMGame.showToasts() and game.showToasts().
+ * @param {function} showOneToast - Function taking a message, that shows the toast
  * @param {string[]} toastMessages - The text (or HTML) to show in each toast
- * @param {number} [initialDelay=0] - Delay in ms before showing first toast
+ * @param {number} initialDelay - Delay in ms before showing first toast
  */
-CMGame.showToasts = function(toastMessages, initialDelay=0) {
+function showToastsWith(showOneToast, toastMessages, initialDelay) {
 
 	let nextStart = initialDelay;
 	let nextDuration = 4000;
@@ -8567,7 +11241,7 @@ CMGame.showToasts = function(toastMessages, initialDelay=0) {
 
 		(function(idx, nextStart) {
 			setTimeout(function() {
-				CMGame.showToast(toastMessages[idx]);
+				showOneToast(toastMessages[idx]);
 			},
 			nextStart);
 		}(i, nextStart));
@@ -8575,6 +11249,133 @@ CMGame.showToasts = function(toastMessages, initialDelay=0) {
 		// provide 1 second buffer between toasts, for animation to complete
 		nextStart += nextDuration + 1000;
 	}
+}
+
+/**
+ * Creates a toast message, showing briefly at the top
+ * middle of the page. To show a toast over a specific
+ * game (e.g., with several games on one page) use
+ * game.showToast() instead.
+ * @param {string} toastMessage - A text or HTML string to show in the toast
+ * @param {number} [startDelay=0] - How long (ms) to wait before showing toast
+ * @param {number|string} [duration="auto"] - How many milliseconds to show the toast - for
+ *   convenience, the default automatically calculates a time based on string length
+ * @param {function} [callback=CMGame.noop] - A function to perform after the toast completely fades
+ */
+CMGame.showToast = function(toastMessage, startDelay=0, duration="auto", callback=CMGame.noop) {
+	showToastIn(CMGame.toastElement, CMGame.offscreenToastElement, null,
+		toastMessage, startDelay, duration, callback);
+};
+
+/**
+ * Shows multiple toast messages, one at a time. Each
+ * duration is automatically calculated based on message.
+ * If you prefer to handle time calculations yourself, use
+ * CMGame.showToast()
+ * @param {string[]} toastMessages - The text (or HTML) to show in each toast
+ * @param {number} [initialDelay=0] - Delay in ms before showing first toast
+ */
+CMGame.showToasts = function(toastMessages, initialDelay=0) {
+	showToastsWith(CMGame.showToast, toastMessages, initialDelay);
+};
+
+/**
+ * Reads an axis scale option (see the CMGame constructor's
+ * xScale and yScale options). Mostly used internally.
+ * @param {string|object} [scale="linear"] - "linear", "log", "ln", or "pi", or a plain
+ *   JS object with type, base, denominator, and ticks values
+ * @returns {object} A plain JS object with type ("linear", "log", or "pi"), base (for
+ *   "log", otherwise null), denominator (for "pi", otherwise null), and ticks (a function
+ *   or null) values
+ */
+CMGame.readScale = function(scale="linear") {
+	if(typeof scale === "string") {
+		scale = {type: scale};
+	}
+
+	let type = scale.type || "linear";
+	let base = scale.base;
+
+	if(type === "ln") {
+		type = "log";
+		base = Math.E;
+	}
+
+	if(!["linear", "log", "pi"].includes(type)) {
+		console.error("\"" + type + "\" is not a valid axis scale. Use \"linear\", \"log\", \"ln\", or \"pi\".");
+		type = "linear";
+	}
+
+	if(type === "log" && typeof base !== "undefined" && !(base > 0 && base !== 1)) {
+		console.error("A \"log\" axis scale must have a positive base other than 1. Using base 10 instead.");
+		base = 10;
+	}
+
+	return {
+		type: type,
+		base: (type === "log") ? (base || 10) : null,
+		denominator: (type === "pi") ? (scale.denominator || 2) : null,
+		ticks: (typeof scale.ticks === "function") ? scale.ticks : null
+	};
+};
+
+/**
+ * Finds how far along an axis (in real units, before
+ * graphScalar is applied) a real value sits, for the
+ * given axis scale. On a "log" axis, this is the value's
+ * logarithm, so values of 0 or less are infinitely far
+ * left (or down). Mostly used internally.
+ * @param {object} scale - An axis scale (see CMGame.readScale)
+ * @param {number} value - A real value
+ * @returns {number}
+ */
+CMGame.valueToAxis = function(scale, value) {
+	if(scale.type !== "log") {
+		return value;
+	}
+
+	if(!(value > 0)) {
+		return -Infinity;
+	}
+
+	return (scale.base === 10) ? Math.log10(value) : Math.log(value) / Math.log(scale.base);
+};
+
+/**
+ * Finds the real value at a given distance along an
+ * axis, for the given axis scale. The reverse of
+ * CMGame.valueToAxis. Mostly used internally.
+ * @param {object} scale - An axis scale (see CMGame.readScale)
+ * @param {number} distance - A distance along the axis, in real units (before graphScalar is applied)
+ * @returns {number}
+ */
+CMGame.axisToValue = function(scale, distance) {
+	if(scale.type !== "log") {
+		return distance;
+	}
+
+	return scale.base ** distance;
+};
+
+/**
+ * Writes a multiple of pi as a reduced fraction, e.g.,
+ * CMGame.piLabel(3, 2); // "3π/2"
+ * CMGame.piLabel(-2, 4); // "-π/2"
+ * @param {number} numerator - An integer multiple of pi
+ * @param {number} [denominator=1] - A positive integer to divide by
+ * @returns {string}
+ */
+CMGame.piLabel = function(numerator, denominator=1) {
+	if(numerator === 0) {
+		return "0";
+	}
+
+	let gcd = (a, b) => (b === 0) ? a : gcd(b, a % b);
+	let divisor = gcd(Math.abs(numerator), Math.abs(denominator));
+	let top = Math.abs(numerator) / divisor;
+	let bottom = Math.abs(denominator) / divisor;
+
+	return (numerator < 0 ? "-" : "") + (top === 1 ? "" : top) + "π" + (bottom === 1 ? "" : "/" + bottom);
 };
 
 /** Manages a foreground image game object */
@@ -8627,6 +11428,8 @@ class CMSprite {
 	 * @param {object} [options.boundingRect] - A rectangular object (i.e., an object with  numerical x, y,
 	 *   width and height properties) that will be used instead of the entire canvas, when invoking
 	 *   the bounding rules for this sprite. Defaults to this.game (i.e., the game's canvas dimensions)
+	 * @param {boolean} [options.fixedOnScreen=false] - If true, this sprite stays in place when
+	 *   the game's interactivePlane is panned or zoomed (e.g., for buttons and scores)
 	 */
 	constructor(game, x, y, widthOrRadius, heightOrCircle, drawRule=null,
 			boundingRule="none", options={}) {
@@ -8635,6 +11438,7 @@ class CMSprite {
 		this.x = x;
 		this.y = y;
 		this.z = options.z || 0;
+		this.fixedOnScreen = !!options.fixedOnScreen;
 
 		// Do not override these - they are used with Object.defineProperty. Override boundingRule instead.
 		this.boundingRule_Private = boundingRule;
@@ -8712,8 +11516,8 @@ class CMSprite {
 		this.strokeStyle = CMColor.NONE;
 
 		if(typeof drawRule === "string" ||
-			drawRule instanceof CanvasGradient ||
-			drawRule instanceof CanvasPattern) {
+			drawRule instanceof CMGame.CanvasGradient ||
+			drawRule instanceof CMGame.CanvasPattern) {
 			this.fillStyle = drawRule;
 			this.strokeStyle = drawRule;
 		}
@@ -8881,7 +11685,8 @@ class CMSprite {
 	/**
 	 * Sets the sprite's current movement path.
 	 * @param {function|array|object|null} newPath - If a CMFunction, this will be invoked
-	 *   on each update to determine sprite's movement. If an object, this sprite's
+	 *   on each update to determine sprite's movement. If a CMVectorField (or CMSlopeField),
+	 *   the sprite follows the field, using a path from the field's pathFrom(). If an object, this sprite's
 	 *   velocity will be set to that object's x, y, z values (setting any undefined to 0).
 	 *   If an array, sprite's velocity x, y, z values will be set to the array's first,
 	 *   second, and third index, respectively.
@@ -8893,12 +11698,34 @@ class CMSprite {
 	 * @param {object} [options.offset=null] - A point-like object giving details of how much the sprite's
 	 *   x and y are offset from the path point. By default, this assumes the point is in the center
 	 *   of the sprite and calculates that value.
+	 * @param {object} [options.start] - For a CMVectorField, the real point to start following the
+	 *   field from. Defaults to the sprite's current center. Other pathFrom() options, like speed,
+	 *   can also be included.
 	 */
 	setPath(newPath, options) {
 		if(!newPath && newPath !== 0) { // cancel current path, e.g. by passing in null
 			this.pathFunction = null;
 		}
 		else
+		if(newPath instanceof CMVectorField) {
+			let opts = (options && typeof options === "object") ? options : {};
+			let start = opts.start;
+
+			if(!start) {
+				let center = (this.shape === "circle") ?
+					{x: this.x, y: this.y} :
+					{x: this.x + .5 * this.width, y: this.y + .5 * this.height};
+
+				start = this.game.toReal(center, newPath.origin);
+			}
+
+			// Here "start" is a point, not the path's start values
+			let pathOpts = Object.assign({}, opts);
+			delete pathOpts.start;
+
+			this.setPath(newPath.pathFrom(start, pathOpts), opts);
+		}
+		else
 		if(newPath instanceof CMFunction) {
 			let opts = {
 				follow: "end",
@@ -8963,15 +11790,33 @@ class CMSprite {
 
 	/**
 	 * Updates the sprite for one animation cycle,
-	 * moving it and bounding if necessary
+	 * moving it and bounding if necessary. In the game's
+	 * fixedTimestep mode, velocity and acceleration are
+	 * treated as "per second" and scaled by dt.
 	 * @param {number} frameCount - The game's integer counter for frames
+	 * @param {number} [dt] - Seconds of game time this update represents
 	 */
-	update(frameCount) {
+	update(frameCount, dt=this.game.timestep) {
+		let step = this.game.fixedTimestep ? dt : 1;
+
+		// Stored for drawing between updates in fixedTimestep mode
+		this.previousX = this.x;
+		this.previousY = this.y;
+
+		if(this.shape === "line") {
+			this.previousStart = { x: this.start.x, y: this.start.y };
+			this.previousEnd = { x: this.end.x, y: this.end.y };
+		}
+
+		if(this instanceof CMPolygon) {
+			this.previousPoints = this.points.map(point => ({ x: point.x, y: point.y }));
+		}
+
 		if(this.pathFunction instanceof CMFunction) {
 
 			// Avoid calling update() twice on this function
 			if(!this.game.functions.includes(this.pathFunction))
-				this.pathFunction.update(frameCount);
+				this.pathFunction.update(frameCount, dt);
 
 			switch(this.pathFunction.type) {
 				case "xofy":
@@ -9010,8 +11855,8 @@ class CMSprite {
 			}
 		}
 		else {
-			this.velocity.x += this.acceleration.x;
-			this.velocity.y += this.acceleration.y;
+			this.velocity.x += this.acceleration.x * step;
+			this.velocity.y += this.acceleration.y * step;
 		}
 
 		/**
@@ -9019,18 +11864,18 @@ class CMSprite {
 		 * z can be handled separately from path
 		 */
 		if(this.acceleration.z) {
-			this.velocity.z += this.acceleration.z;
+			this.velocity.z += this.acceleration.z * step;
 		}
 
-		this.x += this.velocity.x;
-		this.y += this.velocity.y;
+		this.x += this.velocity.x * step;
+		this.y += this.velocity.y * step;
 
 		if(this.velocity.z) {
-			this.z += this.velocity.z;
+			this.z += this.velocity.z * step;
 		}
 
 		if(this.velocity.opacity) {
-			this.opacity += this.velocity.opacity;
+			this.opacity += this.velocity.opacity * step;
 			if(this.velocity.opacity > 0 && this.opacity >= 1.0) {
 				this.opacity = 1.0;
 				this.velocity.opacity = 0;
@@ -9079,9 +11924,13 @@ class CMSprite {
 	 */
 	fadeIn(duration=500, asFrames=false) {
 		let self = this;
-		let totalFrames = asFrames ? duration : this.game.fps * (duration / 1000);
+		let framesPerSecond = this.game.fixedTimestep ? (1 / this.game.timestep) : this.game.fps;
+		let totalFrames = asFrames ? duration : framesPerSecond * (duration / 1000);
 
 		this.velocity.opacity = 1 / totalFrames;
+		if(this.game.fixedTimestep) {
+			this.velocity.opacity /= this.game.timestep; // opacity changes per second in this mode
+		}
 		return new Promise(function(resolve, reject) {
 			self.game.setFrameout(resolve, totalFrames);
 		});
@@ -9102,9 +11951,13 @@ class CMSprite {
 	 */
 	fadeOut(duration=500, asFrames=false) {
 		let self = this;
-		let totalFrames = asFrames ? duration : this.game.fps * (duration / 1000);
+		let framesPerSecond = this.game.fixedTimestep ? (1 / this.game.timestep) : this.game.fps;
+		let totalFrames = asFrames ? duration : framesPerSecond * (duration / 1000);
 
 		this.velocity.opacity = -1 / totalFrames;
+		if(this.game.fixedTimestep) {
+			this.velocity.opacity /= this.game.timestep; // opacity changes per second in this mode
+		}
 		return new Promise(function(resolve, reject) {
 			self.game.setFrameout(resolve, totalFrames);
 		});
@@ -9775,8 +12628,37 @@ class CMSprite {
 		}
 	}
 
+	/**
+	 * Moves this sprite along with the graph plane, when the
+	 * game is panned or zoomed with pan() or zoomBy(). Only
+	 * the position changes; the sprite keeps its size.
+	 * Mostly used internally.
+	 * @param {function} mapPoint - Takes a screen point on the old plane, and returns where it is now
+	 * @param {number} newScalar - The game's graphScalar after the change
+	 */
+	followPlane(mapPoint, newScalar) {
+		let newPoint = mapPoint(this);
+		let dx = newPoint.x - this.x;
+		let dy = newPoint.y - this.y;
+
+		this.x += dx;
+		this.y += dy;
+
+		if(this.shape === "line") {
+			this.start.x += dx;
+			this.start.y += dy;
+			this.end.x += dx;
+			this.end.y += dy;
+		}
+
+		// Paths added to the game as functions have already moved
+		if(this.pathFunction instanceof CMFunction && !this.game.functions.includes(this.pathFunction)) {
+			this.pathFunction.followPlane(mapPoint, newScalar);
+		}
+	}
+
 	// These can be overridden by dev
-	onupdate(frameCount) {}
+	onupdate(frameCount, dt) {}
 	onbeforedraw(ctx) {}
 	ondraw(ctx) {}
 	onfadein(frameCount) {}
@@ -10263,6 +13145,28 @@ CMGame.clamp = (entry, bound, upperBound) => {
 		return Math.min(Math.max( 0, entry ), bound);
 };
 
+/**
+ * Keeps a value between two others, rounded to a
+ * multiple of a step from the first of them, e.g.,
+ * for a CMSlider or a CMFunction parameter.
+ * CMGame.snapToStep(3.4, 0, 5, 1); // returns 3
+ * @param {number} value - The value to snap
+ * @param {number} min - The start of the range, which steps are counted from
+ * @param {number} max - The end of the range
+ * @param {number} [step=0] - The step size. 0 allows any value in the range.
+ * @returns {number}
+ */
+CMGame.snapToStep = (value, min, max, step=0) => {
+	if(step > 0) {
+		value = min + Math.round((value - min) / step) * step;
+
+		// Remove rounding errors like 0.30000000000000004
+		value = parseFloat(value.toFixed(10));
+	}
+
+	return CMGame.clamp(value, Math.min(min, max), Math.max(min, max));
+};
+
 /**
  * Shifts a value to an appropriate value
  * between two others. Unlike clamp, this
@@ -10314,1100 +13218,7031 @@ CMGame.mod = (entry, bound, upperBound) => {
 	return entry;
 };
 
-/** Class to manage drawable functions */
-class CMFunction {
+/**
+ * Parses math written the way teachers write it,
+ * like "3sin(2x) + x^2/4" or "r = 1 + cos(theta)",
+ * into a tree of nodes (an "abstract syntax tree")
+ * that can be evaluated, displayed, and examined.
+ * No JavaScript is ever evaluated, so strings from
+ * any source are safe to parse.
+ *
+ * Supports +, -, *, /, ^ (or **), implicit multiplication
+ * (2x, 3sin(x), (x+1)(x-1)), absolute value bars |x|,
+ * the constants pi (or π) and e, and the functions listed
+ * in CMExpression.FUNCTIONS. Functions can skip their
+ * parentheses (sin 2x) or take a power (sin^2(x)).
+ *
+ * Nodes are plain JS objects with a "type" of:
+ *   "number" (value), "constant" (name, value),
+ *   "variable" (name), "negate" (arg),
+ *   "operator" (op, left, right; op is "+", "-", "*", "/", or "^"),
+ *   "function" (name, args), "tuple" (items),
+ *   or "relation" (op, left, right; op is "=", "<", ">", "<=", or ">=")
+ */
+class CMExpression {
+	/**
+	 * Creates a CMExpression instance. Throws an
+	 * error if the string cannot be parsed.
+	 * @param {string|object} source - The math to parse, e.g., "3sin(2x) + x^2/4",
+	 *   or an expression tree node to use as is
+	 */
+	constructor(source) {
+
+		// A tree (e.g., from CMExpression.differentiate) needs no parsing
+		if(typeof source === "object" && source !== null) {
+			this.ast = source;
+			this.source = CMExpression.stringify(source);
+		}
+		else {
+			this.source = source;
+			this.ast = CMExpression.parse(source);
+		}
+
+		// Every variable name used, like ["x"] or ["t"], in alphabetical order
+		this.variables = Array.from(CMExpression.findVariables(this.ast)).sort();
+
+		this.evaluator = CMExpression.compile(this.ast);
+	}
 
 	/**
-	 * Creates a CMFunction instance.
-	 *
-	 * @param {CMGame} game - The associated CMGame instance
-	 * @param {function} func - A single input function defining the graph.
-	 *   The default assumption is a standard Cartesian "return y as a function
-	 *   of x" function, but other options can be set in options.type.
-	 * @param {object} [opts] - An object of options. All values are optional, including opts itself.
-	 * @param {string} [opts.type="cartesian"] - "cartesian" (default), "polar", "parametric", "xofy" (sideways)
-	 *   "cartesian" is standard. func should take a single input (x) and return single output (y)
-	 *   "yofox" is essentially Cartesian along y-axis, instead of x. func should take a single
-	 *      input (y) and return single output (x)
-	 *   "polar" is polar coordinates. func should take a single input (theta) and return single output (r)
-	 *   "parametric" is based on an extra parameter (t). func should take a single input (t) and
-	 *      return a point with an x value and a y value, e.g., func = (t) => {x: t**2, y: Math.cos(t)}
-	 * @param {string} [opts.strokeStyle] - color for the graph curve
-	 * @param {string} [opts.fillStyleBelow] - color for area below graph curve
-	 * @param {string} [opts.fillStyleAbove] - color for area above graph curve
-	 * @param {string} [opts.lineWidth] - line width for the graph curve
-	 * @param {string} [opts.name] - Convenience, e.g., for drawing name to screen
-	 * @param {boolean} [opts.fixed] - true if you know the graph will not change. Useful for optimizations.
-	 * @param {object} [opts.start] - Object defining real number start values for x, t, etc.
-	 * @param {object} [opts.end] - Object defining real number end values for x, t, etc.
-	 * @param {object} [opts.velocity] - Object defining quantity to change values per frame
-	 * @param {number} [opts.tStep] - For "parametric" type, defines how much t increments to next screen value
-	 * @param {number} [opts.thetaStep] - For "polar" type, defines how much theta increments to next screen value
-	 * @param {object|array} [opts.origin] - A point-like object or array with 2 values (x and y)
-	 *   representing the pixel coordinates this function should treat as the origin. If
-	 *   not provided, defaults to the current game's origin (as expected).
-	 * @param {function} [opts.onupdate] - A callback called after
-	 *   update(). Take game's frameCount as only parameter
-	 * @param {function} [opts.onbeforedraw] - A callback called before this function is
-	 *   drawn to the screen. Can be used e.g., to draw small background relative to this
-	 *   graph's origin.
-	 * @param {function} [opts.ondraw] - A callback called after
-	 *   draw(). Takes game's drawing context as only parameter
-	 * @param {function|array} [opts.discontinuousAt] - A boolean function, taking in real values, that
-	 *   is true when strokes should break (i.e., at points of discontinuity), or an array of specific real
-	 *   values where these breaks should occur. If this function is not present, constructor will assume
-	 *   where breaks occur for functions with floor or ceil functions in them. Note: asymptotes are
-	 *   determined during drawing and are not drawn, so do not need to be included here.
+	 * Gets the value of this expression, using the given
+	 * values for its variables. Variables without a value
+	 * give NaN. Tuples give an array; relations give a boolean.
+	 * @param {object} [scope={}] - A plain JS object mapping variable names to values, e.g., {x: 2}
+	 * @returns {number|array|boolean}
 	 */
-	constructor(game, func, opts={}) {
-		let self = this;
+	evaluate(scope={}) {
+		return this.evaluator(scope);
+	}
 
-		this.game = game;
-		this.type = opts.type || "cartesian";
-		this.lineWidth = opts.lineWidth || 1;
+	/**
+	 * Creates a plain JS function from this expression,
+	 * taking values for the given variables in order.
+	 * new CMExpression("x^2 + y").toFunction("x", "y")(3, 1); // 10
+	 * @param {...string} variableNames - The names of the function's inputs
+	 * @returns {function}
+	 */
+	toFunction(...variableNames) {
+		let evaluator = this.evaluator;
+		let scope = {};
 
-		// Information stored for checking point positions later
-		this.continuous = opts.continuous || true;
-		if(!opts.discontinuousAt) {
-			let funcString = func.toString();
-			if(funcString.includes("Math.floor") || funcString.includes("Math.ceil")) {
-				this.continuous = false;
+		return function(...values) {
+			for(let i = 0; i < variableNames.length; i++) {
+				scope[variableNames[i]] = values[i];
+			}
 
-				this.discontinuousAt = function(x, nextX) {
-					return !self.game.almostEqual(self.realToScreenOf(x), self.realToScreenOf(nextX));
-				};
+			return evaluator(scope);
+		};
+	}
+
+	/**
+	 * Checks if this expression calls the given
+	 * function anywhere, e.g., expr.uses("floor")
+	 * @param {string} functionName - A name from CMExpression.FUNCTIONS
+	 * @returns {boolean}
+	 */
+	uses(functionName) {
+		return CMExpression.findNodes(this.ast, node =>
+			node.type === "function" && node.name === functionName).length > 0;
+	}
+
+	/**
+	 * Creates a new CMExpression for the derivative of
+	 * this one, with respect to the given variable, e.g.,
+	 * new CMExpression("x^2 + sin(x)").derivative().toString(); // "2x + cos(x)"
+	 * Throws an error if the variable appears inside a function
+	 * without a known derivative (see CMExpression.DERIVATIVES).
+	 * @param {string} [variableName="x"] - The variable to differentiate by
+	 * @returns {CMExpression}
+	 */
+	derivative(variableName="x") {
+		return new CMExpression(
+			CMExpression.simplify( CMExpression.differentiate(this.ast, variableName) ));
+	}
+
+	/**
+	 * Writes this expression in a standard, readable
+	 * form, e.g., for drawing on screen
+	 * @returns {string}
+	 */
+	toString() {
+		return CMExpression.stringify(this.ast);
+	}
+}
+
+/**
+ * Functions that can be used in expressions, by name.
+ * Devs can add their own, e.g.,
+ * CMExpression.FUNCTIONS.double = x => 2 * x;
+ */
+CMExpression.FUNCTIONS = {
+	sin: Math.sin,
+	cos: Math.cos,
+	tan: Math.tan,
+	sec: x => 1 / Math.cos(x),
+	csc: x => 1 / Math.sin(x),
+	cot: x => 1 / Math.tan(x),
+	asin: Math.asin,
+	acos: Math.acos,
+	atan: Math.atan,
+	arcsin: Math.asin,
+	arccos: Math.acos,
+	arctan: Math.atan,
+	sinh: Math.sinh,
+	cosh: Math.cosh,
+	tanh: Math.tanh,
+	sqrt: Math.sqrt,
+	cbrt: Math.cbrt,
+	abs: Math.abs,
+	exp: Math.exp,
+	ln: Math.log,
+	log: Math.log10,
+	floor: Math.floor,
+	ceil: Math.ceil,
+	round: Math.round,
+	sign: Math.sign,
+	min: Math.min,
+	max: Math.max
+};
+
+// Functions whose values jump, so graphs using them need to break
+CMExpression.STEP_FUNCTIONS = ["floor", "ceil", "round", "sign"];
+
+/**
+ * Derivatives of the functions in CMExpression.FUNCTIONS,
+ * written in terms of u, for finding derivatives with
+ * the chain rule. Devs adding their own functions
+ * can add these as well, e.g.,
+ * CMExpression.DERIVATIVES.double = "2";
+ */
+CMExpression.DERIVATIVES = {
+	sin: "cos(u)",
+	cos: "-sin(u)",
+	tan: "sec(u)^2",
+	sec: "sec(u)tan(u)",
+	csc: "-csc(u)cot(u)",
+	cot: "-csc(u)^2",
+	asin: "1/sqrt(1 - u^2)",
+	acos: "-1/sqrt(1 - u^2)",
+	atan: "1/(1 + u^2)",
+	arcsin: "1/sqrt(1 - u^2)",
+	arccos: "-1/sqrt(1 - u^2)",
+	arctan: "1/(1 + u^2)",
+	sinh: "cosh(u)",
+	cosh: "sinh(u)",
+	tanh: "1 - tanh(u)^2",
+	sqrt: "1/(2sqrt(u))",
+	cbrt: "1/(3cbrt(u)^2)",
+	abs: "sign(u)",
+	exp: "exp(u)",
+	ln: "1/u",
+	log: "1/(u ln(10))",
+	floor: "0",
+	ceil: "0",
+	round: "0",
+	sign: "0"
+};
+
+// Named constants that can be used in expressions
+CMExpression.CONSTANTS = {
+	pi: Math.PI,
+	e: Math.E
+};
+
+// Other ways of writing names, mapped to the names used in expression trees
+CMExpression.ALIASES = {
+	"π": "pi",
+	"θ": "theta"
+};
+
+// Multi-letter names that are variables rather than products of letters
+CMExpression.VARIABLE_NAMES = ["theta"];
+
+/**
+ * Splits a math string into tokens, matching the longest
+ * known name first, so "xsin(x)" is x, sin, (, x, ), and
+ * unknown letters are single-letter variables, so "xy" is x, y.
+ * Mostly used internally.
+ * @param {string} source - The math to split
+ * @returns {array} An array of plain JS objects with type, value, and position
+ */
+CMExpression.tokenize = function(source) {
+	let tokens = [];
+	let names = Object.keys(CMExpression.FUNCTIONS)
+		.concat(Object.keys(CMExpression.CONSTANTS))
+		.concat(Object.keys(CMExpression.ALIASES))
+		.concat(CMExpression.VARIABLE_NAMES)
+		.sort((a, b) => b.length - a.length);
+
+	let symbols = {
+		"+": "+",
+		"-": "-",
+		"−": "-", // minus sign
+		"*": "*",
+		"·": "*", // middle dot
+		"×": "*", // multiplication sign
+		"/": "/",
+		"÷": "/", // division sign
+		"^": "^",
+		"(": "(",
+		")": ")",
+		",": ",",
+		"|": "|",
+		"=": "=",
+		"<": "<",
+		">": ">",
+		"≤": "<=",
+		"≥": ">="
+	};
+
+	let i = 0;
+	while(i < source.length) {
+		let char = source[i];
+
+		if(/\s/.test(char)) {
+			i++;
+		}
+		else
+		if(/[0-9.]/.test(char)) {
+			let match = source.slice(i).match(/^(\d+\.?\d*|\.\d+)/);
+			if(!match) {
+				throw new Error("CMExpression cannot read \"" + char + "\" at position " + i + " of \"" + source + "\"");
 			}
+
+			tokens.push({type: "number", value: parseFloat(match[0]), position: i});
+			i += match[0].length;
 		}
 		else
-		if(Array.isArray(opts.discontinuousAt)) {
-			this.discontinuousAt = function(x, nextX) {
-				return opts.discontinuousAt.includes(x);
-			};
+		if(/[A-Za-zͰ-Ͽ]/.test(char)) {
+			let name = names.find(knownName => source.startsWith(knownName, i)) || char;
+			tokens.push({type: "name", value: CMExpression.ALIASES[name] || name, position: i});
+			i += name.length;
 		}
 		else
-		if(typeof opts.discontinuousAt === "function") {
-			this.discontinuousAt = opts.discontinuousAt;
+		if(source.startsWith("**", i)) {
+			tokens.push({type: "^", value: "^", position: i});
+			i += 2;
 		}
-
-		/**
-		 * We'll allow different "origin" so that multiple different
-		 * functions can occur onscreen simultaneously. This will
-		 * be especially useful when defining multiple sprite
-		 * paths.
-		 */
-		this.origin = null;
-		if(Array.isArray(opts.origin)) {
-			this.origin = new CMPoint(
-				opts.origin[0],
-				opts.origin[1],
-				0);
+		else
+		if(source.startsWith("<=", i) || source.startsWith(">=", i)) {
+			tokens.push({type: "relation", value: source.substr(i, 2), position: i});
+			i += 2;
 		}
 		else
-		if(typeof opts.origin === "object") {
-			this.origin = new CMPoint(
-				opts.origin.x,
-				opts.origin.y,
-				0
-			);
+		if(symbols[char]) {
+			let symbol = symbols[char];
+			if(["=", "<", ">", "<=", ">="].includes(symbol)) {
+				tokens.push({type: "relation", value: symbol, position: i});
+			}
+			else {
+				tokens.push({type: symbol, value: symbol, position: i});
+			}
+
+			i++;
 		}
 		else {
-			this.origin = new CMPoint(game.origin);
+			throw new Error("CMExpression cannot read \"" + char + "\" at position " + i + " of \"" + source + "\"");
 		}
+	}
 
-		this.of = func; // e.g., if you name this function f, then f.of(2) is similar to f(2)
+	return tokens;
+};
 
-		// A function shifting and scaling given function's output (with real input) to the screen
-		this.realToScreenOf = null;
+/**
+ * Parses a math string into an expression tree. Throws
+ * an error describing the problem if it cannot be parsed.
+ * @param {string} source - The math to parse
+ * @returns {object} The root node
+ */
+CMExpression.parse = function(source) {
+	if(typeof source !== "string" || !source.trim()) {
+		throw new Error("CMExpression must be given a non-empty string");
+	}
 
-		this.tStep = typeof opts.tStep === "number" ? opts.tStep : 0.1;
-		this.thetaStep = typeof opts.thetaStep === "number" ? opts.thetaStep : (Math.TAU / 360);
+	let tokens = CMExpression.tokenize(source);
+	let index = 0;
+	let absDepth = 0; // How many absolute value bars are open
 
-		this.strokeStyle = opts.strokeStyle || CMColor.DARK_GRAY;
-		this.fillStyleBelow = opts.fillStyleBelow;
-		this.fillStyleAbove = opts.fillStyleAbove;
-		this.name = opts.name || "";
+	let peek = () => tokens[index] || {type: "end", value: "end of input", position: source.length};
+	let next = () => tokens[index++];
 
-		if(typeof opts.color !== "undefined") {
-			console.warn("\"color\" is not a valid option for CMFunction. Use \"strokeStyle\" instead.");
+	let fail = (message) => {
+		throw new Error("CMExpression: " + message + " at position " + peek().position + " of \"" + source + "\"");
+	};
+
+	let expect = (type) => {
+		if(peek().type !== type) {
+			fail("expected \"" + type + "\" but found \"" + peek().value + "\"");
 		}
 
-		this.animationTime = 0;
-		this.start = {
-			t: 0,
-			x: -(this.origin.x / this.game.graphScalar),
-			y: -((this.game.height - this.origin.y) / this.game.graphScalar),
-			r: 0,
-			theta: 0
-		};
+		return next();
+	};
 
-		if(!opts.start) {
-			opts.start = {};
-		}
-
-		for(let key in opts.start) {
-			this.start[key] = opts.start[key];
-		}
+	let isFunctionName = (token) => token.type === "name" &&
+		typeof CMExpression.FUNCTIONS[token.value] === "function";
 
-		this.end = {
-			t: Math.max(this.game.width, this.game.height) / this.tStep,
-			x: ((this.game.width - this.origin.x) / this.game.graphScalar),
-			y: (this.origin.y / this.game.graphScalar),
-			r: 0,
-			theta: Math.TAU
-		};
+	// Whether the next token can start a factor, for implicit multiplication. Inside bars, "|" closes them.
+	let startsFactor = (token) => token.type === "number" || token.type === "name" ||
+		token.type === "(" || (token.type === "|" && absDepth === 0);
 
-		if(!opts.end) {
-			opts.end = {};
-		}
+	let parseRelation = () => {
+		let left = parseSum();
 
-		for(let key in opts.end) {
-			this.end[key] = opts.end[key];
+		if(peek().type === "relation") {
+			let op = next().value;
+			let right = parseSum();
+			return {type: "relation", op: op, left: left, right: right};
 		}
 
-		this.velocity = {
-			animationTime: 0, // If not animated, no need to build this variable
+		return left;
+	};
 
-			start: {t: 0, x: 0, y: 0, r: 0, theta: 0},
-			end: {t: 0, x: 0, y: 0, r: 0, theta: 0}
-		};
+	let parseSum = () => {
+		let node = parseProduct();
 
-		if(!opts.velocity) {
-			opts.velocity = {};
+		while(peek().type === "+" || peek().type === "-") {
+			let op = next().type;
+			node = {type: "operator", op: op, left: node, right: parseProduct()};
 		}
 
-		for(let key in opts.velocity) {
-			if(key === "start" || key === "end") {
-				for(let keyInEndpoint in opts.velocity[key]) {
-					this.velocity[key][keyInEndpoint] = opts.velocity[key][keyInEndpoint];
-				}
+		return node;
+	};
+
+	let parseProduct = () => {
+		let node = parseUnary();
+
+		for(;;) {
+			if(peek().type === "*" || peek().type === "/") {
+				let op = next().type;
+				node = {type: "operator", op: op, left: node, right: parseUnary()};
 			}
 			else
-				this.velocity[key] = opts.velocity[key];
+			if(startsFactor(peek())) {
+				node = {type: "operator", op: "*", left: node, right: parsePower(), implicit: true};
+			}
+			else {
+				return node;
+			}
 		}
+	};
 
-		if(typeof opts.onupdate === "function")
-			this.onupdate = opts.onupdate;
-
-		if(typeof opts.onbeforedraw === "function")
-			this.onbeforedraw = opts.onbeforedraw;
-
-		if(typeof opts.ondraw === "function")
-			this.ondraw = opts.ondraw;
-
-		this.path = new Path2D();
+	let parseUnary = () => {
+		if(peek().type === "-") {
+			next();
+			return {type: "negate", arg: parseUnary()};
+		}
 
-		// Path2D instances stored for "filling in" colors above/below graph
-		this.pathAbove = null;
-		this.pathBelow = null;
+		if(peek().type === "+") {
+			next();
+			return parseUnary();
+		}
 
-		this.valsArray = null;
-		this.screenValsArray = null;
-		this.fixed = !!opts.fixed;
+		return parsePower();
+	};
 
-		if(this.fixed) {
+	// Exponents are right-associative, and bind tighter than negation: -x^2 is -(x^2)
+	let parsePower = () => {
+		let base = parsePrimary();
 
-			// For a function without values changing, we can store the values once
-			switch(self.type) {
-				case "xofy":
-					self.valsArray = Array((self.game.height - 0) / 1)
-						.fill(0)
-						.map((element, idx, fullArr) => idx)
-						.map(y => self.of( self.game.xToReal( y, self.origin ) ) );
+		if(peek().type === "^") {
+			next();
+			return {type: "operator", op: "^", left: base, right: parseUnary()};
+		}
 
-					self.of = function(y) {
-						return self.valsArray[Math.floor(self.game.yToScreen(y))];
-					};
+		return base;
+	};
 
-					self.realToScreenOf = function(y) { return self.game.xToScreen(self.of(y), self.origin); };
+	let parseFunction = (name) => {
+		let power = null;
 
-					self.screenValsArray = Array((self.game.height - 0) / 1)
-						.fill(0)
-						.map((element, idx, fullArr) => idx)
-						.map(y => self.realToScreenOf( self.game.xToReal( y, self.origin ) ) );
+		// e.g., sin^2(x) is (sin(x))^2
+		if(peek().type === "^") {
+			next();
+			power = parseUnary();
+		}
 
-					self.realToScreenOf = function(y) {
-						return self.screenValsArray[Math.floor(self.game.yToScreen(y))];
-					};
-					break;
-				case "polar":
-					self.valsArray = Array(Math.floor((Math.TAU - 0) / self.thetaStep)) // Create array with 3600 slots
-						.fill(0)
-						.map((element, idx, fullArr) => idx)
-						.map(i => self.of( i * self.thetaStep ) );
+		let args = [];
+		if(peek().type === "(") {
+			next();
+			args.push(parseSum());
 
-					self.of = function(theta) {
-						while(theta < 0) {
-							theta += Math.TAU;
-						}
+			while(peek().type === ",") {
+				next();
+				args.push(parseSum());
+			}
 
-						while(theta > Math.TAU) {
-							theta -= Math.TAU;
-						}
+			expect(")");
+		}
+		else {
 
-						return self.valsArray[Math.floor(theta / self.thetaStep)];
-					};
+			// Without parentheses, the function takes the following product, stopping at the next function: sin 2x cos x
+			if(!startsFactor(peek()) && peek().type !== "-") {
+				fail("\"" + name + "\" needs an input");
+			}
 
-					self.realToScreenOf = function(theta) {
-						return (self.of(theta) * self.game.graphScalar);
-					};
+			let arg = (peek().type === "-") ? parseUnary() : parsePower();
+			while(startsFactor(peek()) && !isFunctionName(peek())) {
+				arg = {type: "operator", op: "*", left: arg, right: parsePower(), implicit: true};
+			}
 
-					self.screenValsArray = Array(Math.floor((Math.TAU - 0) / self.thetaStep)) // Create array with 3600 slots
-						.fill(0)
-						.map((element, idx, fullArr) => idx)
-						.map(i => self.realToScreenOf( i * self.thetaStep ) );
+			args.push(arg);
+		}
 
-					self.realToScreenOf = function(theta) {
-						return self.screenValsArray[Math.floor(theta / self.thetaStep)];
-					};
-					break;
-				case "parametric":
-					self.valsArray = Array(Math.floor((self.end.t - self.start.t ) / self.tStep))
-						.fill(0)
-						.map((element, idx, fullArr) => idx)
-						.map(i => self.of( i * self.tStep ) );
+		let node = {type: "function", name: name, args: args};
+		if(power !== null) {
+			node = {type: "operator", op: "^", left: node, right: power};
+		}
 
-					self.of = function(t) {
-						return self.valsArray[Math.floor(t)];
-					};
+		return node;
+	};
 
-					self.realToScreenOf = function(t) {
-						let xyFromParam = self.of( t );
-						return self.game.toScreen(xyFromParam, self.origin);
-					};
+	let parsePrimary = () => {
+		let token = peek();
 
-					self.screenValsArray = Array(Math.floor((self.end.t - self.start.t ) / self.tStep))
-						.fill(0)
-						.map((element, idx, fullArr) => idx)
-						.map(t => self.realToScreenOf( t * self.tStep ) );
+		switch(token.type) {
+			case "number":
+				next();
+				return {type: "number", value: token.value};
+			case "name":
+				next();
 
-					self.realToScreenOf = function(t) {
-						return self.screenValsArray[Math.floor(t)];
-					};
-					break;
-				case "cartesian":
-				default:
-					self.valsArray = Array((self.game.width - 0) / 1)
-						.fill(0)
-						.map((element, idx, fullArr) => idx)
-						.map(i => self.of( self.game.xToReal( i, self.origin ) ) );
+				if(typeof CMExpression.CONSTANTS[token.value] === "number") {
+					return {type: "constant", name: token.value, value: CMExpression.CONSTANTS[token.value]};
+				}
 
-					self.of = function(x) {
-						return self.valsArray[Math.floor(self.game.xToScreen(x))];
-					};
+				if(isFunctionName(token)) {
+					return parseFunction(token.value);
+				}
 
-					self.realToScreenOf = function(x) { return self.game.yToScreen(self.of(x), self.origin); };
+				return {type: "variable", name: token.value};
+			case "(": {
+				next();
+				let items = [parseSum()];
 
-					self.screenValsArray = Array((self.game.width - 0) / 1)
-						.fill(0)
-						.map((element, idx, fullArr) => idx)
-						.map(i => self.realToScreenOf( self.game.xToReal( i, self.origin ) ) );
+				while(peek().type === ",") {
+					next();
+					items.push(parseSum());
+				}
 
-					self.realToScreenOf = function(x) {
-						return self.screenValsArray[Math.floor(self.game.xToScreen(x))];
-					};
-					break;
+				expect(")");
+				return (items.length === 1) ? items[0] : {type: "tuple", items: items};
 			}
-		}
-		else
-		// Define the onscreen "realToScreenOf" function for functions that are not "fixed" on the screen
-		{
-			switch(this.type) {
-				case "xofy":
-					self.realToScreenOf = function(y) { return self.game.xToScreen(self.of(y), self.origin); };
-					break;
-				case "polar":
-					self.realToScreenOf = function(theta) {
-						return (self.of(theta) * self.game.graphScalar);
-					};
-					break;
-				case "parametric":
-					self.realToScreenOf = function(t) {
-						let xyFromParam = self.of( t );
-						return self.game.toScreen(xyFromParam, self.origin);
-					};
-					break;
-				case "cartesian":
-				default:
-					self.realToScreenOf = function(x) {
-							return self.game.yToScreen(self.of(x), self.origin);
-						};
-					break;
+			case "|": {
+				next();
+				absDepth++;
+				let arg = parseSum();
+				expect("|");
+				absDepth--;
+				return {type: "function", name: "abs", args: [arg], bars: true};
 			}
+			case "end":
+				fail("expression ended early");
+				break;
+			default:
+				fail("unexpected \"" + token.value + "\"");
 		}
+	};
 
-		this.unzoomedOrigin = new CMPoint(
-			this.origin.x,
-			this.origin.y
-		);
-
-		// Note: for zoom in/out we only need to track x and y values
-		this.unzoomedStart = new CMPoint(this.start);
-		this.unzoomedEnd = new CMPoint(this.end);
-
-		// Define pathAbove and pathBelow
-		this.buildGraphPath(this.game.offscreenCtx);
-		if(this.fixed) {
-			this.draw = this.drawGraphPath;
-		}
+	let root = parseRelation();
+	if(peek().type !== "end") {
+		fail("unexpected \"" + peek().value + "\"");
 	}
 
-	/**
-	 * Redefines graph bounds to current screen,
-	 * in particular when graphScalar is changed
-	 * dynamically - only really affects Cartesian
-	 * graphs, as they tend to the screen
-	 * boundaries. For simplicity, this is only
-	 * invoked on "zoom out".
-	 * Mostly used internally.
-	 * @param {number} [oldScalar=1] - graphScalar before the change
-	 */
-	updateBounds(oldScalar=1) {
+	return root;
+};
 
-		this.origin.x = this.origin.x + (this.unzoomedOrigin.x - this.origin.x) / this.game.zoomLevel;
-		this.origin.y = this.origin.y + (this.unzoomedOrigin.y - this.origin.y) / this.game.zoomLevel;
+/**
+ * Creates a JS function that evaluates the given
+ * expression tree, taking a plain JS object of variable
+ * values (its "scope"). Mostly used internally.
+ * @param {object} node - An expression tree node
+ * @returns {function}
+ */
+CMExpression.compile = function(node) {
+	switch(node.type) {
+		case "number":
+		case "constant": {
+			let value = node.value;
+			return () => value;
+		}
+		case "variable": {
+			let name = node.name;
+			return (scope) => (typeof scope[name] === "number") ? scope[name] : NaN;
+		}
+		case "negate": {
+			let arg = CMExpression.compile(node.arg);
+			return (scope) => -arg(scope);
+		}
+		case "operator": {
+			let left = CMExpression.compile(node.left);
+			let right = CMExpression.compile(node.right);
+
+			switch(node.op) {
+				case "+":
+					return (scope) => left(scope) + right(scope);
+				case "-":
+					return (scope) => left(scope) - right(scope);
+				case "*":
+					return (scope) => left(scope) * right(scope);
+				case "/":
+					return (scope) => left(scope) / right(scope);
+				case "^":
+					return (scope) => Math.pow(left(scope), right(scope));
+			}
 
-		if(this.origin.x - (oldScalar * this.start.x) === 0) {
-			this.start.x = -(this.origin.x / this.game.graphScalar);
+			break;
 		}
+		case "function": {
+			let func = CMExpression.FUNCTIONS[node.name];
+			let args = node.args.map(arg => CMExpression.compile(arg));
 
-		if(this.origin.x + (oldScalar * this.end.x) === this.game.canvas.width) {
-			this.end.x = ((this.game.width - this.origin.x) / this.game.graphScalar);
-		}
+			if(args.length === 1) {
+				let arg = args[0];
+				return (scope) => func(arg(scope));
+			}
 
-		if(this.origin.y - oldScalar * this.start.y === 0) {
-			this.start.y = -((this.game.height - this.origin.y) / this.game.graphScalar);
-		}
+			return (scope) => func(...args.map(arg => arg(scope)));
+		}
+		case "tuple": {
+			let items = node.items.map(item => CMExpression.compile(item));
+			return (scope) => items.map(item => item(scope));
+		}
+		case "relation": {
+			let left = CMExpression.compile(node.left);
+			let right = CMExpression.compile(node.right);
+
+			switch(node.op) {
+				case "=":
+					return (scope) => left(scope) === right(scope);
+				case "<":
+					return (scope) => left(scope) < right(scope);
+				case ">":
+					return (scope) => left(scope) > right(scope);
+				case "<=":
+					return (scope) => left(scope) <= right(scope);
+				case ">=":
+					return (scope) => left(scope) >= right(scope);
+			}
 
-		if(this.origin.y - oldScalar * this.end.y === this.game.canvas.height) {
-			this.end.y = (this.origin.y / this.game.graphScalar);
+			break;
 		}
 	}
 
-	/**
-	 * For optimization, prebuilds the drawing path
-	 * when dev knows it will not change. (options.fixed=true)
-	 * @param {CanvasRenderingContext2D} [ctx=this.game.offscreenCtx] - The game's drawing context
-	 */
-	buildGraphPath(ctx=this.game.offscreenCtx) {
-		let game = this.game;
-		let canvas = game.canvas;
-		let initialI;
-		let finalI;
-		let initialScreenRealX;
-		let initialScreenRealY;
-		let initialPoint;
+	throw new Error("CMExpression cannot evaluate a node of type \"" + node.type + "\"");
+};
 
-		this.path = new Path2D();
+/**
+ * Writes an expression tree as a readable string,
+ * using only the parentheses needed. Mostly used internally.
+ * @param {object} node - An expression tree node
+ * @returns {string}
+ */
+CMExpression.stringify = function(node) {
+	let precedence = (child) => {
+		switch(child.type) {
+			case "relation":
+				return 0;
+			case "operator":
+				return {"+": 1, "-": 1, "*": 2, "/": 2, "^": 4}[child.op];
+			case "negate":
+				return 3;
+			case "number":
+				return (child.value < 0) ? 3 : 5;
+			default:
+				return 5;
+		}
+	};
 
-		switch(this.type) {
-			case "cartesian":
-				// Set up endpoints, bounding horizontally within visible canvas (to optimize)
-				initialI = Math.max(0, this.game.xToScreen(this.start.x, this.origin) );
-				initialScreenRealX = (initialI - this.origin.x) / game.graphScalar;
-				finalI = Math.min(canvas.width, this.game.xToScreen(this.end.x, this.origin) );
+	let wrap = (child, needsParens) => {
+		let str = CMExpression.stringify(child);
+		return needsParens ? "(" + str + ")" : str;
+	};
 
-				this.path.moveTo(initialI, this.realToScreenOf( initialScreenRealX ) );
+	switch(node.type) {
+		case "number":
+			return "" + CMGame.roundSmall(node.value);
+		case "constant":
+			return (node.name === "pi") ? "π" : node.name;
+		case "variable":
+			return (node.name === "theta") ? "θ" : node.name;
+		case "negate":
+
+			// -(2x) reads the same as -2x
+			return "-" + wrap(node.arg, precedence(node.arg) < 2);
+		case "function":
+			if(node.bars) {
+				return "|" + CMExpression.stringify(node.args[0]) + "|";
+			}
 
-				for(let i = initialI + 1; i <= finalI; i++) {
+			return node.name + "(" + node.args.map(arg => CMExpression.stringify(arg)).join(", ") + ")";
+		case "tuple":
+			return "(" + node.items.map(item => CMExpression.stringify(item)).join(", ") + ")";
+		case "relation":
+			return CMExpression.stringify(node.left) + " " + node.op + " " + CMExpression.stringify(node.right);
+		case "operator": {
+			let prec = precedence(node);
+			let left, right;
+
+			if(node.op === "^") {
+				left = wrap(node.left, precedence(node.left) <= prec);
+				right = wrap(node.right, precedence(node.right) < prec);
+				return left + "^" + right;
+			}
 
-					let screenGraphX = (i - this.origin.x) / game.graphScalar;
-					let screenGraphXMinus1 = (i - 1 - this.origin.x) / game.graphScalar;
+			left = wrap(node.left, precedence(node.left) < prec);
+			right = wrap(node.right, precedence(node.right) < prec ||
+				(precedence(node.right) === prec && (node.op === "-" || node.op === "/")));
 
-					// Don't connect over vertical asymptotes
-					if(
-						(this.realToScreenOf(screenGraphX) < 0 && this.realToScreenOf(screenGraphXMinus1) > canvas.height) ||
-						(this.realToScreenOf(screenGraphXMinus1) < 0 && this.realToScreenOf(screenGraphX) > canvas.height) ||
-						 this.discontinuousAt(screenGraphXMinus1, screenGraphX)) {
+			if(node.op === "*") {
 
-						this.continuous = false;
-						this.path.moveTo(i, this.realToScreenOf(screenGraphX) );
-					}
-					else {
-						this.path.lineTo(i, this.realToScreenOf(screenGraphX) );
-					}
+				// Write 2x, 3sin(x), and x sin(x) as typed, but keep 2·3 from reading as 23
+				if(node.implicit && !/^[\d.-]/.test(right)) {
+					let space = /[A-Za-zͰ-Ͽ]$/.test(left) && /^[A-Za-zͰ-Ͽ]/.test(right);
+					return left + (space ? " " : "") + right;
 				}
 
-				this.pathBelow = new Path2D(this.path);
+				return left + "·" + right;
+			}
+
+			if(node.op === "/") {
+				return left + "/" + right;
+			}
+
+			return left + " " + node.op + " " + right;
+		}
+	}
+
+	return "";
+};
+
+/**
+ * Gets every variable name used in an expression tree.
+ * Mostly used internally.
+ * @param {object} node - An expression tree node
+ * @returns {Set}
+ */
+CMExpression.findVariables = function(node) {
+	return new Set(CMExpression.findNodes(node, child => child.type === "variable")
+		.map(child => child.name));
+};
+
+/**
+ * Gets every node in an expression tree (including
+ * the root) that passes the given test
+ * @param {object} node - An expression tree node
+ * @param {function} test - Takes a node, returns true to include it
+ * @returns {array}
+ */
+CMExpression.findNodes = function(node, test) {
+	let found = test(node) ? [node] : [];
+	let children = [];
+
+	switch(node.type) {
+		case "negate":
+			children = [node.arg];
+			break;
+		case "operator":
+		case "relation":
+			children = [node.left, node.right];
+			break;
+		case "function":
+			children = node.args;
+			break;
+		case "tuple":
+			children = node.items;
+			break;
+	}
+
+	for(let child of children) {
+		found = found.concat(CMExpression.findNodes(child, test));
+	}
+
+	return found;
+};
+
+/**
+ * Creates a new tree with every use of a variable replaced
+ * by another tree (or a number). The original is not modified.
+ * @param {object} node - An expression tree node
+ * @param {string} variableName - The variable to replace, e.g., "x"
+ * @param {object|number} replacement - An expression tree node, or a number
+ * @returns {object}
+ */
+CMExpression.substitute = function(node, variableName, replacement) {
+	if(typeof replacement === "number") {
+		replacement = {type: "number", value: replacement};
+	}
+
+	let substitute = (child) => CMExpression.substitute(child, variableName, replacement);
+
+	switch(node.type) {
+		case "variable":
+			return (node.name === variableName) ? replacement : node;
+		case "negate":
+			return {type: "negate", arg: substitute(node.arg)};
+		case "operator":
+		case "relation":
+			return Object.assign({}, node, {left: substitute(node.left), right: substitute(node.right)});
+		case "function":
+			return Object.assign({}, node, {args: node.args.map(substitute)});
+		case "tuple":
+			return {type: "tuple", items: node.items.map(substitute)};
+		default:
+			return node;
+	}
+};
+
+/**
+ * Creates the tree for the derivative of an expression tree,
+ * using the sum, product, quotient, power, and chain rules.
+ * The result is not simplified (see CMExpression.simplify).
+ * Throws an error for relations, and for functions without
+ * a known derivative. Mostly used internally.
+ * @param {object} node - An expression tree node
+ * @param {string} variableName - The variable to differentiate by
+ * @returns {object}
+ */
+CMExpression.differentiate = function(node, variableName) {
+	let derivative = (child) => CMExpression.differentiate(child, variableName);
+	let dependsOnVariable = (child) => CMExpression.findVariables(child).has(variableName);
+	let number = (value) => ({type: "number", value: value});
+	let operator = (op, left, right) => ({type: "operator", op: op, left: left, right: right});
+
+	if(node.type === "relation") {
+		throw new Error("CMExpression cannot find the derivative of an equation or inequality");
+	}
+
+	// Numbers, constants, and other variables do not change
+	if(!dependsOnVariable(node)) {
+		return number(0);
+	}
+
+	switch(node.type) {
+		case "variable":
+			return number(1);
+		case "negate":
+			return {type: "negate", arg: derivative(node.arg)};
+		case "tuple":
+			return {type: "tuple", items: node.items.map(derivative)};
+		case "function": {
+			let rule = CMExpression.DERIVATIVES[node.name];
+			if(typeof rule !== "string" || node.args.length !== 1) {
+				throw new Error("CMExpression cannot find the derivative of \"" + node.name + "\"");
+			}
+
+			// Chain rule: f(u)' = f'(u)·u'
+			let outer = CMExpression.substitute(CMExpression.parse(rule), "u", node.args[0]);
+			return operator("*", outer, derivative(node.args[0]));
+		}
+		case "operator": {
+			let left = node.left;
+			let right = node.right;
+
+			switch(node.op) {
+				case "+":
+				case "-":
+					return operator(node.op, derivative(left), derivative(right));
+				case "*":
+					return operator("+",
+						operator("*", derivative(left), right),
+						operator("*", left, derivative(right)));
+				case "/":
+					if(!dependsOnVariable(right)) {
+						return operator("/", derivative(left), right);
+					}
+
+					return operator("/",
+						operator("-",
+							operator("*", derivative(left), right),
+							operator("*", left, derivative(right))),
+						operator("^", right, number(2)));
+				case "^": {
+					let ln = (arg) => ({type: "function", name: "ln", args: [arg]});
+
+					// Power rule, for a constant exponent
+					if(!dependsOnVariable(right)) {
+						return operator("*",
+							operator("*", right, operator("^", left, operator("-", right, number(1)))),
+							derivative(left));
+					}
+
+					// Exponential rule, for a constant base
+					if(!dependsOnVariable(left)) {
+						let base = (left.type === "constant" && left.name === "e") ? node : operator("*", node, ln(left));
+						return operator("*", base, derivative(right));
+					}
+
+					// (u^v)' = u^v·(v'·ln(u) + v·u'/u)
+					return operator("*", node,
+						operator("+",
+							operator("*", derivative(right), ln(left)),
+							operator("/", operator("*", right, derivative(left)), left)));
+				}
+			}
+
+			break;
+		}
+	}
+
+	throw new Error("CMExpression cannot find the derivative of a node of type \"" + node.type + "\"");
+};
+
+/**
+ * Creates a simpler tree with the same value, e.g., by
+ * removing adding 0 and multiplying by 1, and combining
+ * numbers. Used to tidy up derivatives. Mostly used internally.
+ * @param {object} node - An expression tree node
+ * @returns {object}
+ */
+CMExpression.simplify = function(node) {
+	let number = (value) => ({type: "number", value: value});
+	let isNumber = (child, value) => child.type === "number" &&
+		(typeof value === "undefined" || child.value === value);
+
+	let negate = (child) => {
+		if(isNumber(child)) {
+			return number(-child.value);
+		}
+
+		return (child.type === "negate") ? child.arg : {type: "negate", arg: child};
+	};
+
+	switch(node.type) {
+		case "negate":
+			return negate( CMExpression.simplify(node.arg) );
+		case "function":
+			return Object.assign({}, node, {args: node.args.map(CMExpression.simplify)});
+		case "tuple":
+			return {type: "tuple", items: node.items.map(CMExpression.simplify)};
+		case "relation":
+			return Object.assign({}, node,
+				{left: CMExpression.simplify(node.left), right: CMExpression.simplify(node.right)});
+		case "operator":
+			break;
+		default:
+			return node;
+	}
+
+	let left = CMExpression.simplify(node.left);
+	let right = CMExpression.simplify(node.right);
+	let operator = (op, newLeft, newRight) => CMExpression.simplify({type: "operator", op: op, left: newLeft, right: newRight});
+	let sameAsRight = CMExpression.stringify(left) === CMExpression.stringify(right);
+
+	// Combine numbers, unless that would turn a fraction like 1/3 into a long decimal
+	if(isNumber(left) && isNumber(right)) {
+		let value = CMExpression.compile({type: "operator", op: node.op, left: left, right: right})({});
+		if(Number.isInteger(value * 10000) || (Number.isFinite(value) && node.op !== "/" && node.op !== "^")) {
+			return number(value);
+		}
+	}
+
+	switch(node.op) {
+		case "+":
+			if(isNumber(left, 0))
+				return right;
+			if(isNumber(right, 0))
+				return left;
+			if(right.type === "negate")
+				return operator("-", left, right.arg);
+			if(isNumber(right) && right.value < 0)
+				return operator("-", left, number(-right.value));
+			break;
+		case "-":
+			if(isNumber(right, 0))
+				return left;
+			if(isNumber(left, 0))
+				return negate(right);
+			if(sameAsRight)
+				return number(0);
+			if(right.type === "negate")
+				return operator("+", left, right.arg);
+			if(isNumber(right) && right.value < 0)
+				return operator("+", left, number(-right.value));
+			break;
+		case "*":
+			if(isNumber(left, 0) || isNumber(right, 0))
+				return number(0);
+			if(isNumber(left, 1))
+				return right;
+			if(isNumber(right, 1))
+				return left;
+			if(isNumber(left, -1))
+				return negate(right);
+			if(isNumber(right, -1))
+				return negate(left);
+			if(left.type === "negate")
+				return negate( operator("*", left.arg, right) );
+			if(right.type === "negate")
+				return negate( operator("*", left, right.arg) );
+
+			// Write numbers first, as in 2x
+			if(isNumber(right) && !isNumber(left))
+				return operator("*", right, left);
+
+			if(right.type === "operator" && right.op === "*" && isNumber(right.left)) {
+
+				// 2·(3x) is 6x
+				if(isNumber(left))
+					return operator("*", number(left.value * right.left.value), right.right);
+
+				// y·(2x) is 2(y·x)
+				return operator("*", right.left, operator("*", left, right.right));
+			}
+
+			// 2·(1/x) is 2/x
+			if(isNumber(left) && right.type === "operator" && right.op === "/" && isNumber(right.left))
+				return operator("/", number(left.value * right.left.value), right.right);
+
+			if(isNumber(left) && left.value < 0)
+				return negate( operator("*", number(-left.value), right) );
+
+			return {type: "operator", op: "*", left: left, right: right,
+				implicit: isNumber(left) || left.type === "variable" || left.type === "constant"};
+		case "/": {
+			if(isNumber(left, 0))
+				return number(0);
+			if(isNumber(right, 1))
+				return left;
+			if(sameAsRight)
+				return number(1);
+			if(isNumber(left) && left.value < 0)
+				return negate( operator("/", number(-left.value), right) );
+			if(left.type === "negate")
+				return negate( operator("/", left.arg, right) );
+			if(right.type === "negate")
+				return negate( operator("/", left, right.arg) );
+
+			// Reduce fractions, as in 6/4 and 2x/4
+			let numerator = isNumber(left) ? left :
+				(left.type === "operator" && left.op === "*" && isNumber(left.left)) ? left.left : null;
+
+			if(numerator && isNumber(right) && Number.isInteger(numerator.value) && Number.isInteger(right.value)) {
+				let gcd = (a, b) => b ? gcd(b, a % b) : Math.abs(a);
+				let divisor = gcd(numerator.value, right.value);
+
+				if(divisor > 1) {
+					let newNumerator = (numerator === left) ? number(left.value / divisor) :
+						operator("*", number(numerator.value / divisor), left.right);
+
+					return operator("/", newNumerator, number(right.value / divisor));
+				}
+			}
+
+			break;
+		}
+		case "^":
+			if(isNumber(right, 0) || isNumber(left, 1))
+				return number(1);
+			if(isNumber(right, 1))
+				return left;
+			break;
+	}
+
+	return {type: "operator", op: node.op, left: left, right: right};
+};
+
+/** Class to manage drawable functions */
+class CMFunction {
+
+	/**
+	 * Creates a CMFunction instance.
+	 *
+	 * @param {CMGame} game - The associated CMGame instance
+	 * @param {function|string|array|CMExpression} func - A single input function defining the graph.
+	 *   The default assumption is a standard Cartesian "return y as a function
+	 *   of x" function, but other options can be set in options.type.
+	 *   This can also be math written as a string (or CMExpression), e.g., "3sin(2x) + x^2/4",
+	 *   "x = y^2", or "r = 1 + cos(theta)", where the type is read from the equation, or an array
+	 *   of two strings for a parametric x and y, e.g., ["cos(t)", "sin(t)"]
+	 * @param {object} [opts] - An object of options. All values are optional, including opts itself.
+	 * @param {string} [opts.type="cartesian"] - "cartesian" (default), "polar", "parametric", "xofy" (sideways)
+	 *   "cartesian" is standard. func should take a single input (x) and return single output (y)
+	 *   "yofox" is essentially Cartesian along y-axis, instead of x. func should take a single
+	 *      input (y) and return single output (x)
+	 *   "polar" is polar coordinates. func should take a single input (theta) and return single output (r)
+	 *   "parametric" is based on an extra parameter (t). func should take a single input (t) and
+	 *      return a point with an x value and a y value, e.g., func = (t) => {x: t**2, y: Math.cos(t)}
+	 *   "implicit" is a curve where F(x, y) = 0, e.g., a circle. func should take two inputs (x and y)
+	 *      and return a single output, e.g., func = (x, y) => x**2 + y**2 - 25
+	 * @param {string} [opts.strokeStyle] - color for the graph curve
+	 * @param {string} [opts.fillStyleBelow] - color for area below graph curve (where F(x, y) < 0 for "implicit" type)
+	 * @param {string} [opts.fillStyleAbove] - color for area above graph curve (where F(x, y) > 0 for "implicit" type)
+	 * @param {string} [opts.lineWidth] - line width for the graph curve
+	 * @param {string} [opts.name] - Convenience, e.g., for drawing name to screen. Defaults to the
+	 *   written math, if func is a string.
+	 * @param {boolean} [opts.fixed] - true if you know the graph will not change. Useful for optimizations.
+	 *   A fixed graph stays where it was on screen when the game's plane is panned or zoomed.
+	 * @param {object} [opts.start] - Object defining real number start values for x, t, etc.
+	 * @param {object} [opts.end] - Object defining real number end values for x, t, etc.
+	 * @param {object} [opts.velocity] - Object defining quantity to change values per frame (per second, if the game uses fixedTimestep)
+	 * @param {number} [opts.tStep] - For "parametric" type, defines how much t increments to next screen value
+	 * @param {number} [opts.thetaStep] - For "polar" type, defines how much theta increments to next screen value
+	 * @param {number} [opts.cellSize] - For "implicit" type, the width in pixels of the squares the curve is traced through.
+	 *   Smaller values show more detail but take longer to draw. Defaults to 4.
+	 * @param {object|array} [opts.origin] - A point-like object or array with 2 values (x and y)
+	 *   representing the pixel coordinates this function should treat as the origin. If
+	 *   not provided, defaults to the current game's origin (as expected).
+	 * @param {function} [opts.onupdate] - A callback called after
+	 *   update(). Take game's frameCount as only parameter
+	 * @param {function} [opts.onbeforedraw] - A callback called before this function is
+	 *   drawn to the screen. Can be used e.g., to draw small background relative to this
+	 *   graph's origin.
+	 * @param {function} [opts.ondraw] - A callback called after
+	 *   draw(). Takes game's drawing context as only parameter
+	 * @param {function|array} [opts.discontinuousAt] - A boolean function, taking in real values, that
+	 *   is true when strokes should break (i.e., at points of discontinuity), or an array of specific real
+	 *   values where these breaks should occur. If this function is not present, constructor will assume
+	 *   where breaks occur for functions with floor or ceil functions in them. Note: asymptotes are
+	 *   determined during drawing and are not drawn, so do not need to be included here.
+	 * @param {object} [opts.params] - Named values the function can use, which can be changed while
+	 *   the game runs, e.g., {a: [0, 5, 1]} for a parameter "a" from 0 to 5, starting at 1. Each value is
+	 *   an array [min, max, value, step] (value defaults to min, and step to 0 for any value), or just a
+	 *   number, for a parameter without a range. Math written as a string can use these by name,
+	 *   e.g., "a sin(bx)". A JS function can read them from this.params, e.g.,
+	 *   function(x) { return this.params.a * Math.sin(this.params.b * x); }
+	 * @param {object} [opts.traceOptions] - A plain JS object defining trace mode, where a point follows the
+	 *   curve under the pointer (or moves with the arrow keys) and shows its real coordinates. Not available
+	 *   for "implicit" type.
+	 * @param {boolean} [opts.traceOptions.enabled] - Whether players can trace this graph. Defaults to false,
+	 *   or true if traceOptions are given.
+	 * @param {number} [opts.traceOptions.decimals=2] - How many decimal places to show in the coordinates
+	 * @param {number} [opts.traceOptions.step] - How far (in real input values) each arrow key press moves
+	 *   the point. Defaults to a tenth of a tick for "cartesian" and "xofy", thetaStep for "polar", and
+	 *   tStep for "parametric".
+	 * @param {number} [opts.traceOptions.snapDistance=20] - How close (in pixels) the pointer must be to the
+	 *   curve to start tracing it
+	 * @param {number} [opts.traceOptions.radius=5] - The radius of the traced point, in pixels
+	 * @param {string} [opts.traceOptions.fillStyle] - Color for the traced point. Defaults to strokeStyle.
+	 * @param {string} [opts.traceOptions.textStyle=CMColor.DARK_GRAY] - Color for the coordinates
+	 * @param {string} [opts.traceOptions.font="14px Arial, sans-serif"] - Font for the coordinates
+	 * @param {function} [opts.ontrace] - A callback called when the traced point moves, taking the
+	 *   point (see getTracePoint()) as its only parameter
+	 * @param {object} [opts.asymptoteOptions] - A plain JS object defining how this graph's asymptotes, and
+	 *   holes (removable discontinuities), are shown (see findAsymptotes()). Only for "cartesian" type.
+	 * @param {boolean} [opts.asymptoteOptions.enabled] - Whether to draw the asymptotes and holes. Defaults
+	 *   to false, or true if asymptoteOptions are given.
+	 * @param {string} [opts.asymptoteOptions.strokeStyle=CMColor.GRAY] - Color for the asymptote lines
+	 * @param {number} [opts.asymptoteOptions.lineWidth=1] - Line width for the asymptote lines
+	 * @param {array} [opts.asymptoteOptions.lineDash=[8, 6]] - Dash pattern (as in ctx.setLineDash) for the asymptote lines
+	 * @param {boolean} [opts.asymptoteOptions.labels=true] - Whether to label each line with its equation
+	 * @param {number} [opts.asymptoteOptions.decimals=2] - How many decimal places to show in the labels
+	 * @param {string} [opts.asymptoteOptions.textStyle=CMColor.DARK_GRAY] - Color for the labels
+	 * @param {string} [opts.asymptoteOptions.font="14px Arial, sans-serif"] - Font for the labels
+	 * @param {number} [opts.asymptoteOptions.holeRadius=4] - The radius of each hole's open circle, in pixels
+	 * @param {string} [opts.asymptoteOptions.holeStyle=CMColor.WHITE] - Color inside each hole's open circle
+	 */
+	constructor(game, func, opts={}) {
+		let self = this;
+
+		this.game = game;
+
+		// Math written as a string is parsed, and its tree kept for finding discontinuities and displaying
+		this.expression = null;
+		this.expressionNode = null;
+		this.inputVariable = null;
+
+		// Built the first time rateAt() is called
+		this.derivativeOf_Private = null;
+
+		/**
+		 * Named values the function can use, like the "a" in "a sin(x)",
+		 * which can be changed with setParam() or a CMSlider
+		 */
+		this.params = {};
+		this.paramRanges = {};
+		this.paramAnimations = {};
+		this.paramSliders = {};
+
+		for(let name in opts.params) {
+			let param = opts.params[name];
+
+			if(Array.isArray(param)) {
+				this.paramRanges[name] = {
+					min: param[0],
+					max: param[1],
+					step: param[3] || 0
+				};
+
+				this.params[name] = (typeof param[2] === "number") ? param[2] : param[0];
+			}
+			else {
+				this.paramRanges[name] = null;
+				this.params[name] = param;
+			}
+
+			this.paramSliders[name] = [];
+		}
+
+		if(typeof func !== "function") {
+			let definition = CMFunction.readExpression(func, opts.type, this.params);
+			this.expression = definition.expression;
+			this.expressionNode = definition.node;
+			this.inputVariable = definition.inputVariable;
+			this.type = definition.type;
+			func = definition.func;
+		}
+		else {
+			this.type = opts.type || "cartesian";
+		}
+
+		this.lineWidth = opts.lineWidth || 1;
+
+		// Information stored for checking point positions later
+		this.continuous = opts.continuous || true;
+		if(!opts.discontinuousAt) {
+
+			// Step functions like floor jump between values, so their graphs need to break
+			let hasSteps = false;
+			if(this.expression) {
+				hasSteps = CMExpression.STEP_FUNCTIONS.some(name => self.expression.uses(name));
+			}
+			else {
+				let funcString = func.toString();
+				hasSteps = funcString.includes("Math.floor") || funcString.includes("Math.ceil");
+			}
+
+			if(hasSteps) {
+				this.continuous = false;
+				this.discontinuousAt = CMFunction.discontinuousAtJumps;
+			}
+		}
+		else
+		if(Array.isArray(opts.discontinuousAt)) {
+			this.discontinuousAt = function(x, nextX) {
+				return opts.discontinuousAt.includes(x);
+			};
+		}
+		else
+		if(typeof opts.discontinuousAt === "function") {
+			this.discontinuousAt = opts.discontinuousAt;
+		}
+
+		/**
+		 * We'll allow different "origin" so that multiple different
+		 * functions can occur onscreen simultaneously. This will
+		 * be especially useful when defining multiple sprite
+		 * paths.
+		 */
+		this.origin = null;
+		if(Array.isArray(opts.origin)) {
+			this.origin = new CMPoint(
+				opts.origin[0],
+				opts.origin[1],
+				0);
+		}
+		else
+		if(typeof opts.origin === "object") {
+			this.origin = new CMPoint(
+				opts.origin.x,
+				opts.origin.y,
+				0
+			);
+		}
+		else {
+			this.origin = new CMPoint(game.origin);
+		}
+
+		this.of = func; // e.g., if you name this function f, then f.of(2) is similar to f(2)
+
+		// A function shifting and scaling given function's output (with real input) to the screen
+		this.realToScreenOf = null;
+
+		this.tStep = typeof opts.tStep === "number" ? opts.tStep : 0.1;
+		this.thetaStep = typeof opts.thetaStep === "number" ? opts.thetaStep : (Math.TAU / 360);
+		this.cellSize = typeof opts.cellSize === "number" ? opts.cellSize : 4;
+
+		this.strokeStyle = opts.strokeStyle || CMColor.DARK_GRAY;
+		this.fillStyleBelow = opts.fillStyleBelow;
+		this.fillStyleAbove = opts.fillStyleAbove;
+		this.name = opts.name || (this.expression ? this.expression.toString() : "");
+
+		if(typeof opts.color !== "undefined") {
+			console.warn("\"color\" is not a valid option for CMFunction. Use \"strokeStyle\" instead.");
+		}
+
+		this.animationTime = 0;
+		this.start = {
+			t: 0,
+			x: this.game.xToReal(0, this.origin),
+			y: this.game.yToReal(this.game.height, this.origin),
+			r: 0,
+			theta: 0
+		};
+
+		if(!opts.start) {
+			opts.start = {};
+		}
+
+		for(let key in opts.start) {
+			this.start[key] = opts.start[key];
+		}
+
+		this.end = {
+			t: Math.max(this.game.width, this.game.height) / this.tStep,
+			x: this.game.xToReal(this.game.width, this.origin),
+			y: this.game.yToReal(0, this.origin),
+			r: 0,
+			theta: Math.TAU
+		};
+
+		if(!opts.end) {
+			opts.end = {};
+		}
+
+		for(let key in opts.end) {
+			this.end[key] = opts.end[key];
+		}
+
+		// Bounds left to their defaults cover the screen, so keep covering it as the plane moves
+		this.boundsFollowScreen_Private = {
+			start: { x: !("x" in opts.start), y: !("y" in opts.start) },
+			end: { x: !("x" in opts.end), y: !("y" in opts.end) }
+		};
+
+		this.velocity = {
+			animationTime: 0, // If not animated, no need to build this variable
+
+			start: {t: 0, x: 0, y: 0, r: 0, theta: 0},
+			end: {t: 0, x: 0, y: 0, r: 0, theta: 0}
+		};
+
+		if(!opts.velocity) {
+			opts.velocity = {};
+		}
+
+		for(let key in opts.velocity) {
+			if(key === "start" || key === "end") {
+				for(let keyInEndpoint in opts.velocity[key]) {
+					this.velocity[key][keyInEndpoint] = opts.velocity[key][keyInEndpoint];
+				}
+			}
+			else
+				this.velocity[key] = opts.velocity[key];
+		}
+
+		if(typeof opts.onupdate === "function")
+			this.onupdate = opts.onupdate;
+
+		if(typeof opts.onbeforedraw === "function")
+			this.onbeforedraw = opts.onbeforedraw;
+
+		if(typeof opts.ondraw === "function")
+			this.ondraw = opts.ondraw;
+
+		if(typeof opts.ontrace === "function")
+			this.ontrace = opts.ontrace;
+
+		this.traceOptions = {
+			enabled: false,
+			decimals: 2,
+			step: 0,
+			snapDistance: 20,
+			radius: 5,
+			fillStyle: null,
+			textStyle: CMColor.DARK_GRAY,
+			font: "14px Arial, sans-serif"
+		};
+
+		if(opts.traceOptions) {
+			for(let key in opts.traceOptions) {
+				this.traceOptions[key] = opts.traceOptions[key];
+			}
+
+			// Dev set up trace options without bothering to enable/disable, so we assume enable
+			if(typeof opts.traceOptions.enabled === "undefined") {
+				this.traceOptions.enabled = true;
+			}
+		}
+
+		// An implicit curve has no single input to move along
+		if(this.type === "implicit" && this.traceOptions.enabled) {
+			console.warn("CMFunction \"" + this.name + "\" is \"implicit\" type, so cannot be traced");
+			this.traceOptions.enabled = false;
+		}
+
+		this.asymptoteOptions = {
+			enabled: false,
+			strokeStyle: CMColor.GRAY,
+			lineWidth: 1,
+			lineDash: [8, 6],
+			labels: true,
+			decimals: 2,
+			textStyle: CMColor.DARK_GRAY,
+			font: "14px Arial, sans-serif",
+			holeRadius: 4,
+			holeStyle: CMColor.WHITE
+		};
+
+		if(opts.asymptoteOptions) {
+			for(let key in opts.asymptoteOptions) {
+				this.asymptoteOptions[key] = opts.asymptoteOptions[key];
+			}
+
+			// Dev set up asymptote options without bothering to enable/disable, so we assume enable
+			if(typeof opts.asymptoteOptions.enabled === "undefined") {
+				this.asymptoteOptions.enabled = true;
+			}
+		}
+
+		if(this.type !== "cartesian" && this.asymptoteOptions.enabled) {
+			console.warn("CMFunction \"" + this.name + "\" is \"" + this.type + "\" type, so cannot show asymptotes");
+			this.asymptoteOptions.enabled = false;
+		}
+
+		// The asymptotes last found, with the view and parameters they were found for
+		this.asymptoteCache = null;
+
+		// The input (x, y, theta, or t) of the traced point, or null if this graph is not being traced
+		this.traceInput = null;
+
+		// The animation changing this graph into another, if any (see morphTo() and transform())
+		this.morph = null;
+
+		this.path = new CMGame.Path2D();
+
+		// Path2D instances stored for "filling in" colors above/below graph
+		this.pathAbove = null;
+		this.pathBelow = null;
+
+		this.valsArray = null;
+		this.screenValsArray = null;
+		this.fixed = !!opts.fixed;
+
+		// An "implicit" curve is only traced again after it changes (see drawImplicit)
+		this.implicitPathStale_Private = true;
+
+		// Stored values would not change with the parameters
+		if(this.fixed && Object.keys(this.params).length) {
+			console.warn("CMFunction \"" + this.name + "\" has parameters, so cannot be fixed");
+			this.fixed = false;
+		}
+
+		if(this.fixed) {
+
+			// For a function without values changing, we can store the values once
+			switch(self.type) {
+				case "implicit":
+					// Traced over the plane in buildGraphPath, so there are no values to store
+					break;
+				case "xofy":
+					self.valsArray = Array((self.game.height - 0) / 1)
+						.fill(0)
+						.map((element, idx, fullArr) => idx)
+						.map(y => self.of( self.game.yToReal( y, self.origin ) ) );
+
+					self.of = function(y) {
+						return self.valsArray[Math.floor(self.game.yToScreen(y))];
+					};
+
+					self.realToScreenOf = function(y) { return self.game.xToScreen(self.of(y), self.origin); };
+
+					self.screenValsArray = Array((self.game.height - 0) / 1)
+						.fill(0)
+						.map((element, idx, fullArr) => idx)
+						.map(y => self.realToScreenOf( self.game.yToReal( y, self.origin ) ) );
+
+					self.realToScreenOf = function(y) {
+						return self.screenValsArray[Math.floor(self.game.yToScreen(y))];
+					};
+					break;
+				case "polar":
+					self.valsArray = Array(Math.floor((Math.TAU - 0) / self.thetaStep)) // Create array with 3600 slots
+						.fill(0)
+						.map((element, idx, fullArr) => idx)
+						.map(i => self.of( i * self.thetaStep ) );
+
+					self.of = function(theta) {
+						while(theta < 0) {
+							theta += Math.TAU;
+						}
+
+						while(theta > Math.TAU) {
+							theta -= Math.TAU;
+						}
+
+						return self.valsArray[Math.floor(theta / self.thetaStep)];
+					};
+
+					self.realToScreenOf = function(theta) {
+						return (self.of(theta) * self.game.graphScalar);
+					};
+
+					self.screenValsArray = Array(Math.floor((Math.TAU - 0) / self.thetaStep)) // Create array with 3600 slots
+						.fill(0)
+						.map((element, idx, fullArr) => idx)
+						.map(i => self.realToScreenOf( i * self.thetaStep ) );
+
+					self.realToScreenOf = function(theta) {
+						return self.screenValsArray[Math.floor(theta / self.thetaStep)];
+					};
+					break;
+				case "parametric":
+					self.valsArray = Array(Math.floor((self.end.t - self.start.t ) / self.tStep))
+						.fill(0)
+						.map((element, idx, fullArr) => idx)
+						.map(i => self.of( i * self.tStep ) );
+
+					self.of = function(t) {
+						return self.valsArray[Math.floor(t)];
+					};
+
+					self.realToScreenOf = function(t) {
+						let xyFromParam = self.of( t );
+						return self.game.toScreen(xyFromParam, self.origin);
+					};
+
+					self.screenValsArray = Array(Math.floor((self.end.t - self.start.t ) / self.tStep))
+						.fill(0)
+						.map((element, idx, fullArr) => idx)
+						.map(t => self.realToScreenOf( t * self.tStep ) );
+
+					self.realToScreenOf = function(t) {
+						return self.screenValsArray[Math.floor(t)];
+					};
+					break;
+				case "cartesian":
+				default:
+					self.valsArray = Array((self.game.width - 0) / 1)
+						.fill(0)
+						.map((element, idx, fullArr) => idx)
+						.map(i => self.of( self.game.xToReal( i, self.origin ) ) );
+
+					self.of = function(x) {
+						return self.valsArray[Math.floor(self.game.xToScreen(x))];
+					};
+
+					self.realToScreenOf = function(x) { return self.game.yToScreen(self.of(x), self.origin); };
+
+					self.screenValsArray = Array((self.game.width - 0) / 1)
+						.fill(0)
+						.map((element, idx, fullArr) => idx)
+						.map(i => self.realToScreenOf( self.game.xToReal( i, self.origin ) ) );
+
+					self.realToScreenOf = function(x) {
+						return self.screenValsArray[Math.floor(self.game.xToScreen(x))];
+					};
+					break;
+			}
+		}
+		else
+		// Define the onscreen "realToScreenOf" function for functions that are not "fixed" on the screen
+		{
+			switch(this.type) {
+				case "implicit":
+					// Traced over the plane in buildGraphPath, so there is no single output to map
+					break;
+				case "xofy":
+					self.realToScreenOf = function(y) { return self.game.xToScreen(self.of(y), self.origin); };
+					break;
+				case "polar":
+					self.realToScreenOf = function(theta) {
+						return (self.of(theta) * self.game.graphScalar);
+					};
+					break;
+				case "parametric":
+					self.realToScreenOf = function(t) {
+						let xyFromParam = self.of( t );
+						return self.game.toScreen(xyFromParam, self.origin);
+					};
+					break;
+				case "cartesian":
+				default:
+					self.realToScreenOf = function(x) {
+							return self.game.yToScreen(self.of(x), self.origin);
+						};
+					break;
+			}
+		}
+
+		this.unzoomedOrigin = new CMPoint(
+			this.origin.x,
+			this.origin.y
+		);
+
+		// Note: for zoom in/out we only need to track x and y values
+		this.unzoomedStart = new CMPoint(this.start);
+		this.unzoomedEnd = new CMPoint(this.end);
+
+		// Define pathAbove and pathBelow
+		this.buildGraphPath(this.game.offscreenCtx);
+		if(this.fixed) {
+			this.draw = this.drawGraphPath;
+		}
+	}
+
+	/**
+	 * Redefines graph bounds to current screen,
+	 * in particular when graphScalar is changed
+	 * dynamically - only really affects Cartesian
+	 * graphs, as they tend to the screen
+	 * boundaries. For simplicity, this is only
+	 * invoked on "zoom out".
+	 * Mostly used internally.
+	 * @param {number} [oldScalar=1] - graphScalar before the change
+	 */
+	updateBounds(oldScalar=1) {
+
+		this.origin.x = this.origin.x + (this.unzoomedOrigin.x - this.origin.x) / this.game.zoomLevel;
+		this.origin.y = this.origin.y + (this.unzoomedOrigin.y - this.origin.y) / this.game.zoomLevel;
+
+		let game = this.game;
+
+		if(this.origin.x - (oldScalar * CMGame.valueToAxis(game.xScale, this.start.x)) === 0) {
+			this.start.x = game.xToReal(0, this.origin);
+		}
+
+		if(this.origin.x + (oldScalar * CMGame.valueToAxis(game.xScale, this.end.x)) === game.canvas.width) {
+			this.end.x = game.xToReal(game.width, this.origin);
+		}
+
+		if(this.origin.y - oldScalar * CMGame.valueToAxis(game.yScale, this.start.y) === 0) {
+			this.start.y = game.yToReal(game.height, this.origin);
+		}
+
+		if(this.origin.y - oldScalar * CMGame.valueToAxis(game.yScale, this.end.y) === game.canvas.height) {
+			this.end.y = game.yToReal(0, this.origin);
+		}
+	}
+
+	/**
+	 * Moves this graph along with the game's plane, when it
+	 * is panned or zoomed with pan() or zoomBy(). Bounds left
+	 * to their defaults, or that reached the screen's edges,
+	 * are moved to the new edges. Note: "fixed" functions store
+	 * their screen values once, so stay where they were on
+	 * screen. Mostly used internally.
+	 * @param {function} mapPoint - Takes a screen point on the old plane, and returns where it is now
+	 * @param {number} newScalar - The game's graphScalar after the change
+	 * @param {object} [newScales] - The game's axis scales after the change, as a plain JS object
+	 *   with x and y values (see CMGame.readScale). Defaults to the current scales.
+	 */
+	followPlane(mapPoint, newScalar, newScales={x: this.game.xScale, y: this.game.yScale}) {
+		let game = this.game;
+
+		let follows = this.boundsFollowScreen_Private;
+
+		// Allow a pixel of rounding error when checking the edges
+		let atLeft = follows.start.x || Math.abs(game.xToScreen(this.start.x, this.origin)) < 1;
+		let atRight = follows.end.x || Math.abs(game.xToScreen(this.end.x, this.origin) - game.width) < 1;
+		let atBottom = follows.start.y || Math.abs(game.yToScreen(this.start.y, this.origin) - game.height) < 1;
+		let atTop = follows.end.y || Math.abs(game.yToScreen(this.end.y, this.origin)) < 1;
+
+		let newOrigin = mapPoint(this.origin);
+		this.origin.x = newOrigin.x;
+		this.origin.y = newOrigin.y;
+
+		if(atLeft) {
+			this.start.x = CMGame.axisToValue(newScales.x, -(this.origin.x / newScalar));
+		}
+
+		if(atRight) {
+			this.end.x = CMGame.axisToValue(newScales.x, (game.width - this.origin.x) / newScalar);
+		}
+
+		if(atBottom) {
+			this.start.y = CMGame.axisToValue(newScales.y, -((game.height - this.origin.y) / newScalar));
+		}
+
+		if(atTop) {
+			this.end.y = CMGame.axisToValue(newScales.y, this.origin.y / newScalar);
+		}
+
+		this.implicitPathStale_Private = true;
+	}
+
+	/**
+	 * For optimization, prebuilds the drawing path
+	 * when dev knows it will not change. (options.fixed=true)
+	 * @param {CanvasRenderingContext2D} [ctx=this.game.offscreenCtx] - The game's drawing context
+	 */
+	buildGraphPath(ctx=this.game.offscreenCtx) {
+		let game = this.game;
+		let canvas = game.canvas;
+		let initialI;
+		let finalI;
+		let initialScreenRealX;
+		let initialScreenRealY;
+		let initialPoint;
+
+		this.path = new CMGame.Path2D();
+
+		switch(this.type) {
+			case "implicit":
+				this.buildImplicitPath();
+				break;
+			case "cartesian":
+				// Set up endpoints, bounding horizontally within visible canvas (to optimize)
+				initialI = Math.max(0, this.game.xToScreen(this.start.x, this.origin) );
+				initialScreenRealX = game.xToReal(initialI, this.origin);
+				finalI = Math.min(canvas.width, this.game.xToScreen(this.end.x, this.origin) );
+
+				this.path.moveTo(initialI, this.realToScreenOf( initialScreenRealX ) );
+
+				for(let i = initialI + 1; i <= finalI; i++) {
+
+					let screenGraphX = game.xToReal(i, this.origin);
+					let screenGraphXMinus1 = game.xToReal(i - 1, this.origin);
+
+					// Don't connect over vertical asymptotes
+					if(
+						(this.realToScreenOf(screenGraphX) < 0 && this.realToScreenOf(screenGraphXMinus1) > canvas.height) ||
+						(this.realToScreenOf(screenGraphXMinus1) < 0 && this.realToScreenOf(screenGraphX) > canvas.height) ||
+						 this.discontinuousAt(screenGraphXMinus1, screenGraphX)) {
+
+						this.continuous = false;
+						this.path.moveTo(i, this.realToScreenOf(screenGraphX) );
+					}
+					else {
+						this.path.lineTo(i, this.realToScreenOf(screenGraphX) );
+					}
+				}
+
+				this.pathBelow = new CMGame.Path2D(this.path);
 				this.pathBelow.lineTo(finalI, canvas.height + ctx.lineWidth);
 				this.pathBelow.lineTo(canvas.width, canvas.height + ctx.lineWidth);
 				this.pathBelow.lineTo(initialI, canvas.height + ctx.lineWidth);
 				this.pathBelow.closePath();
 
-				this.pathAbove = new Path2D(this.path);
-				this.pathAbove.lineTo(finalI, 0 - ctx.lineWidth);
-				this.pathAbove.lineTo(initialI, 0 - ctx.lineWidth);
-				this.pathAbove.closePath();
-				break;
-			case "xofy":
-				/**
-				 * Graph path moves up y-axis, starting at game.height,
-				 * but we allow our index to move from 0 to game.height
-				 * and subtract from game.height when drawing the path
-				 */
-				initialI = Math.max(0, game.height - this.game.yToScreen( this.start.y, this.origin ) );
-				initialScreenRealY = (initialI - this.origin.y) / game.graphScalar;
-				finalI = Math.min(game.height, game.height - this.game.yToScreen( this.end.y, this.origin) );
+				this.pathAbove = new CMGame.Path2D(this.path);
+				this.pathAbove.lineTo(finalI, 0 - ctx.lineWidth);
+				this.pathAbove.lineTo(initialI, 0 - ctx.lineWidth);
+				this.pathAbove.closePath();
+				break;
+			case "xofy":
+				/**
+				 * Graph path moves up y-axis, starting at game.height,
+				 * but we allow our index to move from 0 to game.height
+				 * and subtract from game.height when drawing the path
+				 */
+				initialI = Math.max(0, game.height - this.game.yToScreen( this.start.y, this.origin ) );
+				initialScreenRealY = game.yToReal(game.height - initialI, this.origin);
+				finalI = Math.min(game.height, game.height - this.game.yToScreen( this.end.y, this.origin) );
+
+				this.path.moveTo(this.realToScreenOf( initialScreenRealY ), game.height - initialI);
+
+				for(let i = initialI + 1; i <= finalI; i++) {
+
+					let screenGraphY = game.yToReal(game.height - i, this.origin);
+					let screenGraphYMinus1 = game.yToReal(game.height - (i - 1), this.origin);
+
+					// Don't connect over horizontal asymptotes
+					if(
+						(this.realToScreenOf(screenGraphY) < 0 && this.realToScreenOf(screenGraphYMinus1) > canvas.width) ||
+						(this.realToScreenOf(screenGraphYMinus1) < 0 && this.realToScreenOf(screenGraphY) > canvas.width)) {
+
+						this.continuous = false;
+						this.path.moveTo(this.realToScreenOf(screenGraphY), game.height - i );
+					}
+					else {
+						this.path.lineTo(this.realToScreenOf(screenGraphY), game.height - i);
+					}
+				}
+
+				this.pathBelow = new CMGame.Path2D(this.path);
+				this.pathBelow.lineTo(-ctx.lineWidth, game.height - finalI);
+				this.pathBelow.lineTo(-ctx.lineWidth, game.height - initialI);
+				this.pathBelow.closePath();
+
+				this.pathAbove = new CMGame.Path2D(this.path);
+				this.pathAbove.lineTo(canvas.width + ctx.lineWidth, game.height - finalI);
+				this.pathAbove.lineTo(canvas.width + ctx.lineWidth, game.height - initialI);
+				this.pathAbove.closePath();
+				break;
+			case "polar":
+				// Points are placed through toScreen(), so they follow the game's axis scales
+				initialPoint = game.toScreen(game.fromPolar(this.of(0), 0), this.origin);
+
+				this.path.moveTo(initialPoint.x, initialPoint.y);
+				for(let th = this.thetaStep; th <= Math.TAU; th += this.thetaStep) {
+
+					let point = game.toScreen(game.fromPolar(this.of(th), th), this.origin);
+
+					this.path.lineTo(point.x, point.y);
+				}
+
+				this.pathBelow = new CMGame.Path2D(this.path);
+				this.pathBelow.closePath(); // if necessary
+
+				// Attempt to fill area outside the path. Note: may not work as expected if polar path is not closed
+				this.pathAbove = new CMGame.Path2D(this.path);
+
+				this.pathAbove.moveTo(game.width + ctx.lineWidth, initialPoint.y); // right wall
+				this.pathAbove.lineTo(game.width + ctx.lineWidth, game.height + ctx.lineWidth); // bottom right corner
+				this.pathAbove.lineTo(0 - ctx.lineWidth, game.height + ctx.lineWidth);
+				this.pathAbove.lineTo(0 - ctx.lineWidth, 0 - ctx.lineWidth);
+				this.pathAbove.lineTo(game.width + ctx.lineWidth, 0 - ctx.lineWidth);
+				this.pathAbove.lineTo(game.width + ctx.lineWidth, initialPoint.y);
+				break;
+			case "parametric":
+				initialPoint = this.realToScreenOf(0);
+				this.path.moveTo(initialPoint.x, initialPoint.y);
+
+				// If no end has been provided, there is nothing to draw (no time elapses)
+				for(let tIndex = this.tStep; tIndex < this.end.t; tIndex += this.tStep) {
+					let point = this.realToScreenOf(tIndex);
+					this.path.lineTo( point.x, point.y);
+				}
+
+				this.pathAbove = new CMGame.Path2D(this.path);
+				this.pathBelow = new CMGame.Path2D(this.path);
+				break;
+		}
+	}
+
+	/**
+	 * Draws static/fixed graph in current frame, using a
+	 * stored Path2D. If this CMFunction instance
+	 * is fixed, this function replaces the draw() method
+	 * as an optimization.
+	 * @param {CanvasRenderingContext2D} [ctx=this.game.offscreenCtx] - The game's drawing context
+	 */
+	drawGraphPath(ctx=this.game.offscreenCtx) {
+		ctx.lineWidth = this.lineWidth;
+
+		if(this.pathBelow && this.fillStyleBelow && this.fillStyleBelow !== CMColor.NONE) {
+			ctx.fillStyle = this.fillStyleBelow;
+			ctx.fill(this.pathBelow);
+		}
+
+		if(this.pathAbove && this.fillStyleAbove && this.fillStyleAbove !== CMColor.NONE) {
+			ctx.fillStyle = this.fillStyleAbove;
+			ctx.fill(this.pathAbove);
+		}
+
+		if(this.strokeStyle !== CMColor.NONE) {
+			ctx.strokeStyle = this.strokeStyle;
+			ctx.stroke(this.path);
+		}
+	}
+
+	/**
+	 * Updates graph animation state in current
+	 * frame, if relevant. In the game's fixedTimestep
+	 * mode, velocity values (including animationTime)
+	 * are treated as "per second" and scaled by dt.
+	 * @param {number} frameCount - The game's frame count
+	 * @param {number} [dt] - Seconds of game time this update represents
+	 */
+	update(frameCount, dt=this.game.timestep) {
+		let step = this.game.fixedTimestep ? dt : 1;
+
+		for(let key in this.velocity) {
+			if(key === "start" || key === "end") {
+				for(let keyInEndpoint in this.velocity[key]) {
+					if(this.velocity[key][keyInEndpoint] !== 0) {
+						this[key][keyInEndpoint] += this.velocity[key][keyInEndpoint] * step;
+						this.implicitPathStale_Private = true;
+					}
+				}
+			}
+			else
+				this[key] += this.velocity[key] * step;
+		}
+
+		for(let name in this.paramAnimations) {
+			let animation = this.paramAnimations[name];
+			animation.elapsed += 1000 * dt;
+
+			if(animation.elapsed >= animation.duration) {
+				switch(animation.repeat) {
+					case "loop":
+						animation.elapsed = (animation.duration > 0) ? animation.elapsed % animation.duration : 0;
+						break;
+					case "reverse":
+						animation.elapsed = (animation.duration > 0) ? animation.elapsed % animation.duration : 0;
+						[animation.from, animation.to] = [animation.to, animation.from];
+						break;
+					default:
+						this.stopParamAnimation(name);
+						this.setParam(name, animation.to);
+						animation.onend();
+						continue;
+				}
+			}
+
+			let progress = (animation.duration > 0) ? animation.elapsed / animation.duration : 1;
+			this.showParam(name, animation.from + (animation.to - animation.from) * progress);
+		}
+
+		if(this.morph !== null) {
+			this.morph.elapsed += 1000 * dt;
+
+			if(this.morph.elapsed >= this.morph.duration) {
+				this.finishMorph();
+			}
+			else {
+				this.of = this.morph.ruleAt( this.morph.easing(this.morph.elapsed / this.morph.duration) );
+				this.implicitPathStale_Private = true;
+			}
+		}
+
+		this.onupdate(frameCount, dt);
+	}
+
+	/**
+	 * Delegates drawing function based on graph type
+	 * @param {object} ctx - The drawing context
+	 */
+	draw(ctx) {
+		switch(this.type) {
+			case "cartesian":
+				return this.drawCartesian(ctx);
+			case "polar":
+				return this.drawPolar(ctx);
+			case "parametric":
+				return this.drawParametric(ctx);
+			case "xofy":
+				return this.drawXOfY(ctx);
+			case "implicit":
+				return this.drawImplicit(ctx);
+		}
+	}
+
+	/**
+	 * Draws as a polar function
+	 * @param {object} ctx - The drawing context
+	 */
+	drawPolar(ctx) {
+		let game = this.game;
+		let canvas = game.canvas;
+		ctx.lineWidth = this.lineWidth;
+		ctx.strokeStyle = this.strokeStyle;
+
+		// Points are placed through toScreen(), so they follow the game's axis scales
+		let initialPoint = game.toScreen(game.fromPolar(this.of(0), 0), this.origin);
+
+		this.path = new CMGame.Path2D();
+		this.path.moveTo(initialPoint.x, initialPoint.y);
+		for(let th = this.thetaStep; th <= this.end.theta; th += this.thetaStep) {
+
+			let point = game.toScreen(game.fromPolar(this.of(th), th), this.origin);
+
+			this.path.lineTo(point.x, point.y);
+		}
+
+		if(this.fillStyleBelow && this.fillStyleBelow !== CMColor.NONE) {
+			this.pathBelow = new CMGame.Path2D(this.path);
+			this.pathBelow.closePath(); // if necessary
+			ctx.fillStyle = this.fillStyleBelow;
+			ctx.fill(this.pathBelow);
+		}
+
+		// Attempt to fill area outside the path. Note: may not work as expected if polar path is not closed
+		if(this.fillStyleAbove && this.fillStyleAbove !== CMColor.NONE) {
+			this.pathAbove = new CMGame.Path2D(this.path);
+
+			this.pathAbove.moveTo(game.width + ctx.lineWidth, initialPoint.y); // right wall
+			this.pathAbove.lineTo(game.width + ctx.lineWidth, game.height + ctx.lineWidth); // bottom right corner
+			this.pathAbove.lineTo(0 - ctx.lineWidth, game.height + ctx.lineWidth);
+			this.pathAbove.lineTo(0 - ctx.lineWidth, 0 - ctx.lineWidth);
+			this.pathAbove.lineTo(game.width + ctx.lineWidth, 0 - ctx.lineWidth);
+			this.pathAbove.lineTo(game.width + ctx.lineWidth, initialPoint.y);
+
+			ctx.fillStyle = this.fillStyleAbove;
+			ctx.fill(this.pathAbove);
+		}
+
+		ctx.beginPath();
+		ctx.lineWidth = this.lineWidth;
+		ctx.strokeStyle = this.strokeStyle;
+		ctx.stroke(this.path);
+	}
+
+	/**
+	 * Draws as a polar function
+	 * @param {object} ctx - The drawing context
+	 */
+	drawParametric(ctx) {
+		let game = this.game;
+		let canvas = game.canvas;
+
+		let initialPoint = this.realToScreenOf(0);
+		this.path = new CMGame.Path2D();
+		this.path.moveTo(initialPoint.x, initialPoint.y);
+
+		// If no end has been provided, there is nothing to draw (no time elapses)
+		for(let tIndex = this.tStep; tIndex < this.end.t; tIndex += this.tStep) {
+			let point = this.realToScreenOf(tIndex);
+			this.path.lineTo( point.x, point.y);
+		}
+
+		ctx.beginPath();
+		ctx.lineWidth = this.lineWidth;
+		ctx.strokeStyle = this.strokeStyle;
+		ctx.stroke(this.path);
+	}
+
+	/**
+	 * Draws as a Cartesian function with reversed coordinates
+	 * @param {object} ctx - The drawing context
+	 */
+	drawXOfY(ctx) {
+		let game = this.game;
+		let canvas = game.canvas;
+
+		/**
+		 * Graph path moves up y-axis, starting at game.height,
+		 * but we allow our index to move from 0 to game.height
+		 * and subtract from game.height when drawing the path
+		 */
+		let initialI = Math.max(0, game.height - this.game.yToScreen( this.start.y, this.origin) );
+		let initialScreenRealY = game.yToReal(game.height - initialI, this.origin);
+		let finalI = Math.min(game.height, game.height - this.game.yToScreen( this.end.y, this.origin) );
+
+		// Draw the current graph
+		ctx.lineWidth = this.lineWidth;
+		ctx.strokeStyle = this.strokeStyle;
+		this.path = new CMGame.Path2D();
+		this.path.moveTo(this.realToScreenOf( initialScreenRealY ), game.height - initialI);
+
+		for(let i = initialI + 1; i <= finalI; i++) {
+
+			let screenGraphY = game.yToReal(game.height - i, this.origin);
+			let screenGraphYMinus1 = game.yToReal(game.height - (i - 1), this.origin);
+
+			// Don't connect over horizontal asymptotes
+			if(
+				(this.realToScreenOf(screenGraphY) < 0 && this.realToScreenOf(screenGraphYMinus1) > canvas.width) ||
+				(this.realToScreenOf(screenGraphYMinus1) < 0 && this.realToScreenOf(screenGraphY) > canvas.width)) {
+
+				ctx.stroke(this.path);
+				this.continuous = false;
+				// this.path = new Path2D(); // Removing this causes asymptotes to be drawn
+				this.path.moveTo(this.realToScreenOf(screenGraphY), game.height - i );
+			}
+			else {
+				this.path.lineTo(this.realToScreenOf(screenGraphY), game.height - i);
+			}
+		}
+
+		if(this.fillStyleBelow && this.fillStyleBelow !== CMColor.NONE) {
+			this.pathBelow = new CMGame.Path2D(this.path);
+			this.pathBelow.lineTo(-ctx.lineWidth, game.height - finalI);
+			this.pathBelow.lineTo(-ctx.lineWidth, game.height - initialI);
+			this.pathBelow.closePath();
+			ctx.fillStyle = this.fillStyleBelow;
+			ctx.fill(this.pathBelow);
+		}
+
+		if(this.fillStyleAbove && this.fillStyleAbove !== CMColor.NONE) {
+			this.pathAbove = new CMGame.Path2D(this.path);
+			this.pathAbove.lineTo(canvas.width + ctx.lineWidth, game.height - finalI);
+			this.pathAbove.lineTo(canvas.width + ctx.lineWidth, game.height - initialI);
+			this.pathAbove.closePath();
+			ctx.fillStyle = this.fillStyleAbove;
+			ctx.fill(this.pathAbove);
+		}
+
+		ctx.lineWidth = this.lineWidth;
+		ctx.strokeStyle = this.strokeStyle;
+		ctx.stroke(this.path);
+	}
+
+	/**
+	 * Draws as an implicit curve, where F(x, y) = 0
+	 * @param {CanvasRenderingContext2D} ctx - The game's drawing context
+	 */
+	drawImplicit(ctx) {
+
+		// Tracing takes thousands of evaluations of F, so the last trace is kept until something changes
+		if(this.implicitPathStale_Private) {
+			this.buildImplicitPath();
+		}
+
+		this.drawGraphPath(ctx);
+	}
+
+	/**
+	 * Traces an "implicit" type function's curve, F(x, y) = 0,
+	 * over the visible part of the plane using marching squares:
+	 * F is checked at the corners of a grid of small squares, and
+	 * the curve is drawn across squares whose corners differ in sign.
+	 * Also builds pathBelow (where F < 0) and pathAbove (where F > 0).
+	 * Mostly used internally.
+	 */
+	buildImplicitPath() {
+		let game = this.game;
+		let size = this.cellSize;
+
+		// Trace only the visible part of the bounds
+		let left = Math.max(0, game.xToScreen(this.start.x, this.origin));
+		let right = Math.min(game.width, game.xToScreen(this.end.x, this.origin));
+		let top = Math.max(0, game.yToScreen(this.end.y, this.origin));
+		let bottom = Math.min(game.height, game.yToScreen(this.start.y, this.origin));
+
+		this.path = new CMGame.Path2D();
+		this.pathBelow = new CMGame.Path2D();
+		this.pathAbove = new CMGame.Path2D();
+		this.implicitPathStale_Private = false;
+
+		if(!(right > left) || !(bottom > top)) {
+			return;
+		}
+
+		let cols = Math.ceil((right - left) / size);
+		let rows = Math.ceil((bottom - top) / size);
+		let screenX = (i) => Math.min(left + i * size, right);
+		let screenY = (j) => Math.min(top + j * size, bottom);
+		let valueAt = (x, y) => this.of(game.xToReal(x, this.origin), game.yToReal(y, this.origin));
+
+		let values = [];
+		for(let j = 0; j <= rows; j++) {
+			values.push([]);
+			for(let i = 0; i <= cols; i++) {
+				values[j].push( valueAt(screenX(i), screenY(j)) );
+			}
+		}
+
+		for(let j = 0; j < rows; j++) {
+			for(let i = 0; i < cols; i++) {
+
+				// Corners in order around the square: top left, top right, bottom right, bottom left
+				let corners = [
+					{x: screenX(i), y: screenY(j), value: values[j][i]},
+					{x: screenX(i + 1), y: screenY(j), value: values[j][i + 1]},
+					{x: screenX(i + 1), y: screenY(j + 1), value: values[j + 1][i + 1]},
+					{x: screenX(i), y: screenY(j + 1), value: values[j + 1][i]}
+				];
+
+				if(corners.some(corner => Number.isNaN(corner.value))) {
+					continue;
+				}
+
+				// Where the curve crosses each edge (top, right, bottom, left), estimated linearly
+				let crossings = corners.map((corner, idx) => {
+					let next = corners[(idx + 1) % 4];
+					if((corner.value < 0) === (next.value < 0)) {
+						return null;
+					}
+
+					let fraction = corner.value / (corner.value - next.value);
+					let point = {
+						x: corner.x + fraction * (next.x - corner.x),
+						y: corner.y + fraction * (next.y - corner.y)
+					};
+
+					// Across an asymptote F changes sign without reaching 0, so is not small here
+					point.valid = Math.abs(valueAt(point.x, point.y)) <= Math.max(Math.abs(corner.value), Math.abs(next.value));
+					return point;
+				});
+
+				let edges = crossings.filter(point => point !== null);
+				let segments = [];
+
+				if(edges.length === 2) {
+					segments.push(edges);
+				}
+				else
+				if(edges.length === 4) {
+
+					// A saddle: check the center to see which opposite corners are connected
+					let center = valueAt((corners[0].x + corners[1].x) / 2, (corners[0].y + corners[3].y) / 2);
+
+					if((center < 0) === (corners[0].value < 0)) {
+						segments.push([crossings[0], crossings[1]], [crossings[2], crossings[3]]);
+					}
+					else {
+						segments.push([crossings[0], crossings[3]], [crossings[1], crossings[2]]);
+					}
+				}
+
+				for(let segment of segments) {
+					if(segment[0].valid && segment[1].valid) {
+						this.path.moveTo(segment[0].x, segment[0].y);
+						this.path.lineTo(segment[1].x, segment[1].y);
+					}
+				}
+
+				// Fill the parts of mixed squares; whole squares are filled by row below
+				if(edges.length > 0) {
+					for(let [path, inside] of [
+							[this.pathBelow, value => value < 0],
+							[this.pathAbove, value => value >= 0]]) {
+						let outline = [];
+
+						corners.forEach((corner, idx) => {
+							if(inside(corner.value)) {
+								outline.push(corner);
+							}
+
+							if(crossings[idx] !== null) {
+								outline.push(crossings[idx]);
+							}
+						});
+
+						path.moveTo(outline[0].x, outline[0].y);
+						for(let k = 1; k < outline.length; k++) {
+							path.lineTo(outline[k].x, outline[k].y);
+						}
+
+						path.closePath();
+					}
+				}
+			}
+
+			// Fill runs of squares that are entirely on one side as single rectangles
+			for(let [path, inside] of [
+					[this.pathBelow, value => value < 0],
+					[this.pathAbove, value => value >= 0]]) {
+				let runStart = -1;
+
+				for(let i = 0; i <= cols; i++) {
+					let whole = i < cols && [values[j][i], values[j][i + 1], values[j + 1][i], values[j + 1][i + 1]]
+						.every(value => !Number.isNaN(value) && inside(value));
+
+					if(whole && runStart === -1) {
+						runStart = i;
+					}
+					else
+					if(!whole && runStart !== -1) {
+						path.rect(screenX(runStart), screenY(j), screenX(i) - screenX(runStart), screenY(j + 1) - screenY(j));
+						runStart = -1;
+					}
+				}
+			}
+		}
+	}
+
+	/**
+	 * Draws graph in current frame
+	 * @param {CanvasRenderingContext2D} ctx - The game's drawing context
+	 */
+	drawCartesian(ctx) {
+		let game = this.game;
+		let canvas = game.canvas;
+
+		// Set up endpoints, bounding horizontally within visible canvas (to optimize)
+		let initialI = Math.max(0, this.game.xToScreen( this.start.x, this.origin ) );
+		let initialScreenRealX = game.xToReal(initialI, this.origin);
+		let finalI = Math.min(canvas.width, this.game.xToScreen( this.end.x, this.origin) );
+
+		// Draw the current graph
+		ctx.lineWidth = this.lineWidth;
+		ctx.strokeStyle = this.strokeStyle;
+		this.path = new CMGame.Path2D();
+		this.path.moveTo(initialI, this.realToScreenOf( initialScreenRealX ) );
+
+		for(let i = initialI + 1; i <= finalI; i++) {
+
+			let screenGraphX = game.xToReal(i, this.origin);
+			let screenGraphXMinus1 = game.xToReal(i - 1, this.origin);
+
+			// Don't connect over vertical asymptotes
+			if(
+				(this.realToScreenOf(screenGraphX) < 0 && this.realToScreenOf(screenGraphXMinus1) > canvas.height) ||
+				(this.realToScreenOf(screenGraphXMinus1) < 0 && this.realToScreenOf(screenGraphX) > canvas.height) ||
+				this.discontinuousAt(screenGraphXMinus1, screenGraphX)) {
+
+				ctx.stroke(this.path);
+				this.continuous = false;
+				this.path = new CMGame.Path2D(); // Removing this causes asymptotes to be drawn
+				this.path.moveTo(i, this.realToScreenOf(screenGraphX) );
+			}
+			else {
+				this.path.lineTo(i, this.realToScreenOf(screenGraphX) );
+			}
+		}
+
+		if(this.fillStyleBelow && this.fillStyleBelow !== CMColor.NONE) {
+			this.pathBelow = new CMGame.Path2D(this.path);
+			this.pathBelow.lineTo(finalI, canvas.height + ctx.lineWidth);
+			this.pathBelow.lineTo(initialI, canvas.height + ctx.lineWidth);
+			this.pathBelow.closePath();
+			ctx.fillStyle = this.fillStyleBelow;
+			ctx.fill(this.pathBelow);
+		}
+
+		if(this.fillStyleAbove && this.fillStyleAbove !== CMColor.NONE) {
+			this.pathAbove = new CMGame.Path2D(this.path);
+			this.pathAbove.lineTo(finalI, 0 - ctx.lineWidth);
+			this.pathAbove.lineTo(initialI, 0 - ctx.lineWidth);
+			this.pathAbove.closePath();
+			ctx.fillStyle = this.fillStyleAbove;
+			ctx.fill(this.pathAbove);
+		}
+
+		ctx.lineWidth = this.lineWidth;
+		ctx.strokeStyle = this.strokeStyle;
+		ctx.stroke(this.path);
+	}
+
+	/**
+	 * Determines if given point lies below
+	 * above, or on the given curve. The returned
+	 * string refers to visual comparison (rather
+	 * than flipped y values for screen). E.g.,
+	 * [[x^2]].positionOf(0, 4); returns "above" since
+	 * visually the real point (0, 4) sits "above" the
+	 * graph. For "implicit" type, "below" means F(x, y) < 0
+	 * and "above" means F(x, y) > 0 at the point.
+	 * @param {number|object} xOrPoint - Point with x, y values, or a point's x value
+	 * @param {number} [y] - A point's y value
+	 * @returns {string} "above", "below", "on", "unknown"
+	 */
+	positionOf(xOrPoint, y) {
+		let point = {};
+
+		if(typeof xOrPoint === "number") {
+			point.x = xOrPoint;
+			point.y = y;
+		}
+		else {
+			point = xOrPoint;
+		}
+
+		// An implicit curve has no single output to compare, so check the sign of F instead
+		if(this.type === "implicit") {
+			let value = this.of(this.game.xToReal(point.x, this.origin), this.game.yToReal(point.y, this.origin));
+
+			if(value === 0 || this.game.ctx.isPointInStroke(this.path, point.x, point.y)) {
+				return "on";
+			}
+			else
+			if(value < 0) {
+				return "below";
+			}
+			else
+			if(value > 0) {
+				return "above";
+			}
+			else {
+				return "unknown";
+			}
+		}
+
+		if(this.continuous) {
+			let ctx = this.game.ctx;
+
+			if(ctx.isPointInStroke(this.path, point.x, point.y) ) {
+				return "on";
+			}
+			else
+			if(ctx.isPointInPath(this.pathAbove, point.x, point.y)) {
+				return "above";
+			}
+			else
+			if(ctx.isPointInPath(this.pathBelow, point.x, point.y)) {
+				return "below";
+			}
+			else {
+				let pointXStyle = "color: rgb(225, 225, 0)";
+				let pointYStyle = "color: rgb(225, 225, 0)";
+
+				if(point.x < 0 || point.x > this.game.width) {
+					pointXStyle = "color: rgb(255, 95, 95)";
+				}
+
+				if(point.y < 0 || point.y > this.game.height) {
+					pointYStyle = "color: rgb(255, 95, 95)";
+				}
+
+				if(this.debug) {
+					console.log(`Point (%c${point.x}%c, %c${point.y}%c) is outside canvas`,
+						pointXStyle, "color: default", pointYStyle, "color: default");
+				}
+
+				return "unknown";
+			}
+		}
+		else {
+			// Cannot assume only 3 paths exist; must calculate specific point
+
+			let funcRealY = this.of( this.game.xToReal( point.x, this.origin ));
+			let pointRealY = this.game.yToReal( point.y, this.origin );
+
+			// Remember, pixels are flipped upside down
+			if(pointRealY === funcRealY) {
+				return "on";
+			}
+			else
+			if(pointRealY > funcRealY) {
+				return "above";
+			}
+			else
+			if(pointRealY < funcRealY) {
+				return "below";
+			}
+			else {
+				return "uknown";
+			}
+		}
+	}
+
+	/**
+	 * A boolean function to keep track of where to draw
+	 * discontinuities on the visible graph.
+	 * This is meant to be overridden when function is created.
+	 * @param {number} input - A domain point to check
+	 * @param {number} [nextInput] - The real domain point drawn next on the graph
+	 *   e.g., for type "cartesian", this is x + 1/self.game.graphScalar
+	 * @returns {boolean}
+	 */
+	discontinuousAt(input, nextInput) {
+		return false;
+	}
+
+	/**
+	 * Each CMFunction instance, f, has 4
+	 * types of mathematical functions:
+	 *
+	 * - f.of() maps a real number to a real number (or point)
+	 * - f.screenOf() maps the onscreen pixel point to where the function's
+	 *   output would be (as an onscreen pixel point)
+	 * - f.realToScreenOf() takes the real input, returns the value (in
+	 *    pixels) where that input's real output would show on the screen
+	 * - f.screenToRealOf() take an onscreen pixel point as an input,
+	 *   determines what the real-valued equivalent input is, and
+	 *   returns the function's real output for that real input
+	 */
+
+	/**
+	 * Takes screen pixel input value, and returns
+	 * screen pixel output value associated with
+	 * this function and function type.
+	 * @param {number} screenInput - A pixel value (x or y) or angle or time
+	 * @returns {number|object} object for "parametric", otherwise a number
+	 */
+	screenOf( screenInput ) { // i.e., screenToScreenOf() 
+
+		let realInput;
+		switch(this.type) {
+			case "cartesian":
+				realInput = this.game.xToReal( screenInput, this.origin );
+				break;
+			case "xofy":
+				realInput = this.game.yToReal( screenInput, this.origin );
+				break;
+			case "polar": // angle and "time" do not change
+			case "parametric":
+				realInput = screenInput;
+				break;
+		}
+
+		return this.realToScreenOf( realInput );
+	}
+
+	/**
+	 * Takes screen pixel input value, uses its real equivalent,
+	 * and returns real (not screen pixel) output value
+	 * associated with this function and function type.
+	 * @param {number} screenInput - A pixel value (x or y) or angle or time
+	 * @returns {number|object} object for "parametric", otherwise a number
+	 */
+	screenToRealOf( screenInput ) {
+
+		let realInput;
+		switch(this.type) {
+			case "cartesian":
+				realInput = this.game.xToReal( screenInput, this.origin );
+				break;
+			case "xofy":
+				realInput = this.game.yToReal( screenInput, this.origin );
+				break;
+			case "polar": // angle and "time" do not change
+			case "parametric":
+				realInput = screenInput;
+				break;
+		}
+
+		return this.of( realInput );
+	}
+
+	/**
+	 * Creates a copy of this function with similar options.
+	 * These options can be overridden in the passed in
+	 * newOpts argument.
+	 * @param {object} [newOpts={}] - A plain JS object of options, which should
+	 *   contain any CMFunction constructor options that you want to be
+	 *   different from the current instance.
+	 * @returns {object} The newly created CMFunction instance
+	 */
+	clone(newOpts={}) {
+		newOpts.operation = "clone";
+		return this.operation("self", newOpts);
+	}
+
+	/**
+	 * Returns a new CMFunction instance representing
+	 * this one plus another one.
+	 * @param {object} otherFunc - The other function to act on
+	 * @param {object} [newOpts={}] - A plain JS object of options, which should
+	 *   contain any CMFunction constructor options that you want to be
+	 *   different from the current instance.
+	 * @returns {object} The newly created CMFunction instance
+	 */
+	plus(otherFunc, newOpts={}) {
+		newOpts.operation = "plus";
+		return this.operation(otherFunc,  newOpts);
+	}
+
+	/**
+	 * Returns a new CMFunction instance representing
+	 * this one minus another one.
+	 * @param {object} otherFunc - The other function to act on
+	 * @param {object} [newOpts={}] - A plain JS object of options, which should
+	 *   contain any CMFunction constructor options that you want to be
+	 *   different from the current instance.
+	 * @returns {object} The newly created CMFunction instance
+	 */
+	minus(otherFunc, newOpts={}) {
+		newOpts.operation = "minus";
+		return this.operation(otherFunc,  newOpts);
+	}
+
+	/**
+	 * Returns a new CMFunction instance representing
+	 * this one times another one.
+	 * @param {object} otherFunc - The other function to act on
+	 * @param {object} [newOpts={}] - A plain JS object of options, which should
+	 *   contain any CMFunction constructor options that you want to be
+	 *   different from the current instance.
+	 * @returns {object} The newly created CMFunction instance
+	 */
+	times(otherFunc, newOpts={}) {
+		newOpts.operation = "times";
+		return this.operation(otherFunc,  newOpts);
+	}
+
+	/**
+	 * Returns a new CMFunction instance representing
+	 * this one divided by another one.
+	 * @param {object} otherFunc - The other function to act on
+	 * @param {object} [newOpts={}] - A plain JS object of options, which should
+	 *   contain any CMFunction constructor options that you want to be
+	 *   different from the current instance.
+	 * @returns {object} The newly created CMFunction instance
+	 */
+	dividedBy(otherFunc, newOpts={}) {
+		newOpts.operation = "dividedBy";
+		return this.operation(otherFunc,  newOpts);
+	}
+
+	/**
+	 * Returns a new CMFunction instance representing
+	 * this one composed with another one.
+	 * @param {object} otherFunc - The other function to act on
+	 * @param {object} [newOpts={}] - A plain JS object of options, which should
+	 *   contain any CMFunction constructor options that you want to be
+	 *   different from the current instance.
+	 * @returns {object} The newly created CMFunction instance
+	 */
+	composedWith(otherFunc, newOpts={}) {
+		newOpts.operation = "composedWith";
+		return this.operation(otherFunc,  newOpts);
+	}
+
+	/**
+	 * Returns a new CMFunction instance representing the
+	 * derivative of this one, with respect to its input (x for
+	 * "cartesian", y for "xofy", theta for "polar", and t for
+	 * "parametric", where x and y are each differentiated).
+	 * If this function was written as math, e.g., "x^2 + sin(x)",
+	 * the derivative is found exactly and written as math
+	 * ("2x + cos(x)"); otherwise it is estimated numerically.
+	 * @param {object} [newOpts={}] - A plain JS object of options, which should
+	 *   contain any CMFunction constructor options that you want to be
+	 *   different from the current instance.
+	 * @returns {object} The newly created CMFunction instance
+	 */
+	derivative(newOpts={}) {
+
+		// Copied, so the dev's options object is left as it was
+		return this.operation("self", Object.assign({}, newOpts, {
+			operation: "derivative"
+		}));
+	}
+
+	/**
+	 * Finds this function's derivative as math, if it was
+	 * written as math. Mostly used internally.
+	 * @returns {CMExpression|null} null if this function was not written as math,
+	 *   or uses a function without a known derivative
+	 */
+	derivativeExpression() {
+		if(!this.expressionNode || !this.inputVariable) {
+			return null;
+		}
+
+		try {
+			return new CMExpression( CMExpression.simplify(
+				CMExpression.differentiate(this.expressionNode, this.inputVariable) ));
+		}
+		catch(err) {
+			return null;
+		}
+	}
+
+	/**
+	 * Gets the instantaneous rate of change of this function's
+	 * output, with respect to its input, at the given real input.
+	 * Uses the exact derivative if this function was written as
+	 * math, and a central difference otherwise.
+	 * @param {number} input - A real input value (x, y, theta, or t, depending on type)
+	 * @returns {number|object} object with x and y rates for "parametric", otherwise a number
+	 */
+	rateAt(input) {
+		if(this.derivativeOf_Private === null) {
+			let derived = this.derivativeExpression();
+			this.derivativeOf_Private = derived ? CMFunction.readExpression(derived, this.type, this.params).func : false;
+		}
+
+		if(this.derivativeOf_Private) {
+			return this.derivativeOf_Private(input);
+		}
+
+		// Step scales with the input, to keep precision for large values
+		let h = 0.00001 * Math.max(1, Math.abs(input));
+		let before = this.of(input - h);
+		let after = this.of(input + h);
+
+		if(this.type === "parametric") {
+			return {
+				x: (after.x - before.x) / (2 * h),
+				y: (after.y - before.y) / (2 * h)
+			};
+		}
+
+		return (after - before) / (2 * h);
+	}
+
+	/**
+	 * Gets the real point on this function's graph
+	 * drawn for the given real input, e.g., (x, f(x))
+	 * for "cartesian" type or (f(y), y) for "xofy" type.
+	 * @param {number} input - A real input value (x, y, theta, or t, depending on type)
+	 * @returns {CMPoint}
+	 */
+	pointAt(input) {
+		let output = this.of(input);
+
+		switch(this.type) {
+			case "xofy":
+				return new CMPoint(output, input);
+			case "polar":
+				return new CMPoint(output * Math.cos(input), output * Math.sin(input));
+			case "parametric":
+				return new CMPoint(output.x, output.y);
+			default: // "cartesian"
+				return new CMPoint(input, output);
+		}
+	}
+
+	/**
+	 * Gets a (real, not screen) vector pointing along this
+	 * function's graph, in the direction of increasing input,
+	 * at the point drawn for the given real input. Its length
+	 * is the rate of change, so is not always 1.
+	 * Mostly used internally.
+	 * @param {number} input - A real input value (x, y, theta, or t, depending on type)
+	 * @returns {object} A plain JS object with x and y values
+	 */
+	directionAt(input) {
+		let rate = this.rateAt(input);
+
+		switch(this.type) {
+			case "xofy":
+				return {x: rate, y: 1};
+			case "polar": {
+				let r = this.of(input);
+				return {
+					x: rate * Math.cos(input) - r * Math.sin(input),
+					y: rate * Math.sin(input) + r * Math.cos(input)
+				};
+			}
+			case "parametric":
+				return {x: rate.x, y: rate.y};
+			default: // "cartesian"
+				return {x: 1, y: rate};
+		}
+	}
+
+	/**
+	 * Gets the slope (dy/dx) of this function's graph
+	 * at the point drawn for the given real input. For
+	 * "cartesian" type this is f'(x). Vertical tangents
+	 * give Infinity or -Infinity.
+	 * @param {number} input - A real input value (x, y, theta, or t, depending on type)
+	 * @returns {number}
+	 */
+	slopeAt(input) {
+		let direction = this.directionAt(input);
+		return direction.y / direction.x;
+	}
+
+	/**
+	 * Creates a line sprite tangent to this function's graph,
+	 * at the point drawn for the given real input, e.g.,
+	 * game.add( f.tangentAt(2) );
+	 * The sprite's "slope" property holds the tangent's slope,
+	 * and its "point" property holds the real point of tangency.
+	 * @param {number} input - A real input value (x, y, theta, or t, depending on type)
+	 * @param {object} [options={}] - A plain JS object of options
+	 * @param {number} [options.length] - The line's length in pixels. Defaults to reaching across the canvas.
+	 * @param {number} [options.lineWidth=1] - The line's width in pixels
+	 * @param {string} [options.strokeStyle] - The line's color. Defaults to this function's strokeStyle.
+	 * @returns {CMSprite|null} The line sprite, or null if the graph has no tangent there
+	 */
+	tangentAt(input, options={}) {
+		let game = this.game;
+		let point = this.pointAt(input);
+		let direction = this.directionAt(input);
+
+		if(!Number.isFinite(point.x) || !Number.isFinite(point.y) ||
+				Number.isNaN(direction.x) || Number.isNaN(direction.y) ||
+				(direction.x === 0 && direction.y === 0)) {
+			console.error("CMFunction \"" + this.name + "\" has no tangent line at " + input);
+			return null;
+		}
+
+		// Screen y values are flipped
+		let angle = Math.atan2(-direction.y, direction.x);
+		let length = (typeof options.length === "number") ? options.length : 2 * Math.hypot(game.width, game.height);
+		let center = {
+			x: game.xToScreen(point.x, this.origin),
+			y: game.yToScreen(point.y, this.origin)
+		};
+
+		let halfX = 0.5 * length * Math.cos(angle);
+		let halfY = 0.5 * length * Math.sin(angle);
+
+		let tangent = new CMSprite(game,
+			center.x - halfX,
+			center.y - halfY,
+			options.lineWidth || 1,
+			"line",
+			options.strokeStyle || this.strokeStyle);
+
+		tangent.end = {
+			x: center.x + halfX,
+			y: center.y + halfY
+		};
+
+		tangent.slope = direction.y / direction.x;
+		tangent.point = point;
+		return tangent;
+	}
+
+	/**
+	 * Finds the definite integral of this function, from a to b,
+	 * using adaptive Simpson's rule, e.g.,
+	 * new CMFunction(game, "x^2").integrate(0, 3); // 9
+	 * For "cartesian" type this is the signed area between the graph
+	 * and the x-axis, with area below the axis counted as negative.
+	 * @param {number} a - The real input to start from
+	 * @param {number} b - The real input to end at
+	 * @param {number} [tolerance=0.000000001] - How close the result should be to the true value
+	 * @returns {number} NaN for "parametric" and "implicit" types
+	 */
+	integrate(a, b, tolerance=0.000000001) {
+		let self = this;
+
+		if(this.type === "parametric") {
+			console.error("CMFunction.integrate cannot integrate \"parametric\" functions, whose outputs are points");
+			return NaN;
+		}
+
+		if(this.type === "implicit") {
+			console.error("CMFunction.integrate cannot integrate \"implicit\" functions, which take two inputs");
+			return NaN;
+		}
+
+		return CMFunction.adaptiveSimpson(input => self.of(input), a, b, tolerance);
+	}
+
+	/**
+	 * Gets the real input interval to search, using this
+	 * function's start and end values (e.g., start.x and
+	 * end.x for "cartesian") where a and b are not given.
+	 * Mostly used internally.
+	 * @param {number} [a] - The real input to start from
+	 * @param {number} [b] - The real input to end at
+	 * @returns {object} A plain JS object with start and end values
+	 */
+	searchInterval(a, b) {
+		let key = CMFunction.INPUT_VARIABLES[this.type];
+
+		return {
+			start: (typeof a === "number") ? a : this.start[key],
+			end: (typeof b === "number") ? b : this.end[key]
+		};
+	}
+
+	/**
+	 * Gets the real points on this function's graph for
+	 * the given real inputs, each with an "input" property
+	 * holding its input. Mostly used internally.
+	 * @param {array} inputs - Real input values (x, y, theta, or t, depending on type)
+	 * @returns {array} An array of CMPoint instances
+	 */
+	pointsAt(inputs) {
+		return inputs.map(input => {
+			let point = this.pointAt(input);
+			point.input = input;
+			return point;
+		});
+	}
+
+	/**
+	 * Finds the points where this function's output is 0,
+	 * for inputs from a to b: x-intercepts for "cartesian",
+	 * y-intercepts for "xofy", points at the pole for "polar",
+	 * and x-axis crossings (y is 0) for "parametric".
+	 * Roots closer together than (b - a) / CMFunction.SEARCH_SAMPLES
+	 * may be missed.
+	 * @param {number} [a] - The real input to start from. Defaults to the start of the drawn graph.
+	 * @param {number} [b] - The real input to end at. Defaults to the end of the drawn graph.
+	 * @returns {array} An array of real points (CMPoint instances), each with an "input" property
+	 */
+	roots(a, b) {
+		let self = this;
+		let interval = this.searchInterval(a, b);
+		let output = (input) => (self.type === "parametric") ? self.of(input).y : self.of(input);
+
+		return this.pointsAt( CMFunction.findZeros(output, interval.start, interval.end, {touching: true}) );
+	}
+
+	/**
+	 * Finds the local maxima and minima of this function's
+	 * output, for inputs from a to b (of y for "parametric",
+	 * i.e., its highest and lowest points). Corners, like
+	 * the bottom of |x|, are included.
+	 * @param {number} [a] - The real input to start from. Defaults to the start of the drawn graph.
+	 * @param {number} [b] - The real input to end at. Defaults to the end of the drawn graph.
+	 * @returns {array} An array of real points (CMPoint instances), each with an "input"
+	 *   property, and a "type" property of "max" or "min"
+	 */
+	extrema(a, b) {
+		let self = this;
+		let interval = this.searchInterval(a, b);
+		let output = (input) => (self.type === "parametric") ? self.of(input).y : self.of(input);
+		let rate = (input) => (self.type === "parametric") ? self.rateAt(input).y : self.rateAt(input);
+
+		// Check the rate just before each point, to see if the output was rising or falling
+		let nudge = Math.abs(interval.end - interval.start) / (4 * CMFunction.SEARCH_SAMPLES);
+
+		// At a vertical asymptote (like 1/x^2 at 0) the rate grows, rather than leveling off or jumping
+		let inputs = CMFunction.findZeros(rate, interval.start, interval.end, {jumps: true})
+			.filter(input => Number.isFinite(output(input)) &&
+				Math.abs(rate(input)) <= Math.max(Math.abs(rate(input - nudge)), Math.abs(rate(input + nudge))));
+
+		return this.pointsAt(inputs).map(point => {
+			point.type = (rate(point.input - nudge) > 0) ? "max" : "min";
+			return point;
+		});
+	}
+
+	/**
+	 * Finds the points where this function's graph
+	 * changes concavity (i.e., the curve switches between
+	 * bending left and bending right), for inputs from a to b
+	 * @param {number} [a] - The real input to start from. Defaults to the start of the drawn graph.
+	 * @param {number} [b] - The real input to end at. Defaults to the end of the drawn graph.
+	 * @returns {array} An array of real points (CMPoint instances), each with an "input" property
+	 */
+	inflectionPoints(a, b) {
+		let self = this;
+		let interval = this.searchInterval(a, b);
+
+		// Signed curvature, which for "cartesian" type has the same sign as f''(x)
+		let curvature = (input) => {
+			let h = 0.001 * Math.max(1, Math.abs(input));
+			let first = self.directionAt(input);
+			let before = self.directionAt(input - h);
+			let after = self.directionAt(input + h);
+			let secondX = (after.x - before.x) / (2 * h);
+			let secondY = (after.y - before.y) / (2 * h);
+			let value = (first.x * secondY - first.y * secondX) / Math.pow(Math.hypot(first.x, first.y), 3);
+
+			// Ignore rounding errors along straight parts of the graph
+			return (Math.abs(value) < 0.0000001) ? 0 : value;
+		};
+
+		let nudge = Math.abs(interval.end - interval.start) / (4 * CMFunction.SEARCH_SAMPLES);
+
+		// How sharply the graph bends, without dividing by speed. This blows up at an asymptote or jump.
+		let bend = (input) => {
+			let h = nudge / 4;
+			let point = self.pointAt(input);
+			let before = self.pointAt(input - h);
+			let after = self.pointAt(input + h);
+
+			return Math.hypot(after.x - 2 * point.x + before.x, after.y - 2 * point.y + before.y) / (h * h);
+		};
+
+		// The curve straightens out along a vertical asymptote (like 1/x at 0), so its curvature
+		// changes sign there too. Keep only points where the graph levels off rather than blowing up.
+		let inputs = CMFunction.findZeros(curvature, interval.start, interval.end)
+			.filter(input => {
+				let point = self.pointAt(input);
+				let bendHere = bend(input);
+
+				return Number.isFinite(point.x) && Number.isFinite(point.y) && Number.isFinite(bendHere) &&
+					bendHere <= Math.min(bend(input - nudge), bend(input + nudge));
+			});
+
+		return this.pointsAt(inputs);
+	}
+
+	/**
+	 * Finds the points where this function's graph meets
+	 * another's, for this function's inputs from a to b.
+	 * Works for any two function types. The other function
+	 * is searched over its own drawn interval (e.g., its
+	 * start.t to end.t, for "parametric" type).
+	 * @param {CMFunction} otherFunc - The other function
+	 * @param {number} [a] - The real input to start from. Defaults to the start of the drawn graph.
+	 * @param {number} [b] - The real input to end at. Defaults to the end of the drawn graph.
+	 * @returns {array} An array of real points (CMPoint instances), each with an "input"
+	 *   property (this function's input there)
+	 */
+	intersections(otherFunc, a, b) {
+		let self = this;
+		let interval = this.searchInterval(a, b);
+
+		// These graphs share their inputs, so meet where their outputs are equal
+		if(this.type === otherFunc.type && (this.type === "cartesian" || this.type === "xofy")) {
+			return this.pointsAt( CMFunction.findZeros(input => self.of(input) - otherFunc.of(input),
+				interval.start, interval.end, {touching: true}) );
+		}
+
+		let otherInterval = otherFunc.searchInterval();
+		let samples = CMFunction.SEARCH_SAMPLES;
+
+		let sample = (func, range) => Array(samples + 1).fill(0).map((element, idx) => {
+			let input = range.start + (range.end - range.start) * idx / samples;
+			let point = func.pointAt(input);
+
+			return {
+				input: input,
+				x: point.x,
+				y: point.y
+			};
+		});
+
+		let inRange = (input, range) => input >= Math.min(range.start, range.end) - 0.000000001 &&
+			input <= Math.max(range.start, range.end) + 0.000000001;
+
+		// Newton's method, solving this.pointAt(s) = otherFunc.pointAt(u)
+		let refine = (s, u) => {
+			let gap = null;
+
+			for(let iteration = 0; iteration < 30; iteration++) {
+				let point = self.pointAt(s);
+				let otherPoint = otherFunc.pointAt(u);
+				let gapX = point.x - otherPoint.x;
+				let gapY = point.y - otherPoint.y;
+				gap = Math.hypot(gapX, gapY);
+
+				if(!Number.isFinite(gap) || gap < 0.000000000001) {
+					break;
+				}
+
+				let direction = self.directionAt(s);
+				let otherDirection = otherFunc.directionAt(u);
+				let det = otherDirection.x * direction.y - direction.x * otherDirection.y;
+
+				// Parallel here, so cannot be refined further
+				if(!det) {
+					break;
+				}
+
+				s += (gapX * otherDirection.y - otherDirection.x * gapY) / det;
+				u += (gapX * direction.y - direction.x * gapY) / det;
+			}
+
+			return (gap < 0.0000001 && inRange(s, interval) && inRange(u, otherInterval)) ? s : null;
+		};
+
+		let mine = sample(this, interval);
+		let theirs = sample(otherFunc, otherInterval);
+		let found = [];
+
+		// Find where the drawn segments cross, then refine each estimate
+		for(let i = 0; i < samples; i++) {
+			let p1 = mine[i];
+			let p2 = mine[i + 1];
+
+			for(let j = 0; j < samples; j++) {
+				let q1 = theirs[j];
+				let q2 = theirs[j + 1];
+
+				// Quickly skip segments whose bounding boxes do not overlap
+				if(Math.max(p1.x, p2.x) < Math.min(q1.x, q2.x) || Math.max(q1.x, q2.x) < Math.min(p1.x, p2.x) ||
+						Math.max(p1.y, p2.y) < Math.min(q1.y, q2.y) || Math.max(q1.y, q2.y) < Math.min(p1.y, p2.y)) {
+					continue;
+				}
+
+				let det = (p2.x - p1.x) * (q2.y - q1.y) - (p2.y - p1.y) * (q2.x - q1.x);
+				if(!det) {
+					continue;
+				}
+
+				let along = ((q1.x - p1.x) * (q2.y - q1.y) - (q1.y - p1.y) * (q2.x - q1.x)) / det;
+				let otherAlong = ((q1.x - p1.x) * (p2.y - p1.y) - (q1.y - p1.y) * (p2.x - p1.x)) / det;
+
+				if(along < 0 || along > 1 || otherAlong < 0 || otherAlong > 1) {
+					continue;
+				}
+
+				let s = refine(p1.input + along * (p2.input - p1.input),
+					q1.input + otherAlong * (q2.input - q1.input));
+
+				if(s !== null) {
+					let point = self.pointAt(s);
+					if(!found.some(other => Math.hypot(other.x - point.x, other.y - point.y) < 0.000001)) {
+						point.input = s;
+						found.push(point);
+					}
+				}
+			}
+		}
+
+		return found.sort((point, otherPoint) => point.input - otherPoint.input);
+	}
+
+	/**
+	 * Finds the first of the given real points (e.g., roots)
+	 * that is onscreen within a number of pixels of a screen
+	 * point, e.g., to check where a player tapped.
+	 * @param {array} points - Real points, e.g., from roots() or intersections()
+	 * @param {object} screenPoint - A screen point, e.g., from onpressstart
+	 * @param {number} [tolerance=10] - The greatest distance allowed, in pixels
+	 * @returns {object|null} The matching real point, or null if none is close enough
+	 */
+	pointNear(points, screenPoint, tolerance=10) {
+		let game = this.game;
+
+		for(let point of points) {
+			let distance = Math.hypot(
+				game.xToScreen(point.x, this.origin) - screenPoint.x,
+				game.yToScreen(point.y, this.origin) - screenPoint.y);
+
+			if(distance <= tolerance) {
+				return point;
+			}
+		}
+
+		return null;
+	}
+
+	/**
+	 * Creates a circle sprite (a dot) at each of the given
+	 * real points, e.g., game.add( ...f.markPoints(f.roots()) );
+	 * Each sprite's "point" property holds its real point.
+	 * @param {array} points - Real points, e.g., from roots() or intersections()
+	 * @param {object} [options={}] - A plain JS object of options
+	 * @param {number} [options.radius=5] - Each dot's radius in pixels
+	 * @param {string} [options.fillStyle] - Each dot's color. Defaults to this function's strokeStyle.
+	 * @returns {array} An array of CMSprite instances
+	 */
+	markPoints(points, options={}) {
+		let game = this.game;
+
+		return points.map(point => {
+			let dot = new CMSprite(game,
+				game.xToScreen(point.x, this.origin),
+				game.yToScreen(point.y, this.origin),
+				options.radius || 5,
+				"circle",
+				options.fillStyle || this.strokeStyle);
+
+			dot.point = point;
+			return dot;
+		});
+	}
+
+	/**
+	 * Finds the point on this graph for a given input
+	 * (x for "cartesian", y for "xofy", theta for "polar",
+	 * and t for "parametric")
+	 * @param {number} input - The real input value
+	 * @returns {object|null} A plain JS object with the input, the point's real x and y
+	 *   values, and its screenX and screenY values (in pixels), or null if the graph
+	 *   has no point for that input
+	 */
+	getPointAt(input) {
+		let point = this.pointAt(input);
+
+		if(!Number.isFinite(point.x) || !Number.isFinite(point.y)) {
+			return null;
+		}
+
+		return {
+			input: input,
+			x: point.x,
+			y: point.y,
+			screenX: this.game.xToScreen(point.x, this.origin),
+			screenY: this.game.yToScreen(point.y, this.origin)
+		};
+	}
+
+	/**
+	 * Gets the smallest and largest inputs the traced
+	 * point can move between: the drawn part of the graph,
+	 * limited to the screen for "cartesian" and "xofy".
+	 * Mostly used internally.
+	 * @returns {object} A plain JS object with min and max values
+	 */
+	getTraceBounds() {
+		let game = this.game;
+
+		switch(this.type) {
+			case "cartesian":
+				return {
+					min: Math.max(this.start.x, game.xToReal(0, this.origin)),
+					max: Math.min(this.end.x, game.xToReal(game.width, this.origin))
+				};
+			case "xofy":
+				return {
+					min: Math.max(this.start.y, game.yToReal(game.height, this.origin)),
+					max: Math.min(this.end.y, game.yToReal(0, this.origin))
+				};
+			case "polar":
+				return {
+					min: this.start.theta,
+					max: this.end.theta
+				};
+			case "parametric":
+				return {
+					min: this.start.t,
+					max: this.end.t
+				};
+			default:
+				return {
+					min: NaN,
+					max: NaN
+				};
+		}
+	}
+
+	/**
+	 * Finds the point on this graph closest to a given
+	 * screen point. For "cartesian" and "xofy" types, this
+	 * is the point directly above/below (or beside) the given
+	 * point. For "polar" and "parametric" types, the drawn
+	 * points are checked, then the search is narrowed around
+	 * the closest one. Mostly used internally.
+	 * @param {number} screenX - The screen point's x value, in pixels
+	 * @param {number} screenY - The screen point's y value, in pixels
+	 * @returns {object|null} The point (see getPointAt()), with an
+	 *   extra distance value in pixels, or null if none is found
+	 */
+	nearestTracePoint(screenX, screenY) {
+		let game = this.game;
+		let bounds = this.getTraceBounds();
+		let nearest = null;
+
+		let check = (input) => {
+			let point = this.getPointAt( CMGame.clamp(input, bounds.min, bounds.max) );
+			if(point === null) {
+				return;
+			}
+
+			point.distance = Math.hypot(point.screenX - screenX, point.screenY - screenY);
+			if(nearest === null || point.distance < nearest.distance) {
+				nearest = point;
+			}
+		};
+
+		switch(this.type) {
+			case "cartesian":
+				check( game.xToReal(screenX, this.origin) );
+				break;
+			case "xofy":
+				check( game.yToReal(screenY, this.origin) );
+				break;
+			case "polar":
+			case "parametric": {
+				let step = (this.type === "polar") ? this.thetaStep : this.tStep;
+
+				for(let input = bounds.min; input <= bounds.max; input += step) {
+					check(input);
+				}
+
+				// Narrow in twice, each time checking 20 smaller steps around the closest point
+				for(let i = 0; i < 2 && nearest !== null; i++) {
+					let center = nearest.input;
+					step /= 10;
+
+					for(let k = -10; k <= 10; k++) {
+						check(center + k * step);
+					}
+				}
+				break;
+			}
+		}
+
+		return nearest;
+	}
+
+	/**
+	 * Moves this graph's traced point to the given
+	 * input, showing the point and its coordinates,
+	 * and calls ontrace(). The arrow keys then move
+	 * the point. This works whether or not players
+	 * can trace the graph (see traceOptions).
+	 * @param {number} input - The real input value (x, y, theta, or t, by type)
+	 * @returns {object|null} The traced point (see getPointAt()), or null
+	 *   if the graph has no point for that input, in which case the traced
+	 *   point does not move
+	 */
+	trace(input) {
+		let point = this.getPointAt(input);
+		if(point === null) {
+			return null;
+		}
+
+		this.traceInput = input;
+		this.game.tracedFunction = this;
+		this.ontrace(point);
+		return point;
+	}
+
+	/**
+	 * Makes this the graph the arrow keys trace (e.g., when
+	 * the Tab key moves to it), showing its traced point at
+	 * the first point shown if it was not already traced.
+	 * Mostly used internally.
+	 */
+	focusTrace() {
+		if(this.traceInput === null) {
+			let bounds = this.getTraceBounds();
+			this.moveTrace(bounds.min, this.traceStep(), bounds);
+		}
+
+		this.game.tracedFunction = this;
+	}
+
+	/**
+	 * Hides this graph's traced point
+	 */
+	clearTrace() {
+		this.traceInput = null;
+
+		if(this.game.tracedFunction === this) {
+			this.game.tracedFunction = null;
+		}
+	}
+
+	/**
+	 * Gets the currently traced point. Since the graph
+	 * may have changed (e.g., if it was panned, or one
+	 * of its parameters changed), this is found again
+	 * from the traced input on each call.
+	 * @returns {object|null} The traced point (see getPointAt()),
+	 *   or null if this graph is not being traced
+	 */
+	getTracePoint() {
+		if(this.traceInput === null) {
+			return null;
+		}
+
+		return this.getPointAt(this.traceInput);
+	}
+
+	/**
+	 * Rounds a coordinate for the trace readout
+	 * to traceOptions.decimals places, without showing
+	 * tiny rounding errors (or -0). Mostly used internally.
+	 * @param {number} value - Any number
+	 * @returns {number}
+	 */
+	roundTraceValue(value) {
+		if(typeof this.traceOptions.decimals === "number") {
+			value = parseFloat( value.toFixed(this.traceOptions.decimals) );
+		}
+
+		return CMGame.roundSmall(value);
+	}
+
+	/**
+	 * Gets how far each arrow key press moves the traced
+	 * point's input (see traceOptions.step). Mostly used internally.
+	 * @returns {number}
+	 */
+	traceStep() {
+		if(this.traceOptions.step) {
+			return this.traceOptions.step;
+		}
+
+		switch(this.type) {
+			case "polar":
+				return this.thetaStep;
+			case "parametric":
+				return this.tStep;
+			default:
+				return 0.1 * this.game.tickDistance / this.game.graphScalar;
+		}
+	}
+
+	/**
+	 * Moves the traced point with the keyboard, when this
+	 * graph is being traced. Mostly used internally.
+	 * @param {object} e - The keydown event
+	 * @returns {boolean} true if the key was used for tracing
+	 */
+	traceKeyDown(e) {
+		let bounds = this.getTraceBounds();
+		let step = this.traceStep();
+		let current = (this.traceInput === null) ? bounds.min : this.traceInput;
+
+		switch(e.key) {
+			case "ArrowRight":
+			case "ArrowUp":
+				this.moveTrace(current + step, step, bounds);
+				return true;
+			case "ArrowLeft":
+			case "ArrowDown":
+				this.moveTrace(current - step, -step, bounds);
+				return true;
+			case "Home":
+				this.moveTrace(bounds.min, step, bounds);
+				return true;
+			case "End":
+				this.moveTrace(bounds.max, -step, bounds);
+				return true;
+			case "Escape":
+				this.clearTrace();
+				return true;
+			default:
+				return false;
+		}
+	}
+
+	/**
+	 * Moves the traced point to the given input, or if the
+	 * graph has no point there (e.g., outside its domain),
+	 * keeps stepping until it finds one. Mostly used internally.
+	 * @param {number} input - The real input to try first
+	 * @param {number} step - How much to change the input by for each try
+	 * @param {object} bounds - The smallest and largest inputs allowed (see getTraceBounds())
+	 */
+	moveTrace(input, step, bounds) {
+		let lastInput = (step > 0) ? bounds.max : bounds.min;
+
+		for(let i = 0; i < CMFunction.MAX_TRACE_STEPS; i++) {
+			input = CMGame.clamp(input, bounds.min, bounds.max);
+
+			if(this.trace(input) !== null || input === lastInput) {
+				return;
+			}
+
+			input += step;
+		}
+	}
+
+	/**
+	 * Draws the traced point, and its real coordinates,
+	 * if this graph is being traced. Mostly used internally.
+	 * @param {CanvasRenderingContext2D} ctx - The game's drawing context
+	 */
+	drawTrace(ctx) {
+		let point = this.getTracePoint();
+		if(point === null) {
+			return;
+		}
+
+		let options = this.traceOptions;
+
+		ctx.fillStyle = options.fillStyle || this.strokeStyle;
+		ctx.beginPath();
+		ctx.arc(point.screenX, point.screenY, options.radius, 0, Math.TAU, false);
+		ctx.fill();
+
+		if(this.game.tracedFunction === this) {
+			ctx.strokeStyle = options.textStyle;
+			ctx.lineWidth = 1;
+			ctx.beginPath();
+			ctx.arc(point.screenX, point.screenY, options.radius + 3, 0, Math.TAU, false);
+			ctx.stroke();
+		}
+
+		let text = "(" + this.roundTraceValue(point.x) + ", " + this.roundTraceValue(point.y) + ")";
+
+		ctx.font = options.font;
+		ctx.fillStyle = options.textStyle;
+		ctx.textBaseline = "bottom";
+
+		// Keep the coordinates on screen, moving them to the left of or below the point if needed
+		let textX = point.screenX + options.radius + 4;
+		let textY = point.screenY - options.radius - 4;
+		let textWidth = ctx.measureText(text).width;
+
+		if(textX + textWidth > this.game.width) {
+			textX = point.screenX - options.radius - 4 - textWidth;
+		}
+
+		if(textY < 20) {
+			textY = point.screenY + options.radius + 24;
+		}
+
+		ctx.fillText(text, textX, textY);
+	}
+
+	/**
+	 * Finds this graph's asymptotes, and its holes (removable
+	 * discontinuities, like (x^2 - 1)/(x - 1) at x = 1). For
+	 * math written as a rational expression (a polynomial
+	 * divided by a polynomial), these are found exactly.
+	 * Otherwise, they are estimated from the outputs: vertical
+	 * asymptotes and holes only within the visible part of the
+	 * graph, and horizontal and slant asymptotes from outputs
+	 * for very large and very small x. Only for "cartesian" type.
+	 * @returns {object|null} A plain JS object, with arrays "vertical" (x values), "horizontal"
+	 *   (y values), "slant" (plain JS objects with slope and intercept values), and "holes"
+	 *   (points with x and y values), or null if this is not a "cartesian" function
+	 */
+	findAsymptotes() {
+		if(this.type !== "cartesian") {
+			console.error("CMFunction \"" + this.name + "\" is \"" + this.type + "\" type, so has no asymptotes to find");
+			return null;
+		}
+
+		let game = this.game;
+		let left = Math.max(this.start.x, game.xToReal(0, this.origin));
+		let right = Math.min(this.end.x, game.xToReal(game.width, this.origin));
+
+		// Exact results do not depend on the view, but estimates do
+		let key = JSON.stringify([left, right, game.graphScalar, this.params]);
+		if(this.asymptoteCache && this.asymptoteCache.key === key && this.asymptoteCache.of === this.of) {
+			return this.asymptoteCache.asymptotes;
+		}
+
+		let rational = this.expressionNode ? CMFunction.readRational(this.expressionNode, this.params) : null;
+		let asymptotes = null;
+
+		if(rational) {
+			asymptotes = CMFunction.rationalAsymptotes(rational);
+		}
+		else {
+
+			// Check the input at each pixel across the visible graph
+			let inputs = [];
+			for(let i = Math.ceil(game.xToScreen(left, this.origin)); i <= game.xToScreen(right, this.origin); i++) {
+				inputs.push(game.xToReal(i, this.origin));
+			}
+
+			asymptotes = CMFunction.numericAsymptotes((x) => this.of(x), inputs);
+		}
+
+		this.asymptoteCache = {
+			key: key,
+			of: this.of,
+			asymptotes: asymptotes
+		};
+
+		return asymptotes;
+	}
+
+	/**
+	 * Rounds a value for an asymptote's label, using
+	 * asymptoteOptions.decimals. Mostly used internally.
+	 * @param {number} value - Any real number
+	 * @returns {number}
+	 */
+	roundAsymptoteValue(value) {
+		if(typeof this.asymptoteOptions.decimals === "number") {
+			value = parseFloat( value.toFixed(this.asymptoteOptions.decimals) );
+		}
+
+		return CMGame.roundSmall(value);
+	}
+
+	/**
+	 * Draws this graph's asymptotes as dashed lines, with their
+	 * equations, and its holes as open circles, if asymptoteOptions
+	 * are enabled. Mostly used internally.
+	 * @param {CanvasRenderingContext2D} ctx - The game's drawing context
+	 */
+	drawAsymptotes(ctx) {
+		let options = this.asymptoteOptions;
+		if(!options.enabled) {
+			return;
+		}
+
+		let asymptotes = this.findAsymptotes();
+		if(asymptotes === null) {
+			return;
+		}
+
+		let game = this.game;
+
+		// Each line's screen points, and where its label can go
+		let lines = [];
+
+		for(let x of asymptotes.vertical) {
+			let screenX = game.xToScreen(x, this.origin);
+
+			lines.push({
+				points: [{x: screenX, y: 0}, {x: screenX, y: game.height}],
+				label: "x = " + this.roundAsymptoteValue(x),
+				labelX: screenX + 4,
+				labelY: 20
+			});
+		}
+
+		ctx.font = options.font;
+
+		for(let y of asymptotes.horizontal) {
+			let screenY = game.yToScreen(y, this.origin);
+			let label = "y = " + this.roundAsymptoteValue(y);
+
+			lines.push({
+				points: [{x: 0, y: screenY}, {x: game.width, y: screenY}],
+				label: label,
+				labelX: game.width - ctx.measureText(label).width - 4,
+				labelY: screenY - 4
+			});
+		}
+
+		for(let line of asymptotes.slant) {
+			let slope = this.roundAsymptoteValue(line.slope);
+			let intercept = this.roundAsymptoteValue(line.intercept);
+			let label = "y = " + (slope === 1 ? "" : slope === -1 ? "-" : slope) + "x" +
+				(intercept > 0 ? " + " + intercept : intercept < 0 ? " - " + Math.abs(intercept) : "");
+
+			let screenYAt = (screenX) => game.yToScreen(line.slope * game.xToReal(screenX, this.origin) + line.intercept, this.origin);
+			let labelWidth = ctx.measureText(label).width;
+
+			// Label the line near the right side of the screen, moving left until the label is visible
+			let labelX = game.width - labelWidth - 4;
+			while(labelX > 0 && (screenYAt(labelX) < 20 || screenYAt(labelX) > game.height - 4)) {
+				labelX -= 10;
+			}
+
+			// Drawn in short segments, since a line curves on a "log" axis
+			let points = [];
+			for(let screenX = 0; screenX < game.width + 10; screenX += 10) {
+				points.push({x: screenX, y: screenYAt(screenX)});
+			}
+
+			lines.push({
+				points: points,
+				label: label,
+				labelX: labelX,
+				labelY: screenYAt(labelX) - 4
+			});
+		}
+
+		ctx.lineWidth = options.lineWidth;
+		ctx.strokeStyle = options.strokeStyle;
+		ctx.setLineDash(options.lineDash);
+
+		for(let line of lines) {
+			ctx.beginPath();
+			ctx.moveTo(line.points[0].x, line.points[0].y);
+			for(let point of line.points.slice(1)) {
+				ctx.lineTo(point.x, point.y);
+			}
+
+			ctx.stroke();
+		}
+
+		ctx.setLineDash([]);
+
+		if(options.labels) {
+			ctx.fillStyle = options.textStyle;
+			ctx.textBaseline = "bottom";
+
+			for(let line of lines) {
+				ctx.fillText(line.label, line.labelX, line.labelY);
+			}
+		}
+
+		ctx.lineWidth = this.lineWidth;
+		ctx.strokeStyle = this.strokeStyle;
+
+		for(let hole of asymptotes.holes) {
+			ctx.fillStyle = options.holeStyle;
+			ctx.beginPath();
+			ctx.arc(game.xToScreen(hole.x, this.origin), game.yToScreen(hole.y, this.origin),
+				options.holeRadius, 0, Math.TAU, false);
+			ctx.fill();
+			ctx.stroke();
+		}
+	}
+
+	/**
+	 * Changes the value of one of this function's
+	 * parameters (see the "params" option), and
+	 * rebuilds its graph. As with a CMSlider, values
+	 * outside the parameter's range are moved to the
+	 * nearest end of it, and values are rounded to
+	 * the parameter's step.
+	 * @param {string} name - The parameter's name, e.g., "a"
+	 * @param {number} value - The new value
+	 */
+	setParam(name, value) {
+		if(!(name in this.params)) {
+			console.error("CMFunction \"" + this.name + "\" has no parameter \"" + name + "\"");
+			return;
+		}
+
+		this.showParam(name, this.snapParam(name, value));
+	}
+
+	/**
+	 * Keeps a value within a parameter's range, rounded
+	 * to its step. Mostly used internally.
+	 * @param {string} name - The parameter's name, e.g., "a"
+	 * @param {number} value - Any number
+	 * @returns {number}
+	 */
+	snapParam(name, value) {
+		let range = this.paramRanges[name];
+		return range ? CMGame.snapToStep(value, range.min, range.max, range.step) : value;
+	}
+
+	/**
+	 * Changes a parameter's value as given, without rounding
+	 * it to the step (e.g., for the in-between values of an
+	 * animation), then rebuilds the graph and moves any sliders.
+	 * Mostly used internally.
+	 * @param {string} name - The parameter's name, e.g., "a"
+	 * @param {number} value - The new value
+	 */
+	showParam(name, value) {
+		if(value === this.params[name]) {
+			return;
+		}
+
+		this.params[name] = value;
+
+		for(let slider of this.paramSliders[name]) {
+			slider.moveThumb(value);
+		}
+
+		this.buildGraphPath(this.game.offscreenCtx);
+		this.onparamchange(name, value);
+	}
+
+	/**
+	 * Animates one of this function's parameters, from
+	 * its current value to a new one, over time.
+	 * @param {string} name - The parameter's name, e.g., "a"
+	 * @param {number} toValue - The value to end at
+	 * @param {number} [duration=1000] - Milliseconds the animation takes
+	 * @param {object} [options={}] - A plain JS object of options
+	 * @param {string} [options.repeat="none"] - "none" to stop at the end, "loop" to start
+	 *   over from the first value, or "reverse" to go back and forth
+	 * @param {function} [options.onend] - A callback called when an animation
+	 *   that does not repeat ends
+	 */
+	animateParam(name, toValue, duration=1000, options={}) {
+		if(!(name in this.params)) {
+			console.error("CMFunction \"" + this.name + "\" has no parameter \"" + name + "\"");
+			return;
+		}
+
+		// Animation frames are in between, but the final value is one a slider could show
+		this.paramAnimations[name] = {
+			from: this.params[name],
+			to: this.snapParam(name, toValue),
+			duration: duration,
+			elapsed: 0,
+			repeat: options.repeat || "none",
+			onend: options.onend || CMGame.noop
+		};
+	}
+
+	/**
+	 * Stops animating a parameter, leaving it at its current value
+	 * @param {string} name - The parameter's name, e.g., "a"
+	 */
+	stopParamAnimation(name) {
+		delete this.paramAnimations[name];
+	}
+
+	/**
+	 * Creates a CMSlider that changes one of this function's
+	 * parameters, using the parameter's range. Changing the
+	 * parameter in other ways (e.g., with animateParam())
+	 * moves the slider too. The slider still needs to be
+	 * added to the game.
+	 * @param {string} name - The parameter's name, e.g., "a"
+	 * @param {number} x - The left end of the slider's track, in pixels
+	 * @param {number} y - The middle of the slider's track (vertically), in pixels
+	 * @param {number} width - The length of the slider's track, in pixels
+	 * @param {object} [options={}] - A plain JS object of CMSlider options
+	 * @returns {CMSlider|null} null if this function has no such parameter
+	 */
+	createSlider(name, x, y, width, options={}) {
+		if(!(name in this.params)) {
+			console.error("CMFunction \"" + this.name + "\" has no parameter \"" + name + "\"");
+			return null;
+		}
+
+		let range = this.paramRanges[name] || {};
+		let slider = new CMSlider(this.game, x, y, width, Object.assign({
+			min: range.min,
+			max: range.max,
+			step: range.step,
+			value: this.params[name],
+			label: name
+		}, options));
+
+		slider.target = this;
+		slider.param = name;
+		this.paramSliders[name].push(slider);
+
+		return slider;
+	}
+
+	/**
+	 * Smoothly changes this function's graph into another
+	 * function's graph, over time. Each frame, the graph is an
+	 * in-between state, with outputs part way from this function's
+	 * outputs to the other function's. When the animation ends,
+	 * this function uses the other function's rule (and its math,
+	 * if it was written as math).
+	 * @param {CMFunction} target - The function to change into, of the same type
+	 * @param {number} [duration=1000] - Milliseconds the animation takes
+	 * @param {string|function} [easing="easeInOut"] - The name of one of
+	 *   CMFunction.EASINGS, or a function taking the fraction of time passed (0 to 1)
+	 *   and returning the fraction of the change to show
+	 * @param {object} [options={}] - A plain JS object of options
+	 * @param {function} [options.onend] - A callback called when the animation ends
+	 */
+	morphTo(target, duration=1000, easing="easeInOut", options={}) {
+		let self = this;
+		let fromOf = this.of;
+
+		this.startMorph(target,
+			progress => function(...inputs) {
+				return CMFunction.interpolate(fromOf.apply(self, inputs), target.of(...inputs), progress);
+			},
+			function(...inputs) { return target.of(...inputs); },
+			duration, easing, options);
+	}
+
+	/**
+	 * Creates a new function whose graph is this one's after
+	 * a standard transformation. Points are stretched (and
+	 * reflected) away from the axes first, then shifted, so
+	 * for "cartesian" type the new function is
+	 * g(x) = stretchY * f((x - shiftX) / stretchX) + shiftY.
+	 * If this function was written as math, so is the new one.
+	 * Not available for "polar" type.
+	 * @param {object} transformation - A plain JS object describing the transformation
+	 * @param {number} [transformation.shiftX=0] - How far to move the graph right (left if negative)
+	 * @param {number} [transformation.shiftY=0] - How far to move the graph up (down if negative)
+	 * @param {number} [transformation.stretchX=1] - How much to stretch the graph horizontally,
+	 *   away from the y-axis (less than 1 shrinks it)
+	 * @param {number} [transformation.stretchY=1] - How much to stretch the graph vertically,
+	 *   away from the x-axis (less than 1 shrinks it)
+	 * @param {boolean} [transformation.reflectX=false] - true to reflect the graph across the x-axis (upside down)
+	 * @param {boolean} [transformation.reflectY=false] - true to reflect the graph across the y-axis (left to right)
+	 * @param {object} [newOpts={}] - A plain JS object of options, which should
+	 *   contain any CMFunction constructor options that you want to be
+	 *   different from the current instance.
+	 * @returns {CMFunction|null} The new function, or null for "polar" type
+	 */
+	transformed(transformation, newOpts={}) {
+		if(this.type === "polar") {
+			console.error("CMFunction \"" + this.name + "\" is \"polar\" type, so cannot be transformed");
+			return null;
+		}
+
+		return this.operation("self", Object.assign({}, newOpts, {
+			operation: "transformed",
+			transformation: transformation
+		}));
+	}
+
+	/**
+	 * Animates a standard transformation of this function's
+	 * graph (see transformed()). Each frame, the graph is this
+	 * function with part of the transformation applied, so
+	 * a shift slides the graph, and a stretch grows steadily.
+	 * A reflection shrinks the graph flat against the axis,
+	 * and then out the other side.
+	 * @param {object} transformation - A plain JS object describing the transformation (see transformed())
+	 * @param {number} [duration=1000] - Milliseconds the animation takes
+	 * @param {string|function} [easing="easeInOut"] - The name of one of
+	 *   CMFunction.EASINGS, or an easing function (see morphTo())
+	 * @param {object} [options={}] - A plain JS object of options
+	 * @param {function} [options.onend] - A callback called when the animation ends
+	 * @returns {CMFunction|null} A new function for the transformed graph
+	 *   (see transformed()), which this one matches when the animation ends
+	 */
+	transform(transformation, duration=1000, easing="easeInOut", options={}) {
+		let target = this.transformed(transformation);
+		if(target === null) {
+			return null;
+		}
+
+		let fromOf = this.of;
+		let change = CMFunction.readTransformation(transformation);
+
+		this.startMorph(target,
+			progress => this.transformOf({
+					shiftX: progress * change.shiftX,
+					shiftY: progress * change.shiftY,
+					scaleX: 1 + progress * (change.scaleX - 1),
+					scaleY: 1 + progress * (change.scaleY - 1)
+				}, fromOf),
+			this.transformOf(change, fromOf),
+			duration, easing, options);
+
+		return target;
+	}
+
+	/**
+	 * Creates the rule for this function's graph after a
+	 * transformation. Mostly used internally.
+	 * @param {object} change - A plain JS object with shiftX, shiftY, scaleX, and scaleY
+	 *   values (see CMFunction.readTransformation)
+	 * @param {function} [of=this.of] - The rule to transform
+	 * @returns {function}
+	 */
+	transformOf(change, of=this.of) {
+		let self = this;
+
+		switch(this.type) {
+			case "xofy":
+				return function(y) {
+					return change.scaleX * of.call(self, (y - change.shiftY) / change.scaleY) + change.shiftX;
+				};
+			case "parametric":
+				return function(t) {
+					let point = of.call(self, t);
+					return {
+						x: change.scaleX * point.x + change.shiftX,
+						y: change.scaleY * point.y + change.shiftY
+					};
+				};
+			case "implicit":
+				return function(x, y) {
+					return of.call(self, (x - change.shiftX) / change.scaleX, (y - change.shiftY) / change.scaleY);
+				};
+			case "cartesian":
+			default:
+				return function(x) {
+					return change.scaleY * of.call(self, (x - change.shiftX) / change.scaleX) + change.shiftY;
+				};
+		}
+	}
+
+	/**
+	 * Begins morphing this function's graph, for morphTo()
+	 * and transform(). Mostly used internally.
+	 * @param {CMFunction} target - The function being changed into
+	 * @param {function} ruleAt - Takes the eased fraction of the change (0 to 1),
+	 *   and returns the rule for the in-between graph
+	 * @param {function} finalRule - The rule to use when the animation ends
+	 * @param {number} duration - Milliseconds the animation takes
+	 * @param {string|function} easing - The name of one of CMFunction.EASINGS, or an easing function
+	 * @param {object} options - A plain JS object of options, e.g., onend
+	 */
+	startMorph(target, ruleAt, finalRule, duration, easing, options) {
+		if(!(target instanceof CMFunction) || target.type !== this.type) {
+			console.error("CMFunction \"" + this.name + "\" can only morph into a CMFunction of the same type (\"" +
+				this.type + "\")");
+			return;
+		}
+
+		if(this.fixed) {
+			console.error("CMFunction \"" + this.name + "\" is fixed, so cannot morph");
+			return;
+		}
+
+		if(typeof easing === "string" && !CMFunction.EASINGS[easing]) {
+			console.error("\"" + easing + "\" is not one of CMFunction.EASINGS. Using \"linear\" instead.");
+			easing = "linear";
+		}
+
+		// A name that was just the written math changes along with it
+		let renamed = (this.morph !== null) ? this.morph.renamed :
+			(this.expression !== null && this.name === this.expression.toString());
+
+		// The math no longer describes the in-between graphs, so derivatives are estimated
+		this.expression = null;
+		this.expressionNode = null;
+		this.derivativeOf_Private = null;
+
+		this.morph = {
+			target: target,
+			ruleAt: ruleAt,
+			finalRule: finalRule,
+			elapsed: 0,
+			duration: duration,
+			easing: (typeof easing === "function") ? easing : CMFunction.EASINGS[easing],
+			onend: options.onend || function() {},
+			renamed: renamed
+		};
+
+		if(!(duration > 0)) {
+			this.finishMorph();
+		}
+	}
+
+	/**
+	 * Ends the current morph (see morphTo() and transform()),
+	 * so this function uses the new rule. Mostly used internally.
+	 */
+	finishMorph() {
+		let morph = this.morph;
+		let target = morph.target;
+		this.morph = null;
+		this.of = morph.finalRule;
+
+		// Breaks in the graph (e.g., for step functions) are now the target's
+		if(target.hasOwnProperty("discontinuousAt")) {
+			this.discontinuousAt = target.discontinuousAt;
+		}
+		else {
+			delete this.discontinuousAt;
+		}
+
+		// Math using other parameters would not be read with this function's parameter values
+		let sameParams = Object.keys(target.params).every(name => name in this.params);
+		if(target.expression !== null && sameParams) {
+			this.expression = target.expression;
+			this.expressionNode = target.expressionNode;
+			this.inputVariable = target.inputVariable;
+		}
+
+		if(morph.renamed) {
+			this.name = target.name;
+		}
+
+		this.buildGraphPath(this.game.offscreenCtx);
+		morph.onend();
+	}
+
+	/**
+	 * Stops the current morph (see morphTo() and transform()),
+	 * leaving the graph in its current in-between state
+	 */
+	stopMorph() {
+		this.morph = null;
+	}
+
+	/**
+	 * This is a convenience function provided for
+	 * DRY methods, as code is similar for various
+	 * operations.
+	 * @param {object} otherFunc - The other CMFunction instance to operate on
+	 * @param {object} [newOpts={}] - A plain JS object of options, which should
+	 *   contain any CMFunction constructor options that you want to be
+	 *   different from the current instances.
+	 */
+	operation(otherFunc, newOpts={}) {
+		let self = this,
+			opts = {};
+
+		let keys = ["type",
+			"strokeStyle",
+			"fillStyleBelow",
+			"fillStyleAbove",
+			"lineWidth",
+			"name",
+			"fixed",
+			"start",
+			"end",
+			"velocity",
+			"tStep",
+			"thetaStep",
+			"cellSize",
+			"origin",
+			"onupdate",
+			"onbeforedraw",
+			"ondraw",
+			"discontinuousAt",
+			"params",
+			"traceOptions",
+			"ontrace",
+			"asymptoteOptions"];
+
+		for(let i = 0; i < keys.length; i++) {
+			opts[keys[i]] = newOpts[keys[i]] || this[keys[i]];
+		}
+
+		let ofFunc = null;
+		switch(newOpts.operation) {
+			case "plus":
+				ofFunc = function(...inputs) { return self.of(...inputs) + otherFunc.of(...inputs); }
+				break;
+			case "minus":
+				ofFunc = function(...inputs) { return self.of(...inputs) - otherFunc.of(...inputs); }
+				break;
+			case "times":
+				ofFunc = function(...inputs) { return self.of(...inputs) * otherFunc.of(...inputs); }
+				break;
+			case "dividedBy":
+				ofFunc = function(...inputs) { return self.of(...inputs) / otherFunc.of(...inputs); }
+				break;
+			case "composedWith":
+				ofFunc = function(input) { return self.of( otherFunc.of(input) ); }
+				break;
+			case "derivative": {
+				let derived = this.derivativeExpression();
+				if(derived) {
+					ofFunc = derived;
+					opts.name = newOpts.name || derived.toString();
+				}
+				else {
+					ofFunc = function(input) { return self.rateAt(input); };
+					opts.name = newOpts.name || (this.name ? this.name + "′" : "");
+				}
+
+				/**
+				 * Breaks this function has of its own (set by the dev, or found for
+				 * step functions) carry over. The default from CMFunction's prototype
+				 * does not, so the constructor can look for step functions in the
+				 * derivative itself.
+				 */
+				if(!newOpts.discontinuousAt && !this.hasOwnProperty("discontinuousAt")) {
+					delete opts.discontinuousAt;
+				}
+
+				break;
+			}
+			case "transformed": {
+				let change = CMFunction.readTransformation(newOpts.transformation);
+
+				if(this.expressionNode) {
+					ofFunc = new CMExpression( CMFunction.transformNode(this.expressionNode, this.type, change) );
+					opts.name = newOpts.name || ofFunc.toString();
+				}
+				else {
+					ofFunc = this.transformOf(change);
+					opts.name = newOpts.name || "";
+				}
+
+				// Breaks in the graph move along with it. Jumps in step functions are found again.
+				if(!newOpts.discontinuousAt && this.discontinuousAt === CMFunction.discontinuousAtJumps) {
+					opts.discontinuousAt = CMFunction.discontinuousAtJumps;
+				}
+				else
+				if(!newOpts.discontinuousAt && this.hasOwnProperty("discontinuousAt")) {
+					let breaksOf = this.discontinuousAt;
+					let inputOf = (input) => input;
+
+					if(this.type === "cartesian") {
+						inputOf = (x) => (x - change.shiftX) / change.scaleX;
+					}
+					else
+					if(this.type === "xofy") {
+						inputOf = (y) => (y - change.shiftY) / change.scaleY;
+					}
+
+					opts.discontinuousAt = function(input, nextInput) {
+						return breaksOf.call(self, inputOf(input),
+							(typeof nextInput === "number") ? inputOf(nextInput) : nextInput);
+					};
+				}
+				else
+				if(!newOpts.discontinuousAt) {
+					delete opts.discontinuousAt;
+				}
+
+				break;
+			}
+			default: // Default is just a clone of starting function
+				ofFunc = function(...inputs) { return self.of(...inputs); };
+				break;
+		}
+
+		return new CMFunction(this.game,
+			ofFunc,
+			opts);
+	}
+
+	// These can be overridden by dev
+	onupdate(frameCount, dt) {}
+	onbeforedraw(ctx) {}
+	ondraw(ctx) {}
+	onparamchange(name, value) {}
+	ontrace(point) {}
+}
+
+/**
+ * Reads a function written as math (a string, a CMExpression, or
+ * an array of two strings for a parametric x and y), finding its
+ * type and creating the JS function to graph. Mostly used internally.
+ * @param {string|array|CMExpression} definition - e.g., "3sin(2x)", "r = 1 + cos(theta)", or ["cos(t)", "sin(t)"]
+ * @param {string} [type] - A CMFunction type, if it should not be read from the math
+ * @param {object} [params={}] - Values for other variables the math uses, by name. The
+ *   created function reads these as it runs, so it follows changes to them.
+ * @returns {object} A plain JS object with the expression, node (the part that is graphed),
+ *   type, inputVariable, and func (the JS function) values
+ */
+CMFunction.readExpression = function(definition, type, params={}) {
+	let expression = definition;
+	if(Array.isArray(definition)) {
+		expression = new CMExpression("(" + definition.join(", ") + ")");
+	}
+	else
+	if(!(definition instanceof CMExpression)) {
+		expression = new CMExpression(definition);
+	}
+
+	let node = expression.ast;
+
+	/**
+	 * An equation names its type: y = ... (cartesian), x = ... (xofy), r = ... (polar).
+	 * Any other equation, like x^2 + y^2 = 1, is implicit, and is graphed as
+	 * F(x, y) = 0 by moving everything to the left side.
+	 */
+	if(node.type === "relation") {
+		let typesByName = {
+			y: "cartesian",
+			x: "xofy",
+			r: "polar"
+		};
+
+		if(node.op !== "=") {
+			throw new Error("CMFunction can only graph equations, not \"" + expression.source + "\"");
+		}
+
+		let solved = node.left.type === "variable" && typesByName[node.left.name] &&
+			!CMExpression.findVariables(node.right).has(node.left.name);
+
+		if(type !== "implicit" && solved) {
+			type = type || typesByName[node.left.name];
+			node = node.right;
+		}
+		else {
+			type = "implicit";
+			node = (node.right.type === "number" && node.right.value === 0) ? node.left :
+				{type: "operator", op: "-", left: node.left, right: node.right};
+		}
+	}
+
+	let variables = CMExpression.findVariables(node);
+	if(!type) {
+		if(node.type === "tuple") {
+			type = "parametric";
+		}
+		else
+		if(variables.has("theta") && !variables.has("x")) {
+			type = "polar";
+		}
+		else {
+			type = "cartesian";
+		}
+	}
+
+	let inputVariable = CMFunction.INPUT_VARIABLES[type];
+
+	let unknownVariables = Array.from(variables).filter(name => !(name in params) && (type === "implicit" ?
+		(name !== "x" && name !== "y") : name !== inputVariable));
+
+	if(unknownVariables.length) {
+		console.error("CMFunction \"" + expression.source + "\" uses " + unknownVariables.join(", ") +
+			" without a value, so cannot be graphed. The input for type \"" + type + "\" is " +
+			(type === "implicit" ? "x and y" : inputVariable) + ".");
+	}
+
+	// Parameters are looked up through the scope, so their current values are used
+	let scope = Object.create(params);
+	let func = null;
+
+	if(type === "parametric") {
+		if(node.type !== "tuple" || node.items.length !== 2) {
+			throw new Error("A parametric CMFunction needs an x and a y, e.g., [\"cos(t)\", \"sin(t)\"]");
+		}
+
+		let xOf = CMExpression.compile(node.items[0]);
+		let yOf = CMExpression.compile(node.items[1]);
+
+		func = function(t) {
+			scope.t = t;
+			return {
+				x: xOf(scope),
+				y: yOf(scope)
+			};
+		};
+	}
+	else
+	if(type === "implicit") {
+		let evaluator = CMExpression.compile(node);
+
+		func = function(x, y) {
+			scope.x = x;
+			scope.y = y;
+			return evaluator(scope);
+		};
+	}
+	else {
+		let evaluator = CMExpression.compile(node);
+
+		func = function(input) {
+			scope[inputVariable] = input;
+			return evaluator(scope);
+		};
+	}
+
+	return {
+		expression: expression,
+		node: node,
+		type: type,
+		inputVariable: inputVariable,
+		func: func
+	};
+};
+
+/**
+ * Finds the definite integral of a real function from a to b,
+ * with Simpson's rule, splitting the interval into smaller pieces
+ * only where the estimate is not yet accurate. Mostly used internally.
+ * @param {function} func - A function taking a real number and returning a real number
+ * @param {number} a - The real input to start from
+ * @param {number} b - The real input to end at
+ * @param {number} [tolerance=0.000000001] - How close the result should be to the true value
+ * @param {number} [maxDepth=40] - How many times an interval can be split in half
+ * @returns {number}
+ */
+CMFunction.adaptiveSimpson = function(func, a, b, tolerance=0.000000001, maxDepth=40) {
+	let simpson = (left, right, fLeft, fMid, fRight) => (right - left) / 6 * (fLeft + 4 * fMid + fRight);
+
+	let refine = (left, right, fLeft, fMid, fRight, whole, tol, depth) => {
+		let mid = (left + right) / 2;
+		let fLeftMid = func((left + mid) / 2);
+		let fRightMid = func((mid + right) / 2);
+		let leftHalf = simpson(left, mid, fLeft, fLeftMid, fMid);
+		let rightHalf = simpson(mid, right, fMid, fRightMid, fRight);
+		let delta = leftHalf + rightHalf - whole;
+
+		// Stop splitting at NaN or Infinity values, which would never become accurate
+		if(depth <= 0 || !Number.isFinite(delta) || Math.abs(delta) <= 15 * tol) {
+			return leftHalf + rightHalf + delta / 15;
+		}
+
+		return refine(left, mid, fLeft, fLeftMid, fMid, leftHalf, tol / 2, depth - 1) +
+			refine(mid, right, fMid, fRightMid, fRight, rightHalf, tol / 2, depth - 1);
+	};
+
+	if(a === b) {
+		return 0;
+	}
+
+	let fA = func(a);
+	let fMid = func((a + b) / 2);
+	let fB = func(b);
+
+	return refine(a, b, fA, fMid, fB, simpson(a, b, fA, fMid, fB), tolerance, maxDepth);
+};
+
+// The input variable (and start/end key) for each function type
+CMFunction.INPUT_VARIABLES = {
+	cartesian: "x",
+	xofy: "y",
+	polar: "theta",
+	parametric: "t",
+	implicit: null
+};
+
+// How many evenly spaced inputs are checked when searching for roots, extrema, etc.
+CMFunction.SEARCH_SAMPLES = 1000;
+
+// How many steps the traced point can skip over (where a graph has no points) for one key press
+CMFunction.MAX_TRACE_STEPS = 1000;
+
+// The largest power of x read when finding asymptotes exactly (see CMFunction.readRational)
+CMFunction.MAX_RATIONAL_POWER = 32;
+
+/**
+ * A discontinuousAt() method for step functions (e.g., those
+ * using floor or ceil), breaking the graph wherever two
+ * consecutively drawn outputs differ. Mostly used internally.
+ * @param {number} x - A real input
+ * @param {number} nextX - The real input drawn next
+ * @returns {boolean}
+ */
+CMFunction.discontinuousAtJumps = function(x, nextX) {
+	return !this.game.almostEqual(this.realToScreenOf(x), this.realToScreenOf(nextX));
+};
+
+/**
+ * Easing functions for morphTo() and transform(). Each takes
+ * the fraction of the animation's time that has passed (0 to 1),
+ * and returns the fraction of the change to show.
+ */
+CMFunction.EASINGS = {
+	linear: (progress) => progress,
+	easeIn: (progress) => progress * progress,
+	easeOut: (progress) => progress * (2 - progress),
+	easeInOut: (progress) => progress * progress * (3 - 2 * progress)
+};
+
+/**
+ * Finds a value part way from one function output to
+ * another: a number, or a point for "parametric" type.
+ * Mostly used internally.
+ * @param {number|object} from - The output at the start
+ * @param {number|object} to - The output at the end
+ * @param {number} progress - How far to go, from 0 (from) to 1 (to)
+ * @returns {number|object}
+ */
+CMFunction.interpolate = function(from, to, progress) {
+	if(typeof from === "number" || typeof to === "number") {
+		return from + progress * (to - from);
+	}
+
+	if(!from || !to) {
+		return {x: NaN, y: NaN};
+	}
+
+	return {
+		x: from.x + progress * (to.x - from.x),
+		y: from.y + progress * (to.y - from.y)
+	};
+};
+
+/**
+ * Reads the options for a transformation (see CMFunction's
+ * transformed() method) as how far to shift and how much to
+ * scale in each direction, where a negative scale reflects.
+ * Mostly used internally.
+ * @param {object} [transformation={}] - A plain JS object with shiftX, shiftY,
+ *   stretchX, stretchY, reflectX, and reflectY values (all optional)
+ * @returns {object} A plain JS object with shiftX, shiftY, scaleX, and scaleY values
+ */
+CMFunction.readTransformation = function(transformation={}) {
+	let stretchX = (typeof transformation.stretchX === "number") ? transformation.stretchX : 1;
+	let stretchY = (typeof transformation.stretchY === "number") ? transformation.stretchY : 1;
+
+	return {
+		shiftX: transformation.shiftX || 0,
+		shiftY: transformation.shiftY || 0,
+		scaleX: transformation.reflectY ? -stretchX : stretchX,
+		scaleY: transformation.reflectX ? -stretchY : stretchY
+	};
+};
+
+/**
+ * Creates the expression tree for a function written as math,
+ * after a transformation. For example, shifting x^2 right 2
+ * and up 1 gives (x - 2)^2 + 1. Mostly used internally.
+ * @param {object} node - The function's expression tree node
+ * @param {string} type - The function's type
+ * @param {object} change - A plain JS object with shiftX, shiftY, scaleX, and scaleY
+ *   values (see CMFunction.readTransformation)
+ * @returns {object}
+ */
+CMFunction.transformNode = function(node, type, change) {
+	let number = (value) => ({type: "number", value: value});
+	let operator = (op, left, right) => ({type: "operator", op: op, left: left, right: right});
+
+	// An output is scaled, then shifted
+	let forward = (output, shift, scale) => operator("+", operator("*", number(scale), output), number(shift));
+
+	// An input is shifted back, then scaled back
+	let inverse = (variableName, shift, scale) => {
+		let shifted = operator("-", {type: "variable", name: variableName}, number(shift));
+		let scaled = operator("/", shifted, number(Math.abs(scale)));
+		return (scale < 0) ? {type: "negate", arg: scaled} : scaled;
+	};
+
+	switch(type) {
+		case "xofy":
+			node = forward(CMExpression.substitute(node, "y", inverse("y", change.shiftY, change.scaleY)),
+				change.shiftX, change.scaleX);
+			break;
+		case "parametric":
+			node = {
+				type: "tuple",
+				items: [
+					forward(node.items[0], change.shiftX, change.scaleX),
+					forward(node.items[1], change.shiftY, change.scaleY)
+				]
+			};
+			break;
+		case "implicit":
+			node = CMExpression.substitute(node, "x", inverse("x", change.shiftX, change.scaleX));
+			node = CMExpression.substitute(node, "y", inverse("y", change.shiftY, change.scaleY));
+			break;
+		case "cartesian":
+		default:
+			node = forward(CMExpression.substitute(node, "x", inverse("x", change.shiftX, change.scaleX)),
+				change.shiftY, change.scaleY);
+			break;
+	}
+
+	return CMExpression.simplify(node);
+};
+
+/**
+ * Finds inputs from a to b where a real function is 0,
+ * by checking CMFunction.SEARCH_SAMPLES evenly spaced inputs
+ * for sign changes, and narrowing each one down by bisection.
+ * Mostly used internally.
+ * @param {function} func - A function taking a real number and returning a real number.
+ *   Inputs where it is NaN or infinite are skipped, as gaps in its domain.
+ * @param {number} a - The real input to start from
+ * @param {number} b - The real input to end at
+ * @param {object} [options={}] - A plain JS object of options
+ * @param {boolean} [options.touching=false] - If true, also finds zeros where the
+ *   function touches 0 without crossing it (like x^2 at 0), and zeros at a and b
+ * @param {boolean} [options.jumps=false] - If true, keeps sign changes where the function
+ *   jumps over 0 rather than reaching it (like sign(x) at 0). Otherwise these are skipped.
+ * @returns {array} The inputs found, in order from a to b
+ */
+CMFunction.findZeros = function(func, a, b, options={}) {
+	let samples = CMFunction.SEARCH_SAMPLES;
+	let zeros = [];
+
+	if(a === b) {
+		return zeros;
+	}
+
+	let inputs = Array(samples + 1).fill(0).map((element, idx) => (idx === samples) ? b : a + (b - a) * idx / samples);
+	let values = inputs.map(input => func(input));
+
+	let bisect = (low, high, lowValue) => {
+		for(let iteration = 0; iteration < 100 && low !== high; iteration++) {
+			let mid = (low + high) / 2;
+			let midValue = func(mid);
+
+			if(midValue === 0 || mid === low || mid === high) {
+				return mid;
+			}
+
+			if((midValue > 0) === (lowValue > 0)) {
+				low = mid;
+				lowValue = midValue;
+			}
+			else {
+				high = mid;
+			}
+		}
+
+		return (low + high) / 2;
+	};
+
+	// Golden section search, for the input nearest 0 between low and high
+	let closest = (low, high) => {
+		let ratio = (Math.sqrt(5) - 1) / 2;
+		for(let iteration = 0; iteration < 100; iteration++) {
+			let left = high - ratio * (high - low);
+			let right = low + ratio * (high - low);
+
+			if(Math.abs(func(left)) < Math.abs(func(right))) {
+				high = right;
+			}
+			else {
+				low = left;
+			}
+		}
+
+		return (low + high) / 2;
+	};
+
+	let lastIdx = -1; // Index of the last value that was finite and not 0
+	let zeroRunStart = -1; // Index where the current run of zero values began
+
+	// A true zero gets much closer to 0 than the values around it; an asymptote or jump does not
+	let nearZero = (input, tolerance) => {
+		let value = func(input);
+		return Number.isFinite(value) && Math.abs(value) <= tolerance;
+	};
+
+	for(let i = 0; i <= samples; i++) {
+		let value = values[i];
+
+		// A sample landing on an asymptote (like 1/x at 0) is skipped like a gap in the domain
+		if(!Number.isFinite(value)) {
+			lastIdx = -1;
+			zeroRunStart = -1;
+			continue;
+		}
+
+		if(value === 0) {
+			if(zeroRunStart === -1) {
+				zeroRunStart = i;
+			}
+
+			continue;
+		}
+
+		let lastValue = (lastIdx === -1) ? NaN : values[lastIdx];
+		let crossed = (lastIdx !== -1 && (lastValue > 0) !== (value > 0));
+
+		if(zeroRunStart !== -1) {
+			if(crossed || options.touching) {
+				zeros.push(inputs[Math.floor((zeroRunStart + i - 1) / 2)]);
+			}
+
+			zeroRunStart = -1;
+		}
+		else
+		if(crossed) {
+			let zero = bisect(inputs[lastIdx], inputs[i], lastValue);
+
+			if(options.jumps || nearZero(zero, 0.000001 * Math.max(1, Math.abs(lastValue), Math.abs(value)))) {
+				zeros.push(zero);
+			}
+		}
+		else
+		if(options.touching && lastIdx === i - 1 && i < samples &&
+				Math.abs(value) <= Math.abs(lastValue) && Math.abs(value) < Math.abs(values[i + 1]) &&
+				Number.isFinite(values[i + 1]) && (values[i + 1] > 0) === (value > 0)) {
+			let zero = closest(inputs[i - 1], inputs[i + 1]);
+
+			if(nearZero(zero, 0.000000001 * Math.max(1, Math.abs(lastValue), Math.abs(values[i + 1])))) {
+				zeros.push(zero);
+			}
+		}
+
+		lastIdx = i;
+	}
+
+	// A run of zeros at the end
+	if(zeroRunStart !== -1 && options.touching) {
+		zeros.push(inputs[Math.floor((zeroRunStart + samples) / 2)]);
+	}
+
+	return zeros;
+};
+
+/**
+ * Reads an expression tree as a rational function of x (one
+ * polynomial divided by another), using the current values of
+ * any parameters. Polynomials are written as arrays of
+ * coefficients, starting with the constant term, e.g.,
+ * [1, 0, 3] for 3x^2 + 1. Mostly used internally.
+ * @param {object} node - An expression tree node
+ * @param {object} [params={}] - Parameter values, e.g., {a: 2}
+ * @returns {object|null} A plain JS object with numerator and denominator
+ *   arrays, or null if the expression is not a rational function of x
+ */
+CMFunction.readRational = function(node, params={}) {
+	let scope = Object.create(params);
+
+	let add = (p, q) => Array(Math.max(p.length, q.length)).fill(0).map((element, power) => (p[power] || 0) + (q[power] || 0));
+	let scale = (p, factor) => p.map(coefficient => factor * coefficient);
+	let multiply = (p, q) => {
+		let product = Array(Math.max(0, p.length + q.length - 1)).fill(0);
+		p.forEach((pCoefficient, pPower) => q.forEach((qCoefficient, qPower) => {
+			product[pPower + qPower] += pCoefficient * qCoefficient;
+		}));
+
+		return product;
+	};
+
+	let read = (node) => {
+
+		// Anything without x (numbers, parameters, sqrt(2), etc.) is a constant
+		if(!CMExpression.findVariables(node).has("x")) {
+			let value = CMExpression.compile(node)(scope);
+			return Number.isFinite(value) ? {numerator: [value], denominator: [1]} : null;
+		}
+
+		switch(node.type) {
+			case "variable":
+				return {numerator: [0, 1], denominator: [1]};
+			case "negate": {
+				let arg = read(node.arg);
+				return arg && {numerator: scale(arg.numerator, -1), denominator: arg.denominator};
+			}
+			case "operator": {
+				let left = read(node.left);
+
+				if(node.op === "^") {
+					let power = CMExpression.findVariables(node.right).has("x") ? NaN : CMExpression.compile(node.right)(scope);
+					if(!left || !Number.isInteger(power) || Math.abs(power) > CMFunction.MAX_RATIONAL_POWER) {
+						return null;
+					}
+
+					let result = {numerator: [1], denominator: [1]};
+					for(let i = 0; i < Math.abs(power); i++) {
+						result.numerator = multiply(result.numerator, left.numerator);
+						result.denominator = multiply(result.denominator, left.denominator);
+					}
+
+					return (power < 0) ? {numerator: result.denominator, denominator: result.numerator} : result;
+				}
+
+				let right = read(node.right);
+				if(!left || !right) {
+					return null;
+				}
+
+				switch(node.op) {
+					case "+":
+					case "-": {
+						let sign = (node.op === "+") ? 1 : -1;
+
+						// Keep a shared denominator, rather than multiplying it by itself
+						if(left.denominator.join() === right.denominator.join()) {
+							return {
+								numerator: add(left.numerator, scale(right.numerator, sign)),
+								denominator: left.denominator
+							};
+						}
+
+						return {
+							numerator: add(multiply(left.numerator, right.denominator),
+								scale(multiply(right.numerator, left.denominator), sign)),
+							denominator: multiply(left.denominator, right.denominator)
+						};
+					}
+					case "*":
+						return {
+							numerator: multiply(left.numerator, right.numerator),
+							denominator: multiply(left.denominator, right.denominator)
+						};
+					case "/":
+						return {
+							numerator: multiply(left.numerator, right.denominator),
+							denominator: multiply(left.denominator, right.numerator)
+						};
+				}
+
+				return null;
+			}
+		}
+
+		return null;
+	};
+
+	let rational = read(node);
+	if(rational === null) {
+		return null;
+	}
+
+	rational.numerator = CMFunction.trimPolynomial(rational.numerator);
+	rational.denominator = CMFunction.trimPolynomial(rational.denominator);
+
+	// Dividing by 0 everywhere gives no graph at all
+	if(rational.denominator.length === 0) {
+		return null;
+	}
+
+	return rational;
+};
+
+/**
+ * Removes the highest power coefficients of a polynomial that
+ * are 0 (or nearly 0, from rounding errors). The polynomial 0
+ * becomes an empty array. Mostly used internally.
+ * @param {array} coefficients - The polynomial's coefficients, starting with the constant term
+ * @returns {array} A new array
+ */
+CMFunction.trimPolynomial = function(coefficients) {
+	let largest = Math.max(0, ...coefficients.map(coefficient => Math.abs(coefficient)));
+	let trimmed = coefficients.slice();
+
+	while(trimmed.length && Math.abs(trimmed[trimmed.length - 1]) <= 0.000000000001 * largest) {
+		trimmed.pop();
+	}
+
+	return trimmed;
+};
+
+/**
+ * Finds a polynomial's output. Mostly used internally.
+ * @param {array} coefficients - The polynomial's coefficients, starting with the constant term
+ * @param {number} x - A real input
+ * @returns {number}
+ */
+CMFunction.polynomialAt = function(coefficients, x) {
+	let value = 0;
+	for(let power = coefficients.length - 1; power >= 0; power--) {
+		value = value * x + coefficients[power];
+	}
+
+	return value;
+};
+
+/**
+ * Divides one polynomial by another, with long division.
+ * Mostly used internally.
+ * @param {array} numerator - The coefficients of the polynomial being divided, starting with the constant term
+ * @param {array} denominator - The coefficients of the polynomial to divide by (not 0)
+ * @returns {object} A plain JS object with quotient and remainder coefficient arrays
+ */
+CMFunction.dividePolynomials = function(numerator, denominator) {
+	denominator = CMFunction.trimPolynomial(denominator);
+
+	let remainder = numerator.slice();
+	let quotient = Array(Math.max(0, numerator.length - denominator.length + 1)).fill(0);
+	let leading = denominator[denominator.length - 1];
+
+	for(let power = quotient.length - 1; power >= 0; power--) {
+		let factor = remainder[power + denominator.length - 1] / leading;
+		quotient[power] = factor;
+
+		for(let i = 0; i < denominator.length; i++) {
+			remainder[power + i] -= factor * denominator[i];
+		}
+	}
+
+	return {
+		quotient: CMFunction.trimPolynomial(quotient),
+		remainder: CMFunction.trimPolynomial(remainder.slice(0, denominator.length - 1))
+	};
+};
+
+/**
+ * Finds the asymptotes and holes of a rational function
+ * exactly (up to rounding). Factors shared by the numerator
+ * and denominator give holes; the others give vertical
+ * asymptotes. Mostly used internally.
+ * @param {object} rational - A plain JS object with numerator and denominator
+ *   coefficient arrays (see CMFunction.readRational)
+ * @returns {object} A plain JS object, as returned by a CMFunction's findAsymptotes() method
+ */
+CMFunction.rationalAsymptotes = function(rational) {
+	let numerator = rational.numerator;
+	let denominator = rational.denominator;
+	let asymptotes = {
+		vertical: [],
+		horizontal: [],
+		slant: [],
+		holes: []
+	};
+
+	// Compared to the size of its terms, since rounding errors grow with them
+	let nearZero = (coefficients, x) => Math.abs(CMFunction.polynomialAt(coefficients, x)) <=
+		0.000000001 * coefficients.reduce((sum, coefficient, power) => sum + Math.abs(coefficient * x ** power), 0);
+
+	let a = denominator[2];
+	let b = denominator[1];
+	let c = denominator[0];
+	let roots = [];
+
+	switch(denominator.length - 1) {
+		case 0:
+			break;
+		case 1:
+			roots = [-c / b];
+			break;
+		case 2: {
+			let discriminant = b * b - 4 * a * c;
+
+			if(Math.abs(discriminant) <= 0.000000000001 * b * b) {
+				roots = [-b / (2 * a)];
+			}
+			else
+			if(discriminant > 0) {
+				roots = [(-b - Math.sqrt(discriminant)) / (2 * a), (-b + Math.sqrt(discriminant)) / (2 * a)].sort((p, q) => p - q);
+			}
+
+			break;
+		}
+		default: {
+
+			// Every real root lies within this distance of 0 (Cauchy's bound)
+			let leading = denominator[denominator.length - 1];
+			let bound = 1 + Math.max(...denominator.slice(0, -1).map(coefficient => Math.abs(coefficient / leading)));
+
+			roots = CMFunction.findZeros(x => CMFunction.polynomialAt(denominator, x), -bound, bound, {touching: true});
+		}
+	}
+
+	for(let root of roots) {
+		while(denominator.length > 1 && nearZero(numerator, root) && nearZero(denominator, root)) {
+			numerator = CMFunction.dividePolynomials(numerator, [-root, 1]).quotient;
+			denominator = CMFunction.dividePolynomials(denominator, [-root, 1]).quotient;
+		}
+
+		if(nearZero(denominator, root)) {
+			asymptotes.vertical.push(CMGame.roundSmall(root));
+		}
+		else {
+			asymptotes.holes.push({
+				x: CMGame.roundSmall(root),
+				y: CMGame.roundSmall(CMFunction.polynomialAt(numerator, root) / CMFunction.polynomialAt(denominator, root))
+			});
+		}
+	}
+
+	// A polynomial's graph has no asymptotes (and a line is not its own asymptote)
+	let numeratorDegree = numerator.length - 1;
+	let denominatorDegree = denominator.length - 1;
+
+	if(denominatorDegree > 0) {
+		if(numeratorDegree < denominatorDegree) {
+			asymptotes.horizontal.push(0);
+		}
+		else
+		if(numeratorDegree === denominatorDegree) {
+			asymptotes.horizontal.push(CMGame.roundSmall(numerator[numeratorDegree] / denominator[denominatorDegree]));
+		}
+		else
+		if(numeratorDegree === denominatorDegree + 1) {
+			let quotient = CMFunction.dividePolynomials(numerator, denominator).quotient;
+
+			asymptotes.slant.push({
+				slope: CMGame.roundSmall(quotient[1]),
+				intercept: CMGame.roundSmall(quotient[0] || 0)
+			});
+		}
+	}
+
+	return asymptotes;
+};
+
+/**
+ * Estimates the asymptotes and holes of a real function from
+ * its outputs. Vertical asymptotes are found where outputs blow
+ * up, between the first and last inputs given. Holes are found
+ * at the given inputs, where the function has no output but
+ * approaches the same value from both sides. Horizontal and
+ * slant asymptotes are found from outputs for very large and
+ * very small inputs. Mostly used internally.
+ * @param {function} func - A function taking a real number and returning a real number
+ * @param {array} inputs - Real inputs to check, in order, e.g., one for each pixel across the screen
+ * @returns {object} A plain JS object, as returned by a CMFunction's findAsymptotes() method
+ */
+CMFunction.numericAsymptotes = function(func, inputs) {
+	let asymptotes = {
+		vertical: [],
+		horizontal: [],
+		slant: [],
+		holes: []
+	};
+
+	let round = (value, decimals=8) => CMGame.roundSmall( parseFloat(value.toFixed(decimals)) );
+	let close = (value, otherValue) => Math.abs(value - otherValue) <= 0.0001 * Math.max(1, Math.abs(otherValue));
+	let outputs = inputs.map(x => func(x));
+
+	// A graph that is itself a line (maybe with holes) does not have that line as an asymptote
+	let isLine = (slope, intercept) => outputs.some(Number.isFinite) &&
+		inputs.every((x, idx) => !Number.isFinite(outputs[idx]) || close(outputs[idx], slope * x + intercept));
+
+	if(inputs.length > 1) {
+		let a = inputs[0];
+		let b = inputs[inputs.length - 1];
+
+		// Outputs blow up where their reciprocals reach 0 (skipping zeros of func, where reciprocals are infinite)
+		let vertical = CMFunction.findZeros(x => {
+			let reciprocal = 1 / func(x);
+			return Number.isFinite(reciprocal) ? reciprocal : NaN;
+		}, a, b, {touching: true});
+
+		// One-sided asymptotes, like ln(x) at 0, are at the edge of where the function has outputs
+		for(let i = 1; i < inputs.length; i++) {
+			if(Number.isFinite(outputs[i - 1]) === Number.isFinite(outputs[i])) {
+				continue;
+			}
+
+			let inside = Number.isFinite(outputs[i - 1]) ? inputs[i - 1] : inputs[i];
+			let outside = Number.isFinite(outputs[i - 1]) ? inputs[i] : inputs[i - 1];
+
+			for(let iteration = 0; iteration < 100; iteration++) {
+				let mid = (inside + outside) / 2;
+
+				if(mid === inside || mid === outside) {
+					break;
+				}
+
+				if(Number.isFinite(func(mid))) {
+					inside = mid;
+				}
+				else {
+					outside = mid;
+				}
+			}
+
+			let direction = Math.sign(inside - outside);
+			let size = Math.max(1, Math.abs(outside));
+			let nearby = Math.abs(func(outside + direction * 0.0001 * size));
+			let nearer = Math.abs(func(outside + direction * 0.0000000001 * size));
+
+			if(nearer > 2 * nearby + 1) {
+				vertical.push(outside);
+			}
+		}
+
+		for(let x of vertical.map(x => round(x)).sort((p, q) => p - q)) {
+			if(!asymptotes.vertical.some(otherX => Math.abs(otherX - x) <= 0.000001 * Math.max(1, Math.abs(x)))) {
+				asymptotes.vertical.push(x);
+			}
+		}
+
+		// A hole is a missing output between nearby outputs that agree
+		inputs.forEach((x, idx) => {
+			if(Number.isFinite(outputs[idx])) {
+				return;
+			}
+
+			let size = Math.max(1, Math.abs(x));
+			let nearby = [-0.00001, -0.0000001, 0.0000001, 0.00001].map(offset => func(x + offset * size));
+			let limit = (nearby[1] + nearby[2]) / 2;
+
+			if(nearby.every(value => Number.isFinite(value) && close(value, limit))) {
+				asymptotes.holes.push({
+					x: round(x),
+					y: round(limit)
+				});
+			}
+		});
+	}
+
+	for(let direction of [-1, 1]) {
+		let far = 1000000 * direction;
+		let farther = 10000000 * direction;
+		let farValue = func(far);
+		let fartherValue = func(farther);
+
+		if(!Number.isFinite(farValue) || !Number.isFinite(fartherValue)) {
+			continue;
+		}
+
+		if(close(farValue, fartherValue)) {
+			let y = round(fartherValue, 6);
+
+			if(!asymptotes.horizontal.includes(y) && !isLine(0, y)) {
+				asymptotes.horizontal.push(y);
+			}
+
+			continue;
+		}
+
+		let farSlope = (func(2 * far) - farValue) / far;
+		let fartherSlope = (func(2 * farther) - fartherValue) / farther;
+		let farIntercept = farValue - fartherSlope * far;
+		let fartherIntercept = fartherValue - fartherSlope * farther;
+
+		if(close(farSlope, fartherSlope) && close(farIntercept, fartherIntercept)) {
+			let line = {
+				slope: round(fartherSlope, 6),
+				intercept: round(fartherIntercept, 6)
+			};
+
+			if(!isLine(line.slope, line.intercept) &&
+					!asymptotes.slant.some(otherLine => otherLine.slope === line.slope && otherLine.intercept === line.intercept)) {
+				asymptotes.slant.push(line);
+			}
+		}
+	}
+
+	return asymptotes;
+};
+
+/**
+ * Shades the region between a function's graph and the
+ * axis, or between two functions' graphs, over [a, b].
+ * Parts where the first function is on top (positive area)
+ * and on bottom (negative area) can have different colors.
+ * As a CMFunction (of the difference between the graphs)
+ * it can be added to the game with the other functions,
+ * and drawn in their order, e.g., before the graphs
+ * it shades, so their curves are drawn on top.
+ */
+class CMShadedRegion extends CMFunction {
+
+	/**
+	 * Creates a CMShadedRegion instance.
+	 *
+	 * @param {CMGame} game - The associated CMGame instance
+	 * @param {CMFunction} func - The function whose graph bounds the region. Must have type
+	 *   "cartesian" (shading to the x-axis) or "xofy" (shading to the y-axis)
+	 * @param {CMFunction|null} [otherFunc=null] - A function of the same type to shade to,
+	 *   or null to shade to the axis
+	 * @param {number} [a=func.start.x] - The real input where the region starts (a y value for "xofy")
+	 * @param {number} [b=func.end.x] - The real input where the region ends (a y value for "xofy")
+	 * @param {object} [opts={}] - An object of CMFunction options, plus those below
+	 * @param {string} [opts.fillStylePositive="rgba(1, 97, 251, 0.35)"] - Color where func's
+	 *   output is greater than otherFunc's (or positive, when shading to the axis)
+	 * @param {string} [opts.fillStyleNegative="rgba(250, 0, 92, 0.35)"] - Color where func's
+	 *   output is less than otherFunc's (or negative)
+	 * @param {string} [opts.strokeStyle=CMColor.NONE] - Color to outline the region with
+	 */
+	constructor(game, func, otherFunc=null, a, b, opts={}) {
+		let inputKey = (func.type === "xofy") ? "y" : "x";
+
+		if(func.type !== "cartesian" && func.type !== "xofy") {
+			console.error("CMShadedRegion can only shade \"cartesian\" or \"xofy\" functions, not \"" + func.type + "\"");
+		}
+		else
+		if(otherFunc && otherFunc.type !== func.type) {
+			console.error("CMShadedRegion can only shade between functions of the same type");
+		}
+
+		let regionOpts = Object.assign({}, opts, {
+			type: func.type,
+			strokeStyle: opts.strokeStyle || CMColor.NONE,
+			origin: opts.origin || func.origin,
+			start: {},
+			end: {},
+			fixed: false
+		});
+
+		regionOpts.start[inputKey] = (typeof a === "number") ? a : func.start[inputKey];
+		regionOpts.end[inputKey] = (typeof b === "number") ? b : func.end[inputKey];
+
+		super(game,
+			input => func.of(input) - (otherFunc ? otherFunc.of(input) : 0),
+			regionOpts);
+
+		this.func = func;
+		this.otherFunc = otherFunc;
+		this.fillStylePositive = opts.fillStylePositive || "rgba(1, 97, 251, 0.35)";
+		this.fillStyleNegative = opts.fillStyleNegative || "rgba(250, 0, 92, 0.35)";
+
+		// Built in buildGraphPath(), for drawing and checking points
+		this.pathPositive = new CMGame.Path2D();
+		this.pathNegative = new CMGame.Path2D();
+		this.buildGraphPath(this.game.offscreenCtx);
+	}
+
+	/**
+	 * Gets the total (unsigned) area of this region,
+	 * counting negative parts as positive area. For
+	 * the signed area, use integrate(a, b).
+	 * @returns {number}
+	 */
+	area() {
+		let self = this;
+		let inputKey = (this.type === "xofy") ? "y" : "x";
+
+		return Math.abs( CMFunction.adaptiveSimpson(input => Math.abs(self.of(input)),
+			this.start[inputKey], this.end[inputKey]) );
+	}
+
+	/**
+	 * Determines if a given screen point is in
+	 * the shaded region. Useful for player
+	 * interaction via mouse clicks or touch points.
+	 * @param {object|number} pointOrX - The point, or point's x value
+	 * @param {number} [y] - The point's y value
+	 * @returns {boolean}
+	 */
+	containsPoint(pointOrX, y) {
+		let point = (typeof pointOrX === "number") ? {x: pointOrX, y: y} : pointOrX;
+		let ctx = this.game.ctx;
+
+		return ctx.isPointInPath(this.pathPositive, point.x, point.y) ||
+			ctx.isPointInPath(this.pathNegative, point.x, point.y);
+	}
+
+	/**
+	 * Builds the paths for the positive and negative parts of
+	 * the region, from the pixels currently visible.
+	 * Mostly used internally.
+	 * @param {CanvasRenderingContext2D} [ctx=this.game.offscreenCtx] - The game's drawing context
+	 */
+	buildGraphPath(ctx=this.game.offscreenCtx) {
+		let game = this.game;
+
+		// CMFunction's constructor calls this before this region's functions are set
+		if(!this.func || (this.type !== "cartesian" && this.type !== "xofy")) {
+			return;
+		}
+
+		let sideways = (this.type === "xofy");
+		let inputKey = sideways ? "y" : "x";
+
+		// Keep huge values (e.g., near asymptotes) from creating huge paths
+		let clamp = (value, max) => Math.min(Math.max(value, -max), 2 * max);
+		let toScreen = (input, output) => sideways ?
+			{
+				x: clamp(game.xToScreen(output, this.origin), game.width),
+				y: game.yToScreen(input, this.origin)
+			} :
+			{
+				x: game.xToScreen(input, this.origin),
+				y: clamp(game.yToScreen(output, this.origin), game.height)
+			};
+
+		// Only the visible inputs need to be drawn, one per pixel
+		let visibleStart = sideways ? game.yToReal(game.height, this.origin) : game.xToReal(0, this.origin);
+		let visibleEnd = sideways ? game.yToReal(0, this.origin) : game.xToReal(game.width, this.origin);
+		let start = Math.max(Math.min(this.start[inputKey], this.end[inputKey]), visibleStart);
+		let end = Math.min(Math.max(this.start[inputKey], this.end[inputKey]), visibleEnd);
+
+		// One input per pixel, found from the screen so the game's axis scales are followed
+		let toInput = (pixel) => sideways ? game.yToReal(pixel, this.origin) : game.xToReal(pixel, this.origin);
+		let startPixel = sideways ? game.yToScreen(start, this.origin) : game.xToScreen(start, this.origin);
+		let pixelStep = sideways ? -1 : 1;
+
+		let inputs = [];
+		for(let pixel = startPixel, input = start; input < end; pixel += pixelStep, input = toInput(pixel)) {
+			inputs.push(input);
+		}
+
+		if(end >= start) {
+			inputs.push(end);
+		}
+
+		// Split the region into pieces where the difference keeps the same sign
+		let pieces = [];
+		let piece = null;
+		let previous = null;
+
+		for(let input of inputs) {
+			let topValue = this.func.of(input);
+			let bottomValue = this.otherFunc ? this.otherFunc.of(input) : 0;
+			let difference = topValue - bottomValue;
+
+			if(!Number.isFinite(difference) || (previous &&
+					(this.func.discontinuousAt(previous.input, input) ||
+					(this.otherFunc && this.otherFunc.discontinuousAt(previous.input, input))))) {
+				piece = null;
+				previous = null;
+
+				if(!Number.isFinite(difference)) {
+					continue;
+				}
+			}
+
+			let sign = (difference > 0) ? 1 : (difference < 0) ? -1 : (piece ? piece.sign : 1);
+
+			// Close the piece where the graphs cross (estimated linearly), and start the next one there
+			if(piece && sign !== piece.sign) {
+				let fraction = previous.difference / (previous.difference - difference);
+				let crossing = toScreen(
+					previous.input + fraction * (input - previous.input),
+					previous.bottomValue + fraction * (bottomValue - previous.bottomValue));
+
+				piece.top.push(crossing);
+				piece = {sign: sign, top: [crossing], bottom: []};
+				pieces.push(piece);
+			}
+
+			if(!piece) {
+				piece = {sign: sign, top: [], bottom: []};
+				pieces.push(piece);
+			}
+
+			piece.top.push(toScreen(input, topValue));
+			piece.bottom.push(toScreen(input, bottomValue));
+
+			previous = {
+				input: input,
+				difference: difference,
+				bottomValue: bottomValue
+			};
+		}
+
+		this.pathPositive = new CMGame.Path2D();
+		this.pathNegative = new CMGame.Path2D();
+		this.path = new CMGame.Path2D();
+
+		for(let shape of pieces) {
+			let outline = shape.top.concat(shape.bottom.reverse());
+			let piecePath = new CMGame.Path2D();
+
+			piecePath.moveTo(outline[0].x, outline[0].y);
+			for(let i = 1; i < outline.length; i++) {
+				piecePath.lineTo(outline[i].x, outline[i].y);
+			}
+
+			piecePath.closePath();
+			this.path.addPath(piecePath);
+
+			if(shape.sign > 0) {
+				this.pathPositive.addPath(piecePath);
+			}
+			else {
+				this.pathNegative.addPath(piecePath);
+			}
+		}
+	}
+
+	/**
+	 * Draws the region using its stored paths
+	 * @param {CanvasRenderingContext2D} [ctx=this.game.offscreenCtx] - The game's drawing context
+	 */
+	drawGraphPath(ctx=this.game.offscreenCtx) {
+		if(this.fillStylePositive !== CMColor.NONE) {
+			ctx.fillStyle = this.fillStylePositive;
+			ctx.fill(this.pathPositive);
+		}
+
+		if(this.fillStyleNegative !== CMColor.NONE) {
+			ctx.fillStyle = this.fillStyleNegative;
+			ctx.fill(this.pathNegative);
+		}
+
+		if(this.strokeStyle !== CMColor.NONE) {
+			ctx.lineWidth = this.lineWidth;
+			ctx.strokeStyle = this.strokeStyle;
+			ctx.stroke(this.path);
+		}
+	}
+
+	/**
+	 * Draws the region in the current frame, as
+	 * the functions it shades may have changed
+	 * @param {CanvasRenderingContext2D} ctx - The game's drawing context
+	 */
+	draw(ctx) {
+		this.buildGraphPath(ctx);
+		this.drawGraphPath(ctx);
+	}
+}
+
+/**
+ * Draws the rectangles (or trapezoids) of a Riemann sum
+ * approximating a function's integral over [a, b], and
+ * reports the sum. Changing n or method animates the
+ * rectangles into their new shapes. As a CMFunction, it
+ * is added to the game with the other functions.
+ */
+class CMRiemannSum extends CMFunction {
+
+	/**
+	 * Creates a CMRiemannSum instance.
+	 *
+	 * @param {CMGame} game - The associated CMGame instance
+	 * @param {CMFunction} func - The "cartesian" function to approximate
+	 * @param {number} a - The real x value where the sum starts
+	 * @param {number} b - The real x value where the sum ends
+	 * @param {number} [n=4] - The number of subintervals (a positive whole number)
+	 * @param {string} [method="left"] - How each rectangle's height is chosen: "left", "right", or "midpoint"
+	 *   (the function's value at that point), "upper" or "lower" (the greatest or least value on the
+	 *   subinterval, estimated by sampling), or "trapezoid" (trapezoids meeting the graph at both ends)
+	 * @param {object} [opts={}] - An object of CMFunction options, plus those below
+	 * @param {string} [opts.fillStylePositive="rgba(1, 97, 251, 0.35)"] - Color for rectangles above the x-axis
+	 * @param {string} [opts.fillStyleNegative="rgba(250, 0, 92, 0.35)"] - Color for rectangles below the x-axis
+	 * @param {string} [opts.strokeStyle=CMColor.BLUE] - Color to outline each rectangle with
+	 * @param {number} [opts.animationDuration=500] - Milliseconds to animate changes to n or method. 0 for no animation.
+	 */
+	constructor(game, func, a, b, n=4, method="left", opts={}) {
+		if(func.type !== "cartesian") {
+			console.error("CMRiemannSum can only approximate \"cartesian\" functions, not \"" + func.type + "\"");
+		}
+
+		let sumOpts = Object.assign({}, opts, {
+			type: "cartesian",
+			strokeStyle: opts.strokeStyle || CMColor.BLUE,
+			origin: opts.origin || func.origin,
+			start: {x: a},
+			end: {x: b},
+			fixed: false
+		});
+
+		super(game, input => func.of(input), sumOpts);
+
+		this.func = func;
+		this.fillStylePositive = opts.fillStylePositive || "rgba(1, 97, 251, 0.35)";
+		this.fillStyleNegative = opts.fillStyleNegative || "rgba(250, 0, 92, 0.35)";
+		this.animationDuration = (typeof opts.animationDuration === "number") ? opts.animationDuration : 500;
+
+		/**
+		 * Plain JS objects, one per subinterval, with real values index, left, right,
+		 * leftHeight, rightHeight (equal unless method is "trapezoid"), and area.
+		 * Setting a rectangle's fillStyle overrides the sum's colors for it,
+		 * e.g., to highlight one a player tapped. Rectangles are kept until n changes.
+		 */
+		this.rectangles = [];
+
+		// The shapes as currently drawn, partway between old and new ones while animating
+		this.drawnRectangles = [];
+		this.transition = null;
+
+		// Do not override these - they are used with Object.defineProperty. Set n and method instead.
+		this.n_Private = 1;
+		this.method_Private = "left";
+		this.n = n;
+		this.method = method;
+
+		this.buildGraphPath(this.game.offscreenCtx);
+	}
+
+	/**
+	 * Gets the Riemann sum, i.e., the total signed area of the
+	 * rectangles (or trapezoids), with area below the x-axis
+	 * counted as negative
+	 * @returns {number}
+	 */
+	sum() {
+		return this.buildRectangles().reduce((total, rect) => total + rect.area, 0);
+	}
+
+	/**
+	 * Finds the rectangle (or trapezoid) under a screen point,
+	 * e.g., one a player has tapped
+	 * @param {object|number} pointOrX - The point, or point's x value
+	 * @param {number} [y] - The point's y value
+	 * @returns {object|null} One of this sum's rectangles, or null if none is there
+	 */
+	rectangleAt(pointOrX, y) {
+		let point = (typeof pointOrX === "number") ? {x: pointOrX, y: y} : pointOrX;
+		let realX = this.game.xToReal(point.x, this.origin);
+		let realY = this.game.yToReal(point.y, this.origin);
+
+		for(let rect of this.buildRectangles()) {
+			if(realX < Math.min(rect.left, rect.right) || realX > Math.max(rect.left, rect.right)) {
+				continue;
+			}
+
+			// For trapezoids, the top edge is slanted
+			let fraction = (realX - rect.left) / (rect.right - rect.left);
+			let height = rect.leftHeight + fraction * (rect.rightHeight - rect.leftHeight);
+
+			if(realY >= Math.min(0, height) && realY <= Math.max(0, height)) {
+				return rect;
+			}
+		}
+
+		return null;
+	}
+
+	/**
+	 * Determines if a given screen point is on one of
+	 * this sum's rectangles. Useful for player
+	 * interaction via mouse clicks or touch points.
+	 * @param {object|number} pointOrX - The point, or point's x value
+	 * @param {number} [y] - The point's y value
+	 * @returns {boolean}
+	 */
+	containsPoint(pointOrX, y) {
+		return this.rectangleAt(pointOrX, y) !== null;
+	}
+
+	/**
+	 * Updates this sum's rectangles for the current
+	 * n, method, interval, and function values.
+	 * Mostly used internally.
+	 * @returns {array} The rectangles
+	 */
+	buildRectangles() {
+		let func = this.func;
+		let a = this.start.x;
+		let width = (this.end.x - a) / this.n;
+
+		// Keep the same rectangles while n is unchanged, so devs' changes to them (like fillStyle) remain
+		if(this.rectangles.length !== this.n) {
+			this.rectangles = Array(this.n).fill(0).map((element, idx) => ({
+				index: idx,
+				fillStyle: null
+			}));
+		}
+
+		for(let rect of this.rectangles) {
+			let left = a + rect.index * width;
+			let right = a + (rect.index + 1) * width;
+			let leftHeight;
+			let rightHeight;
+
+			switch(this.method) {
+				case "right":
+					leftHeight = func.of(right);
+					break;
+				case "midpoint":
+					leftHeight = func.of((left + right) / 2);
+					break;
+				case "trapezoid":
+					leftHeight = func.of(left);
+					rightHeight = func.of(right);
+					break;
+				case "upper":
+				case "lower": {
+					let samples = [];
+					for(let k = 0; k <= CMRiemannSum.EXTREMA_SAMPLES; k++) {
+						let value = func.of(left + k * width / CMRiemannSum.EXTREMA_SAMPLES);
+						if(Number.isFinite(value)) {
+							samples.push(value);
+						}
+					}
+
+					leftHeight = (this.method === "upper") ? Math.max(...samples) : Math.min(...samples);
+					break;
+				}
+				default: // "left"
+					leftHeight = func.of(left);
+					break;
+			}
+
+			if(typeof rightHeight === "undefined") {
+				rightHeight = leftHeight;
+			}
+
+			rect.left = left;
+			rect.right = right;
+			rect.leftHeight = leftHeight;
+			rect.rightHeight = rightHeight;
+			rect.area = (leftHeight + rightHeight) / 2 * width;
+		}
+
+		return this.rectangles;
+	}
+
+	/**
+	 * Starts animating from the currently drawn
+	 * rectangles to new ones, after n or method
+	 * changes. Mostly used internally.
+	 */
+	startTransition() {
+		if(this.drawnRectangles.length === 0 || !(this.animationDuration > 0)) {
+			this.transition = null;
+			return;
+		}
+
+		this.transition = {
+			from: this.drawnRectangles.map(rect => Object.assign({}, rect)),
+			elapsed: 0,
+			duration: this.animationDuration / 1000
+		};
+	}
+
+	/**
+	 * Updates the sum's animation state in current frame
+	 * @param {number} frameCount - The game's frame count
+	 * @param {number} [dt] - Seconds of game time this update represents
+	 */
+	update(frameCount, dt=this.game.timestep) {
+		if(this.transition !== null) {
+			this.transition.elapsed += dt;
+
+			if(this.transition.elapsed >= this.transition.duration) {
+				this.transition = null;
+			}
+		}
+
+		super.update(frameCount, dt);
+	}
+
+	/**
+	 * Builds the rectangles' paths as they should currently
+	 * be drawn. While animating, each new rectangle grows out
+	 * of the old one that was under its middle.
+	 * Mostly used internally.
+	 * @param {CanvasRenderingContext2D} [ctx=this.game.offscreenCtx] - The game's drawing context
+	 */
+	buildGraphPath(ctx=this.game.offscreenCtx) {
+		let game = this.game;
+
+		// CMFunction's constructor calls this before this sum's function is set
+		if(!this.func) {
+			return;
+		}
+
+		let rectangles = this.buildRectangles();
+		let keys = ["left", "right", "leftHeight", "rightHeight"];
+
+		this.drawnRectangles = rectangles.map(rect => {
+			let drawn = {
+				rect: rect,
+				left: rect.left,
+				right: rect.right,
+				leftHeight: rect.leftHeight,
+				rightHeight: rect.rightHeight
+			};
+
+			if(this.transition !== null) {
+				let middle = (rect.left + rect.right) / 2;
+				let from = this.transition.from.find(old =>
+					middle >= Math.min(old.left, old.right) && middle <= Math.max(old.left, old.right));
+
+				if(from) {
+					// Ease in and out
+					let progress = Math.min(1, this.transition.elapsed / this.transition.duration);
+					progress = progress * progress * (3 - 2 * progress);
+
+					for(let key of keys) {
+						drawn[key] = from[key] + progress * (rect[key] - from[key]);
+					}
+				}
+			}
+
+			return drawn;
+		});
+
+		// Keep huge values (e.g., near asymptotes) from creating huge paths
+		let toScreenY = (realY) => Math.min(Math.max(game.yToScreen(realY, this.origin), -game.height), 2 * game.height);
+		let axisY = toScreenY(0);
+
+		this.path = new CMGame.Path2D();
+		for(let drawn of this.drawnRectangles) {
+			let left = game.xToScreen(drawn.left, this.origin);
+			let right = game.xToScreen(drawn.right, this.origin);
+
+			drawn.path = new CMGame.Path2D();
+			drawn.path.moveTo(left, axisY);
+			drawn.path.lineTo(left, toScreenY(drawn.leftHeight));
+			drawn.path.lineTo(right, toScreenY(drawn.rightHeight));
+			drawn.path.lineTo(right, axisY);
+			drawn.path.closePath();
+			this.path.addPath(drawn.path);
+		}
+	}
+
+	/**
+	 * Draws the rectangles using their stored paths
+	 * @param {CanvasRenderingContext2D} [ctx=this.game.offscreenCtx] - The game's drawing context
+	 */
+	drawGraphPath(ctx=this.game.offscreenCtx) {
+		for(let drawn of this.drawnRectangles) {
+			let fillStyle = drawn.rect.fillStyle ||
+				((drawn.leftHeight + drawn.rightHeight >= 0) ? this.fillStylePositive : this.fillStyleNegative);
+
+			if(fillStyle !== CMColor.NONE) {
+				ctx.fillStyle = fillStyle;
+				ctx.fill(drawn.path);
+			}
+		}
+
+		if(this.strokeStyle !== CMColor.NONE) {
+			ctx.lineWidth = this.lineWidth;
+			ctx.strokeStyle = this.strokeStyle;
+			ctx.stroke(this.path);
+		}
+	}
+
+	/**
+	 * Draws the sum in the current frame, as its
+	 * function and interval may have changed
+	 * @param {CanvasRenderingContext2D} ctx - The game's drawing context
+	 */
+	draw(ctx) {
+		this.buildGraphPath(ctx);
+		this.drawGraphPath(ctx);
+	}
+}
+
+// The ways a CMRiemannSum can choose its rectangles' heights
+CMRiemannSum.METHODS = ["left", "right", "midpoint", "trapezoid", "upper", "lower"];
+
+// How many points of each subinterval are checked for "upper" and "lower" sums
+CMRiemannSum.EXTREMA_SAMPLES = 24;
+
+/**
+ * The number of subintervals. Changing this
+ * animates the rectangles into their new shapes.
+ */
+Object.defineProperty(CMRiemannSum.prototype, "n", {
+	get() {
+		return this.n_Private;
+	},
+
+	set(newN) {
+		if(!Number.isInteger(newN) || newN < 1) {
+			console.error("CMRiemannSum needs a positive whole number of subintervals, not " + newN);
+			return;
+		}
+
+		if(newN !== this.n_Private) {
+			this.n_Private = newN;
+			this.startTransition();
+		}
+	}
+});
+
+/**
+ * How each rectangle's height is chosen (see
+ * CMRiemannSum.METHODS). Changing this animates
+ * the rectangles into their new shapes.
+ */
+Object.defineProperty(CMRiemannSum.prototype, "method", {
+	get() {
+		return this.method_Private;
+	},
+
+	set(newMethod) {
+		if(!CMRiemannSum.METHODS.includes(newMethod)) {
+			console.error("CMRiemannSum method must be one of " + CMRiemannSum.METHODS.join(", ") + ", not \"" + newMethod + "\"");
+			return;
+		}
+
+		if(newMethod !== this.method_Private) {
+			this.method_Private = newMethod;
+			this.startTransition();
+		}
+	}
+});
+
+/**
+ * Shades the solution region of an inequality in x and y,
+ * like y < 2x + 1 or x^2 + y^2 >= 4. As with an "implicit"
+ * CMFunction, the inequality is read as F(x, y) < 0 (or
+ * another relation), where F moves everything to the left
+ * side. The boundary curve is dashed for strict inequalities
+ * (< and >) and solid otherwise.
+ */
+class CMInequality extends CMFunction {
+
+	/**
+	 * Creates a CMInequality instance.
+	 *
+	 * @param {CMGame} game - The associated CMGame instance
+	 * @param {string|CMExpression|function} inequality - The inequality written as math, e.g., "y < 2x + 1",
+	 *   or a function F taking x and y, to compare with 0 using opts.relation
+	 * @param {object} [opts={}] - An object of CMFunction options, plus those below
+	 * @param {string} [opts.relation="<"] - For a function F, how F(x, y) compares to 0 in the
+	 *   solution region: "<", "<=", ">", or ">="
+	 * @param {string} [opts.fillStyle="rgba(1, 97, 251, 0.35)"] - Color for the solution region
+	 * @param {array} [opts.lineDash=[8, 6]] - Dash pattern (as in ctx.setLineDash) for the boundary
+	 *   of a strict inequality
+	 */
+	constructor(game, inequality, opts={}) {
+		let relation = opts.relation || "<";
+		let func = inequality;
+		let expression = null;
+
+		if(typeof inequality !== "function") {
+			expression = (inequality instanceof CMExpression) ? inequality : new CMExpression(inequality);
+
+			let node = expression.ast;
+			if(node.type !== "relation" || !CMInequality.RELATIONS.includes(node.op)) {
+				throw new Error("CMInequality needs an inequality using <, <=, >, or >=, like \"y < 2x + 1\", not \"" +
+					expression.source + "\"");
+			}
+
+			relation = node.op;
+			func = new CMExpression({type: "operator", op: "-", left: node.left, right: node.right});
+		}
+		else
+		if(!CMInequality.RELATIONS.includes(relation)) {
+			console.error("CMInequality relation must be one of " + CMInequality.RELATIONS.join(", ") + ", not \"" + relation + "\"");
+			relation = "<";
+		}
+
+		super(game, func, Object.assign({}, opts, {
+			type: "implicit"
+		}));
+
+		this.inequality = expression;
+		this.relation = relation;
+		this.strict = (relation === "<" || relation === ">");
+		this.fillStyle = opts.fillStyle || "rgba(1, 97, 251, 0.35)";
+		this.lineDash = opts.lineDash || [8, 6];
+		this.name = opts.name || (expression ? expression.toString() : "");
+	}
+
+	/**
+	 * Determines if a given real point is in the solution
+	 * region, i.e., if it makes the inequality true. Note:
+	 * this takes real values, e.g., containsPoint(2, 3) checks
+	 * the point (2, 3) on the graph. For a screen point, like
+	 * a mouse click, use game.toReal() first.
+	 * @param {object|number} realXOrPoint - The real point, or point's x value
+	 * @param {number} [realY] - The point's real y value
+	 * @returns {boolean}
+	 */
+	containsPoint(realXOrPoint, realY) {
+		let point = (typeof realXOrPoint === "number") ? {x: realXOrPoint, y: realY} : realXOrPoint;
+		return CMInequality.compare(this.of(point.x, point.y), this.relation);
+	}
+
+	/**
+	 * Gets the Path2D (of screen points) covering the
+	 * solution region, as it was last built.
+	 * Mostly used internally.
+	 * @returns {Path2D}
+	 */
+	regionPath() {
+		return (this.relation === "<" || this.relation === "<=") ? this.pathBelow : this.pathAbove;
+	}
+
+	/**
+	 * Draws the boundary curve, dashed if this
+	 * inequality is strict. Mostly used internally.
+	 * @param {CanvasRenderingContext2D} ctx - The game's drawing context
+	 */
+	drawBoundary(ctx) {
+		ctx.save();
+		ctx.lineWidth = this.lineWidth;
+		ctx.strokeStyle = this.strokeStyle;
+		ctx.setLineDash(this.strict ? this.lineDash : []);
+		ctx.stroke(this.path);
+		ctx.restore();
+	}
+
+	/**
+	 * Draws the solution region and its boundary, using
+	 * the paths last built. Mostly used internally.
+	 * @param {CanvasRenderingContext2D} [ctx=this.game.offscreenCtx] - The game's drawing context
+	 */
+	drawGraphPath(ctx=this.game.offscreenCtx) {
+		if(this.fillStyle && this.fillStyle !== CMColor.NONE) {
+			ctx.fillStyle = this.fillStyle;
+			ctx.fill(this.regionPath());
+		}
+
+		this.drawBoundary(ctx);
+	}
+}
+
+// The relations an inequality can use
+CMInequality.RELATIONS = ["<", "<=", ">", ">="];
+
+// How close to 0 a value can be, and still count as 0 (e.g., for points on a boundary)
+CMInequality.TOLERANCE = 0.000000001;
+
+/**
+ * Checks if a value compares to 0 using the given
+ * relation, allowing for rounding error on the
+ * boundary. Mostly used internally.
+ * @param {number} value - The value to compare, e.g., F(x, y)
+ * @param {string} relation - "<", "<=", ">", or ">="
+ * @returns {boolean}
+ */
+CMInequality.compare = function(value, relation) {
+	switch(relation) {
+		case "<":
+			return value < -CMInequality.TOLERANCE;
+		case "<=":
+			return value <= CMInequality.TOLERANCE;
+		case ">":
+			return value > CMInequality.TOLERANCE;
+		case ">=":
+			return value >= -CMInequality.TOLERANCE;
+		default:
+			return false;
+	}
+};
+
+/**
+ * Shades the region where several inequalities are
+ * all true, e.g., the feasible region in a linear
+ * programming problem. Each inequality's boundary is
+ * drawn (dashed or solid), but only the overlap of their
+ * solution regions is shaded. The inequalities are drawn
+ * by the system, so should not be added to the game
+ * separately.
+ */
+class CMInequalitySystem extends CMFunction {
+
+	/**
+	 * Creates a CMInequalitySystem instance.
+	 *
+	 * @param {CMGame} game - The associated CMGame instance
+	 * @param {array} inequalities - An array of CMInequality instances, or inequalities written as
+	 *   math (e.g., ["y <= -x + 6", "x >= 0", "y >= 0"]), which are created with this system's options
+	 * @param {object} [opts={}] - An object of CMInequality options
+	 * @param {string} [opts.fillStyle="rgba(1, 97, 251, 0.35)"] - Color for the region where every
+	 *   inequality is true
+	 */
+	constructor(game, inequalities, opts={}) {
+		let memberOpts = Object.assign({}, opts);
+		delete memberOpts.name;
+
+		let members = inequalities.map(inequality => (inequality instanceof CMInequality) ?
+			inequality : new CMInequality(game, inequality, memberOpts));
+
+		/**
+		 * Each inequality's F is flipped if needed so that it is negative
+		 * in its solution region. The greatest of these is then negative
+		 * only where they all are.
+		 */
+		let systemFunc = function(x, y) {
+			return Math.max(...members.map(member => {
+				let value = member.of(x, y);
+				return (member.relation === "<" || member.relation === "<=") ? value : -value;
+			}));
+		};
+
+		super(game, systemFunc, Object.assign({}, opts, {
+			type: "implicit"
+		}));
+
+		this.inequalities = members;
+		this.fillStyle = opts.fillStyle || "rgba(1, 97, 251, 0.35)";
+		this.name = opts.name || members.map(member => member.name).join(", ");
+	}
+
+	/**
+	 * Determines if a given real point is in the region
+	 * where every inequality is true. Note: this takes
+	 * real values, e.g., containsPoint(2, 3) checks the
+	 * point (2, 3) on the graph. For a screen point, like
+	 * a mouse click, use game.toReal() first.
+	 * @param {object|number} realXOrPoint - The real point, or point's x value
+	 * @param {number} [realY] - The point's real y value
+	 * @returns {boolean}
+	 */
+	containsPoint(realXOrPoint, realY) {
+		return this.inequalities.every(member => member.containsPoint(realXOrPoint, realY));
+	}
+
+	/**
+	 * Redefines each inequality's bounds, e.g., when
+	 * the game is zoomed. Mostly used internally.
+	 * @param {number} [oldScalar=1] - graphScalar before the change
+	 */
+	updateBounds(oldScalar=1) {
+		super.updateBounds(oldScalar);
+		this.inequalities.forEach(member => member.updateBounds(oldScalar));
+	}
+
+	/**
+	 * Moves each inequality along with the game's plane,
+	 * when it is panned or zoomed. Mostly used internally.
+	 * @param {function} mapPoint - Takes a screen point on the old plane, and returns where it is now
+	 * @param {number} newScalar - The game's graphScalar after the change
+	 * @param {object} [newScales] - The game's axis scales after the change (see CMFunction's followPlane())
+	 */
+	followPlane(mapPoint, newScalar, newScales) {
+		super.followPlane(mapPoint, newScalar, newScales);
+		this.inequalities.forEach(member => member.followPlane(mapPoint, newScalar, newScales));
+	}
+
+	/**
+	 * Builds each inequality's region and boundary
+	 * paths. Mostly used internally.
+	 * @param {CanvasRenderingContext2D} [ctx=this.game.offscreenCtx] - The game's drawing context
+	 */
+	buildGraphPath(ctx=this.game.offscreenCtx) {
+
+		// CMFunction's constructor calls this before this system's inequalities are set
+		if(!this.inequalities) {
+			return;
+		}
+
+		this.inequalities.forEach(member => member.buildGraphPath(ctx));
+	}
+
+	/**
+	 * Shades the overlap of the inequalities' regions, then
+	 * draws their boundaries, using the paths last built.
+	 * Mostly used internally.
+	 * @param {CanvasRenderingContext2D} [ctx=this.game.offscreenCtx] - The game's drawing context
+	 */
+	drawGraphPath(ctx=this.game.offscreenCtx) {
+		if(this.fillStyle && this.fillStyle !== CMColor.NONE) {
+			ctx.save();
+
+			// Each clip is limited to the last, leaving only the overlap
+			for(let member of this.inequalities) {
+				ctx.clip(member.regionPath());
+			}
+
+			ctx.fillStyle = this.fillStyle;
+			ctx.fillRect(0, 0, this.game.width, this.game.height);
+			ctx.restore();
+		}
+
+		this.inequalities.forEach(member => member.drawBoundary(ctx));
+	}
+
+	/**
+	 * Draws the system in current frame
+	 * @param {CanvasRenderingContext2D} ctx - The game's drawing context
+	 */
+	draw(ctx) {
+
+		// As with a single inequality, a region is only traced again after it changes
+		for(let member of this.inequalities) {
+			if(member.implicitPathStale_Private) {
+				member.buildGraphPath(ctx);
+			}
+		}
+
+		this.drawGraphPath(ctx);
+	}
+}
+
+/**
+ * Draws a vector field on the graph plane, as arrows at
+ * the points of a lattice (by default, where the game's
+ * gridlines cross). Sprites can be sent along the field,
+ * following the path a particle would take in it.
+ */
+class CMVectorField extends CMFunction {
+
+	/**
+	 * Creates a CMVectorField instance.
+	 *
+	 * @param {CMGame} game - The associated CMGame instance
+	 * @param {function|array} func - A function taking real x and y values, and returning the
+	 *   vector there, as a point-like object, e.g., (x, y) => ({x: -y, y: x}), or an array of two
+	 *   strings written as math, for the vector's x and y, e.g., ["-y", "x"]
+	 * @param {object} [opts={}] - An object of CMFunction options, plus those below
+	 * @param {number} [opts.spacing] - Real distance between lattice points. Defaults to the game's
+	 *   gridline spacing (which changes with zoom).
+	 * @param {boolean} [opts.normalize=false] - true to draw every arrow the same length. Otherwise
+	 *   arrows are scaled by their vectors' magnitudes, with the longest fitting between lattice points.
+	 * @param {boolean|function} [opts.colorByMagnitude=false] - true to color each arrow from blue
+	 *   (smallest magnitude) to red (greatest), or a function taking the magnitude and the greatest
+	 *   magnitude drawn, and returning a color string
+	 */
+	constructor(game, func, opts={}) {
+		super(game, func, Object.assign({}, opts, {
+			type: "implicit"
+		}));
+
+		this.spacing = opts.spacing || null;
+		this.normalize = !!opts.normalize;
+		this.colorByMagnitude = opts.colorByMagnitude || false;
+
+		// Built in buildGraphPath(), with screen values for each arrow drawn
+		this.arrows = [];
+		this.maxMagnitude = 0;
+		this.buildGraphPath(this.game.offscreenCtx);
+	}
+
+	/**
+	 * Gets the field's vector at a real point
+	 * @param {number} x - The real x value
+	 * @param {number} y - The real y value
+	 * @returns {object} A plain JS object with x and y values
+	 */
+	vectorAt(x, y) {
+		let vector = this.of(x, y);
+
+		// Fields written as math give arrays
+		if(Array.isArray(vector)) {
+			return {x: vector[0], y: vector[1]};
+		}
+
+		return {x: vector.x, y: vector.y};
+	}
+
+	/**
+	 * Gets the magnitude (length) of the field's vector at a real point
+	 * @param {number} x - The real x value
+	 * @param {number} y - The real y value
+	 * @returns {number}
+	 */
+	magnitudeAt(x, y) {
+		let vector = this.vectorAt(x, y);
+		return Math.hypot(vector.x, vector.y);
+	}
+
+	/**
+	 * Gets the color to draw an arrow, based on its
+	 * magnitude. Mostly used internally.
+	 * @param {number} magnitude - The arrow's magnitude
+	 * @returns {string}
+	 */
+	colorFor(magnitude) {
+		if(typeof this.colorByMagnitude === "function") {
+			return this.colorByMagnitude(magnitude, this.maxMagnitude);
+		}
 
-				this.path.moveTo(this.realToScreenOf( initialScreenRealY ), game.height - initialI);
+		let fraction = (this.maxMagnitude > 0) ? CMGame.clamp(magnitude / this.maxMagnitude, 0, 1) : 0;
+		let low = new CMColor(CMColor.BLUE);
+		let high = new CMColor(CMColor.RED);
 
-				for(let i = initialI + 1; i <= finalI; i++) {
+		return "rgb(" + Math.round(low.r + fraction * (high.r - low.r)) + ", " +
+			Math.round(low.g + fraction * (high.g - low.g)) + ", " +
+			Math.round(low.b + fraction * (high.b - low.b)) + ")";
+	}
 
-					let screenGraphY = -((game.height - i) - this.origin.y) / game.graphScalar;
-					let screenGraphYMinus1 = -(this.origin.y - (i - 1)) / game.graphScalar;
+	/**
+	 * Adds one arrow to a path. Mostly used internally.
+	 * @param {Path2D} path - The path to add to
+	 * @param {object} arrow - One of this field's arrows
+	 */
+	addMarker(path, arrow) {
+		let length = Math.hypot(arrow.x2 - arrow.x1, arrow.y2 - arrow.y1);
+		if(length === 0) {
+			return;
+		}
 
-					// Don't connect over horizontal asymptotes
-					if(
-						(this.realToScreenOf(screenGraphY) < 0 && this.realToScreenOf(screenGraphYMinus1) > canvas.width) ||
-						(this.realToScreenOf(screenGraphYMinus1) < 0 && this.realToScreenOf(screenGraphY) > canvas.width)) {
+		let angle = Math.atan2(arrow.y2 - arrow.y1, arrow.x2 - arrow.x1);
+		let headLength = Math.min(6, 0.4 * length);
 
-						this.continuous = false;
-						this.path.moveTo(this.realToScreenOf(screenGraphY), game.height - i );
-					}
-					else {
-						this.path.lineTo(this.realToScreenOf(screenGraphY), game.height - i);
-					}
-				}
+		path.moveTo(arrow.x1, arrow.y1);
+		path.lineTo(arrow.x2, arrow.y2);
 
-				this.pathBelow = new Path2D(this.path);
-				this.pathBelow.lineTo(-ctx.lineWidth, game.height - finalI);
-				this.pathBelow.lineTo(-ctx.lineWidth, game.height - initialI);
-				this.pathBelow.closePath();
+		path.moveTo(arrow.x2 - headLength * Math.cos(angle - Math.PI / 7),
+			arrow.y2 - headLength * Math.sin(angle - Math.PI / 7));
+		path.lineTo(arrow.x2, arrow.y2);
+		path.lineTo(arrow.x2 - headLength * Math.cos(angle + Math.PI / 7),
+			arrow.y2 - headLength * Math.sin(angle + Math.PI / 7));
+	}
 
-				this.pathAbove = new Path2D(this.path);
-				this.pathAbove.lineTo(canvas.width + ctx.lineWidth, game.height - finalI);
-				this.pathAbove.lineTo(canvas.width + ctx.lineWidth, game.height - initialI);
-				this.pathAbove.closePath();
-				break;
-			case "polar":
-				initialPoint = game.fromPolar({
-						r: this.realToScreenOf(0),
-						theta: 0
-					});
+	/**
+	 * Finds the arrows at each visible lattice point,
+	 * and builds the path to draw them with.
+	 * Mostly used internally.
+	 * @param {CanvasRenderingContext2D} [ctx=this.game.offscreenCtx] - The game's drawing context
+	 */
+	buildGraphPath(ctx=this.game.offscreenCtx) {
+		let game = this.game;
 
-				this.path.moveTo(this.origin.x + initialPoint.x, this.origin.y - initialPoint.y);
-				for(let th = this.thetaStep; th <= Math.TAU; th += this.thetaStep) {
+		this.path = new CMGame.Path2D();
 
-					let point = game.fromPolar(
-						{
-							r: this.realToScreenOf(th),
-							theta: th
-						});
+		// CMFunction's constructor calls this before this field's options are set
+		if(!this.arrows) {
+			return;
+		}
 
-					this.path.lineTo( this.origin.x + point.x, this.origin.y - point.y);
-				}
+		let spacing = (this.spacing || game.gridlineDistance / game.graphScalar) * game.graphScalar;
 
-				this.pathBelow = new Path2D(this.path);
-				this.pathBelow.closePath(); // if necessary
+		// Keep arrows from crowding together when zoomed out
+		while(spacing < 10) {
+			spacing *= 2;
+		}
 
-				// Attempt to fill area outside the path. Note: may not work as expected if polar path is not closed
-				this.pathAbove = new Path2D(this.path);
+		let left = Math.max(0, game.xToScreen(this.start.x, this.origin));
+		let right = Math.min(game.width, game.xToScreen(this.end.x, this.origin));
+		let top = Math.max(0, game.yToScreen(this.end.y, this.origin));
+		let bottom = Math.min(game.height, game.yToScreen(this.start.y, this.origin));
 
-				this.pathAbove.moveTo(game.width + ctx.lineWidth, this.origin.y - initialPoint.y); // right wall
-				this.pathAbove.lineTo(game.width + ctx.lineWidth, game.height + ctx.lineWidth); // bottom right corner
-				this.pathAbove.lineTo(0 - ctx.lineWidth, game.height + ctx.lineWidth);
-				this.pathAbove.lineTo(0 - ctx.lineWidth, 0 - ctx.lineWidth);
-				this.pathAbove.lineTo(game.width + ctx.lineWidth, 0 - ctx.lineWidth);
-				this.pathAbove.lineTo(game.width + ctx.lineWidth, this.origin.y - initialPoint.y);
-				break;
-			case "parametric":
-				initialPoint = this.realToScreenOf(0);
-				this.path.moveTo(initialPoint.x, initialPoint.y);
+		this.arrows = [];
+		this.maxMagnitude = 0;
 
-				// If no end has been provided, there is nothing to draw (no time elapses)
-				for(let tIndex = this.tStep; tIndex < this.end.t; tIndex += this.tStep) {
-					let point = this.realToScreenOf(tIndex);
-					this.path.lineTo( point.x, point.y);
+		for(let i = Math.ceil((left - this.origin.x) / spacing); this.origin.x + i * spacing <= right; i++) {
+			for(let j = Math.ceil((top - this.origin.y) / spacing); this.origin.y + j * spacing <= bottom; j++) {
+				let screenX = this.origin.x + i * spacing;
+				let screenY = this.origin.y + j * spacing;
+				let realX = game.xToReal(screenX, this.origin);
+				let realY = game.yToReal(screenY, this.origin);
+				let vector = this.vectorAt(realX, realY);
+				let vectorLength = Math.hypot(vector.x, vector.y);
+
+				if(!Number.isFinite(vectorLength)) {
+					continue;
 				}
 
-				this.pathAbove = new Path2D(this.path);
-				this.pathBelow = new Path2D(this.path);
-				break;
+				let magnitude = this.magnitudeAt(realX, realY);
+				if(Number.isFinite(magnitude)) {
+					this.maxMagnitude = Math.max(this.maxMagnitude, magnitude);
+				}
+
+				this.arrows.push({
+					x: screenX,
+					y: screenY,
+					vector: vector,
+					vectorLength: vectorLength,
+					magnitude: magnitude
+				});
+			}
+		}
+
+		let maxVectorLength = Math.max(0, ...this.arrows.map(arrow => arrow.vectorLength));
+		let maxLength = 0.8 * spacing;
+
+		for(let arrow of this.arrows) {
+			let length = 0;
+			if(arrow.vectorLength > 0) {
+				length = this.normalize ? maxLength : maxLength * arrow.vectorLength / maxVectorLength;
+			}
+
+			// Arrows are centered on their lattice points. Screen y values are flipped.
+			let dx = (arrow.vectorLength > 0) ? 0.5 * length * arrow.vector.x / arrow.vectorLength : 0;
+			let dy = (arrow.vectorLength > 0) ? -0.5 * length * arrow.vector.y / arrow.vectorLength : 0;
+
+			arrow.x1 = arrow.x - dx;
+			arrow.y1 = arrow.y - dy;
+			arrow.x2 = arrow.x + dx;
+			arrow.y2 = arrow.y + dy;
+
+			this.addMarker(this.path, arrow);
 		}
 	}
 
 	/**
-	 * Draws static/fixed graph in current frame, using a
-	 * stored Path2D. If this CMFunction instance
-	 * is fixed, this function replaces the draw() method
-	 * as an optimization.
+	 * Draws the field's arrows, using the paths last
+	 * built. Mostly used internally.
 	 * @param {CanvasRenderingContext2D} [ctx=this.game.offscreenCtx] - The game's drawing context
 	 */
 	drawGraphPath(ctx=this.game.offscreenCtx) {
 		ctx.lineWidth = this.lineWidth;
 
-		if(this.pathBelow && this.fillStyleBelow && this.fillStyleBelow !== CMColor.NONE) {
-			ctx.fillStyle = this.fillStyleBelow;
-			ctx.fill(this.pathBelow);
+		if(!this.colorByMagnitude) {
+			ctx.strokeStyle = this.strokeStyle;
+			ctx.stroke(this.path);
+			return;
 		}
 
-		if(this.pathAbove && this.fillStyleAbove && this.fillStyleAbove !== CMColor.NONE) {
-			ctx.fillStyle = this.fillStyleAbove;
-			ctx.fill(this.pathAbove);
+		for(let arrow of this.arrows) {
+			let arrowPath = new CMGame.Path2D();
+			this.addMarker(arrowPath, arrow);
+			ctx.strokeStyle = this.colorFor(arrow.magnitude);
+			ctx.stroke(arrowPath);
 		}
+	}
 
-		if(this.strokeStyle !== CMColor.NONE) {
-			ctx.strokeStyle = this.strokeStyle;
-			ctx.stroke(this.path);
-		}
+	/**
+	 * Draws the field in current frame
+	 * @param {CanvasRenderingContext2D} ctx - The game's drawing context
+	 */
+	draw(ctx) {
+		this.buildGraphPath(ctx);
+		this.drawGraphPath(ctx);
 	}
 
 	/**
-	 * Updates graph animation state in current
-	 * frame, if relevant
-	 * @param {number} frameCount - The game's frame count
+	 * Creates a CMSolutionCurve tracing the path a particle
+	 * takes through this field, starting at a real point when
+	 * t is 0 (by default, found with the Runge-Kutta method).
+	 * Its end.t increases over time, so a sprite can follow
+	 * it with setPath(), e.g.,
+	 * sprite.setPath( field.pathFrom({x: 1, y: 0}) );
+	 * The path drawn so far is shown as a trail.
+	 * @param {object} realPoint - The real point to start from
+	 * @param {object} [options={}] - A plain JS object of CMSolutionCurve options, like
+	 *   speed (how much t increases per second), method, and step
+	 * @returns {CMSolutionCurve}
 	 */
-	update(frameCount) {
-		for(let key in this.velocity) {
-			if(key === "start" || key === "end") {
-				for(let keyInEndpoint in this.velocity[key]) {
-					this[key][keyInEndpoint] += this.velocity[key][keyInEndpoint];
-				}
-			}
-			else
-				this[key] += this.velocity[key];
+	pathFrom(realPoint, options={}) {
+		let self = this;
+
+		return new CMSolutionCurve(this.game,
+			(x, y) => self.vectorAt(x, y),
+			{x: realPoint.x, y: realPoint.y},
+			Object.assign({
+				strokeStyle: this.strokeStyle,
+				lineWidth: this.lineWidth
+			}, options, {
+				origin: this.origin
+			}));
+	}
+
+	/**
+	 * Creates a circle sprite at a real point, adds it
+	 * to the game, and sends it along this field.
+	 * @param {number|object} realXOrPoint - The real point to start from, or its x value
+	 * @param {number} [realY] - The starting point's real y value
+	 * @param {object} [options={}] - A plain JS object of pathFrom() options, plus those below
+	 * @param {number} [options.radius=5] - The sprite's radius in pixels
+	 * @param {string} [options.fillStyle=CMColor.BLUE] - The sprite's color
+	 * @returns {CMSprite}
+	 */
+	spawn(realXOrPoint, realY, options={}) {
+		let game = this.game;
+		let point = (typeof realXOrPoint === "number") ? {x: realXOrPoint, y: realY} : realXOrPoint;
+
+		// Allow skipping realY when a point is given
+		if(typeof realXOrPoint === "object" && typeof realY === "object") {
+			options = realY;
 		}
 
-		this.onupdate(frameCount);
+		let sprite = new CMSprite(game,
+			game.xToScreen(point.x, this.origin),
+			game.yToScreen(point.y, this.origin),
+			options.radius || 5,
+			"circle",
+			options.fillStyle || CMColor.BLUE);
+
+		sprite.setPath(this, Object.assign({}, options, {start: point}));
+		game.addSprite(sprite);
+		return sprite;
+	}
+}
+
+/**
+ * Draws a slope field for a differential equation
+ * dy/dx = f(x, y), as short segments with slope f(x, y)
+ * at the points of a lattice. Sprites sent along the
+ * field move to the right along a solution curve, at a
+ * steady speed.
+ */
+class CMSlopeField extends CMVectorField {
+
+	/**
+	 * Creates a CMSlopeField instance.
+	 *
+	 * @param {CMGame} game - The associated CMGame instance
+	 * @param {function|string} func - A function taking real x and y values, and returning dy/dx
+	 *   there, or dy/dx written as math, e.g., "x - y"
+	 * @param {object} [opts={}] - An object of CMVectorField options. Segments are all the
+	 *   same length, and colorByMagnitude colors by steepness (the slope's absolute value).
+	 */
+	constructor(game, func, opts={}) {
+		super(game, func, Object.assign({}, opts, {
+			normalize: true
+		}));
 	}
 
 	/**
-	 * Delegates drawing function based on graph type
-	 * @param {object} ctx - The drawing context
+	 * Gets the direction of this field's segment at a real
+	 * point, as a vector of length 1 pointing to the right
+	 * (or straight up, where the slope is infinite).
+	 * @param {number} x - The real x value
+	 * @param {number} y - The real y value
+	 * @returns {object} A plain JS object with x and y values
 	 */
-	draw(ctx) {
-		switch(this.type) {
-			case "cartesian":
-				return this.drawCartesian(ctx);
-			case "polar":
-				return this.drawPolar(ctx);
-			case "parametric":
-				return this.drawParametric(ctx);
-			case "xofy":
-				return this.drawXOfY(ctx);
+	vectorAt(x, y) {
+		let slope = this.of(x, y);
+
+		if(Math.abs(slope) === Infinity) {
+			return {x: 0, y: 1};
 		}
+
+		let length = Math.hypot(1, slope);
+		return {x: 1 / length, y: slope / length};
 	}
 
 	/**
-	 * Draws as a polar function
-	 * @param {object} ctx - The drawing context
+	 * Gets the steepness of this field at a real point,
+	 * i.e., the absolute value of dy/dx there.
+	 * @param {number} x - The real x value
+	 * @param {number} y - The real y value
+	 * @returns {number}
 	 */
-	drawPolar(ctx) {
-		let game = this.game;
-		let canvas = game.canvas;
-		ctx.lineWidth = this.lineWidth;
-		ctx.strokeStyle = this.strokeStyle;
+	magnitudeAt(x, y) {
+		return Math.abs(this.of(x, y));
+	}
+
+	/**
+	 * Adds one segment to a path. Mostly used internally.
+	 * @param {Path2D} path - The path to add to
+	 * @param {object} arrow - One of this field's segments
+	 */
+	addMarker(path, arrow) {
+		path.moveTo(arrow.x1, arrow.y1);
+		path.lineTo(arrow.x2, arrow.y2);
+	}
+}
 
-		let initialPoint = game.fromPolar({
-				r: this.realToScreenOf(0),
-				theta: 0
+/**
+ * Graphs the solution of an initial value problem, found
+ * numerically. For a differential equation dy/dx = f(x, y)
+ * with y(x0) = y0, this is a "cartesian" function of x.
+ * For a system dx/dt = f(x, y, t), dy/dt = g(x, y, t),
+ * e.g., for a phase portrait, this is a "parametric"
+ * function of the time since the starting point. The
+ * solution is drawn progressively, as its end value moves
+ * forward, so a sprite can follow it with setPath().
+ */
+class CMSolutionCurve extends CMFunction {
+
+	/**
+	 * Creates a CMSolutionCurve instance.
+	 *
+	 * @param {CMGame} game - The associated CMGame instance
+	 * @param {function|string|array} func - For a single equation, dy/dx as a function taking real
+	 *   x and y values, e.g., (x, y) => x - y, or written as math, e.g., "x - y". For a system, a
+	 *   function taking x, y, and t, and returning a point-like object with dx/dt and dy/dt as its
+	 *   x and y values, or an array of two strings written as math, e.g., ["y", "-x"]
+	 * @param {object} initial - The starting point, with real x and y values (and t, for a system,
+	 *   which defaults to 0)
+	 * @param {object} [opts={}] - An object of CMFunction options, plus those below
+	 * @param {string} [opts.method="rk4"] - How each step is taken: "euler", "rk4" (Runge-Kutta),
+	 *   or "adaptive" (Runge-Kutta, with steps shrinking or growing to keep the error small)
+	 * @param {number} [opts.step=0.05] - The size of each step in x (or t, for a system). For
+	 *   "adaptive", this is only the first step's size.
+	 * @param {number} [opts.tolerance=0.000001] - For "adaptive", the error allowed in each step
+	 * @param {number} [opts.maxStep=0.5] - For "adaptive", the greatest size a step can grow to
+	 * @param {number} [opts.speed=1] - How much the end value (x, or t for a system) increases
+	 *   per second, drawing the curve progressively. Use 0, with an end value, to draw at once.
+	 */
+	constructor(game, func, initial, opts={}) {
+		let method = opts.method || "rk4";
+		let derivative = null;
+		let isSystem = false;
+		let t0 = (typeof initial.t === "number") ? initial.t : 0;
+		let name = "";
+
+		if(!CMSolutionCurve.STEPS[method] && method !== "adaptive") {
+			console.error("CMSolutionCurve method must be \"euler\", \"rk4\", or \"adaptive\", not \"" + method + "\"");
+			method = "rk4";
+		}
+
+		if(Array.isArray(func)) {
+			let expressions = func.map(definition => (definition instanceof CMExpression) ?
+				definition : new CMExpression(definition));
+			let xRate = expressions[0].toFunction("x", "y", "t");
+			let yRate = expressions[1].toFunction("x", "y", "t");
+
+			isSystem = true;
+			name = "(x′, y′) = (" + expressions.join(", ") + ")";
+			derivative = (point, t) => ({
+				x: xRate(point.x, point.y, t),
+				y: yRate(point.x, point.y, t)
 			});
+		}
+		else
+		if(typeof func !== "function") {
+			let expression = (func instanceof CMExpression) ? func : new CMExpression(func);
+			let slope = expression.toFunction("x", "y");
 
-		this.path = new Path2D();
-		this.path.moveTo(this.origin.x + initialPoint.x, this.origin.y - initialPoint.y);
-		for(let th = this.thetaStep; th <= this.end.theta; th += this.thetaStep) {
+			name = "y′ = " + expression.toString();
+			derivative = (point, x) => ({x: 1, y: slope(x, point.y)});
+		}
+		else {
 
-			let point = game.fromPolar(
-				{
-					r: this.realToScreenOf(th),
-					theta: th
-				});
+			// A system's function gives a point, where a single equation's gives a number
+			let firstValue = func(initial.x, initial.y, t0);
+			isSystem = (typeof firstValue === "object" && firstValue !== null);
 
-			this.path.lineTo( this.origin.x + point.x, this.origin.y - point.y);
+			if(isSystem) {
+				derivative = (point, t) => {
+					let rate = func(point.x, point.y, t);
+					return Array.isArray(rate) ? {x: rate[0], y: rate[1]} : {x: rate.x, y: rate.y};
+				};
+			}
+			else {
+				derivative = (point, x) => ({x: 1, y: func(x, point.y)});
+			}
 		}
 
-		if(this.fillStyleBelow && this.fillStyleBelow !== CMColor.NONE) {
-			this.pathBelow = new Path2D(this.path);
-			this.pathBelow.closePath(); // if necessary
-			ctx.fillStyle = this.fillStyleBelow;
-			ctx.fill(this.pathBelow);
+		// A single equation is solved as a system moving at a steady speed in x
+		let solver = CMSolutionCurve.createSolver(derivative,
+			{x: initial.x, y: initial.y},
+			isSystem ? t0 : initial.x,
+			Object.assign({}, opts, {method: method}));
+
+		let speed = (typeof opts.speed === "number") ? opts.speed : 1;
+		let velocity = speed * (game.fixedTimestep ? 1 : game.timestep);
+		let curveOpts = Object.assign({
+			name: name,
+			tStep: 0.02
+		}, opts);
+
+		if(isSystem) {
+			curveOpts.type = "parametric";
+			curveOpts.start = Object.assign({t: 0}, opts.start);
+			curveOpts.end = Object.assign({t: 0}, opts.end);
+			curveOpts.velocity = opts.velocity || {end: {t: velocity}};
+		}
+		else {
+			curveOpts.type = "cartesian";
+			curveOpts.start = Object.assign({x: initial.x}, opts.start);
+			curveOpts.end = Object.assign({x: initial.x}, opts.end);
+			curveOpts.velocity = opts.velocity || {end: {x: velocity}};
+		}
+
+		super(game,
+			isSystem ? (t => solver.at(t0 + t)) : (x => solver.at(x).y),
+			curveOpts);
+
+		this.solver = solver;
+		this.method = method;
+		this.initial = {x: initial.x, y: initial.y, t: t0};
+	}
+
+	/**
+	 * Gets the real points where steps of the solution were
+	 * taken, between this curve's start and end values,
+	 * e.g., to show the steps of Euler's method with
+	 * game.add( ...curve.markPoints(curve.stepPoints()) );
+	 * @returns {array} An array of CMPoint instances
+	 */
+	stepPoints() {
+		let first = (this.type === "parametric") ? this.initial.t + this.start.t : this.start.x;
+		let last = (this.type === "parametric") ? this.initial.t + this.end.t : this.end.x;
+
+		// Make sure the steps up to the end have been taken
+		this.solver.at(first);
+		this.solver.at(last);
+
+		return this.solver.backward.slice(1).reverse().concat(this.solver.forward)
+			.filter(node => node.t >= Math.min(first, last) && node.t <= Math.max(first, last))
+			.map(node => new CMPoint(node.x, node.y));
+	}
+}
+
+/**
+ * Steps for solving a system of differential equations,
+ * each taking a function giving the rates of change (from
+ * a point and time), the current point and time, and the
+ * step size, and returning the next point.
+ */
+CMSolutionCurve.STEPS = {
+	euler: function(derivative, point, t, h) {
+		let rate = derivative(point, t);
+
+		return {
+			x: point.x + h * rate.x,
+			y: point.y + h * rate.y
+		};
+	},
+
+	rk4: function(derivative, point, t, h) {
+		let k1 = derivative(point, t);
+		let k2 = derivative({x: point.x + 0.5 * h * k1.x, y: point.y + 0.5 * h * k1.y}, t + 0.5 * h);
+		let k3 = derivative({x: point.x + 0.5 * h * k2.x, y: point.y + 0.5 * h * k2.y}, t + 0.5 * h);
+		let k4 = derivative({x: point.x + h * k3.x, y: point.y + h * k3.y}, t + h);
+
+		return {
+			x: point.x + h / 6 * (k1.x + 2 * k2.x + 2 * k3.x + k4.x),
+			y: point.y + h / 6 * (k1.y + 2 * k2.y + 2 * k3.y + k4.y)
+		};
+	}
+};
+
+// The most steps a solution takes in each direction, to keep blowing-up solutions from freezing the game
+CMSolutionCurve.MAX_STEPS = 100000;
+
+/**
+ * Creates an object that solves a system of differential
+ * equations as far as it is asked, in either direction
+ * from the starting time, and stores each step taken.
+ * Its at(t) method gives the solution's point at time t,
+ * or a point with NaN values where no solution was found
+ * (e.g., past where it blows up). Mostly used internally.
+ * @param {function} derivative - Takes a point and time, and returns the rates of change as a point
+ * @param {object} point - The starting point, with x and y values
+ * @param {number} t0 - The starting time
+ * @param {object} [options={}] - A plain JS object with method, step, tolerance, and maxStep
+ *   values, as in the CMSolutionCurve constructor options
+ * @returns {object}
+ */
+CMSolutionCurve.createSolver = function(derivative, point, t0, options={}) {
+	let method = options.method || "rk4";
+	let step = options.step || 0.05;
+	let tolerance = options.tolerance || 0.000001;
+	let maxStep = options.maxStep || 0.5;
+	let minStep = 0.000001;
+	let rk4 = CMSolutionCurve.STEPS.rk4;
+
+	let createNode = (t, nodePoint) => ({
+		t: t,
+		x: nodePoint.x,
+		y: nodePoint.y,
+		rate: derivative(nodePoint, t)
+	});
+
+	let start = createNode(t0, point);
+	let solver = {
+		forward: [start],
+		backward: [start],
+		stepSizes: {forward: step, backward: -step},
+		finished: {forward: false, backward: false}
+	};
+
+	// Takes one step from the last node, returning the step's size and the next point
+	let takeStep = (last, direction) => {
+		let h = solver.stepSizes[direction];
+
+		if(method !== "adaptive") {
+			return {h: h, point: CMSolutionCurve.STEPS[method](derivative, last, last.t, h)};
+		}
+
+		// Compare one step with two half steps, shrinking the step until they agree
+		for(;;) {
+			let full = rk4(derivative, last, last.t, h);
+			let halfway = rk4(derivative, last, last.t, h / 2);
+			let half = rk4(derivative, halfway, last.t + h / 2, h / 2);
+			let error = Math.max(Math.abs(half.x - full.x), Math.abs(half.y - full.y)) / 15;
+			let scale = (error > 0) ? 0.9 * Math.pow(tolerance / error, 0.2) : 2;
+
+			if(error <= tolerance || Math.abs(h) <= minStep || !Number.isFinite(error)) {
+				solver.stepSizes[direction] = Math.sign(h) * Math.min(maxStep, Math.abs(h) * Math.min(2, scale));
+				return {h: h, point: half};
+			}
+
+			h *= Math.max(0.2, scale);
+		}
+	};
+
+	// Takes steps until the given time is reached
+	let extend = (t, direction) => {
+		let nodes = solver[direction];
+		let last = nodes[nodes.length - 1];
+		let sign = (direction === "forward") ? 1 : -1;
+
+		while(!solver.finished[direction] && sign * (t - last.t) > 0) {
+			let next = takeStep(last, direction);
+
+			if(nodes.length >= CMSolutionCurve.MAX_STEPS ||
+					!Number.isFinite(next.point.x) || !Number.isFinite(next.point.y)) {
+				solver.finished[direction] = true;
+				break;
+			}
+
+			last = createNode(last.t + next.h, next.point);
+			nodes.push(last);
+		}
+	};
+
+	solver.at = function(t) {
+		let direction = (t >= t0) ? "forward" : "backward";
+		let sign = (direction === "forward") ? 1 : -1;
+		let nodes = solver[direction];
+
+		extend(t, direction);
+
+		if(sign * (t - nodes[nodes.length - 1].t) > 0) {
+			return {x: NaN, y: NaN};
+		}
+
+		// Binary search for the step containing t
+		let low = 0;
+		let high = nodes.length - 1;
+		while(high - low > 1) {
+			let mid = Math.floor((low + high) / 2);
+			if(sign * (nodes[mid].t - t) <= 0) {
+				low = mid;
+			}
+			else {
+				high = mid;
+			}
 		}
 
-		// Attempt to fill area outside the path. Note: may not work as expected if polar path is not closed
-		if(this.fillStyleAbove && this.fillStyleAbove !== CMColor.NONE) {
-			this.pathAbove = new Path2D(this.path);
+		let a = nodes[low];
+		let b = nodes[high];
+		let dt = b.t - a.t;
+		let s = (dt === 0) ? 0 : (t - a.t) / dt;
+
+		// Euler's method is shown as its straight steps; others are smoothed with Hermite curves
+		if(method === "euler") {
+			return {
+				x: a.x + s * (b.x - a.x),
+				y: a.y + s * (b.y - a.y)
+			};
+		}
+
+		let h00 = 2 * s**3 - 3 * s**2 + 1;
+		let h10 = s**3 - 2 * s**2 + s;
+		let h01 = -2 * s**3 + 3 * s**2;
+		let h11 = s**3 - s**2;
+
+		return {
+			x: h00 * a.x + h10 * dt * a.rate.x + h01 * b.x + h11 * dt * b.rate.x,
+			y: h00 * a.y + h10 * dt * a.rate.y + h01 * b.y + h11 * dt * b.rate.y
+		};
+	};
+
+	return solver;
+};
 
-			this.pathAbove.moveTo(game.width + ctx.lineWidth, this.origin.y - initialPoint.y); // right wall
-			this.pathAbove.lineTo(game.width + ctx.lineWidth, game.height + ctx.lineWidth); // bottom right corner
-			this.pathAbove.lineTo(0 - ctx.lineWidth, game.height + ctx.lineWidth);
-			this.pathAbove.lineTo(0 - ctx.lineWidth, 0 - ctx.lineWidth);
-			this.pathAbove.lineTo(game.width + ctx.lineWidth, 0 - ctx.lineWidth);
-			this.pathAbove.lineTo(game.width + ctx.lineWidth, this.origin.y - initialPoint.y);
+/**
+ * A function defined in pieces, each on its own interval
+ * of x values, e.g., x^2 on [0, 2) and 4 - x on [2, 5].
+ * Each piece is drawn only on its interval, with a filled
+ * dot at each endpoint the interval includes, and a hollow
+ * dot at each endpoint it leaves out.
+ */
+class CMPiecewise extends CMFunction {
 
-			ctx.fillStyle = this.fillStyleAbove;
-			ctx.fill(this.pathAbove);
+	/**
+	 * Creates a CMPiecewise instance.
+	 *
+	 * @param {CMGame} game - The associated CMGame instance
+	 * @param {array} pieces - An array of plain JS objects, one for each piece, e.g.,
+	 *   [{domain: "[0, 2)", expr: "x^2"}, {domain: "[2, 5]", expr: "4 - x"}]. Each domain is an
+	 *   interval, using "[" or "]" to include an endpoint, "(" or ")" to leave it out, and inf
+	 *   (or ∞) for no endpoint, e.g., "(-inf, 0)". Each expr is math written as a string (or
+	 *   CMExpression), a function taking x, or a number. Where intervals overlap, the first
+	 *   piece is used.
+	 * @param {object} [opts={}] - An object of CMFunction options, plus those below. The type is always "cartesian".
+	 * @param {number} [opts.endpointRadius=4] - The radius of each endpoint dot, in pixels
+	 * @param {string} [opts.hollowStyle=CMColor.WHITE] - Color inside the hollow endpoint dots
+	 */
+	constructor(game, pieces, opts={}) {
+		let readPieces = pieces.map(piece => CMPiecewise.readPiece(piece));
+
+		// Only a function written entirely as math gets a name by default
+		let name = "";
+		if(readPieces.every(piece => piece.expression !== null)) {
+			name = readPieces.map(piece => piece.expression.toString() + " on " + piece.domain).join("; ");
+		}
+
+		// Each piece's rule is set once this function's parameters are, so the graph is built after that
+		super(game, function(x) {
+			let piece = readPieces.find(piece => CMPiecewise.inDomain(piece, x));
+			return (piece && piece.of) ? piece.of(x) : NaN;
+		}, Object.assign({name: name}, opts, {
+			type: "cartesian",
+			fixed: false
+		}));
+
+		this.endpointRadius = (typeof opts.endpointRadius === "number") ? opts.endpointRadius : 4;
+		this.hollowStyle = opts.hollowStyle || CMColor.WHITE;
+
+		// Real points at the ends of the drawn pieces, with closed set to true for filled dots
+		this.endpoints = [];
+
+		this.pieces = readPieces;
+		for(let piece of this.pieces) {
+			if(piece.expression !== null) {
+				piece.of = CMFunction.readExpression(piece.expression, "cartesian", this.params).func;
+			}
+			else {
+				let definition = piece.definition;
+				piece.of = (x) => definition.call(this, x);
+			}
 		}
 
-		ctx.beginPath();
-		ctx.lineWidth = this.lineWidth;
-		ctx.strokeStyle = this.strokeStyle;
-		ctx.stroke(this.path);
+		// Breaks are handled piece by piece, so outputs are checked directly (e.g., by positionOf())
+		this.continuous = false;
+		this.buildGraphPath(this.game.offscreenCtx);
+
+		if(opts.fixed) {
+			this.fixed = true;
+			this.draw = this.drawGraphPath;
+		}
 	}
 
 	/**
-	 * Draws as a polar function
-	 * @param {object} ctx - The drawing context
+	 * Finds the piece used for a given x value
+	 * @param {number} x - A real x value
+	 * @returns {object|null} The piece (a plain JS object with domain, from,
+	 *   to, includeFrom, includeTo, and of values), or null if x is
+	 *   not in any piece's domain
 	 */
-	drawParametric(ctx) {
-		let game = this.game;
-		let canvas = game.canvas;
-
-		let initialPoint = this.realToScreenOf(0);
-		this.path = new Path2D();
-		this.path.moveTo(initialPoint.x, initialPoint.y);
+	pieceAt(x) {
+		return this.pieces.find(piece => CMPiecewise.inDomain(piece, x)) || null;
+	}
 
-		// If no end has been provided, there is nothing to draw (no time elapses)
-		for(let tIndex = this.tStep; tIndex < this.end.t; tIndex += this.tStep) {
-			let point = this.realToScreenOf(tIndex);
-			this.path.lineTo( point.x, point.y);
+	/**
+	 * Determines where the graph breaks: between two inputs
+	 * in different pieces, or at any piece's endpoint.
+	 * @param {number} input - A real x value
+	 * @param {number} [nextInput] - The real x value drawn next on the graph
+	 * @returns {boolean}
+	 */
+	discontinuousAt(input, nextInput) {
+		if(typeof nextInput !== "number") {
+			return this.pieces.some(piece => piece.from === input || piece.to === input);
 		}
 
-		ctx.beginPath();
-		ctx.lineWidth = this.lineWidth;
-		ctx.strokeStyle = this.strokeStyle;
-		ctx.stroke(this.path);
+		return this.pieceAt(input) !== this.pieceAt(nextInput);
 	}
 
 	/**
-	 * Draws as a Cartesian function with reversed coordinates
-	 * @param {object} ctx - The drawing context
+	 * Builds the graph one piece at a time, so pieces are
+	 * never joined to each other, and finds the endpoint
+	 * dots. Mostly used internally.
+	 * @param {CanvasRenderingContext2D} [ctx=this.game.offscreenCtx] - The game's drawing context
 	 */
-	drawXOfY(ctx) {
+	buildGraphPath(ctx=this.game.offscreenCtx) {
+
+		// CMFunction's constructor calls this before the pieces are set
+		if(!this.pieces) {
+			return;
+		}
+
 		let game = this.game;
-		let canvas = game.canvas;
+		let left = Math.max(this.start.x, game.xToReal(0, this.origin));
+		let right = Math.min(this.end.x, game.xToReal(game.width, this.origin));
 
-		/**
-		 * Graph path moves up y-axis, starting at game.height,
-		 * but we allow our index to move from 0 to game.height
-		 * and subtract from game.height when drawing the path
-		 */
-		let initialI = Math.max(0, game.height - this.game.yToScreen( this.start.y, this.origin) );
-		let initialScreenRealY = (initialI - this.origin.y) / game.graphScalar;
-		let finalI = Math.min(game.height, game.height - this.game.yToScreen( this.end.y, this.origin) );
+		// Keep huge values (e.g., near asymptotes) from creating huge paths
+		let toScreenY = (realY) => Math.min(Math.max(game.yToScreen(realY, this.origin), -game.height), 2 * game.height);
 
-		// Draw the current graph
-		ctx.lineWidth = this.lineWidth;
-		ctx.strokeStyle = this.strokeStyle;
-		this.path = new Path2D();
-		this.path.moveTo(this.realToScreenOf( initialScreenRealY ), game.height - initialI);
+		this.path = new CMGame.Path2D();
+		this.pathBelow = new CMGame.Path2D();
+		this.pathAbove = new CMGame.Path2D();
+		this.endpoints = [];
 
-		for(let i = initialI + 1; i <= finalI; i++) {
+		let runs = [];
+		for(let piece of this.pieces) {
+			let from = Math.max(piece.from, left);
+			let to = Math.min(piece.to, right);
 
-			let screenGraphY = -((game.height - i) - this.origin.y) / game.graphScalar;
-			let screenGraphYMinus1 = -(this.origin.y - (i - 1)) / game.graphScalar;
+			if(!(to >= from)) {
+				continue;
+			}
 
-			// Don't connect over horizontal asymptotes
-			if(
-				(this.realToScreenOf(screenGraphY) < 0 && this.realToScreenOf(screenGraphYMinus1) > canvas.width) ||
-				(this.realToScreenOf(screenGraphYMinus1) < 0 && this.realToScreenOf(screenGraphY) > canvas.width)) {
+			for(let [x, closed, inward] of [[piece.from, piece.includeFrom, 1], [piece.to, piece.includeTo, -1]]) {
+				if(x >= left && x <= right) {
+					let y = CMPiecewise.valueNear(piece, x, inward);
 
-				ctx.stroke(this.path);
-				this.continuous = false;
-				// this.path = new Path2D(); // Removing this causes asymptotes to be drawn
-				this.path.moveTo(this.realToScreenOf(screenGraphY), game.height - i );
+					if(Number.isFinite(y)) {
+						this.endpoints.push({x: x, y: y, closed: closed});
+					}
+				}
 			}
-			else {
-				this.path.lineTo(this.realToScreenOf(screenGraphY), game.height - i);
+
+			// Check each pixel inside the piece, and its exact ends
+			let inputs = [from];
+			for(let i = Math.floor(game.xToScreen(from, this.origin)) + 1; i < game.xToScreen(to, this.origin); i++) {
+				inputs.push(game.xToReal(i, this.origin));
 			}
-		}
 
-		if(this.fillStyleBelow && this.fillStyleBelow !== CMColor.NONE) {
-			this.pathBelow = new Path2D(this.path);
-			this.pathBelow.lineTo(-ctx.lineWidth, game.height - finalI);
-			this.pathBelow.lineTo(-ctx.lineWidth, game.height - initialI);
-			this.pathBelow.closePath();
-			ctx.fillStyle = this.fillStyleBelow;
-			ctx.fill(this.pathBelow);
-		}
+			inputs.push(to);
 
-		if(this.fillStyleAbove && this.fillStyleAbove !== CMColor.NONE) {
-			this.pathAbove = new Path2D(this.path);
-			this.pathAbove.lineTo(canvas.width + ctx.lineWidth, game.height - finalI);
-			this.pathAbove.lineTo(canvas.width + ctx.lineWidth, game.height - initialI);
-			this.pathAbove.closePath();
-			ctx.fillStyle = this.fillStyleAbove;
-			ctx.fill(this.pathAbove);
-		}
+			let run = null;
+			inputs.forEach((x, idx) => {
+				let y = (idx === 0) ? CMPiecewise.valueNear(piece, x, 1) :
+					(idx === inputs.length - 1) ? CMPiecewise.valueNear(piece, x, -1) : piece.of(x);
 
-		ctx.lineWidth = this.lineWidth;
-		ctx.strokeStyle = this.strokeStyle;
-		ctx.stroke(this.path);
-	}
+				if(!Number.isFinite(y)) {
+					run = null;
+					return;
+				}
 
-	/**
-	 * Draws graph in current frame
-	 * @param {CanvasRenderingContext2D} ctx - The game's drawing context
-	 */
-	drawCartesian(ctx) {
-		let game = this.game;
-		let canvas = game.canvas;
+				let point = {
+					x: game.xToScreen(x, this.origin),
+					y: toScreenY(y)
+				};
 
-		// Set up endpoints, bounding horizontally within visible canvas (to optimize)
-		let initialI = Math.max(0, this.game.xToScreen( this.start.x, this.origin ) );
-		let initialScreenRealX = (initialI - this.origin.x) / game.graphScalar;
-		let finalI = Math.min(canvas.width, this.game.xToScreen( this.end.x, this.origin) );
+				// Don't connect over vertical asymptotes inside a piece
+				let previous = run ? run[run.length - 1] : null;
+				if(previous && ((previous.y < 0 && point.y > game.height) || (previous.y > game.height && point.y < 0))) {
+					run = null;
+				}
 
-		// Draw the current graph
-		ctx.lineWidth = this.lineWidth;
-		ctx.strokeStyle = this.strokeStyle;
-		this.path = new Path2D();
-		this.path.moveTo(initialI, this.realToScreenOf( initialScreenRealX ) );
+				if(run === null) {
+					run = [];
+					runs.push(run);
+				}
 
-		for(let i = initialI + 1; i <= finalI; i++) {
+				run.push(point);
+			});
+		}
 
-			let screenGraphX = (i - this.origin.x) / game.graphScalar;
-			let screenGraphXMinus1 = (i - 1 - this.origin.x) / game.graphScalar;
+		for(let run of runs) {
+			let first = run[0];
+			let last = run[run.length - 1];
 
-			// Don't connect over vertical asymptotes
-			if(
-				(this.realToScreenOf(screenGraphX) < 0 && this.realToScreenOf(screenGraphXMinus1) > canvas.height) ||
-				(this.realToScreenOf(screenGraphXMinus1) < 0 && this.realToScreenOf(screenGraphX) > canvas.height) ||
-				this.discontinuousAt(screenGraphXMinus1, screenGraphX)) {
+			this.path.moveTo(first.x, first.y);
+			this.pathBelow.moveTo(first.x, first.y);
+			this.pathAbove.moveTo(first.x, first.y);
 
-				ctx.stroke(this.path);
-				this.continuous = false;
-				this.path = new Path2D(); // Removing this causes asymptotes to be drawn
-				this.path.moveTo(i, this.realToScreenOf(screenGraphX) );
-			}
-			else {
-				this.path.lineTo(i, this.realToScreenOf(screenGraphX) );
+			for(let point of run) {
+				this.path.lineTo(point.x, point.y);
+				this.pathBelow.lineTo(point.x, point.y);
+				this.pathAbove.lineTo(point.x, point.y);
 			}
-		}
 
-		if(this.fillStyleBelow && this.fillStyleBelow !== CMColor.NONE) {
-			this.pathBelow = new Path2D(this.path);
-			this.pathBelow.lineTo(finalI, canvas.height + ctx.lineWidth);
-			this.pathBelow.lineTo(initialI, canvas.height + ctx.lineWidth);
+			this.pathBelow.lineTo(last.x, game.height + ctx.lineWidth);
+			this.pathBelow.lineTo(first.x, game.height + ctx.lineWidth);
 			this.pathBelow.closePath();
-			ctx.fillStyle = this.fillStyleBelow;
-			ctx.fill(this.pathBelow);
-		}
 
-		if(this.fillStyleAbove && this.fillStyleAbove !== CMColor.NONE) {
-			this.pathAbove = new Path2D(this.path);
-			this.pathAbove.lineTo(finalI, 0 - ctx.lineWidth);
-			this.pathAbove.lineTo(initialI, 0 - ctx.lineWidth);
+			this.pathAbove.lineTo(last.x, 0 - ctx.lineWidth);
+			this.pathAbove.lineTo(first.x, 0 - ctx.lineWidth);
 			this.pathAbove.closePath();
-			ctx.fillStyle = this.fillStyleAbove;
-			ctx.fill(this.pathAbove);
+		}
+	}
+
+	/**
+	 * Draws the endpoint dots: hollow ones first, so a
+	 * filled dot at the same point (where one piece
+	 * continues another) covers it. Mostly used internally.
+	 * @param {CanvasRenderingContext2D} ctx - The game's drawing context
+	 */
+	drawEndpoints(ctx) {
+		if(this.strokeStyle === CMColor.NONE) {
+			return;
 		}
 
+		let game = this.game;
+
 		ctx.lineWidth = this.lineWidth;
 		ctx.strokeStyle = this.strokeStyle;
-		ctx.stroke(this.path);
+
+		for(let closed of [false, true]) {
+			for(let endpoint of this.endpoints.filter(endpoint => endpoint.closed === closed)) {
+				ctx.fillStyle = closed ? this.strokeStyle : this.hollowStyle;
+				ctx.beginPath();
+				ctx.arc(game.xToScreen(endpoint.x, this.origin), game.yToScreen(endpoint.y, this.origin),
+					this.endpointRadius, 0, Math.TAU, false);
+				ctx.fill();
+				ctx.stroke();
+			}
+		}
 	}
 
 	/**
-	 * Determines if given point lies below
-	 * above, or on the given curve. The returned
-	 * string refers to visual comparison (rather
-	 * than flipped y values for screen). E.g.,
-	 * [[x^2]].positionOf(0, 4); returns "above" since
-	 * visually the real point (0, 4) sits "above" the
-	 * graph.
-	 * @param {number|object} xOrPoint - Point with x, y values, or a point's x value
-	 * @param {number} [y] - A point's y value
-	 * @returns {string} "above", "below", "on", "unknown"
+	 * Draws the pieces and their endpoint dots, using the
+	 * paths last built. Mostly used internally.
+	 * @param {CanvasRenderingContext2D} [ctx=this.game.offscreenCtx] - The game's drawing context
 	 */
-	positionOf(xOrPoint, y) {
-		let point = {};
-
-		if(typeof xOrPoint === "number") {
-			point.x = xOrPoint;
-			point.y = y;
-		}
-		else {
-			point = xOrPoint;
-		}
+	drawGraphPath(ctx=this.game.offscreenCtx) {
+		super.drawGraphPath(ctx);
+		this.drawEndpoints(ctx);
+	}
 
-		if(this.continuous) {
-			let ctx = this.game.ctx;
+	/**
+	 * Draws this function for the current frame
+	 * @param {CanvasRenderingContext2D} ctx - The game's drawing context
+	 */
+	draw(ctx) {
+		this.buildGraphPath(ctx);
+		this.drawGraphPath(ctx);
+	}
+}
 
-			if(ctx.isPointInStroke(this.path, point.x, point.y) ) {
-				return "on";
-			}
-			else
-			if(ctx.isPointInPath(this.pathAbove, point.x, point.y)) {
-				return "above";
-			}
-			else
-			if(ctx.isPointInPath(this.pathBelow, point.x, point.y)) {
-				return "below";
-			}
-			else {
-				let pointXStyle = "color: rgb(225, 225, 0)";
-				let pointYStyle = "color: rgb(225, 225, 0)";
+/**
+ * Reads one piece of a CMPiecewise function, from a plain
+ * JS object with domain and expr values (see the CMPiecewise
+ * constructor). Throws an error if the domain cannot be read.
+ * Mostly used internally.
+ * @param {object} piece - A plain JS object with domain and expr values
+ * @returns {object} A plain JS object with domain, from, to, includeFrom, includeTo,
+ *   expression (a CMExpression, or null for a JS function), and definition values.
+ *   Its "of" value is set by the CMPiecewise constructor.
+ */
+CMPiecewise.readPiece = function(piece) {
+	let domain = String(piece.domain).trim();
+	let match = domain.match(/^([\[\(])([^,]+),([^,]+)([\]\)])$/);
 
-				if(point.x < 0 || point.x > this.game.width) {
-					pointXStyle = "color: rgb(255, 95, 95)";
-				}
+	if(!match) {
+		throw new Error("CMPiecewise domain must be an interval like \"[0, 2)\" or \"(-inf, 0]\", not \"" + domain + "\"");
+	}
 
-				if(point.y < 0 || point.y > this.game.height) {
-					pointYStyle = "color: rgb(255, 95, 95)";
-				}
+	let readBound = (bound) => {
+		bound = bound.trim();
 
-				if(this.debug) {
-					console.log(`Point (%c${point.x}%c, %c${point.y}%c) is outside canvas`,
-						pointXStyle, "color: default", pointYStyle, "color: default");
-				}
+		let infinity = bound.match(/^([+-]?)\s*(inf|infinity|∞)$/i);
+		if(infinity) {
+			return (infinity[1] === "-") ? -Infinity : Infinity;
+		}
 
-				return "unknown";
-			}
+		let value = new CMExpression(bound).evaluate();
+		if(!Number.isFinite(value)) {
+			throw new Error("CMPiecewise domain \"" + domain + "\" has an endpoint that is not a number");
 		}
-		else {
-			// Cannot assume only 3 paths exist; must calculate specific point
 
-			let funcRealY = this.of( this.game.xToReal( point.x, this.origin ));
-			let pointRealY = this.game.yToReal( point.y, this.origin );
+		return value;
+	};
 
-			// Remember, pixels are flipped upside down
-			if(pointRealY === funcRealY) {
-				return "on";
-			}
-			else
-			if(pointRealY > funcRealY) {
-				return "above";
-			}
-			else
-			if(pointRealY < funcRealY) {
-				return "below";
-			}
-			else {
-				return "uknown";
-			}
-		}
+	let expression = null;
+	let definition = null;
+
+	if(typeof piece.expr === "function") {
+		definition = piece.expr;
+	}
+	else {
+		expression = (piece.expr instanceof CMExpression) ? piece.expr : new CMExpression(String(piece.expr));
+	}
+
+	let from = readBound(match[2]);
+	let to = readBound(match[3]);
+
+	return {
+		domain: domain,
+		from: from,
+		to: to,
+
+		// An infinite end can never be included
+		includeFrom: match[1] === "[" && Number.isFinite(from),
+		includeTo: match[4] === "]" && Number.isFinite(to),
+		expression: expression,
+		definition: definition,
+		of: null
+	};
+};
+
+/**
+ * Determines if x is in a piece's domain. Mostly used internally.
+ * @param {object} piece - A piece of a CMPiecewise function (see CMPiecewise.readPiece)
+ * @param {number} x - A real x value
+ * @returns {boolean}
+ */
+CMPiecewise.inDomain = function(piece, x) {
+	return (x > piece.from || (piece.includeFrom && x === piece.from)) &&
+		(x < piece.to || (piece.includeTo && x === piece.to));
+};
+
+/**
+ * Finds a piece's output at x, using its own rule even if x
+ * is an endpoint it leaves out. If the rule has no output
+ * there (e.g., 1/x at 0), uses an input slightly inside the
+ * piece. Mostly used internally.
+ * @param {object} piece - A piece of a CMPiecewise function (see CMPiecewise.readPiece)
+ * @param {number} x - A real x value, usually an endpoint
+ * @param {number} inward - 1 if the piece continues to the right of x, or -1 if to the left
+ * @returns {number}
+ */
+CMPiecewise.valueNear = function(piece, x, inward) {
+	let value = piece.of(x);
+
+	if(!Number.isFinite(value)) {
+		value = piece.of(x + inward * 0.000001 * Math.max(1, Math.abs(x)));
 	}
 
+	return value;
+};
+
+/**
+ * A slider drawn on the canvas, for choosing a number
+ * by dragging its thumb along a track, or with the
+ * keyboard (arrow keys, Page Up/Down, Home, and End)
+ * after it is pressed. Tab moves between a game's
+ * sliders. Often created with a CMFunction's
+ * createSlider() method, to change a parameter.
+ */
+class CMSlider extends CMSprite {
+
 	/**
-	 * A boolean function to keep track of where to draw
-	 * discontinuities on the visible graph.
-	 * This is meant to be overridden when function is created.
-	 * @param {number} input - A domain point to check
-	 * @param {number} [nextInput] - The real domain point drawn next on the graph
-	 *   e.g., for type "cartesian", this is x + 1/self.game.graphScalar
-	 * @returns {boolean}
+	 * Creates a CMSlider instance.
+	 *
+	 * @param {CMGame} game - The associated CMGame instance
+	 * @param {number} x - The left end of the slider's track, in pixels
+	 * @param {number} y - The middle of the slider's track (vertically), in pixels
+	 * @param {number} width - The length of the track, in pixels
+	 * @param {object} [options={}] - A plain JS object of CMSprite options, plus those below
+	 * @param {number} [options.min=0] - The value at the left end of the track
+	 * @param {number} [options.max=1] - The value at the right end of the track
+	 * @param {number} [options.value] - The starting value. Defaults to min.
+	 * @param {number} [options.step=0] - Values are rounded to a multiple of this, from min. 0 allows any value.
+	 * @param {string} [options.label=""] - A name to show with the value, e.g., "a"
+	 * @param {boolean} [options.showValue=true] - Whether to show the value above the track
+	 * @param {number} [options.radius=8] - The radius of the thumb, in pixels
+	 * @param {string} [options.trackStyle=CMColor.LIGHT_GRAY] - Color for the track
+	 * @param {string} [options.fillStyle=CMColor.BLUE] - Color for the thumb, and the track to its left
+	 * @param {string} [options.textStyle=CMColor.DARK_GRAY] - Color for the label and value
+	 * @param {string} [options.font="14px Arial, sans-serif"] - Font for the label and value
+	 * @param {function} [options.onchange] - A callback called when the value changes,
+	 *   taking the new value as its only parameter
 	 */
-	discontinuousAt(input, nextInput) {
-		return false;
+	constructor(game, x, y, width, options={}) {
+		let radius = options.radius || 8;
+
+		super(game, x, y - radius, width, 2 * radius, null, "none",
+			Object.assign({fixedOnScreen: true}, options));
+
+		this.radius = radius;
+		this.min = (typeof options.min === "number") ? options.min : 0;
+		this.max = (typeof options.max === "number") ? options.max : 1;
+		this.step = options.step || 0;
+		this.label = options.label || "";
+		this.showValue = (typeof options.showValue === "boolean") ? options.showValue : true;
+		this.trackStyle = options.trackStyle || CMColor.LIGHT_GRAY;
+		this.fillStyle = options.fillStyle || CMColor.BLUE;
+		this.textStyle = options.textStyle || CMColor.DARK_GRAY;
+		this.font = options.font || "14px Arial, sans-serif";
+
+		// The CMFunction and parameter name this slider changes, if created with createSlider()
+		this.target = null;
+		this.param = null;
+
+		this.dragging = false;
+		this.focused = false;
+		this.value_Private = this.snap( (typeof options.value === "number") ? options.value : this.min );
+
+		if(typeof options.onchange === "function")
+			this.onchange = options.onchange;
 	}
 
 	/**
-	 * Each CMFunction instance, f, has 4
-	 * types of mathematical functions:
-	 *
-	 * - f.of() maps a real number to a real number (or point)
-	 * - f.screenOf() maps the onscreen pixel point to where the function's
-	 *   output would be (as an onscreen pixel point)
-	 * - f.realToScreenOf() takes the real input, returns the value (in
-	 *    pixels) where that input's real output would show on the screen
-	 * - f.screenToRealOf() take an onscreen pixel point as an input,
-	 *   determines what the real-valued equivalent input is, and
-	 *   returns the function's real output for that real input
+	 * Keeps a value within this slider's range, rounded
+	 * to its step. Mostly used internally.
+	 * @param {number} value - Any number
+	 * @returns {number}
 	 */
+	snap(value) {
+		return CMGame.snapToStep(value, this.min, this.max, this.step);
+	}
 
 	/**
-	 * Takes screen pixel input value, and returns
-	 * screen pixel output value associated with
-	 * this function and function type.
-	 * @param {number} screenInput - A pixel value (x or y) or angle or time
-	 * @returns {number|object} object for "parametric", otherwise a number
+	 * Gets the value for a screen x value along the track
+	 * @param {number} screenX - The x value, in pixels
+	 * @returns {number}
 	 */
-	screenOf( screenInput ) { // i.e., screenToScreenOf() 
-
-		let realInput;
-		switch(this.type) {
-			case "cartesian":
-				realInput = this.game.xToReal( screenInput, this.origin );
-				break;
-			case "xofy":
-				realInput = this.game.yToReal( screenInput, this.origin );
-				break;
-			case "polar": // angle and "time" do not change
-			case "parametric":
-				realInput = screenInput;
-				break;
-		}
-
-		return this.realToScreenOf( realInput );
+	valueAt(screenX) {
+		let fraction = CMGame.clamp((screenX - this.x) / this.width, 0, 1);
+		return this.snap(this.min + fraction * (this.max - this.min));
 	}
 
 	/**
-	 * Takes screen pixel input value, uses its real equivalent,
-	 * and returns real (not screen pixel) output value
-	 * associated with this function and function type.
-	 * @param {number} screenInput - A pixel value (x or y) or angle or time
-	 * @returns {number|object} object for "parametric", otherwise a number
+	 * Gets the screen x value of the thumb's center,
+	 * for a value along the track
+	 * @param {number} value - A value in this slider's range
+	 * @returns {number}
 	 */
-	screenToRealOf( screenInput ) {
-
-		let realInput;
-		switch(this.type) {
-			case "cartesian":
-				realInput = this.game.xToReal( screenInput, this.origin );
-				break;
-			case "xofy":
-				realInput = this.game.yToReal( screenInput, this.origin );
-				break;
-			case "polar": // angle and "time" do not change
-			case "parametric":
-				realInput = screenInput;
-				break;
+	screenXOf(value) {
+		if(this.max === this.min) {
+			return this.x;
 		}
 
-		return this.of( realInput );
+		return this.x + this.width * (value - this.min) / (this.max - this.min);
 	}
 
 	/**
-	 * Creates a copy of this function with similar options.
-	 * These options can be overridden in the passed in
-	 * newOpts argument.
-	 * @param {object} [newOpts={}] - A plain JS object of options, which should
-	 *   contain any CMFunction constructor options that you want to be
-	 *   different from the current instance.
-	 * @returns {object} The newly created CMFunction instance
+	 * Determines if a given screen point is on the
+	 * slider's track or thumb
+	 * @param {object|number} pointOrX - The point, or point's x value
+	 * @param {number} [y] - The point's y value
+	 * @returns {boolean}
 	 */
-	clone(newOpts={}) {
-		newOpts.operation = "clone";
-		return this.operation("self", newOpts);
+	containsPoint(pointOrX, y) {
+		let point = (typeof pointOrX === "number") ? {x: pointOrX, y: y} : pointOrX;
+
+		return point.x >= this.x - this.radius && point.x <= this.x + this.width + this.radius &&
+			point.y >= this.y && point.y <= this.y + this.height;
 	}
 
 	/**
-	 * Returns a new CMFunction instance representing
-	 * this one plus another one.
-	 * @param {object} otherFunc - The other function to act on
-	 * @param {object} [newOpts={}] - A plain JS object of options, which should
-	 *   contain any CMFunction constructor options that you want to be
-	 *   different from the current instance.
-	 * @returns {object} The newly created CMFunction instance
+	 * Moves the thumb to show a value, without rounding it
+	 * to the step, changing a parameter, or calling
+	 * onchange (e.g., while a parameter is animated).
+	 * Mostly used internally.
+	 * @param {number} value - A value in this slider's range
 	 */
-	plus(otherFunc, newOpts={}) {
-		newOpts.operation = "plus";
-		return this.operation(otherFunc,  newOpts);
+	moveThumb(value) {
+		this.value_Private = CMGame.clamp(value, Math.min(this.min, this.max), Math.max(this.min, this.max));
 	}
 
 	/**
-	 * Returns a new CMFunction instance representing
-	 * this one minus another one.
-	 * @param {object} otherFunc - The other function to act on
-	 * @param {object} [newOpts={}] - A plain JS object of options, which should
-	 *   contain any CMFunction constructor options that you want to be
-	 *   different from the current instance.
-	 * @returns {object} The newly created CMFunction instance
+	 * Starts dragging the thumb, when the slider
+	 * is pressed. Mostly used internally.
+	 * @param {number} x - The press point's x value
+	 * @param {number} y - The press point's y value
 	 */
-	minus(otherFunc, newOpts={}) {
-		newOpts.operation = "minus";
-		return this.operation(otherFunc,  newOpts);
+	pressStart(x, y) {
+		this.dragging = true;
+
+		// The player takes over from any animation
+		if(this.target) {
+			this.target.stopParamAnimation(this.param);
+		}
+
+		this.value = this.valueAt(x);
 	}
 
 	/**
-	 * Returns a new CMFunction instance representing
-	 * this one times another one.
-	 * @param {object} otherFunc - The other function to act on
-	 * @param {object} [newOpts={}] - A plain JS object of options, which should
-	 *   contain any CMFunction constructor options that you want to be
-	 *   different from the current instance.
-	 * @returns {object} The newly created CMFunction instance
+	 * Moves the thumb while it is dragged. Mostly used internally.
+	 * @param {number} x - The press point's x value
+	 * @param {number} y - The press point's y value
 	 */
-	times(otherFunc, newOpts={}) {
-		newOpts.operation = "times";
-		return this.operation(otherFunc,  newOpts);
+	pressMove(x, y) {
+		this.value = this.valueAt(x);
 	}
 
 	/**
-	 * Returns a new CMFunction instance representing
-	 * this one divided by another one.
-	 * @param {object} otherFunc - The other function to act on
-	 * @param {object} [newOpts={}] - A plain JS object of options, which should
-	 *   contain any CMFunction constructor options that you want to be
-	 *   different from the current instance.
-	 * @returns {object} The newly created CMFunction instance
+	 * Stops dragging the thumb. Mostly used internally.
 	 */
-	dividedBy(otherFunc, newOpts={}) {
-		newOpts.operation = "dividedBy";
-		return this.operation(otherFunc,  newOpts);
+	pressEnd() {
+		this.dragging = false;
 	}
 
 	/**
-	 * Returns a new CMFunction instance representing
-	 * this one composed with another one.
-	 * @param {object} otherFunc - The other function to act on
-	 * @param {object} [newOpts={}] - A plain JS object of options, which should
-	 *   contain any CMFunction constructor options that you want to be
-	 *   different from the current instance.
-	 * @returns {object} The newly created CMFunction instance
+	 * Changes the value with the keyboard, while this
+	 * slider is focused. Mostly used internally.
+	 * @param {object} e - The keydown event
+	 * @returns {boolean} true if the key was used by this slider
 	 */
-	composedWith(otherFunc, newOpts={}) {
-		newOpts.operation = "composedWith";
-		return this.operation(otherFunc,  newOpts);
+	keyDown(e) {
+		let step = this.step || Math.abs(this.max - this.min) / 100;
+		let direction = Math.sign(this.max - this.min) || 1;
+
+		switch(e.key) {
+			case "ArrowRight":
+			case "ArrowUp":
+				this.value = this.snap(this.value + direction * step);
+				return true;
+			case "ArrowLeft":
+			case "ArrowDown":
+				this.value = this.snap(this.value - direction * step);
+				return true;
+			case "PageUp":
+				this.value = this.snap(this.value + 10 * direction * step);
+				return true;
+			case "PageDown":
+				this.value = this.snap(this.value - 10 * direction * step);
+				return true;
+			case "Home":
+				this.value = this.min;
+				return true;
+			case "End":
+				this.value = this.max;
+				return true;
+			default:
+				return false;
+		}
 	}
 
 	/**
-	 * This is a convenience function provided for
-	 * DRY methods, as code is similar for various
-	 * operations.
-	 * @param {object} otherFunc - The other CMFunction instance to operate on
-	 * @param {object} [newOpts={}] - A plain JS object of options, which should
-	 *   contain any CMFunction constructor options that you want to be
-	 *   different from the current instances.
+	 * Draws this slider for current frame
+	 * @param {CanvasRenderingContext2D} ctx - The game's drawing context
 	 */
-	operation(otherFunc, newOpts={}) {
-		let self = this,
-			opts = {};
+	draw(ctx) {
+		let centerY = this.y + this.radius;
+		let thumbX = this.screenXOf(this.value);
 
-		let keys = ["type",
-			"strokeStyle",
-			"fillStyleBelow",
-			"fillStyleAbove",
-			"lineWidth",
-			"name",
-			"fixed",
-			"start",
-			"end",
-			"velocity",
-			"tStep",
-			"thetaStep",
-			"origin",
-			"onupdate",
-			"onbeforedraw",
-			"ondraw",
-			"discontinuousAt"];
+		ctx.save();
+		ctx.lineCap = "round";
+		ctx.lineWidth = Math.max(2, .5 * this.radius);
 
-		for(let i = 0; i < keys.length; i++) {
-			opts[keys[i]] = newOpts[keys[i]] || this[keys[i]];
+		ctx.strokeStyle = this.trackStyle;
+		ctx.beginPath();
+		ctx.moveTo(this.x, centerY);
+		ctx.lineTo(this.x + this.width, centerY);
+		ctx.stroke();
+
+		ctx.strokeStyle = this.fillStyle;
+		ctx.beginPath();
+		ctx.moveTo(this.x, centerY);
+		ctx.lineTo(thumbX, centerY);
+		ctx.stroke();
+
+		ctx.fillStyle = this.fillStyle;
+		ctx.beginPath();
+		ctx.arc(thumbX, centerY, this.radius, 0, Math.TAU);
+		ctx.fill();
+
+		// Show which slider the keyboard changes
+		if(this.focused) {
+			ctx.lineWidth = 2;
+			ctx.beginPath();
+			ctx.arc(thumbX, centerY, this.radius + 3, 0, Math.TAU);
+			ctx.stroke();
 		}
 
-		let ofFunc = null;
-		switch(newOpts.operation) {
-			case "plus":
-				ofFunc = function(input) { return self.of(input) + otherFunc.of(input); }
-				break;
-			case "minus":
-				ofFunc = function(input) { return self.of(input) - otherFunc.of(input); }
-				break;
-			case "times":
-				ofFunc = function(input) { return self.of(input) * otherFunc.of(input); }
-				break;
-			case "dividedBy":
-				ofFunc = function(input) { return self.of(input) / otherFunc.of(input); }
-				break;
-			case "composedWith":
-				ofFunc = function(input) { return self.of( otherFunc.of(input) ); }
-				break;
-			default: // Default is just a clone of starting function
-				ofFunc = function(input) { return self.of(input); };
-				break;
+		if(this.label || this.showValue) {
+			let text = this.label;
+			if(this.showValue) {
+				text += (this.label ? " = " : "") + CMGame.roundSmall(this.value);
+			}
+
+			ctx.font = this.font;
+			ctx.fillStyle = this.textStyle;
+			ctx.textAlign = "left";
+			ctx.textBaseline = "bottom";
+			ctx.fillText(text, this.x, this.y - 4);
 		}
 
-		return new CMFunction(this.game,
-			ofFunc,
-			opts);
+		ctx.restore();
 	}
 
-	// These can be overridden by dev
-	onupdate(frameCount) {}
-	onbeforedraw(ctx) {}
-	ondraw(ctx) {}
+	// Can be overridden by dev
+	onchange(value) {}
 }
 
+/**
+ * The slider's current value. Setting this
+ * moves the thumb, and changes the parameter
+ * of the function it was created for.
+ */
+Object.defineProperty(CMSlider.prototype, "value", {
+	get() {
+		return this.value_Private;
+	},
+
+	set(newValue) {
+		newValue = this.snap(newValue);
+
+		if(newValue === this.value_Private) {
+			return;
+		}
+
+		this.value_Private = newValue;
+
+		if(this.target) {
+			this.target.setParam(this.param, newValue);
+		}
+
+		this.onchange(newValue);
+	}
+});
+
 /**
  * Bonus! Manage game based on Venn Diagrams
  */
@@ -11433,7 +20268,7 @@ class CMVennRegion extends CMSprite {
 		this.variation = variation;
 		this.filled = false;
 		this.fillStyle = "red"; // Since regions are created when diagram is, dev can/should set fill color later
-		this.path = new Path2D();
+		this.path = new CMGame.Path2D();
 
 		this.label = {
 			text: "",
@@ -12088,7 +20923,7 @@ class CMVennSet extends CMSprite {
 			return this.path;
 		}
 
-		this.path = new Path2D();
+		this.path = new CMGame.Path2D();
 		this.path.arc(this.x, this.y, this.radius, 0, Math.TAU, false);
 		return this.path;
 	}
@@ -12111,7 +20946,7 @@ class CMVennSet extends CMSprite {
 		}
 
 		// Fill outer area above, then below set circle
-		this.complementPath = new Path2D();
+		this.complementPath = new CMGame.Path2D();
 		this.complementPath.moveTo(0, 0); // top left corner of screen
 		this.complementPath.lineTo(this.game.canvas.width, 0); // top right
 		this.complementPath.lineTo(this.game.canvas.width, this.game.canvas.height); // bottom left
@@ -12178,9 +21013,10 @@ class CMVertex extends CMSprite {
 	/**
 	 * Updates this vertex for current frame
 	 * @param {number} frameCount - The game's integer counter for frames
+	 * @param {number} [dt] - Seconds of game time this update represents
 	 */
-	update(frameCount) {
-		super.update(frameCount);
+	update(frameCount, dt) {
+		super.update(frameCount, dt);
 		for(let edge of this.incidentEdges) {
 			if(this === edge.vertex1) {
 				edge.start.x = this.x;
@@ -12315,8 +21151,8 @@ class CMEdge extends CMSprite {
 		this.length = this.game.distance(this.start, this.end);
 
 		// drawing paths, not "path" in Graph Theory sense
-		this.path = new Path2D();
-		this.arrowPath = new Path2D();
+		this.path = new CMGame.Path2D();
+		this.arrowPath = new CMGame.Path2D();
 		this.rebuildPath(); // Set up initial form
 
 		if(this.vertex1 && this.vertex2) {
@@ -12393,7 +21229,7 @@ class CMEdge extends CMSprite {
 	 * for collisions, drawing, etc.
 	 */
 	rebuildPath() {
-		this.path = new Path2D();
+		this.path = new CMGame.Path2D();
 		this.path.moveTo(this.start.x, this.start.y);
 
 		// No need to calculate these for non-directed graph
@@ -12439,7 +21275,7 @@ class CMEdge extends CMSprite {
 			this.path.lineTo(this.end.x, this.end.y);
 		}
 
-		this.arrowPath = new Path2D();
+		this.arrowPath = new CMGame.Path2D();
 
 		// Draw arrow at end of edge
 		if(this.directed) {
@@ -12485,9 +21321,10 @@ class CMEdge extends CMSprite {
 	/**
 	 * Updates edge in current frame, and rebuilds path in case of animation
 	 * @param {number} frameCount - The game's integer counter for frames
+	 * @param {number} [dt] - Seconds of game time this update represents
 	 */
-	update(frameCount) {
-		super.update(frameCount);
+	update(frameCount, dt) {
+		super.update(frameCount, dt);
 		this.rebuildPath();
 	}
 
@@ -12599,7 +21436,7 @@ class CMnGon extends CMSprite {
 	 * center, radius, rotation, and number of corners
 	 */
 	rebuildPath() {
-		this.path = new Path2D();
+		this.path = new CMGame.Path2D();
 		this.points = [];
 
 		let arc = Math.TAU / this.n;
@@ -12637,9 +21474,10 @@ class CMnGon extends CMSprite {
 	/**
 	 * Updates this in a single frame. Mainly used for changing # of points, etc.
 	 * @param {number} frameCount - The game's integer counter for frames
+	 * @param {number} [dt] - Seconds of game time this update represents
 	 */
-	update(frameCount) {
-		super.update(frameCount);
+	update(frameCount, dt) {
+		super.update(frameCount, dt);
 
 		// A defining property has changed, so we need to recreate the path
 		if([this.n, this.x, this.y, this.radius, this.rotation].join(";") !== this.previousState) {
@@ -12809,26 +21647,28 @@ class CMPolygon extends CMSprite {
 		this.lineWidth = opts.lineWidth;
 
 		this.shape = "polygon";
-		this.path = new Path2D();
+		this.path = new CMGame.Path2D();
 		this.rebuildPath();
 	}
 
 	/**
 	 * Update in a single animation frame
 	 * @param {number} frameCount - The current animation frame index
+	 * @param {number} [dt] - Seconds of game time this update represents
 	 */
-	update(frameCount) {
-		super.update(frameCount);
+	update(frameCount, dt) {
+		super.update(frameCount, dt);
 
 		if(this.velocity.x !== 0 || this.velocity.y !== 0) {
+			let step = this.game.fixedTimestep ? dt : 1;
 
 			for(let i = 0, len = this.points.length; i < len; i++) {
-				this.points[i].x += this.velocity.x;
-				this.points[i].y += this.velocity.y;
+				this.points[i].x += this.velocity.x * step;
+				this.points[i].y += this.velocity.y * step;
 			}
 
-			this.left = this.points.reduce((accumulator, currentValue) => Math.min(accumulator, currentValue.x), game.width);
-			this.top = this.points.reduce((accumulator, currentValue) => Math.min(accumulator, currentValue.y), game.height);
+			this.left = this.points.reduce((accumulator, currentValue) => Math.min(accumulator, currentValue.x), this.game.width);
+			this.top = this.points.reduce((accumulator, currentValue) => Math.min(accumulator, currentValue.y), this.game.height);
 			this.right = this.points.reduce((accumulator, currentValue) => Math.max(accumulator, currentValue.x), 0);
 			this.bottom = this.points.reduce((accumulator, currentValue) => Math.max(accumulator, currentValue.y), 0);
 			this.rebuildPath(); // Redefine points before bounding
@@ -12843,7 +21683,7 @@ class CMPolygon extends CMSprite {
 	 * center, radius, rotation, and number of corners
 	 */
 	rebuildPath() {
-		this.path = new Path2D();
+		this.path = new CMGame.Path2D();
 		this.path.moveTo(
 				this.points[0].x,
 				this.points[0].y
@@ -12860,6 +21700,37 @@ class CMPolygon extends CMSprite {
 			this.path.closePath();
 	}
 
+	/**
+	 * Moves this polygon's points along with the graph
+	 * plane, keeping its shape and size. Mostly used internally.
+	 * @param {function} mapPoint - Takes a screen point on the old plane, and returns where it is now
+	 * @param {number} newScalar - The game's graphScalar after the change
+	 */
+	followPlane(mapPoint, newScalar) {
+		let center = this.center;
+		let newCenter = mapPoint(center);
+		let dx = newCenter.x - center.x;
+		let dy = newCenter.y - center.y;
+
+		for(let point of this.points) {
+			point.x += dx;
+			point.y += dy;
+		}
+
+		this.x += dx;
+		this.y += dy;
+		this.left += dx;
+		this.top += dy;
+		this.right += dx;
+		this.bottom += dy;
+
+		if(this.pathFunction instanceof CMFunction && !this.game.functions.includes(this.pathFunction)) {
+			this.pathFunction.followPlane(mapPoint, newScalar);
+		}
+
+		this.rebuildPath();
+	}
+
 	/**
 	 * Determines if a given point is in this polygon's fill path. Note:
 	 * this may not be verty reliable on complex shapes.